@@ -19,6 +19,10 @@ import ChangeEmail from './pages/ChangeEmail';
 import Settings from './pages/Settings';
 import EmailAlreadyVerified from './pages/EmailAlreadyVerified';
 import EmailVerificationFailed from './pages/EmailVerificationFailed';
+import UnlockAccount from './pages/UnlockAccount';
+import OidcCallback from './pages/OidcCallback';
+import Moderation from './pages/Moderation';
+import TagDetail from './pages/TagDetail';
 import { AuthProvider } from './contexts/AuthContext';
 
 const queryClient = new QueryClient({
@@ -43,11 +47,14 @@ function App() {
                   <Route path="/questions" element={<Questions />} />
                   <Route path="/questions/:id" element={<QuestionDetail />} />
                   <Route path="/ask" element={<AskQuestion />} />
+                  <Route path="/tags/:name" element={<TagDetail />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Register />} />
                   <Route path="/profile" element={<Profile />} />
                   <Route path="/forgot-password" element={<ForgotPassword />} />
                   <Route path="/reset-password" element={<ResetPassword />} />
+                  <Route path="/unlock-account" element={<UnlockAccount />} />
+                  <Route path="/auth/oidc/callback" element={<OidcCallback />} />
                   <Route path="/verify-email" element={<VerifyEmail />} />
                   <Route path="/resend-verification" element={<ResendVerification />} />
                   <Route path="/change-password" element={<ChangePassword />} />
@@ -55,6 +62,7 @@ function App() {
                   <Route path="/settings" element={<Settings />} />
                   <Route path="/email-already-verified" element={<EmailAlreadyVerified />} />
                   <Route path="/email-verification-failed" element={<EmailVerificationFailed />} />
+                  <Route path="/moderation" element={<Moderation />} />
                 </Routes>
               </Layout>
               <Toaster position="top-right" />
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { authAPI, ApiToken, ApiTokenScope } from '../lib/api';
+import { formatDate, getErrorMessage } from '../lib/utils';
+import { Copy, KeyRound, Plus } from 'lucide-react';
+
+const SCOPES: { value: ApiTokenScope; label: string }[] = [
+  { value: 'read', label: 'Read anything you can see' },
+  { value: 'write:questions', label: 'Post and edit questions' },
+  { value: 'write:answers', label: 'Post and edit answers' },
+  { value: 'admin:tags', label: 'Manage tags' },
+];
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+// Personal access tokens for scripts against the API
+const ApiTokensCard: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [isCreating, setIsCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<ApiTokenScope[]>(['read']);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [newToken, setNewToken] = useState<string | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['api-tokens'],
+    queryFn: () => authAPI.getApiTokens().then(res => res.data),
+  });
+  const apiTokens: ApiToken[] = Array.isArray(data?.apiTokens) ? data.apiTokens : [];
+
+  const resetForm = () => {
+    setIsCreating(false);
+    setName('');
+    setScopes(['read']);
+    setExpiresInDays(30);
+  };
+
+  const toggleScope = (scope: ApiTokenScope) => {
+    setScopes(scopes.includes(scope) ? scopes.filter(s => s !== scope) : [...scopes, scope]);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: () => authAPI.createApiToken({ name: name.trim(), scopes, expiresInDays }).then(res => res.data),
+    onSuccess: (result) => {
+      setNewToken(result.token);
+      resetForm();
+      queryClient.invalidateQueries({ queryKey: ['api-tokens'] });
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to create API token'));
+    },
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: (apiToken: ApiToken) => authAPI.revokeApiToken(apiToken._id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['api-tokens'] });
+      toast.success('API token revoked');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to revoke API token'));
+    },
+  });
+
+  const handleCopy = async () => {
+    if (!newToken) return;
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied');
+    } catch {
+      toast.error('Could not copy the token');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <KeyRound className="h-5 w-5" />
+          API Tokens
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Tokens let scripts use the API as you. Send one as{' '}
+          <code className="rounded bg-gray-100 px-1 font-mono text-xs">Authorization: Bearer &lt;token&gt;</code>.
+        </p>
+
+        {newToken && (
+          <div className="space-y-2 rounded-md border border-green-200 bg-green-50 p-3">
+            <p className="text-sm text-green-800">Copy your new token now. It will not be shown again.</p>
+            <code className="block break-all rounded bg-white px-2 py-1 font-mono text-sm text-gray-900">{newToken}</code>
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+                <Copy className="h-4 w-4 mr-2" />
+                Copy
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={() => setNewToken(null)}>
+                Done
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Loading tokens...</p>
+        ) : apiTokens.length === 0 ? (
+          <p className="text-sm text-gray-500">No API tokens.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {apiTokens.map(apiToken => (
+              <li key={apiToken._id} className="flex items-center justify-between gap-4 py-3">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {apiToken.name}
+                    <span className="ml-2 font-mono text-xs text-gray-500">{apiToken.prefix}…</span>
+                  </p>
+                  <p className="text-xs text-gray-500">{apiToken.scopes.join(', ')}</p>
+                  <p className="text-xs text-gray-500">
+                    {apiToken.lastUsedAt ? `Last used ${formatDate(apiToken.lastUsedAt)}` : 'Never used'}
+                    {' · '}
+                    Expires {new Date(apiToken.expiresAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => {
+                    if (window.confirm(`Revoke "${apiToken.name}"? Scripts using it will stop working.`)) {
+                      revokeMutation.mutate(apiToken);
+                    }
+                  }}
+                  disabled={revokeMutation.isPending}
+                >
+                  Revoke
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {isCreating ? (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              createMutation.mutate();
+            }}
+            className="space-y-3 rounded-md border border-gray-200 p-3"
+          >
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Token name, e.g. Release Q&A bot"
+              maxLength={50}
+            />
+            <fieldset className="space-y-1">
+              <legend className="text-sm font-medium text-gray-700">Scopes</legend>
+              {SCOPES.map(scope => (
+                <label key={scope.value} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={scopes.includes(scope.value)}
+                    onChange={() => toggleScope(scope.value)}
+                  />
+                  <span className="font-mono text-xs">{scope.value}</span>
+                  <span className="text-gray-500">{scope.label}</span>
+                </label>
+              ))}
+            </fieldset>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              Expires after
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(Number(e.target.value))}
+                className="rounded-md border border-gray-300 px-2 py-1 text-sm"
+              >
+                {EXPIRY_OPTIONS.map(days => (
+                  <option key={days} value={days}>
+                    {days} days
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="flex gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={resetForm}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                size="sm"
+                disabled={!name.trim() || scopes.length === 0 || createMutation.isPending}
+              >
+                Create token
+              </Button>
+            </div>
+          </form>
+        ) : (
+          <Button variant="outline" onClick={() => setIsCreating(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            New token
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ApiTokensCard;
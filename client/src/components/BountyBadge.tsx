@@ -0,0 +1,23 @@
+import React from 'react';
+import { Bounty } from '../lib/api';
+
+interface BountyBadgeProps {
+  bounty?: Bounty | null;
+  className?: string;
+}
+
+// Shows the amount of an active bounty; renders nothing otherwise
+const BountyBadge: React.FC<BountyBadgeProps> = ({ bounty, className = '' }) => {
+  if (!bounty || bounty.status !== 'active') return null;
+
+  return (
+    <span
+      title={`Bounty ends ${new Date(bounty.expiresAt).toLocaleDateString()}`}
+      className={`inline-flex items-center rounded bg-blue-600 px-1.5 py-0.5 text-xs font-semibold text-white ${className}`}
+    >
+      +{bounty.amount}
+    </span>
+  );
+};
+
+export default BountyBadge;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Button } from './ui/button';
+import { questionsAPI, Bounty } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { usePrivileges } from '../hooks/usePrivileges';
+import { BOUNTY_AMOUNTS, formatDate, getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { Eye, EyeOff, Gift } from 'lucide-react';
+
+interface BountyPanelProps {
+  questionId: string;
+  bounty: Bounty | null;
+  bountyWatchers: string[];
+  isAuthor: boolean;
+  // Only open questions without answers take a bounty
+  canOffer: boolean;
+}
+
+const BountyPanel: React.FC<BountyPanelProps> = ({
+  questionId,
+  bounty,
+  bountyWatchers,
+  isAuthor,
+  canOffer,
+}) => {
+  const { user, isAuthenticated } = useAuth();
+  const { reputation } = usePrivileges();
+  const queryClient = useQueryClient();
+  const [showOfferForm, setShowOfferForm] = useState(false);
+  const [amount, setAmount] = useState(BOUNTY_AMOUNTS[0]);
+
+  const isActive = bounty?.status === 'active';
+  const isWatching = !!user?._id && bountyWatchers.includes(user._id);
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['question', questionId] });
+  };
+
+  const offerBountyMutation = useMutation({
+    mutationFn: () => questionsAPI.offerBounty(questionId, amount),
+    onSuccess: () => {
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ['privileges', user?._id] });
+      setShowOfferForm(false);
+      toast.success('Bounty started!');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to start bounty'));
+    },
+  });
+
+  const watchMutation = useMutation({
+    mutationFn: () =>
+      isWatching ? questionsAPI.unwatchBounty(questionId) : questionsAPI.watchBounty(questionId),
+    onSuccess: (res) => {
+      invalidate();
+      toast.success(res.data?.message || 'Updated');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to update bounty watch'));
+    },
+  });
+
+  if (isActive && bounty) {
+    return (
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-2 rounded-md border border-blue-200 bg-blue-50 p-3 text-sm text-blue-900">
+        <span className="flex items-center gap-2">
+          <Gift className="h-4 w-4" />
+          <span className="font-semibold">+{bounty.amount} bounty</span>
+          ends {new Date(bounty.expiresAt).toLocaleDateString()}. It goes to the accepted answer, or the
+          top-voted answer when it ends.
+        </span>
+        {isAuthenticated && user?.role !== 'guest' && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => watchMutation.mutate()}
+            disabled={watchMutation.isPending}
+          >
+            {isWatching ? <EyeOff className="h-3 w-3 mr-1" /> : <Eye className="h-3 w-3 mr-1" />}
+            {isWatching ? 'Unwatch' : 'Watch'}
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  if (!isAuthor || !canOffer) {
+    return bounty?.status === 'awarded' && bounty.awardedAt ? (
+      <p className="mb-6 flex items-center gap-2 text-sm text-gray-500">
+        <Gift className="h-4 w-4" />
+        A +{bounty.amount} bounty was awarded {formatDate(bounty.awardedAt).toLowerCase()}
+      </p>
+    ) : null;
+  }
+
+  return showOfferForm ? (
+    <div className="mb-6 flex flex-wrap items-center gap-2 rounded-md border border-gray-200 bg-gray-50 p-3 text-sm">
+      <span className="text-gray-700">Offer</span>
+      <select
+        value={amount}
+        onChange={(e) => setAmount(Number(e.target.value))}
+        className="border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {BOUNTY_AMOUNTS.map(value => (
+          <option key={value} value={value} disabled={value > reputation}>
+            +{value}
+          </option>
+        ))}
+      </select>
+      <span className="text-gray-500">of your {reputation.toLocaleString()} reputation</span>
+      <div className="ml-auto flex gap-2">
+        <Button variant="ghost" size="sm" onClick={() => setShowOfferForm(false)}>
+          Cancel
+        </Button>
+        <Button
+          size="sm"
+          onClick={() => offerBountyMutation.mutate()}
+          disabled={offerBountyMutation.isPending || amount > reputation}
+        >
+          {offerBountyMutation.isPending ? 'Starting...' : 'Start bounty'}
+        </Button>
+      </div>
+    </div>
+  ) : (
+    <button
+      type="button"
+      className="mb-6 flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+      onClick={() => setShowOfferForm(true)}
+    >
+      <Gift className="h-4 w-4" />
+      Start a bounty
+    </button>
+  );
+};
+
+export default BountyPanel;
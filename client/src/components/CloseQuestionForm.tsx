@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { CloseReason } from '../lib/api';
+import { CLOSE_REASON_LABELS } from '../lib/utils';
+import toast from 'react-hot-toast';
+
+interface CloseQuestionFormProps {
+  isPending: boolean;
+  onSubmit: (closeData: { reason: CloseReason; duplicateOf?: string }) => void;
+  onCancel: () => void;
+}
+
+// Accepts a bare question ID or a link to the question
+const extractQuestionId = (value: string) => value.match(/[a-f\d]{24}/i)?.[0];
+
+const CloseQuestionForm: React.FC<CloseQuestionFormProps> = ({ isPending, onSubmit, onCancel }) => {
+  const [reason, setReason] = useState<CloseReason>('duplicate');
+  const [duplicateLink, setDuplicateLink] = useState('');
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (reason !== 'duplicate') {
+      onSubmit({ reason });
+      return;
+    }
+
+    const duplicateOf = extractQuestionId(duplicateLink);
+    if (!duplicateOf) {
+      toast.error('Paste a link to the original question');
+      return;
+    }
+    onSubmit({ reason, duplicateOf });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-3 rounded-lg border border-gray-200 bg-gray-50 p-4">
+      <p className="text-sm font-semibold text-gray-900">Why should this question be closed?</p>
+      <div className="space-y-2">
+        {(Object.keys(CLOSE_REASON_LABELS) as CloseReason[]).map(key => (
+          <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name="close-reason"
+              value={key}
+              checked={reason === key}
+              onChange={() => setReason(key)}
+            />
+            {CLOSE_REASON_LABELS[key]}
+          </label>
+        ))}
+      </div>
+      {reason === 'duplicate' && (
+        <Input
+          value={duplicateLink}
+          onChange={(e) => setDuplicateLink(e.target.value)}
+          placeholder="Link to the original question"
+          autoFocus
+        />
+      )}
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={isPending}>
+          {isPending ? 'Voting...' : 'Vote to close'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default CloseQuestionForm;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Lock } from 'lucide-react';
+import { CloseReason } from '../lib/api';
+import { CLOSE_REASON_LABELS } from '../lib/utils';
+
+interface ClosedBadgeProps {
+  status?: string;
+  closeReason?: CloseReason | null;
+  className?: string;
+}
+
+// Renders nothing for open questions
+const ClosedBadge: React.FC<ClosedBadgeProps> = ({ status, closeReason, className = '' }) => {
+  if (status !== 'closed') return null;
+
+  return (
+    <span
+      title={closeReason ? `Closed as ${CLOSE_REASON_LABELS[closeReason].toLowerCase()}` : 'Closed'}
+      className={`inline-flex items-center gap-1 rounded-full bg-yellow-100 px-2 py-0.5 text-xs font-medium text-yellow-800 ${className}`}
+    >
+      <Lock className="h-3 w-3" />
+      {closeReason === 'duplicate' ? 'Duplicate' : 'Closed'}
+    </span>
+  );
+};
+
+export default ClosedBadge;
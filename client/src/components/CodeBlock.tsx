@@ -0,0 +1,52 @@
+import React from 'react';
+import {
+  NodeViewContent,
+  NodeViewProps,
+  NodeViewWrapper,
+  ReactNodeViewRenderer,
+} from '@tiptap/react';
+import CodeBlockLowlight from '@tiptap/extension-code-block-lowlight';
+import { CODE_LANGUAGES, languageLabel, lowlight } from '../lib/highlight';
+
+const CodeBlockView: React.FC<NodeViewProps> = ({ node, updateAttributes }) => {
+  const language: string | null = node.attrs.language;
+  // Pasted HTML and Markdown fences may use a language that is not listed
+  const isListed = !language || CODE_LANGUAGES.some(option => option.id === language);
+
+  return (
+    <NodeViewWrapper className="my-3">
+      <div contentEditable={false} className="flex justify-end mb-1">
+        <select
+          value={language || ''}
+          onChange={(e) => updateAttributes({ language: e.target.value || null })}
+          aria-label="Code language"
+          className="rounded border border-gray-200 bg-white px-1.5 py-0.5 text-xs text-gray-600 focus:border-stackit-400 focus:outline-none"
+        >
+          <option value="">Auto-detect</option>
+          {!isListed && <option value={language!}>{languageLabel(language!)}</option>}
+          {CODE_LANGUAGES.map(option => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <pre>
+        <NodeViewContent as="code" />
+      </pre>
+    </NodeViewWrapper>
+  );
+};
+
+// StarterKit's code block with syntax highlighting and a language selector.
+// The language is saved as <code class="language-…"> in the post HTML
+const CodeBlock = CodeBlockLowlight.extend({
+  addNodeView() {
+    return ReactNodeViewRenderer(CodeBlockView);
+  },
+}).configure({
+  lowlight,
+  defaultLanguage: null,
+});
+
+export default CodeBlock;
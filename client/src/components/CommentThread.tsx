@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { commentsAPI, PostType } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { formatDate, getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { MessageCircle } from 'lucide-react';
+import ReputationBadge from './ReputationBadge';
+
+export interface Comment {
+  _id: string;
+  body: string;
+  author: {
+    _id: string;
+    first_name: string;
+    last_name: string;
+    username: string;
+    avatar?: string;
+    reputation?: number;
+  } | null;
+  parent: string | null;
+  replies: Comment[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface CommentThreadProps {
+  postType: PostType;
+  postId: string;
+  onRequireLogin?: () => void;
+}
+
+const MAX_COMMENT_LENGTH = 600;
+
+interface CommentFormProps {
+  initialValue?: string;
+  submitLabel: string;
+  isPending: boolean;
+  onSubmit: (body: string) => void;
+  onCancel: () => void;
+}
+
+const CommentForm: React.FC<CommentFormProps> = ({
+  initialValue = '',
+  submitLabel,
+  isPending,
+  onSubmit,
+  onCancel,
+}) => {
+  const [body, setBody] = useState(initialValue);
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (body.trim().length < 2) {
+      toast.error('Comment must be at least 2 characters long');
+      return;
+    }
+    onSubmit(body.trim());
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 mt-2">
+      <Textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        placeholder="Use comments to ask for clarification or suggest improvements"
+        className="min-h-[60px] text-sm"
+        autoFocus
+      />
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-gray-400">
+          {MAX_COMMENT_LENGTH - body.length} characters left
+        </span>
+        <div className="flex gap-2">
+          <Button type="button" variant="ghost" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit" size="sm" disabled={isPending}>
+            {isPending ? 'Saving...' : submitLabel}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const CommentThread: React.FC<CommentThreadProps> = ({ postType, postId, onRequireLogin }) => {
+  const { user, isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [replyingTo, setReplyingTo] = useState<string | null>(null);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  const queryKey = ['comments', postType, postId];
+
+  const { data: commentsData } = useQuery({
+    queryKey,
+    queryFn: () => commentsAPI.getAll(postType, postId).then(res => res.data),
+    enabled: !!postId,
+  });
+  const comments: Comment[] = Array.isArray(commentsData?.comments) ? commentsData.comments : [];
+
+  const createCommentMutation = useMutation({
+    mutationFn: (commentData: { body: string; parentId?: string }) =>
+      commentsAPI.create(postType, postId, commentData),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey });
+      setShowForm(false);
+      setReplyingTo(null);
+      toast.success('Comment posted!');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to post comment'));
+    },
+  });
+
+  const updateCommentMutation = useMutation({
+    mutationFn: ({ commentId, body }: { commentId: string; body: string }) =>
+      commentsAPI.update(postType, postId, commentId, { body }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey });
+      setEditingId(null);
+      toast.success('Comment updated!');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to update comment'));
+    },
+  });
+
+  const deleteCommentMutation = useMutation({
+    mutationFn: (commentId: string) => commentsAPI.delete(postType, postId, commentId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey });
+      toast.success('Comment deleted');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to delete comment'));
+    },
+  });
+
+  // Guests and logged-out visitors are asked to sign up before commenting
+  const canComment = () => {
+    if (!isAuthenticated) {
+      toast.error('Please log in to comment');
+      return false;
+    }
+    if (user?.role === 'guest') {
+      onRequireLogin?.();
+      return false;
+    }
+    return true;
+  };
+
+  const handleDelete = (commentId: string) => {
+    if (window.confirm('Delete this comment and all replies to it?')) {
+      deleteCommentMutation.mutate(commentId);
+    }
+  };
+
+  const renderComment = (comment: Comment, depth: number) => (
+    <li key={comment._id} id={`comment-${comment._id}`}>
+      <div className="py-2 text-sm text-gray-700 border-b border-gray-100">
+        {editingId === comment._id ? (
+          <CommentForm
+            initialValue={comment.body}
+            submitLabel="Save"
+            isPending={updateCommentMutation.isPending}
+            onSubmit={(body) => updateCommentMutation.mutate({ commentId: comment._id, body })}
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <>
+            <span className="whitespace-pre-wrap break-words">{comment.body}</span>
+            <span className="text-gray-400">
+              {' – '}
+              <span className="text-blue-600">{comment.author?.username || 'Anonymous'}</span>
+              {' '}
+              <ReputationBadge reputation={comment.author?.reputation} />
+              {' '}
+              {formatDate(comment.createdAt)}
+              {comment.updatedAt !== comment.createdAt && ' (edited)'}
+            </span>
+            <span className="ml-2 inline-flex gap-2 text-xs text-gray-500">
+              <button
+                type="button"
+                className="hover:text-blue-600"
+                onClick={() => canComment() && setReplyingTo(comment._id)}
+              >
+                Reply
+              </button>
+              {comment.author?._id === user?._id && (
+                <>
+                  <button
+                    type="button"
+                    className="hover:text-blue-600"
+                    onClick={() => setEditingId(comment._id)}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    className="hover:text-red-600"
+                    onClick={() => handleDelete(comment._id)}
+                    disabled={deleteCommentMutation.isPending}
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </span>
+          </>
+        )}
+        {replyingTo === comment._id && (
+          <CommentForm
+            submitLabel="Reply"
+            isPending={createCommentMutation.isPending}
+            onSubmit={(body) => createCommentMutation.mutate({ body, parentId: comment._id })}
+            onCancel={() => setReplyingTo(null)}
+          />
+        )}
+      </div>
+      {comment.replies.length > 0 && (
+        <ul className={depth < 3 ? 'ml-6' : ''}>
+          {comment.replies.map(reply => renderComment(reply, depth + 1))}
+        </ul>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-2">
+      {comments.length > 0 && (
+        <ul>{comments.map(comment => renderComment(comment, 0))}</ul>
+      )}
+      {showForm ? (
+        <CommentForm
+          submitLabel="Add Comment"
+          isPending={createCommentMutation.isPending}
+          onSubmit={(body) => createCommentMutation.mutate({ body })}
+          onCancel={() => setShowForm(false)}
+        />
+      ) : (
+        <button
+          type="button"
+          className="mt-2 flex items-center gap-1 text-xs text-gray-500 hover:text-blue-600"
+          onClick={() => canComment() && setShowForm(true)}
+        >
+          <MessageCircle className="h-3 w-3" />
+          Add a comment
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { Button } from './ui/button';
+import { Textarea } from './ui/textarea';
+import { flagsAPI, FlagReason, PostType } from '../lib/api';
+import { FLAG_REASON_LABELS, getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+
+interface FlagPostFormProps {
+  postType: PostType;
+  postId: string;
+  onClose: () => void;
+}
+
+const FlagPostForm: React.FC<FlagPostFormProps> = ({ postType, postId, onClose }) => {
+  const [reason, setReason] = useState<FlagReason>('spam');
+  const [details, setDetails] = useState('');
+
+  const flagMutation = useMutation({
+    mutationFn: () => flagsAPI.create(postType, postId, { reason, details: details.trim() }),
+    onSuccess: () => {
+      toast.success('Thanks! A moderator will review your flag.');
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to flag post'));
+    },
+  });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (reason === 'other' && details.trim().length < 10) {
+      toast.error('Please describe the problem in at least 10 characters');
+      return;
+    }
+    flagMutation.mutate();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-3 rounded-lg border border-gray-200 bg-gray-50 p-4">
+      <p className="text-sm font-semibold text-gray-900">Why are you flagging this {postType}?</p>
+      <div className="space-y-2">
+        {(Object.keys(FLAG_REASON_LABELS) as FlagReason[]).map(key => (
+          <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name={`flag-reason-${postId}`}
+              value={key}
+              checked={reason === key}
+              onChange={() => setReason(key)}
+            />
+            {FLAG_REASON_LABELS[key]}
+          </label>
+        ))}
+      </div>
+      <Textarea
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        placeholder={reason === 'other' ? 'Tell the moderators what is wrong' : 'Details (optional)'}
+        maxLength={500}
+        rows={2}
+      />
+      <div className="flex justify-end gap-2">
+        <Button type="button" variant="ghost" size="sm" onClick={onClose}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={flagMutation.isPending}>
+          {flagMutation.isPending ? 'Flagging...' : 'Flag'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default FlagPostForm;
@@ -0,0 +1,96 @@
+import React from 'react';
+import {
+  Node,
+  NodeViewContent,
+  NodeViewProps,
+  NodeViewWrapper,
+  ReactNodeViewRenderer,
+} from '@tiptap/react';
+
+const FigureView: React.FC<NodeViewProps> = ({ node, updateAttributes, selected }) => {
+  const { src, alt, width, height } = node.attrs;
+
+  return (
+    <NodeViewWrapper
+      as="figure"
+      className={`my-4 rounded-lg border p-2 ${selected ? 'border-stackit-400' : 'border-transparent'}`}
+    >
+      <img
+        src={src}
+        alt={alt}
+        width={width || undefined}
+        height={height || undefined}
+        className="max-w-full h-auto rounded-lg"
+        contentEditable={false}
+        draggable
+        data-drag-handle
+      />
+      <div contentEditable={false} className="mt-2">
+        <input
+          type="text"
+          value={alt}
+          onChange={(e) => updateAttributes({ alt: e.target.value })}
+          placeholder="Alt text: describe the image for screen readers"
+          maxLength={250}
+          className="w-full rounded-md border border-gray-200 px-2 py-1 text-xs text-gray-700 focus:border-stackit-400 focus:outline-none"
+        />
+      </div>
+      <div className="relative mt-1">
+        {node.content.size === 0 && (
+          <span
+            contentEditable={false}
+            className="pointer-events-none absolute inset-x-0 top-0 text-center text-sm text-gray-400"
+          >
+            Add a caption (optional)
+          </span>
+        )}
+        <NodeViewContent as="figcaption" className="text-center text-sm text-gray-600" />
+      </div>
+    </NodeViewWrapper>
+  );
+};
+
+// An uploaded image with alt text and an editable caption, stored as
+// <figure><img src alt width height><figcaption>…</figcaption></figure>
+const ImageFigure = Node.create({
+  name: 'figure',
+  group: 'block',
+  content: 'inline*',
+  draggable: true,
+  isolating: true,
+
+  addAttributes() {
+    const imgAttribute = (name: string) => ({
+      default: null,
+      parseHTML: (element: HTMLElement) => element.querySelector('img')?.getAttribute(name) || null,
+    });
+
+    return {
+      src: imgAttribute('src'),
+      alt: { ...imgAttribute('alt'), default: '' },
+      width: imgAttribute('width'),
+      height: imgAttribute('height'),
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'figure',
+        contentElement: 'figcaption',
+        getAttrs: (element) => ((element as HTMLElement).querySelector('img') ? null : false),
+      },
+    ];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    const { src, alt, width, height } = HTMLAttributes;
+    return ['figure', ['img', { src, alt, width, height }], ['figcaption', 0]];
+  },
+
+  addNodeView() {
+    return ReactNodeViewRenderer(FigureView);
+  },
+});
+
+export default ImageFigure;
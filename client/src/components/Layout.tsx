@@ -2,10 +2,11 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { Button } from './ui/button';
 import { Input } from './ui/input';
-import { Bell, Search, Menu, X, User, LogOut, Settings, LogIn, Check, Trash2 } from 'lucide-react';
+import { Bell, Search, Menu, X, User, LogOut, Settings, LogIn, Check, Trash2, Shield } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useQuery } from '@tanstack/react-query';
 import { notificationsAPI } from '../lib/api';
+import { useNotificationStream } from '../hooks/useNotificationStream';
 import toast from 'react-hot-toast';
 
 interface LayoutProps {
@@ -23,12 +24,17 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
   const userMenuRef = useRef<HTMLDivElement>(null);
   const notificationRef = useRef<HTMLDivElement>(null);
 
+  const canReceiveNotifications = isAuthenticated && user?.role !== 'guest';
+
+  // New notifications are pushed over a live stream
+  const { isLive } = useNotificationStream(canReceiveNotifications);
+
   // Fetch notifications (only for non-guest users)
   const { data: notificationsData, refetch: refetchNotifications } = useQuery({
     queryKey: ['notifications'],
     queryFn: () => notificationsAPI.getAll().then(res => res.data),
-    enabled: isAuthenticated && user?.role !== 'guest',
-    refetchInterval: 30000, // Refetch every 30 seconds
+    enabled: canReceiveNotifications,
+    refetchInterval: isLive ? false : 30000, // Poll every 30 seconds while the stream is down
   });
 
   // Safely handle notifications data
@@ -36,7 +42,8 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
     ? notificationsData.notifications 
     : [];
 
-  const unreadCount = notifications.filter((n: any) => !n.isRead).length;
+  const unreadCount: number =
+    notificationsData?.pagination?.unreadCount ?? notifications.filter((n: any) => !n.isRead).length;
 
   // Handle click outside for dropdowns
   useEffect(() => {
@@ -125,12 +132,26 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
     switch (type) {
       case 'answer':
         return '💬';
+      case 'comment':
+        return '🗨️';
       case 'upvote':
         return '👍';
       case 'accept':
         return '✅';
       case 'mention':
         return '@';
+      case 'question_closed':
+        return '🔒';
+      case 'question_reopened':
+        return '🔓';
+      case 'bounty':
+        return '🎁';
+      case 'moderation':
+        return '🛡️';
+      case 'tag_wiki':
+        return '📝';
+      case 'watched_tag':
+        return '👀';
       default:
         return '🔔';
     }
@@ -326,6 +347,16 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
                             Settings
                           </Link>
                         )}
+                        {user?.role === 'admin' && (
+                          <Link
+                            to="/moderation"
+                            className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-stackit-50 hover:text-stackit-600 transition-colors duration-200"
+                            onClick={() => setIsMobileMenuOpen(false)}
+                          >
+                            <Shield className="h-4 w-4 mr-2" />
+                            Moderation
+                          </Link>
+                        )}
                         {user?.role === 'guest' && (
                           <button
                             onClick={() => {
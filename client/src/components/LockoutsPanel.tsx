@@ -0,0 +1,119 @@
+import React from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { adminAPI, LockedAccount, RateLimitCounter } from '../lib/api';
+import { getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { Lock, Unlock } from 'lucide-react';
+
+const formatTime = (dateString: string) =>
+  new Date(dateString).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+// Admin view of failed logins, locked accounts and rate-limited clients
+const LockoutsPanel: React.FC = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin', 'lockouts'],
+    queryFn: () => adminAPI.getLockouts().then(res => res.data),
+    refetchInterval: 60 * 1000,
+  });
+  const accounts: LockedAccount[] = data?.accounts || [];
+  const counters: RateLimitCounter[] = data?.rateLimits?.counters || [];
+
+  const unlockMutation = useMutation({
+    mutationFn: (userId: string) => adminAPI.unlockAccount(userId),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['admin', 'lockouts'] });
+      toast.success(res.data?.message || 'Account unlocked');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to unlock account')),
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Lock className="h-5 w-5" />
+          Login lockouts
+        </CardTitle>
+        <p className="text-sm text-gray-600">
+          Accounts with failed logins since their last successful one. Unlocking also clears the
+          account's login rate limit.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+        ) : accounts.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-4">No failed logins</p>
+        ) : (
+          <div className="space-y-2">
+            {accounts.map(account => (
+              <div
+                key={account._id}
+                className="flex flex-wrap items-center justify-between gap-2 rounded-lg border border-gray-200 p-3 text-sm"
+              >
+                <div>
+                  <span className="font-medium text-gray-900">{account.username}</span>
+                  {account.email && <span className="ml-2 text-gray-500">{account.email}</span>}
+                  <div className="text-xs text-gray-500">
+                    {account.isLocked && account.lockedUntil ? (
+                      <span className="font-medium text-red-600">Locked until {formatTime(account.lockedUntil)}</span>
+                    ) : (
+                      `${account.failedLoginAttempts} failed attempts`
+                    )}
+                    {account.lockoutCount > 0 && ` · locked ${account.lockoutCount} times`}
+                  </div>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => unlockMutation.mutate(account._id)}
+                  disabled={unlockMutation.isPending}
+                >
+                  <Unlock className="h-4 w-4 mr-1" />
+                  {account.isLocked ? 'Unlock' : 'Reset'}
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 mb-2">
+            Rate limits
+            {data?.rateLimits?.store && (
+              <span className="ml-2 text-xs font-normal text-gray-500">{data.rateLimits.store} store</span>
+            )}
+          </h4>
+          {counters.length === 0 ? (
+            <p className="text-gray-500 text-sm">No recent requests to rate-limited endpoints</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 text-sm">
+              {counters.map(counter => (
+                <li
+                  key={`${counter.endpoint}:${counter.scope}:${counter.subject}`}
+                  className="flex flex-wrap items-center justify-between gap-2 py-1.5"
+                >
+                  <span className="text-gray-700">
+                    <span className="font-medium">{counter.endpoint}</span>{' '}
+                    <span className="text-gray-500">{counter.scope === 'ip' ? 'IP' : 'account'}</span>{' '}
+                    <span className="font-mono">{counter.subject}</span>
+                  </span>
+                  <span className={counter.throttled ? 'font-medium text-red-600' : 'text-gray-500'}>
+                    {counter.count}/{counter.limit}
+                    {counter.throttled && ` · blocked until ${formatTime(counter.resetAt)}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LockoutsPanel;
@@ -4,7 +4,10 @@ import { Input } from './ui/input';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
-import { authAPI } from '../lib/api';
+import TwoFactorChallenge from './TwoFactorChallenge';
+import TwoFactorEnrollment from './TwoFactorEnrollment';
+import OidcLoginButton from './OidcLoginButton';
+import { authAPI, TwoFactorStep } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import { X, User, Mail, Lock, LogIn, UserPlus, AlertCircle } from 'lucide-react';
@@ -38,6 +41,7 @@ interface LoginSignupModalProps {
 const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, onSuccess }) => {
   const [isLogin, setIsLogin] = useState(true);
   const [isLoading, setIsLoading] = useState(false);
+  const [twoFactor, setTwoFactor] = useState<{ step: TwoFactorStep; challengeToken: string } | null>(null);
   const { login } = useAuth();
 
   const {
@@ -65,10 +69,13 @@ const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, on
         identifier: data.email,
         password: data.password,
       });
-      login(response.data.user, response.data.token);
-      toast.success('Login successful!');
-      onSuccess();
-      onClose();
+      // The password was right, but the account needs a second step
+      if (response.data.twoFactor) {
+        setTwoFactor({ step: response.data.twoFactor, challengeToken: response.data.challengeToken });
+        return;
+      }
+      login(response.data.user, response.data.token, response.data.refreshToken);
+      finishLogin();
     } catch (error: any) {
       const message = error.response?.data?.message || 'Login failed. Please try again.';
       toast.error(message);
@@ -77,6 +84,13 @@ const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, on
     }
   };
 
+  const finishLogin = () => {
+    setTwoFactor(null);
+    toast.success('Login successful!');
+    onSuccess();
+    onClose();
+  };
+
   const handleSignup = async (data: SignupFormData) => {
     setIsLoading(true);
     try {
@@ -87,7 +101,7 @@ const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, on
         email: data.email,
         password: data.password,
       });
-      login(response.data.user, response.data.token);
+      login(response.data.user, response.data.token, response.data.refreshToken);
       toast.success('Account created successfully!');
       onSuccess();
       onClose();
@@ -134,7 +148,19 @@ const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, on
             </div>
           </div>
 
-          {isLogin ? (
+          {twoFactor?.step === 'verify' ? (
+            <TwoFactorChallenge
+              challengeToken={twoFactor.challengeToken}
+              onSuccess={finishLogin}
+              onCancel={() => setTwoFactor(null)}
+            />
+          ) : twoFactor?.step === 'enroll' ? (
+            <TwoFactorEnrollment
+              challengeToken={twoFactor.challengeToken}
+              onComplete={finishLogin}
+              onCancel={() => setTwoFactor(null)}
+            />
+          ) : isLogin ? (
             <form onSubmit={handleLoginSubmit(handleLogin)} className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -176,6 +202,8 @@ const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, on
                 <LogIn className="h-4 w-4 mr-2" />
                 {isLoading ? 'Logging in...' : 'Login'}
               </Button>
+
+              <OidcLoginButton returnTo={`${window.location.pathname}${window.location.search}`} />
             </form>
           ) : (
             <form onSubmit={handleSignupSubmit(handleSignup)} className="space-y-4">
@@ -293,18 +321,20 @@ const LoginSignupModal: React.FC<LoginSignupModalProps> = ({ isOpen, onClose, on
             </form>
           )}
 
-          <div className="mt-4 text-center">
-            <p className="text-sm text-gray-600">
-              {isLogin ? "Don't have an account? " : "Already have an account? "}
-              <button
-                type="button"
-                onClick={isLogin ? switchToSignup : switchToLogin}
-                className="text-blue-600 hover:text-blue-700 font-medium"
-              >
-                {isLogin ? 'Sign up' : 'Login'}
-              </button>
-            </p>
-          </div>
+          {!twoFactor && (
+            <div className="mt-4 text-center">
+              <p className="text-sm text-gray-600">
+                {isLogin ? "Don't have an account? " : "Already have an account? "}
+                <button
+                  type="button"
+                  onClick={isLogin ? switchToSignup : switchToLogin}
+                  className="text-blue-600 hover:text-blue-700 font-medium"
+                >
+                  {isLogin ? 'Sign up' : 'Login'}
+                </button>
+              </p>
+            </div>
+          )}
         </div>
       </div>
     </div>
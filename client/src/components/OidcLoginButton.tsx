@@ -0,0 +1,35 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Button } from './ui/button';
+import { authAPI, oidcLoginUrl } from '../lib/api';
+import { KeyRound } from 'lucide-react';
+
+interface OidcLoginButtonProps {
+  // Page to come back to after logging in
+  returnTo?: string;
+}
+
+// Login through the identity provider; hidden when single sign-on is not configured
+const OidcLoginButton: React.FC<OidcLoginButtonProps> = ({ returnTo = '/' }) => {
+  const { data } = useQuery({
+    queryKey: ['oidc-config'],
+    queryFn: () => authAPI.getOidcConfig().then(res => res.data),
+    staleTime: Infinity,
+  });
+
+  if (!data?.enabled) return null;
+
+  return (
+    <Button
+      type="button"
+      variant="outline"
+      className="w-full"
+      onClick={() => window.location.assign(oidcLoginUrl(returnTo))}
+    >
+      <KeyRound className="w-5 h-5 mr-2" />
+      Continue with {data.providerName}
+    </Button>
+  );
+};
+
+export default OidcLoginButton;
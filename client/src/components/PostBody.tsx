@@ -0,0 +1,17 @@
+import React, { useMemo } from 'react';
+import { highlightCodeBlocks } from '../lib/highlight';
+
+interface PostBodyProps {
+  // Sanitized HTML of a question or answer
+  html: string;
+  className?: string;
+}
+
+// Renders a post body with its code blocks syntax-highlighted
+const PostBody: React.FC<PostBodyProps> = ({ html, className }) => {
+  const highlighted = useMemo(() => highlightCodeBlocks(html), [html]);
+
+  return <div className={className} dangerouslySetInnerHTML={{ __html: highlighted }} />;
+};
+
+export default PostBody;
@@ -0,0 +1,58 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { Button } from './ui/button';
+import { Copy, Download } from 'lucide-react';
+
+interface RecoveryCodesProps {
+  codes: string[];
+}
+
+// Freshly issued recovery codes. The server only keeps their hashes, so this
+// is the one chance to save them.
+const RecoveryCodes: React.FC<RecoveryCodesProps> = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy the codes');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'stackit-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-700">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose access to your
+        authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 rounded-md border border-gray-200 bg-gray-50 p-3 font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { Award } from 'lucide-react';
+
+interface ReputationBadgeProps {
+  reputation?: number;
+  className?: string;
+}
+
+const ReputationBadge: React.FC<ReputationBadgeProps> = ({ reputation = 0, className = '' }) => (
+  <span
+    title="Reputation"
+    className={`inline-flex items-center gap-0.5 text-xs font-semibold text-amber-700 ${className}`}
+  >
+    <Award className="h-3 w-3" />
+    {reputation.toLocaleString()}
+  </span>
+);
+
+export default ReputationBadge;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Button } from './ui/button';
+import { revisionsAPI, PostType } from '../lib/api';
+import { formatDate, getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { History, RotateCcw, X } from 'lucide-react';
+
+interface Revision {
+  _id: string | null;
+  revision: number;
+  author: {
+    _id: string;
+    username: string;
+  } | null;
+  editSummary: string;
+  title: string;
+  tags: string[];
+  body: string;
+  diff: {
+    title: string;
+    body: string;
+    tagsAdded: string[];
+    tagsRemoved: string[];
+  } | null;
+  createdAt: string;
+}
+
+interface RevisionHistoryProps {
+  postType: PostType;
+  postId: string;
+  questionId: string;
+  canRollback: boolean;
+  onClose: () => void;
+}
+
+// Render <ins>/<del> markers from the server-side diff
+export const diffClassName =
+  'prose prose-sm max-w-none [&_ins]:bg-green-100 [&_ins]:text-green-900 [&_ins]:no-underline [&_del]:bg-red-100 [&_del]:text-red-900';
+
+const RevisionHistory: React.FC<RevisionHistoryProps> = ({
+  postType,
+  postId,
+  questionId,
+  canRollback,
+  onClose,
+}) => {
+  const queryClient = useQueryClient();
+  const [showSource, setShowSource] = useState<number | null>(null);
+
+  const { data: revisionsData, isLoading } = useQuery({
+    queryKey: ['revisions', postType, postId],
+    queryFn: () => revisionsAPI.getAll(postType, postId).then(res => res.data),
+  });
+  const revisions: Revision[] = Array.isArray(revisionsData?.revisions) ? revisionsData.revisions : [];
+  const latestRevision = revisions[0]?.revision;
+
+  const rollbackMutation = useMutation({
+    mutationFn: (revision: number) => revisionsAPI.rollback(postType, postId, revision),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['revisions', postType, postId] });
+      queryClient.invalidateQueries({ queryKey: ['question', questionId] });
+      queryClient.invalidateQueries({ queryKey: ['answers', questionId] });
+      toast.success(res.data?.message || 'Rolled back successfully');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to roll back'));
+    },
+  });
+
+  const handleRollback = (revision: number) => {
+    if (window.confirm(`Roll back to revision ${revision}?`)) {
+      rollbackMutation.mutate(revision);
+    }
+  };
+
+  return (
+    <div className="mt-4 rounded-lg border border-gray-200 bg-gray-50 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+          <History className="h-4 w-4" />
+          Revision history
+        </h3>
+        <Button variant="ghost" size="sm" onClick={onClose} aria-label="Close history">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading revisions...</p>
+      ) : (
+        <ol className="space-y-4">
+          {revisions.map(revision => (
+            <li key={revision.revision} className="rounded-md border border-gray-200 bg-white p-3">
+              <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                <span>
+                  <span className="font-semibold text-gray-900">Revision {revision.revision}</span>
+                  {' · '}
+                  {revision.author?.username || 'Anonymous'}
+                  {' · '}
+                  {formatDate(revision.createdAt)}
+                  {revision.revision === 1 && ' · Original'}
+                </span>
+                <span className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    className="hover:text-blue-600"
+                    onClick={() => setShowSource(showSource === revision.revision ? null : revision.revision)}
+                  >
+                    {showSource === revision.revision ? 'Show diff' : 'Show full version'}
+                  </button>
+                  {canRollback && revision.revision !== latestRevision && revision._id && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleRollback(revision.revision)}
+                      disabled={rollbackMutation.isPending}
+                    >
+                      <RotateCcw className="h-3 w-3 mr-1" />
+                      Roll back
+                    </Button>
+                  )}
+                </span>
+              </div>
+              {revision.editSummary && (
+                <p className="mt-1 text-sm italic text-gray-700">{revision.editSummary}</p>
+              )}
+
+              {showSource === revision.revision || !revision.diff ? (
+                <div className="mt-2">
+                  {postType === 'question' && (
+                    <h4 className="font-semibold text-gray-900 mb-1">{revision.title}</h4>
+                  )}
+                  <div className={diffClassName} dangerouslySetInnerHTML={{ __html: revision.body }} />
+                </div>
+              ) : (
+                <div className="mt-2 space-y-2">
+                  {postType === 'question' && /<(ins|del)>/.test(revision.diff.title) && (
+                    <h4
+                      className={`font-semibold text-gray-900 ${diffClassName}`}
+                      dangerouslySetInnerHTML={{ __html: revision.diff.title }}
+                    />
+                  )}
+                  <div className={diffClassName} dangerouslySetInnerHTML={{ __html: revision.diff.body }} />
+                  {(revision.diff.tagsAdded.length > 0 || revision.diff.tagsRemoved.length > 0) && (
+                    <div className="flex flex-wrap gap-1 text-xs">
+                      {revision.diff.tagsRemoved.map(tag => (
+                        <span key={`-${tag}`} className="rounded-full bg-red-100 px-2 py-0.5 text-red-800 line-through">
+                          {tag}
+                        </span>
+                      ))}
+                      {revision.diff.tagsAdded.map(tag => (
+                        <span key={`+${tag}`} className="rounded-full bg-green-100 px-2 py-0.5 text-green-800">
+                          {tag}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -1,11 +1,18 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
 import { useEditor, EditorContent } from '@tiptap/react';
+import { keepPreviousData, useQuery } from '@tanstack/react-query';
 import StarterKit from '@tiptap/starter-kit';
 import Link from '@tiptap/extension-link';
 import Image from '@tiptap/extension-image';
 import TextAlign from '@tiptap/extension-text-align';
 import Placeholder from '@tiptap/extension-placeholder';
 import { Button } from './ui/button';
+import ImageFigure from './ImageFigure';
+import CodeBlock from './CodeBlock';
+import PostBody from './PostBody';
+import { markdownAPI, PostFormat, uploadsAPI } from '../lib/api';
+import { getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
 import { 
   Bold, 
   Italic, 
@@ -15,15 +22,38 @@ import {
   AlignLeft, 
   AlignCenter, 
   AlignRight,
+  Code,
   Link as LinkIcon,
   Image as ImageIcon,
+  Loader2,
+  Type,
+  FileCode,
 } from 'lucide-react';
 
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+// Wait for a pause in typing before rendering the Markdown preview
+const PREVIEW_DELAY_MS = 400;
+
+interface ImageUpload {
+  id: number;
+  name: string;
+  progress: number;
+}
+
+// Image files in a paste or drop, if any
+const imageFiles = (files: FileList | null | undefined) =>
+  Array.from(files || []).filter(file => file.type.startsWith('image/'));
+
 interface RichTextEditorProps {
   value: string;
   onChange: (value: string) => void;
   placeholder?: string;
   className?: string;
+  // `value` is HTML in 'html' mode and Markdown source in 'markdown' mode
+  format?: PostFormat;
+  // Shows the Rich text / Markdown switch; the content is converted on switch
+  onFormatChange?: (format: PostFormat) => void;
 }
 
 const RichTextEditor: React.FC<RichTextEditorProps> = ({
@@ -31,12 +61,29 @@ const RichTextEditor: React.FC<RichTextEditorProps> = ({
   onChange,
   placeholder = 'Start writing...',
   className = '',
+  format = 'html',
+  onFormatChange,
 }) => {
   const fileInputRef = useRef<HTMLInputElement>(null);
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const [isConverting, setIsConverting] = useState(false);
+  // Uploads finish after the user may have typed more, so they read the
+  // latest content from here rather than from a stale render
+  const latest = useRef({ value, format });
+  latest.current = { value, format };
+  const [uploads, setUploads] = useState<ImageUpload[]>([]);
+  const nextUploadId = useRef(0);
+  // Paste and drop handlers are registered once, so they call the latest
+  // uploadImages through this ref
+  const uploadImagesRef = useRef<(files: File[], position?: number) => void>(() => {});
 
   const editor = useEditor({
     extensions: [
-      StarterKit,
+      StarterKit.configure({
+        // Replaced by the highlighted code block below
+        codeBlock: false,
+      }),
+      CodeBlock,
       Link.configure({
         openOnClick: false,
         HTMLAttributes: {
@@ -47,8 +94,10 @@ const RichTextEditor: React.FC<RichTextEditorProps> = ({
         HTMLAttributes: {
           class: 'max-w-full h-auto rounded-lg',
         },
-        allowBase64: true,
+        // The server drops data: URLs; images are uploaded instead
+        allowBase64: false,
       }),
+      ImageFigure,
       TextAlign.configure({
         types: ['heading', 'paragraph'],
       }),
@@ -66,15 +115,45 @@ const RichTextEditor: React.FC<RichTextEditorProps> = ({
       attributes: {
         spellcheck: 'true',
       },
+      handlePaste: (_view, event) => {
+        const files = imageFiles(event.clipboardData?.files);
+        if (files.length === 0) return false;
+        event.preventDefault();
+        uploadImagesRef.current(files);
+        return true;
+      },
+      handleDrop: (view, event, _slice, moved) => {
+        const files = imageFiles(event.dataTransfer?.files);
+        if (moved || files.length === 0) return false;
+        event.preventDefault();
+        const position = view.posAtCoords({ left: event.clientX, top: event.clientY })?.pos;
+        uploadImagesRef.current(files, position);
+        return true;
+      },
     },
   });
 
   // Update editor content when value prop changes
   useEffect(() => {
-    if (editor && value !== editor.getHTML()) {
+    if (editor && format === 'html' && value !== editor.getHTML()) {
       editor.commands.setContent(value || '');
     }
-  }, [editor, value]);
+  }, [editor, format, value]);
+
+  const [previewSource, setPreviewSource] = useState(value);
+  useEffect(() => {
+    if (format !== 'markdown') return;
+    const timer = setTimeout(() => setPreviewSource(value), PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [format, value]);
+
+  // Rendered by the server with the same rules as a saved post
+  const { data: previewHTML = '', isFetching: isPreviewing } = useQuery({
+    queryKey: ['markdown-preview', previewSource],
+    queryFn: () => markdownAPI.preview(previewSource).then(res => res.data.html),
+    enabled: format === 'markdown' && previewSource.trim() !== '',
+    placeholderData: keepPreviousData,
+  });
 
   if (!editor) {
     return null;
@@ -91,18 +170,91 @@ const RichTextEditor: React.FC<RichTextEditorProps> = ({
     fileInputRef.current?.click();
   };
 
-  const handleImageUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const result = e.target?.result as string;
-        if (result && editor) {
-          editor.chain().focus().setImage({ src: result }).run();
-        }
-      };
-      reader.readAsDataURL(file);
+  // Insert text at the Markdown cursor, or at the end without a cursor
+  const insertMarkdown = (text: string) => {
+    const current = latest.current.value;
+    const at = textareaRef.current?.selectionEnd ?? current.length;
+    onChange(`${current.slice(0, at)}${text}${current.slice(at)}`);
+  };
+
+  const switchFormat = async (next: PostFormat) => {
+    if (next === format || !onFormatChange) return;
+    setIsConverting(true);
+    try {
+      // Tables written in Markdown have no rich text equivalent and are
+      // flattened to paragraphs by the editor
+      const res = await markdownAPI.convert(value, next);
+      onChange(res.data.content);
+      onFormatChange(next);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to convert the content'));
+    } finally {
+      setIsConverting(false);
+    }
+  };
+
+  // Upload each image and insert it where it was dropped, or at the cursor
+  const uploadImages = (files: File[], position?: number) => {
+    for (const file of files) {
+      if (!IMAGE_TYPES.includes(file.type)) {
+        toast.error(`${file.name}: only JPEG, PNG, GIF and WebP images are allowed`);
+        continue;
+      }
+      if (file.size > MAX_IMAGE_SIZE) {
+        toast.error(`${file.name} is too large. Maximum size is 10MB per image.`);
+        continue;
+      }
+
+      const id = nextUploadId.current++;
+      setUploads(prev => [...prev, { id, name: file.name, progress: 0 }]);
+
+      uploadsAPI
+        .uploadImage(file, progress =>
+          setUploads(prev => prev.map(upload => (upload.id === id ? { ...upload, progress } : upload)))
+        )
+        .then(res => {
+          const { url, width, height } = res.data.data;
+          if (latest.current.format === 'markdown') {
+            insertMarkdown(`\n![](${url})\n`);
+            return;
+          }
+          // The document may have changed while the image was uploading
+          const at = Math.min(
+            position ?? editor.state.selection.to,
+            editor.state.doc.content.size
+          );
+          editor
+            .chain()
+            .focus()
+            .insertContentAt(at, { type: 'figure', attrs: { src: url, alt: '', width, height } })
+            .run();
+        })
+        .catch(error => {
+          toast.error(getErrorMessage(error, `Failed to upload ${file.name}`));
+        })
+        .finally(() => {
+          setUploads(prev => prev.filter(upload => upload.id !== id));
+        });
     }
+  };
+  uploadImagesRef.current = uploadImages;
+
+  const handleMarkdownPaste = (event: React.ClipboardEvent<HTMLTextAreaElement>) => {
+    const files = imageFiles(event.clipboardData.files);
+    if (files.length === 0) return;
+    event.preventDefault();
+    uploadImages(files);
+  };
+
+  const handleMarkdownDrop = (event: React.DragEvent<HTMLTextAreaElement>) => {
+    const files = imageFiles(event.dataTransfer.files);
+    if (files.length === 0) return;
+    event.preventDefault();
+    uploadImages(files);
+  };
+
+  const handleImageUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
+    uploadImages(imageFiles(event.target.files));
     // Reset the input
     if (event.target) {
       event.target.value = '';
@@ -139,99 +291,188 @@ const RichTextEditor: React.FC<RichTextEditorProps> = ({
     <div className={`rounded-xl shadow-sm ${className}`}>
       {/* Toolbar */}
       <div className="flex items-center gap-1 p-3 border-b border-stackit-100 bg-gradient-to-r from-stackit-50 to-white rounded-t-xl">
-        <ToolbarButton
-          onClick={() => editor.chain().focus().toggleBold().run()}
-          isActive={editor.isActive('bold')}
-          icon={Bold}
-          title="Bold"
-        />
-        <ToolbarButton
-          onClick={() => editor.chain().focus().toggleItalic().run()}
-          isActive={editor.isActive('italic')}
-          icon={Italic}
-          title="Italic"
-        />
-        <ToolbarButton
-          onClick={() => editor.chain().focus().toggleStrike().run()}
-          isActive={editor.isActive('strike')}
-          icon={Strikethrough}
-          title="Strikethrough"
-        />
+        {format === 'html' && (
+          <>
+            <ToolbarButton
+              onClick={() => editor.chain().focus().toggleBold().run()}
+              isActive={editor.isActive('bold')}
+              icon={Bold}
+              title="Bold"
+            />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().toggleItalic().run()}
+              isActive={editor.isActive('italic')}
+              icon={Italic}
+              title="Italic"
+            />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().toggleStrike().run()}
+              isActive={editor.isActive('strike')}
+              icon={Strikethrough}
+              title="Strikethrough"
+            />
         
-        <div className="w-px h-6 bg-stackit-200 mx-1" />
+            <div className="w-px h-6 bg-stackit-200 mx-1" />
         
-        <ToolbarButton
-          onClick={() => editor.chain().focus().toggleBulletList().run()}
-          isActive={editor.isActive('bulletList')}
-          icon={List}
-          title="Bullet List"
-        />
-        <ToolbarButton
-          onClick={() => editor.chain().focus().toggleOrderedList().run()}
-          isActive={editor.isActive('orderedList')}
-          icon={ListOrdered}
-          title="Numbered List"
-        />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().toggleBulletList().run()}
+              isActive={editor.isActive('bulletList')}
+              icon={List}
+              title="Bullet List"
+            />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().toggleOrderedList().run()}
+              isActive={editor.isActive('orderedList')}
+              icon={ListOrdered}
+              title="Numbered List"
+            />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().toggleCodeBlock().run()}
+              isActive={editor.isActive('codeBlock')}
+              icon={Code}
+              title="Code Block"
+            />
         
-        <div className="w-px h-6 bg-stackit-200 mx-1" />
+            <div className="w-px h-6 bg-stackit-200 mx-1" />
         
-        <ToolbarButton
-          onClick={() => editor.chain().focus().setTextAlign('left').run()}
-          isActive={editor.isActive({ textAlign: 'left' })}
-          icon={AlignLeft}
-          title="Align Left"
-        />
-        <ToolbarButton
-          onClick={() => editor.chain().focus().setTextAlign('center').run()}
-          isActive={editor.isActive({ textAlign: 'center' })}
-          icon={AlignCenter}
-          title="Align Center"
-        />
-        <ToolbarButton
-          onClick={() => editor.chain().focus().setTextAlign('right').run()}
-          isActive={editor.isActive({ textAlign: 'right' })}
-          icon={AlignRight}
-          title="Align Right"
-        />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().setTextAlign('left').run()}
+              isActive={editor.isActive({ textAlign: 'left' })}
+              icon={AlignLeft}
+              title="Align Left"
+            />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().setTextAlign('center').run()}
+              isActive={editor.isActive({ textAlign: 'center' })}
+              icon={AlignCenter}
+              title="Align Center"
+            />
+            <ToolbarButton
+              onClick={() => editor.chain().focus().setTextAlign('right').run()}
+              isActive={editor.isActive({ textAlign: 'right' })}
+              icon={AlignRight}
+              title="Align Right"
+            />
         
-        <div className="w-px h-6 bg-stackit-200 mx-1" />
+            <div className="w-px h-6 bg-stackit-200 mx-1" />
         
-        <ToolbarButton
-          onClick={addLink}
-          isActive={editor.isActive('link')}
-          icon={LinkIcon}
-          title="Add Link"
-        />
+            <ToolbarButton
+              onClick={addLink}
+              isActive={editor.isActive('link')}
+              icon={LinkIcon}
+              title="Add Link"
+            />
+          </>
+        )}
         <ToolbarButton
           onClick={addImage}
           icon={ImageIcon}
           title="Upload Image"
         />
+
+        {onFormatChange && (
+          <div className="ml-auto flex items-center gap-1 rounded-lg bg-white p-0.5 border border-stackit-100">
+            {isConverting && <Loader2 className="h-3.5 w-3.5 mx-1 animate-spin text-stackit-500" />}
+            {([
+              ['html', Type, 'Rich text'],
+              ['markdown', FileCode, 'Markdown'],
+            ] as const).map(([option, Icon, label]) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => switchFormat(option)}
+                disabled={isConverting}
+                aria-pressed={format === option}
+                className={`flex items-center gap-1 rounded-md px-2 py-1 text-xs font-medium transition-colors ${
+                  format === option
+                    ? 'bg-stackit-500 text-white'
+                    : 'text-gray-600 hover:text-stackit-600 hover:bg-stackit-50'
+                }`}
+              >
+                <Icon className="h-3.5 w-3.5" />
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
+      {/* Images being uploaded */}
+      {uploads.length > 0 && (
+        <div className="space-y-1 px-4 py-2 border-b border-stackit-100 bg-white">
+          {uploads.map(upload => (
+            <div key={upload.id} className="flex items-center gap-2 text-xs text-gray-600">
+              <Loader2 className="h-3 w-3 animate-spin text-stackit-500" />
+              <span className="truncate max-w-[12rem]">{upload.name}</span>
+              <div className="flex-1 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+                <div
+                  className="h-full bg-stackit-500 transition-all"
+                  style={{ width: `${upload.progress}%` }}
+                />
+              </div>
+              <span className="w-8 text-right">{upload.progress}%</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Hidden file input for image upload */}
       <input
         ref={fileInputRef}
         type="file"
-        accept="image/*"
+        accept="image/jpeg,image/png,image/gif,image/webp"
+        multiple
         onChange={handleImageUpload}
         className="hidden"
       />
 
-      {/* Editor Content */}
-      <div 
-        className="flex-1 flex flex-col p-4 bg-white rounded-b-xl cursor-text min-h-[300px] h-full w-full"
-        style={{ minHeight: '300px', height: '100%', width: '100%' }}
-        onClick={() => editor.commands.focus()}
-        tabIndex={0}
-        role="textbox"
-        aria-label="Rich text editor"
-      >
-        <EditorContent 
-          editor={editor} 
-          className="outline-none focus:outline-none flex-1 w-full h-full min-h-[200px] prose-stackit prose-sm max-w-none"
-        />
-      </div>
+      {format === 'markdown' ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 bg-white rounded-b-xl min-h-[300px]">
+          {/* Markdown source */}
+          <textarea
+            ref={textareaRef}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            onPaste={handleMarkdownPaste}
+            onDrop={handleMarkdownDrop}
+            placeholder={placeholder}
+            spellCheck
+            aria-label="Markdown editor"
+            className="min-h-[300px] w-full resize-y p-4 font-mono text-sm text-gray-800 outline-none border-b md:border-b-0 md:border-r border-stackit-100 rounded-bl-xl"
+          />
+
+          {/* Live preview */}
+          <div className="relative p-4 overflow-x-auto">
+            <div className="flex items-center justify-between mb-2 text-xs text-gray-400">
+              <span>Preview · tables, fenced code and ~~strikethrough~~ supported</span>
+              {isPreviewing && <Loader2 className="h-3 w-3 animate-spin" />}
+            </div>
+            {value.trim() ? (
+              <PostBody
+                className="prose prose-sm prose-stackit max-w-none text-gray-700"
+                html={previewHTML}
+              />
+            ) : (
+              <p className="text-sm text-gray-400">Nothing to preview yet</p>
+            )}
+          </div>
+        </div>
+      ) : (
+        // Editor Content
+        <div 
+          className="flex-1 flex flex-col p-4 bg-white rounded-b-xl cursor-text min-h-[300px] h-full w-full"
+          style={{ minHeight: '300px', height: '100%', width: '100%' }}
+          onClick={() => editor.commands.focus()}
+          tabIndex={0}
+          role="textbox"
+          aria-label="Rich text editor"
+        >
+          <EditorContent 
+            editor={editor} 
+            className="outline-none focus:outline-none flex-1 w-full h-full min-h-[200px] prose-stackit prose-sm max-w-none"
+          />
+        </div>
+      )}
     </div>
   );
 };
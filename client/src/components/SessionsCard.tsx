@@ -0,0 +1,118 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI, Session } from '../lib/api';
+import { formatDate, getErrorMessage } from '../lib/utils';
+import { LogOut, MonitorSmartphone } from 'lucide-react';
+
+// Devices signed in to the account, each of which can be signed out
+const SessionsCard: React.FC = () => {
+  const { clearAuth } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['sessions'],
+    queryFn: () => authAPI.getSessions().then(res => res.data),
+  });
+  const sessions: Session[] = Array.isArray(data?.sessions) ? data.sessions : [];
+
+  // Nothing works with this device's session gone, so go back to the login page
+  const signedOut = (message: string) => {
+    clearAuth();
+    toast.success(message);
+    navigate('/login');
+  };
+
+  const revokeMutation = useMutation({
+    mutationFn: (session: Session) => authAPI.revokeSession(session._id),
+    onSuccess: (_res, session) => {
+      if (session.current) {
+        signedOut('Logged out');
+        return;
+      }
+      queryClient.invalidateQueries({ queryKey: ['sessions'] });
+      toast.success('Session revoked');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to revoke session'));
+    },
+  });
+
+  const logoutAllMutation = useMutation({
+    mutationFn: () => authAPI.logoutAll(),
+    onSuccess: (res) => signedOut(res.data?.message || 'Logged out everywhere'),
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to log out everywhere'));
+    },
+  });
+
+  const isBusy = revokeMutation.isPending || logoutAllMutation.isPending;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MonitorSmartphone className="h-5 w-5" />
+          Active Sessions
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Loading sessions...</p>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No active sessions.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {sessions.map(session => (
+              <li key={session._id} className="flex items-center justify-between gap-4 py-3">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {session.device}
+                    {session.current && (
+                      <span className="ml-2 rounded-full bg-green-100 px-2 py-0.5 text-xs font-medium text-green-800">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip || 'Unknown IP'}
+                    {' · '}
+                    Last used {formatDate(session.lastUsedAt)}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => revokeMutation.mutate(session)}
+                  disabled={isBusy}
+                >
+                  Revoke
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <Button
+          variant="outline"
+          className="w-full justify-start text-red-600 hover:text-red-700"
+          onClick={() => {
+            if (window.confirm('Log out of every device, including this one?')) {
+              logoutAllMutation.mutate();
+            }
+          }}
+          disabled={isBusy}
+        >
+          <LogOut className="h-4 w-4 mr-2" />
+          Log out everywhere
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SessionsCard;
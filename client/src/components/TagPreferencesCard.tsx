@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { useTagPreferences } from '../hooks/useTagPreferences';
+import { Eye, EyeOff, Tags, X } from 'lucide-react';
+
+interface TagListProps {
+  label: string;
+  description: string;
+  tags: string[];
+  chipClassName: string;
+  onAdd: (tag: string) => void;
+  onRemove: (tag: string) => void;
+  disabled: boolean;
+}
+
+const TagList: React.FC<TagListProps> = ({ label, description, tags, chipClassName, onAdd, onRemove, disabled }) => {
+  const [input, setInput] = useState('');
+
+  const handleAdd = (e: React.FormEvent) => {
+    e.preventDefault();
+    const tag = input.trim().toLowerCase();
+    if (!tag) return;
+    onAdd(tag);
+    setInput('');
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-900">{label}</h3>
+      <p className="text-xs text-gray-500 mb-2">{description}</p>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {tags.length === 0 && <span className="text-sm text-gray-400">None</span>}
+        {tags.map(tag => (
+          <span key={tag} className={`inline-flex items-center rounded-full px-2 py-1 text-xs font-medium ${chipClassName}`}>
+            <Link to={`/tags/${encodeURIComponent(tag)}`} className="hover:underline">
+              {tag}
+            </Link>
+            <button
+              type="button"
+              onClick={() => onRemove(tag)}
+              disabled={disabled}
+              className="ml-1 opacity-70 hover:opacity-100"
+              aria-label={`Remove ${tag}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <Input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Add a tag"
+          maxLength={20}
+          className="h-8 text-sm"
+        />
+        <Button type="submit" variant="outline" size="sm" disabled={disabled || !input.trim()}>
+          Add
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+// Watched and ignored tags for the "For you" feed, and watched tag notifications
+const TagPreferencesCard: React.FC = () => {
+  const { watchedTags, ignoredTags, notifyWatchedTags, watch, ignore, clear, setNotify, isUpdating } =
+    useTagPreferences();
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Tags className="h-5 w-5" />
+          Tag Preferences
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <TagList
+          label="Watched tags"
+          description="Questions in these tags rank higher in your feed and are highlighted everywhere"
+          tags={watchedTags}
+          chipClassName="bg-amber-100 text-amber-800"
+          onAdd={watch}
+          onRemove={clear}
+          disabled={isUpdating}
+        />
+        <TagList
+          label="Ignored tags"
+          description="Questions in these tags are hidden from your feed and dimmed in question lists"
+          tags={ignoredTags}
+          chipClassName="bg-gray-100 text-gray-600"
+          onAdd={ignore}
+          onRemove={clear}
+          disabled={isUpdating}
+        />
+        <label className="flex items-start gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={notifyWatchedTags}
+            onChange={(e) => setNotify(e.target.checked)}
+            disabled={isUpdating}
+            className="mt-0.5"
+          />
+          <span>
+            Notify me about new questions in my watched tags
+            <span className="block text-xs text-gray-500">
+              {notifyWatchedTags ? <Eye className="inline h-3 w-3 mr-1" /> : <EyeOff className="inline h-3 w-3 mr-1" />}
+              Questions that also have one of your ignored tags are skipped
+            </span>
+          </span>
+        </label>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TagPreferencesCard;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { tagsAPI, TagSummary } from '../lib/api';
+import { getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { GitMerge, Plus, Tags, X } from 'lucide-react';
+
+// Admin tools for tag synonyms, renames and merges
+const TagSynonymsPanel: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [filter, setFilter] = useState('');
+  const [synonymInputs, setSynonymInputs] = useState<Record<string, string>>({});
+  const [mergeInputs, setMergeInputs] = useState<Record<string, string>>({});
+
+  const { data } = useQuery({
+    queryKey: ['tags', 'admin'],
+    queryFn: () => tagsAPI.getAll({ sort: 'name', limit: 100 }).then(res => res.data),
+  });
+  // Tags only used on questions have no tag document to manage yet
+  const tags: TagSummary[] = (Array.isArray(data?.tags) ? data.tags : []).filter(
+    (tag: TagSummary) => tag._id !== tag.name && tag.name.includes(filter.trim().toLowerCase())
+  );
+
+  const onSuccess = (res: { data?: { message?: string; questionsUpdated?: number } }) => {
+    queryClient.invalidateQueries({ queryKey: ['tags'] });
+    queryClient.invalidateQueries({ queryKey: ['questions'] });
+    const updated = res.data?.questionsUpdated;
+    toast.success(
+      `${res.data?.message || 'Tag updated'}${updated ? ` (${updated} questions updated)` : ''}`
+    );
+  };
+  const onError = (error: unknown) => toast.error(getErrorMessage(error, 'Failed to update tag'));
+
+  const addSynonymMutation = useMutation({
+    mutationFn: ({ id, name }: { id: string; name: string }) => tagsAPI.addSynonym(id, name),
+    onSuccess: (res, { id }) => {
+      setSynonymInputs(prev => ({ ...prev, [id]: '' }));
+      onSuccess(res);
+    },
+    onError,
+  });
+
+  const removeSynonymMutation = useMutation({
+    mutationFn: ({ id, synonym }: { id: string; synonym: string }) => tagsAPI.removeSynonym(id, synonym),
+    onSuccess,
+    onError,
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: ({ id, into }: { id: string; into: string }) => tagsAPI.merge(id, into),
+    onSuccess: (res, { id }) => {
+      setMergeInputs(prev => ({ ...prev, [id]: '' }));
+      onSuccess(res);
+    },
+    onError,
+  });
+
+  const handleMerge = (tag: TagSummary) => {
+    const into = mergeInputs[tag._id]?.trim();
+    if (!into) return;
+    if (!window.confirm(`Merge "${tag.name}" into "${into}" on every question? This cannot be undone.`)) {
+      return;
+    }
+    mergeMutation.mutate({ id: tag._id, into });
+  };
+
+  const isBusy = addSynonymMutation.isPending || removeSynonymMutation.isPending || mergeMutation.isPending;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Tags className="h-5 w-5" />
+          Tag synonyms
+        </CardTitle>
+        <p className="text-sm text-gray-600">
+          Synonyms are replaced by their tag when questions are posted and searched. Merging moves
+          every question to the other tag and keeps the old name as a synonym.
+        </p>
+        <Input
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter tags..."
+          className="mt-2 max-w-xs"
+        />
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {tags.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-4">No tags to manage</p>
+        ) : (
+          tags.map(tag => (
+            <div key={tag._id} className="rounded-lg border border-gray-200 p-3 space-y-2">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-medium text-gray-900">{tag.name}</span>
+                <span className="text-xs text-gray-500">{tag.questionCount} questions</span>
+                {tag.synonyms.map(synonym => (
+                  <span
+                    key={synonym}
+                    className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700"
+                  >
+                    {synonym}
+                    <button
+                      type="button"
+                      onClick={() => removeSynonymMutation.mutate({ id: tag._id, synonym })}
+                      disabled={isBusy}
+                      className="ml-1 hover:text-red-600"
+                      aria-label={`Remove synonym ${synonym}`}
+                    >
+                      <X className="h-3 w-3" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Input
+                  value={synonymInputs[tag._id] || ''}
+                  onChange={(e) => setSynonymInputs({ ...synonymInputs, [tag._id]: e.target.value })}
+                  placeholder="Add synonym"
+                  maxLength={20}
+                  className="h-8 w-40 text-sm"
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    addSynonymMutation.mutate({ id: tag._id, name: synonymInputs[tag._id]?.trim() || '' })
+                  }
+                  disabled={isBusy || !synonymInputs[tag._id]?.trim()}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add
+                </Button>
+                <Input
+                  value={mergeInputs[tag._id] || ''}
+                  onChange={(e) => setMergeInputs({ ...mergeInputs, [tag._id]: e.target.value })}
+                  placeholder="Merge into tag"
+                  maxLength={20}
+                  className="h-8 w-40 text-sm"
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleMerge(tag)}
+                  disabled={isBusy || !mergeInputs[tag._id]?.trim()}
+                >
+                  <GitMerge className="h-4 w-4 mr-1" />
+                  Merge
+                </Button>
+              </div>
+            </div>
+          ))
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TagSynonymsPanel;
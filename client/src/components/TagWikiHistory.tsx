@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { diffClassName } from './RevisionHistory';
+import { tagsAPI } from '../lib/api';
+import { formatDate, getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { Check, History, X } from 'lucide-react';
+
+interface TagEdit {
+  _id: string | null;
+  revision?: number;
+  author: {
+    _id: string;
+    username: string;
+  } | null;
+  editSummary: string;
+  description: string;
+  wiki: string;
+  diff: {
+    description: string;
+    wiki: string;
+  } | null;
+  createdAt: string;
+}
+
+interface TagWikiHistoryProps {
+  tagName: string;
+  canReview: boolean;
+  onClose: () => void;
+}
+
+// Excerpt and wiki of one edit, as a diff when there is something to compare with
+const EditContent: React.FC<{ edit: TagEdit; showSource: boolean }> = ({ edit, showSource }) =>
+  showSource || !edit.diff ? (
+    <div className="mt-2 space-y-2">
+      <p className="text-sm text-gray-700">{edit.description || <em>No excerpt</em>}</p>
+      <div className={diffClassName} dangerouslySetInnerHTML={{ __html: edit.wiki }} />
+    </div>
+  ) : (
+    <div className="mt-2 space-y-2">
+      {/<(ins|del)>/.test(edit.diff.description) && (
+        <p className={`text-sm text-gray-700 ${diffClassName}`} dangerouslySetInnerHTML={{ __html: edit.diff.description }} />
+      )}
+      <div className={diffClassName} dangerouslySetInnerHTML={{ __html: edit.diff.wiki }} />
+    </div>
+  );
+
+// Approved revisions of a tag wiki and, for reviewers, the suggested edits
+// waiting for approval
+const TagWikiHistory: React.FC<TagWikiHistoryProps> = ({ tagName, canReview, onClose }) => {
+  const queryClient = useQueryClient();
+  const [showSource, setShowSource] = useState<string | null>(null);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+
+  const { data: revisionsData, isLoading } = useQuery({
+    queryKey: ['tag-wiki-revisions', tagName],
+    queryFn: () => tagsAPI.getWikiRevisions(tagName).then(res => res.data),
+  });
+  const revisions: TagEdit[] = Array.isArray(revisionsData?.revisions) ? revisionsData.revisions : [];
+
+  const { data: editsData } = useQuery({
+    queryKey: ['tag-wiki-edits', tagName],
+    queryFn: () => tagsAPI.getWikiEdits(tagName).then(res => res.data),
+    enabled: canReview,
+  });
+  const pendingEdits: TagEdit[] = Array.isArray(editsData?.edits) ? editsData.edits : [];
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ editId, action }: { editId: string; action: 'approve' | 'reject' }) =>
+      tagsAPI.reviewWikiEdit(tagName, editId, action, notes[editId]?.trim() || undefined),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['tag-wiki-edits', tagName] });
+      queryClient.invalidateQueries({ queryKey: ['tag-wiki-revisions', tagName] });
+      queryClient.invalidateQueries({ queryKey: ['tag', tagName] });
+      toast.success(res.data?.message || 'Edit reviewed');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to review edit'));
+    },
+  });
+
+  const toggleSource = (key: string) => setShowSource(showSource === key ? null : key);
+
+  return (
+    <div className="rounded-lg border border-gray-200 bg-gray-50 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+          <History className="h-4 w-4" />
+          Wiki history
+        </h3>
+        <Button variant="ghost" size="sm" onClick={onClose} aria-label="Close history">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {canReview && pendingEdits.length > 0 && (
+        <div className="mb-4">
+          <h4 className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            Suggested edits ({pendingEdits.length})
+          </h4>
+          <ul className="space-y-4">
+            {pendingEdits.map(edit => {
+              const editId = edit._id as string;
+              return (
+                <li key={editId} className="rounded-md border border-amber-200 bg-white p-3">
+                  <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                    <span>
+                      {edit.author?.username || 'Anonymous'}
+                      {' · '}
+                      {formatDate(edit.createdAt)}
+                    </span>
+                    <button type="button" className="hover:text-blue-600" onClick={() => toggleSource(editId)}>
+                      {showSource === editId ? 'Show diff' : 'Show full version'}
+                    </button>
+                  </div>
+                  {edit.editSummary && (
+                    <p className="mt-1 text-sm italic text-gray-700">{edit.editSummary}</p>
+                  )}
+                  <EditContent edit={edit} showSource={showSource === editId} />
+                  <div className="mt-3 flex flex-wrap items-center gap-2">
+                    <Input
+                      value={notes[editId] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [editId]: e.target.value }))}
+                      placeholder="Note for the author (optional)"
+                      maxLength={500}
+                      className="h-8 flex-1 min-w-[12rem] text-xs"
+                    />
+                    <Button
+                      size="sm"
+                      onClick={() => reviewMutation.mutate({ editId, action: 'approve' })}
+                      disabled={reviewMutation.isPending}
+                    >
+                      <Check className="h-3 w-3 mr-1" />
+                      Approve
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => reviewMutation.mutate({ editId, action: 'reject' })}
+                      disabled={reviewMutation.isPending}
+                    >
+                      <X className="h-3 w-3 mr-1" />
+                      Reject
+                    </Button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading revisions...</p>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">This tag wiki has not been edited yet.</p>
+      ) : (
+        <ol className="space-y-4">
+          {revisions.map(revision => {
+            const key = `revision-${revision.revision}`;
+            return (
+              <li key={key} className="rounded-md border border-gray-200 bg-white p-3">
+                <div className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                  <span>
+                    <span className="font-semibold text-gray-900">Revision {revision.revision}</span>
+                    {' · '}
+                    {revision.author?.username || 'Anonymous'}
+                    {' · '}
+                    {formatDate(revision.createdAt)}
+                    {revision.revision === 1 && ' · Original'}
+                  </span>
+                  <button type="button" className="hover:text-blue-600" onClick={() => toggleSource(key)}>
+                    {showSource === key ? 'Show diff' : 'Show full version'}
+                  </button>
+                </div>
+                {revision.editSummary && (
+                  <p className="mt-1 text-sm italic text-gray-700">{revision.editSummary}</p>
+                )}
+                <EditContent edit={revision} showSource={showSource === key} />
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default TagWikiHistory;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import RecoveryCodes from './RecoveryCodes';
+import TwoFactorEnrollment from './TwoFactorEnrollment';
+import { authAPI } from '../lib/api';
+import { getErrorMessage } from '../lib/utils';
+import { ShieldCheck } from 'lucide-react';
+
+type Panel = 'enroll' | 'disable' | 'regenerate' | null;
+
+// Two-factor authentication settings: set up, new recovery codes, turn off
+const TwoFactorCard: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [panel, setPanel] = useState<Panel>(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [newCodes, setNewCodes] = useState<string[] | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['two-factor'],
+    queryFn: () => authAPI.getTwoFactorStatus().then(res => res.data),
+  });
+  const isEnabled = !!data?.enabled;
+  const isRequired = !!data?.required;
+
+  const openPanel = (next: Panel) => {
+    setPanel(next);
+    setPassword('');
+    setCode('');
+    setNewCodes(null);
+  };
+
+  const refreshStatus = () => queryClient.invalidateQueries({ queryKey: ['two-factor'] });
+
+  // A 6-digit value is an authenticator code, anything else a recovery code
+  const codeField = (value: string) =>
+    /^\d{6}$/.test(value.replace(/\s/g, '')) ? { code: value.trim() } : { recoveryCode: value.trim() };
+
+  const disableMutation = useMutation({
+    mutationFn: () => authAPI.disableTwoFactor({ password, ...codeField(code) }),
+    onSuccess: () => {
+      toast.success('Two-factor authentication disabled');
+      openPanel(null);
+      refreshStatus();
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to disable two-factor authentication'));
+    },
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => authAPI.regenerateRecoveryCodes(code.trim()).then(res => res.data),
+    onSuccess: (result) => {
+      setNewCodes(result.recoveryCodes);
+      refreshStatus();
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to generate recovery codes'));
+    },
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          Two-Factor Authentication
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : panel === 'enroll' ? (
+          <TwoFactorEnrollment
+            onComplete={() => {
+              openPanel(null);
+              refreshStatus();
+            }}
+            onCancel={() => openPanel(null)}
+          />
+        ) : !isEnabled ? (
+          <>
+            <p className="text-sm text-gray-600">
+              Two-factor authentication is off. Turn it on to require a code from an authenticator app when you
+              sign in.
+            </p>
+            <Button onClick={() => openPanel('enroll')}>Set up two-factor authentication</Button>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              <span className="font-medium text-green-700">On.</span>{' '}
+              You have {data?.recoveryCodesRemaining ?? 0} unused recovery codes.
+              {isRequired && ' Two-factor authentication is required for your account.'}
+            </p>
+
+            {panel === 'regenerate' ? (
+              newCodes ? (
+                <div className="space-y-3">
+                  <RecoveryCodes codes={newCodes} />
+                  <Button variant="outline" size="sm" onClick={() => openPanel(null)}>
+                    Done
+                  </Button>
+                </div>
+              ) : (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    regenerateMutation.mutate();
+                  }}
+                  className="space-y-3"
+                >
+                  <p className="text-sm text-gray-600">Your current recovery codes will stop working.</p>
+                  <Input
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="Code from your authenticator app"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                  />
+                  <div className="flex gap-2">
+                    <Button type="button" variant="outline" size="sm" onClick={() => openPanel(null)}>
+                      Cancel
+                    </Button>
+                    <Button type="submit" size="sm" disabled={!code.trim() || regenerateMutation.isPending}>
+                      Generate new codes
+                    </Button>
+                  </div>
+                </form>
+              )
+            ) : panel === 'disable' ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  disableMutation.mutate();
+                }}
+                className="space-y-3"
+              >
+                <Input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Password"
+                  autoComplete="current-password"
+                />
+                <Input
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="Authenticator or recovery code"
+                  autoComplete="one-time-code"
+                />
+                <div className="flex gap-2">
+                  <Button type="button" variant="outline" size="sm" onClick={() => openPanel(null)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    type="submit"
+                    size="sm"
+                    className="bg-red-600 hover:bg-red-700"
+                    disabled={!password || !code.trim() || disableMutation.isPending}
+                  >
+                    Turn off
+                  </Button>
+                </div>
+              </form>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                <Button variant="outline" size="sm" onClick={() => openPanel('regenerate')}>
+                  New recovery codes
+                </Button>
+                {!isRequired && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="text-red-600 hover:text-red-700"
+                    onClick={() => openPanel('disable')}
+                  >
+                    Turn off
+                  </Button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorCard;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { authAPI } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getErrorMessage } from '../lib/utils';
+import { ShieldCheck } from 'lucide-react';
+
+interface TwoFactorChallengeProps {
+  challengeToken: string;
+  onSuccess: () => void;
+  onCancel: () => void;
+}
+
+// Second login step: a code from the authenticator app, or a recovery code
+const TwoFactorChallenge: React.FC<TwoFactorChallengeProps> = ({ challengeToken, onSuccess, onCancel }) => {
+  const { login } = useAuth();
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [value, setValue] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    setIsLoading(true);
+    try {
+      const response = await authAPI.verifyTwoFactor(
+        useRecovery
+          ? { challengeToken, recoveryCode: value.trim() }
+          : { challengeToken, code: value.trim() }
+      );
+      const { user, token, refreshToken, recoveryCodesRemaining } = response.data;
+
+      login(user, token, refreshToken);
+      if (typeof recoveryCodesRemaining === 'number') {
+        toast(`You have ${recoveryCodesRemaining} recovery codes left.`, { icon: '🔑' });
+      }
+      onSuccess();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Verification failed. Please try again.'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleRecovery = () => {
+    setUseRecovery(!useRecovery);
+    setValue('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-center gap-2 text-gray-900">
+        <ShieldCheck className="h-5 w-5 text-blue-600" />
+        <h3 className="font-semibold">Two-factor authentication</h3>
+      </div>
+      <p className="text-sm text-gray-600">
+        {useRecovery
+          ? 'Enter one of your recovery codes. Each code can be used once.'
+          : 'Enter the 6-digit code from your authenticator app.'}
+      </p>
+      <Input
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={useRecovery ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecovery ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        autoFocus
+        className="text-center font-mono tracking-widest"
+      />
+      <Button type="submit" className="w-full" disabled={isLoading || !value.trim()}>
+        {isLoading ? 'Verifying...' : 'Verify'}
+      </Button>
+      <div className="flex items-center justify-between text-sm">
+        <button type="button" className="text-blue-600 hover:text-blue-500" onClick={toggleRecovery}>
+          {useRecovery ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+        <button type="button" className="text-gray-500 hover:text-gray-700" onClick={onCancel}>
+          Back to login
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import RecoveryCodes from './RecoveryCodes';
+import { authAPI, TwoFactorSetup } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getErrorMessage } from '../lib/utils';
+
+interface TwoFactorEnrollmentProps {
+  // From a login that requires setting up two-factor authentication first;
+  // without it the logged-in user enrolls
+  challengeToken?: string;
+  onComplete: () => void;
+  onCancel: () => void;
+}
+
+// Scan the QR code, confirm with a code, then save the recovery codes. When
+// enrolling during a login, finishing also signs the user in.
+const TwoFactorEnrollment: React.FC<TwoFactorEnrollmentProps> = ({ challengeToken, onComplete, onCancel }) => {
+  const { login } = useAuth();
+  const [code, setCode] = useState('');
+  const [showSecret, setShowSecret] = useState(false);
+  const [enabled, setEnabled] = useState<{ recoveryCodes: string[]; finishLogin?: () => void } | null>(null);
+  const hasStarted = useRef(false);
+
+  const setupMutation = useMutation({
+    mutationFn: () => authAPI.setupTwoFactor(challengeToken).then(res => res.data as TwoFactorSetup),
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to start two-factor setup'));
+    },
+  });
+  const setup = setupMutation.data;
+
+  // Each setup call replaces the pending secret, so start only once
+  useEffect(() => {
+    if (!hasStarted.current) {
+      hasStarted.current = true;
+      setupMutation.mutate();
+    }
+  }, [setupMutation]);
+
+  const enableMutation = useMutation({
+    mutationFn: () => authAPI.enableTwoFactor(code.trim(), challengeToken).then(res => res.data),
+    onSuccess: (data) => {
+      setEnabled({
+        recoveryCodes: data.recoveryCodes,
+        // Sign in only once the codes are saved
+        finishLogin: data.token ? () => login(data.user, data.token, data.refreshToken) : undefined,
+      });
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Invalid code'));
+    },
+  });
+
+  const handleContinue = () => {
+    enabled?.finishLogin?.();
+    toast.success('Two-factor authentication enabled');
+    onComplete();
+  };
+
+  if (enabled) {
+    return (
+      <div className="space-y-4">
+        <RecoveryCodes codes={enabled.recoveryCodes} />
+        <Button className="w-full" onClick={handleContinue}>
+          I have saved my recovery codes
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        {challengeToken
+          ? 'Your account requires two-factor authentication. Set it up to finish signing in.'
+          : 'Protect your account with a code from an authenticator app each time you sign in.'}
+      </p>
+      <ol className="list-decimal space-y-1 pl-5 text-sm text-gray-700">
+        <li>Scan this QR code with an authenticator app such as Google Authenticator or 1Password.</li>
+        <li>Enter the 6-digit code the app shows.</li>
+      </ol>
+
+      <div className="flex justify-center">
+        {setup ? (
+          <img src={setup.qrCode} alt="QR code for your authenticator app" className="h-48 w-48" />
+        ) : (
+          <div className="flex h-48 w-48 items-center justify-center rounded-md bg-gray-100 text-sm text-gray-500">
+            {setupMutation.isError ? 'Setup failed' : 'Loading...'}
+          </div>
+        )}
+      </div>
+      {setup && (
+        <div className="text-center text-xs text-gray-500">
+          {showSecret ? (
+            <code className="break-all rounded bg-gray-100 px-2 py-1 font-mono text-gray-900">{setup.secret}</code>
+          ) : (
+            <button type="button" className="hover:text-blue-600" onClick={() => setShowSecret(true)}>
+              Can't scan it? Enter the key manually
+            </button>
+          )}
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          enableMutation.mutate();
+        }}
+        className="space-y-3"
+      >
+        <Input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder="123456"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={7}
+          className="text-center font-mono tracking-widest"
+        />
+        <div className="flex gap-2">
+          <Button type="button" variant="outline" className="flex-1" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit" className="flex-1" disabled={!setup || !code.trim() || enableMutation.isPending}>
+            {enableMutation.isPending ? 'Verifying...' : 'Enable'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default TwoFactorEnrollment;
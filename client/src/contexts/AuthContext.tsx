@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect } from 'react';
-import { useAuthStore, getAuthToken } from '../store/authStore';
+import { useAuthStore, getAuthToken, getRefreshToken } from '../store/authStore';
+import { authAPI } from '../lib/api';
 
 interface User {
   _id: string;
@@ -8,6 +9,7 @@ interface User {
   first_name: string;
   last_name: string;
   avatar?: string;
+  reputation?: number;
   role: 'guest' | 'user' | 'admin';
   isEmailVerified?: boolean;
   createdAt?: string;
@@ -18,7 +20,7 @@ interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (user: User, token: string) => void;
+  login: (user: User, token: string, refreshToken?: string) => void;
   logout: () => void;
   updateUser: (user: User) => void;
   clearAuth: () => void;
@@ -45,7 +47,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     isAuthenticated, 
     isLoading, 
     login, 
-    logout, 
+    logout: clearSession, 
     updateUser, 
     clearAuth,
     validateToken
@@ -69,6 +71,15 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     initializeAuth();
   }, [isAuthenticated, validateToken, clearAuth]);
 
+  // Ends the session on the server as well; signing out here does not wait for it
+  const logout = () => {
+    const refreshToken = useAuthStore.getState().refreshToken || getRefreshToken();
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch(() => undefined);
+    }
+    clearSession();
+  };
+
   const value = {
     user,
     isAuthenticated,
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { API_BASE_URL, notificationsAPI } from '../lib/api';
+import { useAuthStore, getAuthToken } from '../store/authStore';
+
+interface NotificationsData {
+  notifications?: unknown[];
+  pagination?: { unreadCount?: number };
+}
+
+// Wait before reopening a dropped stream, and longer if no ticket could be had
+const RECONNECT_DELAY_MS = 5 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+
+// Subscribes to the server's notification stream and writes new
+// notifications straight into the ['notifications'] query cache. Returns
+// whether the stream is connected, so callers can poll while it is not.
+// The stream URL ends up in logs, so it carries a one-time ticket instead of
+// the access token, and every reconnect asks for a new one.
+export const useNotificationStream = (enabled: boolean) => {
+  const queryClient = useQueryClient();
+  const storeToken = useAuthStore(state => state.token);
+  const [isLive, setIsLive] = useState(false);
+
+  useEffect(() => {
+    const token = storeToken || getAuthToken();
+    if (!enabled || !token || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    let source: EventSource | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+    let hasConnected = false;
+    let isClosed = false;
+
+    const connect = async () => {
+      let ticket: string;
+      try {
+        ticket = (await notificationsAPI.createStreamTicket()).data.ticket;
+      } catch {
+        if (!isClosed) retryTimer = setTimeout(connect, RETRY_DELAY_MS);
+        return;
+      }
+      if (isClosed) return;
+
+      source = new EventSource(`${API_BASE_URL}/notifications/stream?ticket=${encodeURIComponent(ticket)}`);
+
+      source.onopen = () => {
+        setIsLive(true);
+        // Catch up on anything created while the stream was down
+        if (hasConnected) {
+          queryClient.invalidateQueries({ queryKey: ['notifications'] });
+        }
+        hasConnected = true;
+      };
+
+      source.addEventListener('notification', (event) => {
+        const { notification, unreadCount } = JSON.parse((event as MessageEvent).data);
+        queryClient.setQueryData<NotificationsData>(['notifications'], (old) => {
+          if (!old) return old;
+          const notifications = Array.isArray(old.notifications) ? old.notifications : [];
+          return {
+            ...old,
+            notifications: [notification, ...notifications],
+            pagination: { ...old.pagination, unreadCount },
+          };
+        });
+      });
+
+      source.onerror = () => {
+        setIsLive(false);
+        // The browser would retry with the used ticket, so reconnect with a
+        // new one instead
+        source?.close();
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      };
+    };
+
+    connect();
+
+    return () => {
+      isClosed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setIsLive(false);
+    };
+  }, [enabled, storeToken, queryClient]);
+
+  return { isLive };
+};
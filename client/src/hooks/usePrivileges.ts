@@ -0,0 +1,43 @@
+import { useQuery } from '@tanstack/react-query';
+import { userAPI } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+
+export type PrivilegeName =
+  | 'downvote'
+  | 'create_tag'
+  | 'edit_others_posts'
+  | 'close_vote'
+  | 'edit_tag_wiki';
+
+interface Privilege {
+  name: PrivilegeName;
+  reputation: number;
+  description: string;
+  unlocked: boolean;
+}
+
+// Reputation-gated privileges of the logged-in user, with a human-readable
+// explanation for each one that is still locked
+export const usePrivileges = () => {
+  const { user, isAuthenticated } = useAuth();
+
+  const { data } = useQuery({
+    queryKey: ['privileges', user?._id],
+    queryFn: () => userAPI.getPrivileges(user!._id).then(res => res.data),
+    enabled: isAuthenticated && !!user?._id && user?.role !== 'guest',
+  });
+
+  const privileges: Privilege[] = Array.isArray(data?.privileges) ? data.privileges : [];
+  // Spendable balance, e.g. for bounties
+  const reputation: number = data?.reputation ?? user?.reputation ?? 0;
+  // What privileges are based on: votes and accepted answers, not bounties
+  const earnedReputation: number = data?.earnedReputation ?? reputation;
+
+  const lockReason = (name: PrivilegeName): string | null => {
+    const privilege = privileges.find(p => p.name === name);
+    if (!privilege || privilege.unlocked) return null;
+    return `${privilege.description} unlocks at ${privilege.reputation.toLocaleString()} reputation (you have ${earnedReputation.toLocaleString()})`;
+  };
+
+  return { privileges, reputation, earnedReputation, lockReason };
+};
@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react';
+import { QueryClient, useQueryClient } from '@tanstack/react-query';
+import { API_BASE_URL, PostType } from '../lib/api';
+
+interface LiveAnswer {
+  _id: string;
+  author?: { _id: string };
+  upvotes?: string[];
+  downvotes?: string[];
+  isAccepted?: boolean;
+}
+
+interface AnswersData {
+  answers?: LiveAnswer[];
+}
+
+interface QuestionData {
+  question?: { upvotes?: string[]; downvotes?: string[]; acceptedAnswer?: string | null };
+}
+
+const updateAnswers = (
+  queryClient: QueryClient,
+  questionId: string | undefined,
+  update: (answers: LiveAnswer[]) => LiveAnswer[]
+) => {
+  queryClient.setQueryData<AnswersData>(['answers', questionId], (old) => {
+    if (!old) return old;
+    return { ...old, answers: update(Array.isArray(old.answers) ? old.answers : []) };
+  });
+};
+
+// Subscribes to a question's live stream and merges vote, accept, edit and
+// delete events into the ['question', id] and ['answers', id] caches. New
+// answers by other users wait in `newAnswers` until `showNewAnswers` is called.
+export const useQuestionStream = (questionId: string | undefined, userId: string | undefined) => {
+  const queryClient = useQueryClient();
+  const [newAnswers, setNewAnswers] = useState<LiveAnswer[]>([]);
+
+  const showNewAnswers = () => {
+    updateAnswers(queryClient, questionId, answers => [
+      ...answers,
+      ...newAnswers.filter(answer => !answers.some(a => a._id === answer._id)),
+    ]);
+    setNewAnswers([]);
+  };
+
+  useEffect(() => {
+    setNewAnswers([]);
+    if (!questionId || typeof EventSource === 'undefined') {
+      return;
+    }
+
+    const source = new EventSource(`${API_BASE_URL}/questions/${questionId}/stream`);
+    let hasConnected = false;
+
+    const on = <T>(event: string, handler: (data: T) => void) => {
+      source.addEventListener(event, (e) => handler(JSON.parse((e as MessageEvent).data)));
+    };
+
+    const setAnswers = (update: (answers: LiveAnswer[]) => LiveAnswer[]) =>
+      updateAnswers(queryClient, questionId, update);
+
+    const setQuestion = (fields: QuestionData['question']) => {
+      queryClient.setQueryData<QuestionData>(['question', questionId], (old) => {
+        if (!old?.question) return old;
+        return { ...old, question: { ...old.question, ...fields } };
+      });
+    };
+
+    source.onopen = () => {
+      // Catch up on events missed while the stream was down
+      if (hasConnected) {
+        queryClient.invalidateQueries({ queryKey: ['question', questionId] });
+        queryClient.invalidateQueries({ queryKey: ['answers', questionId] });
+      }
+      hasConnected = true;
+    };
+
+    on<{ answer: LiveAnswer }>('answer_created', ({ answer }) => {
+      if (answer.author?._id === userId) return;
+      setNewAnswers(pending =>
+        pending.some(a => a._id === answer._id) ? pending : [...pending, answer]
+      );
+    });
+
+    on<{ answer: LiveAnswer }>('answer_updated', ({ answer }) => {
+      const merge = (answers: LiveAnswer[]) =>
+        answers.map(a => (a._id === answer._id ? { ...a, ...answer } : a));
+      setAnswers(merge);
+      setNewAnswers(merge);
+    });
+
+    on<{ answerId: string }>('answer_deleted', ({ answerId }) => {
+      const remove = (answers: LiveAnswer[]) => answers.filter(a => a._id !== answerId);
+      setAnswers(remove);
+      setNewAnswers(remove);
+    });
+
+    on<{ postType: PostType; postId: string; upvotes: string[]; downvotes: string[] }>(
+      'vote',
+      ({ postType, postId, upvotes, downvotes }) => {
+        if (postType === 'question') {
+          setQuestion({ upvotes, downvotes });
+          return;
+        }
+        setAnswers(answers =>
+          answers.map(a => (a._id === postId ? { ...a, upvotes, downvotes } : a))
+        );
+      }
+    );
+
+    on<{ answerId: string }>('accept', ({ answerId }) => {
+      setAnswers(answers => answers.map(a => ({ ...a, isAccepted: a._id === answerId })));
+      setQuestion({ acceptedAnswer: answerId });
+    });
+
+    return () => source.close();
+  }, [questionId, userId, queryClient]);
+
+  return { newAnswers, showNewAnswers };
+};
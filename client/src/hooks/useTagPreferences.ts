@@ -0,0 +1,76 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { userAPI, TagPreferences } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getErrorMessage } from '../lib/utils';
+
+const EMPTY: TagPreferences = { watchedTags: [], ignoredTags: [], notifyWatchedTags: false };
+
+// The logged-in user's watched and ignored tags. Watching a tag stops
+// ignoring it and the other way round; saved changes refresh the feed.
+export const useTagPreferences = () => {
+  const { user, isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+  const queryKey = ['tag-preferences', user?._id];
+
+  const { data } = useQuery({
+    queryKey,
+    queryFn: () => userAPI.getTagPreferences(user!._id).then(res => res.data),
+    enabled: isAuthenticated && !!user?._id && user?.role !== 'guest',
+  });
+  const preferences: TagPreferences = {
+    watchedTags: Array.isArray(data?.watchedTags) ? data.watchedTags : EMPTY.watchedTags,
+    ignoredTags: Array.isArray(data?.ignoredTags) ? data.ignoredTags : EMPTY.ignoredTags,
+    notifyWatchedTags: !!data?.notifyWatchedTags,
+  };
+
+  const mutation = useMutation({
+    mutationFn: (changes: Partial<TagPreferences>) =>
+      userAPI.updateTagPreferences(user!._id, changes).then(res => res.data),
+    onSuccess: (updated) => {
+      queryClient.setQueryData(queryKey, updated);
+      // The "For you" feeds on Questions and Home
+      queryClient.invalidateQueries({ queryKey: ['questions'] });
+      queryClient.invalidateQueries({ queryKey: ['recent-questions'] });
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to update tag preferences'));
+    },
+  });
+
+  const isWatched = (tag: string) => preferences.watchedTags.includes(tag);
+  const isIgnored = (tag: string) => preferences.ignoredTags.includes(tag);
+
+  const without = (tags: string[], tag: string) => tags.filter(t => t !== tag);
+
+  const watch = (tag: string) =>
+    mutation.mutate({
+      watchedTags: [...without(preferences.watchedTags, tag), tag],
+      ignoredTags: without(preferences.ignoredTags, tag),
+    });
+
+  const ignore = (tag: string) =>
+    mutation.mutate({
+      watchedTags: without(preferences.watchedTags, tag),
+      ignoredTags: [...without(preferences.ignoredTags, tag), tag],
+    });
+
+  const clear = (tag: string) =>
+    mutation.mutate({
+      watchedTags: without(preferences.watchedTags, tag),
+      ignoredTags: without(preferences.ignoredTags, tag),
+    });
+
+  const setNotify = (notifyWatchedTags: boolean) => mutation.mutate({ notifyWatchedTags });
+
+  return {
+    ...preferences,
+    isWatched,
+    isIgnored,
+    watch,
+    ignore,
+    clear,
+    setNotify,
+    isUpdating: mutation.isPending,
+  };
+};
@@ -1,5 +1,5 @@
-import axios from 'axios';
-import { useAuthStore, getAuthToken, removeAuthToken } from '../store/authStore';
+import axios, { InternalAxiosRequestConfig } from 'axios';
+import { useAuthStore, getAuthToken, removeAuthToken, getRefreshToken } from '../store/authStore';
 
 // Easily change the API base URL here:
 export const API_BASE_URL = 'https://fireshark-server.vercel.app/api';
@@ -30,11 +30,77 @@ api.interceptors.request.use(
   }
 );
 
+// Requests whose 401 means wrong credentials rather than an expired token
+const CREDENTIAL_URLS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/guest-signup',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/2fa/verify',
+];
+
+// Wait for a parallel refresh in another tab to save its tokens
+const REFRESH_RACE_DELAY_MS = 1000;
+
+// One refresh at a time: requests failing together all wait for it, so the
+// refresh token is only rotated once
+let refreshPromise: Promise<string> | null = null;
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const usedRefreshToken = useAuthStore.getState().refreshToken || getRefreshToken();
+
+    refreshPromise = (async () => {
+      if (!usedRefreshToken) {
+        throw new Error('No refresh token');
+      }
+      try {
+        // Plain axios, so a failed refresh does not come back through these interceptors
+        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken: usedRefreshToken });
+        const { token, refreshToken } = response.data;
+        useAuthStore.getState().setTokens(token, refreshToken);
+        return token as string;
+      } catch (error) {
+        // Another tab exchanged the same refresh token first; use the pair it saved
+        if (axios.isAxiosError(error) && error.response?.status === 409) {
+          await new Promise(resolve => setTimeout(resolve, REFRESH_RACE_DELAY_MS));
+        }
+        const latestRefreshToken = getRefreshToken();
+        const latestToken = getAuthToken();
+        if (latestToken && latestRefreshToken && latestRefreshToken !== usedRefreshToken) {
+          useAuthStore.getState().setTokens(latestToken, latestRefreshToken);
+          return latestToken;
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor to handle auth errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const request = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    const isCredentialRequest = CREDENTIAL_URLS.some(url => request?.url?.startsWith(url));
+
+    // Access tokens are short-lived: refresh once and replay the request
+    if (error.response?.status === 401 && request && !request._retried && !isCredentialRequest) {
+      request._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch {
+        // The session is over; fall through and log out
+      }
+    }
+
+    if (error.response?.status === 401 && !isCredentialRequest) {
       // Clear auth data from both store and localStorage
       useAuthStore.getState().logout();
       removeAuthToken();
@@ -63,23 +129,111 @@ export const authAPI = {
     api.post('/auth/forgot-password', { email }),
   resetPassword: (token: string, newPassword: string) =>
     api.post('/auth/reset-password', { newPassword }, { params: { token } }),
+  // Token from the email sent when too many failed logins lock an account
+  unlockAccount: (token: string) =>
+    api.post('/auth/unlock-account', { token }),
   changePassword: (oldPassword: string, newPassword: string) =>
     api.post('/auth/change-password', { oldPassword, newPassword }),
   changeEmail: (currentPassword: string, newEmail: string) =>
     api.post('/auth/change-email', { currentPassword, newEmail }),
   guestSignup: (userData: { first_name: string; last_name: string }) =>
     api.post('/auth/guest-signup', userData),
+  logout: (refreshToken: string) =>
+    api.post('/auth/logout', { refreshToken }),
+  // Signs out every session, this one included
+  logoutAll: () =>
+    api.post('/auth/logout-all'),
+  getSessions: () =>
+    api.get('/auth/sessions'),
+  revokeSession: (sessionId: string) =>
+    api.delete(`/auth/sessions/${sessionId}`),
+  // Second login step, after login answered with twoFactor: 'verify'
+  verifyTwoFactor: (data: { challengeToken: string; code?: string; recoveryCode?: string }) =>
+    api.post('/auth/2fa/verify', data),
+  getTwoFactorStatus: () =>
+    api.get('/auth/2fa'),
+  // Without a challenge token these act on the logged-in user; with one they
+  // set up two-factor authentication during a login that requires it
+  setupTwoFactor: (challengeToken?: string) =>
+    api.post('/auth/2fa/setup', { challengeToken }),
+  enableTwoFactor: (code: string, challengeToken?: string) =>
+    api.post('/auth/2fa/enable', { code, challengeToken }),
+  disableTwoFactor: (data: { password: string; code?: string; recoveryCode?: string }) =>
+    api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code: string) =>
+    api.post('/auth/2fa/recovery-codes', { code }),
+  getApiTokens: () =>
+    api.get('/auth/api-tokens'),
+  // The response holds the token itself, the only time it is shown
+  createApiToken: (data: { name: string; scopes: ApiTokenScope[]; expiresInDays: number }) =>
+    api.post('/auth/api-tokens', data),
+  revokeApiToken: (tokenId: string) =>
+    api.delete(`/auth/api-tokens/${tokenId}`),
+  // Whether single sign-on is configured, and the provider's display name
+  getOidcConfig: () =>
+    api.get('/auth/oidc'),
+  // Trades the one-time code from the single sign-on redirect for a login
+  exchangeOidcLogin: (code: string) =>
+    api.post('/auth/oidc/exchange', { code }),
 };
 
+// Single sign-on is a full-page redirect to the identity provider, which
+// sends the browser back to /auth/oidc/callback
+export const oidcLoginUrl = (returnTo = '/') =>
+  `${API_BASE_URL}/auth/oidc/login?${new URLSearchParams({ returnTo })}`;
+
+// Login answers with one of these instead of tokens when a second step is needed
+export type TwoFactorStep = 'verify' | 'enroll';
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
+// Personal access tokens for scripts, sent as "Authorization: Bearer stk_..."
+export type ApiTokenScope = 'read' | 'write:questions' | 'write:answers' | 'admin:tags';
+
+export interface ApiToken {
+  _id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiTokenScope[];
+  lastUsedAt: string | null;
+  lastUsedIp: string;
+  expiresAt: string;
+  createdAt: string;
+}
+
+export interface Session {
+  _id: string;
+  device: string;
+  ip: string;
+  lastUsedAt: string;
+  createdAt: string;
+  current: boolean;
+}
+
+// Posts are written in the rich text editor (HTML) or in Markdown. Either
+// way the server stores sanitized HTML; Markdown posts also keep their source
+export type PostFormat = 'html' | 'markdown';
+
 // Questions API
 export const questionsAPI = {
-  getAll: (params?: { page?: number; limit?: number; search?: string; sort?: string; tag?: string }) =>
+  getAll: (params?: { page?: number; limit?: number; search?: string; sort?: string; tag?: string; featured?: boolean }) =>
     api.get('/questions', { params }),
   getById: (id: string) =>
     api.get(`/questions/${id}`),
-  create: (questionData: { title: string; description: string; tags: string[] }) =>
+  // Ranked for the logged-in user from their watched and ignored tags
+  feed: (params?: { page?: number; limit?: number }) =>
+    api.get('/questions/feed', { params }),
+  create: (questionData: { title: string; description: string; tags: string[]; format?: PostFormat }) =>
     api.post('/questions', questionData),
-  update: (id: string, questionData: { title: string; description: string; tags: string[] }) =>
+  // Send only `format` to convert the existing description to that format
+  update: (
+    id: string,
+    questionData: { title?: string; description?: string; tags?: string[]; format?: PostFormat; editSummary?: string }
+  ) =>
     api.put(`/questions/${id}`, questionData),
   delete: (id: string) =>
     api.delete(`/questions/${id}`),
@@ -87,17 +241,40 @@ export const questionsAPI = {
     api.post(`/questions/${id}/vote`, { voteType }),
   getVote: (id: string) =>
     api.get(`/questions/${id}/vote`),
-  search: (query: string) =>
-    api.get('/questions/search', { params: { q: query } }),
+  close: (id: string, closeData: { reason: CloseReason; duplicateOf?: string }) =>
+    api.post(`/questions/${id}/close`, closeData),
+  reopen: (id: string) =>
+    api.post(`/questions/${id}/reopen`),
+  offerBounty: (id: string, amount: number) =>
+    api.post(`/questions/${id}/bounty`, { amount }),
+  watchBounty: (id: string) =>
+    api.post(`/questions/${id}/bounty/watch`),
+  unwatchBounty: (id: string) =>
+    api.delete(`/questions/${id}/bounty/watch`),
+  search: (query: string, params?: { page?: number; limit?: number; sort?: string }) =>
+    api.get('/questions/search', { params: { q: query, ...params } }),
 };
 
+export type CloseReason = 'duplicate' | 'off_topic' | 'unclear' | 'too_broad';
+
+export interface Bounty {
+  amount: number;
+  offeredBy: string;
+  status: 'active' | 'awarded' | 'expired';
+  expiresAt: string;
+  awardedTo: string | null;
+  awardedAt: string | null;
+  createdAt: string;
+}
+
 // Answers API
 export const answersAPI = {
   getByQuestion: (questionId: string) =>
     api.get(`/answers/question/${questionId}`),
-  create: (questionId: string, answerData: { body: string }) =>
+  create: (questionId: string, answerData: { body: string; format?: PostFormat }) =>
     api.post(`/answers`, { questionId, ...answerData }),
-  update: (id: string, answerData: { body: string }) =>
+  // Send only `format` to convert the existing body to that format
+  update: (id: string, answerData: { body?: string; format?: PostFormat; editSummary?: string }) =>
     api.put(`/answers/${id}`, answerData),
   delete: (id: string) =>
     api.delete(`/answers/${id}`),
@@ -107,18 +284,177 @@ export const answersAPI = {
     api.post(`/answers/${id}/accept`),
 };
 
+// Images attached to questions and answers. Variants are webp sizes made by
+// the server when images are not stored on Cloudinary
+export type ImageVariantName = 'thumbnail' | 'small' | 'medium' | 'large';
+
+export interface PostImage {
+  url: string;
+  publicId?: string;
+  caption?: string;
+  width?: number;
+  height?: number;
+  variants?: { name: ImageVariantName; url: string; width?: number; height?: number }[];
+}
+
+// Questions and answers share the comment and revision routes
+export type PostType = 'question' | 'answer';
+
+const postPath = (postType: PostType, postId: string) =>
+  `/${postType === 'question' ? 'questions' : 'answers'}/${postId}`;
+
+// Comments API
+const commentsPath = (postType: PostType, postId: string) =>
+  `${postPath(postType, postId)}/comments`;
+
+export const commentsAPI = {
+  getAll: (postType: PostType, postId: string) =>
+    api.get(commentsPath(postType, postId)),
+  create: (postType: PostType, postId: string, commentData: { body: string; parentId?: string }) =>
+    api.post(commentsPath(postType, postId), commentData),
+  update: (postType: PostType, postId: string, commentId: string, commentData: { body: string }) =>
+    api.put(`${commentsPath(postType, postId)}/${commentId}`, commentData),
+  delete: (postType: PostType, postId: string, commentId: string) =>
+    api.delete(`${commentsPath(postType, postId)}/${commentId}`),
+};
+
+// Revisions API
+const revisionsPath = (postType: PostType, postId: string) =>
+  `${postPath(postType, postId)}/revisions`;
+
+export const revisionsAPI = {
+  getAll: (postType: PostType, postId: string) =>
+    api.get(revisionsPath(postType, postId)),
+  rollback: (postType: PostType, postId: string, revision: number) =>
+    api.post(`${revisionsPath(postType, postId)}/${revision}/rollback`),
+};
+
+// Flags API
+export type FlagReason = 'spam' | 'offensive' | 'low_quality' | 'other';
+
+export const flagsAPI = {
+  create: (postType: PostType, postId: string, flagData: { reason: FlagReason; details?: string }) =>
+    api.post(`${postPath(postType, postId)}/flag`, flagData),
+};
+
+// Moderation API (admin only)
+export type FlagStatus = 'pending' | 'approved' | 'dismissed' | 'deleted';
+export type ReviewAction = 'approve' | 'dismiss' | 'delete';
+
+export interface Flag {
+  _id: string;
+  postType: PostType;
+  question: string;
+  reason: FlagReason;
+  details: string;
+  status: FlagStatus;
+  reporter: { _id: string; username: string } | null;
+  reviewedBy: { _id: string; username: string } | null;
+  reviewedAt: string | null;
+  createdAt: string;
+  pendingFlags: number;
+  post: {
+    _id: string;
+    title: string;
+    excerpt: string;
+    author: { _id: string; username: string; reputation: number } | null;
+    createdAt: string;
+  } | null;
+}
+
+export interface ModerationLogEntry {
+  _id: string;
+  action: ReviewAction;
+  moderator: { _id: string; username: string } | null;
+  postType: PostType;
+  post: string;
+  postAuthor: { _id: string; username: string } | null;
+  flag: { _id: string; reason: FlagReason; details: string; question: string } | null;
+  snapshot: { title: string; body: string };
+  note: string;
+  createdAt: string;
+}
+
+export const moderationAPI = {
+  getFlags: (params?: { status?: FlagStatus; page?: number; limit?: number }) =>
+    api.get('/moderation/flags', { params }),
+  review: (flagId: string, action: ReviewAction, note?: string) =>
+    api.post(`/moderation/flags/${flagId}/${action}`, { note }),
+  getAuditLog: (params?: { page?: number; limit?: number }) =>
+    api.get('/moderation/audit-log', { params }),
+};
+
+// Accounts with failed logins since their last successful one
+export interface LockedAccount {
+  _id: string;
+  username: string;
+  email: string;
+  failedLoginAttempts: number;
+  lockoutCount: number;
+  lockedUntil: string | null;
+  isLocked: boolean;
+}
+
+// A per-IP or per-account counter of the auth endpoint rate limits
+export interface RateLimitCounter {
+  endpoint: string;
+  scope: 'ip' | 'account';
+  subject: string;
+  count: number;
+  limit: number;
+  throttled: boolean;
+  resetAt: string;
+}
+
+// Admin API
+export const adminAPI = {
+  getLockouts: () =>
+    api.get('/admin/lockouts'),
+  unlockAccount: (userId: string) =>
+    api.post(`/admin/lockouts/${userId}/unlock`),
+};
+
+// Synonyms resolve to the tag wherever tags are written or searched
+export interface TagSummary {
+  _id: string;
+  name: string;
+  description: string;
+  synonyms: string[];
+  questionCount: number;
+}
+
 // Tags API
 export const tagsAPI = {
   getAll: (params?: { limit?: number; search?: string; sort?: string }) =>
     api.get('/tags', { params }),
-  getByName: (name: string) =>
-    api.get(`/tags/${name}`),
+  getByName: (name: string, params?: { page?: number; limit?: number }) =>
+    api.get(`/tags/${encodeURIComponent(name)}`, { params }),
   create: (tagData: { name: string; description?: string }) =>
     api.post('/tags', tagData),
   update: (id: string, tagData: { name: string; description?: string }) =>
     api.put(`/tags/${id}`, tagData),
+  // Admin: replace the tag with `into` on every question and delete it
+  merge: (id: string, into: string) =>
+    api.post(`/tags/${id}/merge`, { into }),
+  addSynonym: (id: string, name: string) =>
+    api.post(`/tags/${id}/synonyms`, { name }),
+  removeSynonym: (id: string, synonym: string) =>
+    api.delete(`/tags/${id}/synonyms/${encodeURIComponent(synonym)}`),
+  // Tags for the languages of the code blocks in a question description
+  suggest: (data: { description: string; format?: PostFormat; tags?: string[] }) =>
+    api.post<{ status: number; languages: string[]; tags: string[] }>('/tags/suggest', data),
   delete: (id: string) =>
     api.delete(`/tags/${id}`),
+  // Tag page wiki: approved history, pending suggestions and their review
+  getWikiRevisions: (name: string) =>
+    api.get(`/tags/${encodeURIComponent(name)}/wiki/revisions`),
+  getWikiEdits: (name: string) =>
+    api.get(`/tags/${encodeURIComponent(name)}/wiki/edits`),
+  // Applied directly with the edit_tag_wiki privilege, otherwise queued for review
+  suggestWikiEdit: (name: string, edit: { description: string; wiki: string; editSummary?: string }) =>
+    api.post(`/tags/${encodeURIComponent(name)}/wiki/edits`, edit),
+  reviewWikiEdit: (name: string, editId: string, action: 'approve' | 'reject', note?: string) =>
+    api.post(`/tags/${encodeURIComponent(name)}/wiki/edits/${editId}/${action}`, { note }),
 };
 
 // Notifications API
@@ -131,6 +467,9 @@ export const notificationsAPI = {
     api.put('/notifications/mark-all-read'),
   delete: (id: string) =>
     api.delete(`/notifications/${id}`),
+  // One-time ticket for opening the live stream, which cannot send headers
+  createStreamTicket: () =>
+    api.post<{ ticket: string; expiresIn: number }>('/notifications/stream-ticket'),
 };
 
 // User API
@@ -149,6 +488,62 @@ export const userAPI = {
     api.get(`/users/${userId}/questions`),
   getAnswers: (userId: string) =>
     api.get(`/users/${userId}/answers`),
+  getReputation: (userId: string, params?: { page?: number; limit?: number }) =>
+    api.get(`/users/${userId}/reputation`, { params }),
+  getPrivileges: (userId: string) =>
+    api.get(`/users/${userId}/privileges`),
+  getTagPreferences: (userId: string) =>
+    api.get<TagPreferences & { status: number }>(`/users/${userId}/tag-preferences`),
+  // Omitted fields are left unchanged
+  updateTagPreferences: (userId: string, preferences: Partial<TagPreferences>) =>
+    api.put<TagPreferences & { status: number; message: string }>(
+      `/users/${userId}/tag-preferences`,
+      preferences
+    ),
+};
+
+export interface TagPreferences {
+  watchedTags: string[];
+  ignoredTags: string[];
+  notifyWatchedTags: boolean;
+}
+
+// Images embedded in question and answer bodies
+export interface InlineImage {
+  url: string;
+  publicId: string;
+  width?: number;
+  height?: number;
+}
+
+// Uploads API
+export const uploadsAPI = {
+  uploadImage: (file: File, onProgress?: (percent: number) => void) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return api.post<{ success: boolean; message: string; data: InlineImage }>(
+      '/uploads/images',
+      formData,
+      {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        onUploadProgress: (event) => {
+          const total = event.total || file.size;
+          onProgress?.(total ? Math.round((event.loaded * 100) / total) : 0);
+        },
+      }
+    );
+  },
+};
+
+// Markdown API
+export const markdownAPI = {
+  preview: (markdown: string) =>
+    api.post<{ status: number; html: string }>('/markdown/preview', { markdown }),
+  // HTML to Markdown, or Markdown to sanitized HTML
+  convert: (content: string, to: PostFormat) =>
+    api.post<{ status: number; content: string }>('/markdown/convert', { content, to }),
 };
 
 // Stats API
@@ -0,0 +1,84 @@
+import hljs from 'highlight.js/lib/common';
+import { common, createLowlight } from 'lowlight';
+
+// The editor highlights code blocks with lowlight and posts are highlighted
+// with highlight.js when displayed. Both use the same common grammars
+export const lowlight = createLowlight(common);
+
+// Languages offered by the code block language selector, as highlight.js ids.
+// The server suggests tags from these ids, see server/config/code-languages.js
+export const CODE_LANGUAGES: { id: string; label: string }[] = [
+  { id: 'bash', label: 'Bash' },
+  { id: 'c', label: 'C' },
+  { id: 'cpp', label: 'C++' },
+  { id: 'csharp', label: 'C#' },
+  { id: 'css', label: 'CSS' },
+  { id: 'diff', label: 'Diff' },
+  { id: 'go', label: 'Go' },
+  { id: 'graphql', label: 'GraphQL' },
+  { id: 'xml', label: 'HTML / XML' },
+  { id: 'java', label: 'Java' },
+  { id: 'javascript', label: 'JavaScript' },
+  { id: 'json', label: 'JSON' },
+  { id: 'kotlin', label: 'Kotlin' },
+  { id: 'lua', label: 'Lua' },
+  { id: 'markdown', label: 'Markdown' },
+  { id: 'php', label: 'PHP' },
+  { id: 'plaintext', label: 'Plain text' },
+  { id: 'python', label: 'Python' },
+  { id: 'r', label: 'R' },
+  { id: 'ruby', label: 'Ruby' },
+  { id: 'rust', label: 'Rust' },
+  { id: 'scss', label: 'SCSS' },
+  { id: 'sql', label: 'SQL' },
+  { id: 'swift', label: 'Swift' },
+  { id: 'typescript', label: 'TypeScript' },
+  { id: 'yaml', label: 'YAML' },
+];
+
+// Guesses below this are more likely noise than a language
+const MIN_DETECTION_RELEVANCE = 5;
+
+export const languageLabel = (language: string) =>
+  CODE_LANGUAGES.find(option => option.id === language)?.label ||
+  hljs.getLanguage(language)?.name ||
+  language;
+
+const blockLanguage = (code: Element) =>
+  Array.from(code.classList)
+    .find(name => name.startsWith('language-'))
+    ?.slice('language-'.length);
+
+// Highlight the code blocks in sanitized post HTML. Blocks without a language
+// are detected from their content, and each block is labelled with its
+// language through data-language on the <pre>
+export const highlightCodeBlocks = (html: string) => {
+  if (!html || !html.includes('<pre')) return html;
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('pre > code').forEach((code) => {
+    const language = blockLanguage(code);
+    const text = code.textContent || '';
+
+    if (language && !hljs.getLanguage(language)) {
+      code.parentElement?.setAttribute('data-language', language);
+      return;
+    }
+
+    const result = language
+      ? hljs.highlight(text, { language, ignoreIllegals: true })
+      : hljs.highlightAuto(text);
+    if (!language && (!result.language || result.relevance < MIN_DETECTION_RELEVANCE)) {
+      return;
+    }
+
+    // highlight.js escapes the text it wraps in spans
+    code.innerHTML = result.value;
+    code.classList.add('hljs');
+    if (result.language && result.language !== 'plaintext') {
+      code.parentElement?.setAttribute('data-language', languageLabel(result.language));
+    }
+  });
+
+  return doc.body.innerHTML;
+};
@@ -1,5 +1,6 @@
 import { type ClassValue, clsx } from "clsx"
 import { twMerge } from "tailwind-merge"
+import type { CloseReason, FlagReason, ImageVariantName, PostImage } from "./api"
 
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs))
@@ -16,3 +17,30 @@ export function formatDate(dateString: string): string {
   if (diffInHours < 48) return 'Yesterday';
   return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
+
+export function getErrorMessage(error: unknown, fallback: string): string {
+  const response = (error as { response?: { data?: { message?: string } } })?.response;
+  return response?.data?.message || fallback;
+}
+
+export const CLOSE_REASON_LABELS: Record<CloseReason, string> = {
+  duplicate: 'Duplicate',
+  off_topic: 'Off-topic',
+  unclear: 'Needs details or clarity',
+  too_broad: 'Needs more focus',
+};
+
+// Must match BOUNTY_AMOUNTS in server/config/bounties.js
+export const BOUNTY_AMOUNTS = [50, 100, 150, 200, 300, 500];
+
+export const FLAG_REASON_LABELS: Record<FlagReason, string> = {
+  spam: 'Spam',
+  offensive: 'Rude or offensive',
+  low_quality: 'Very low quality',
+  other: 'Needs moderator attention',
+};
+
+// URL of a resized variant of an image, or the original when there is none
+export function imageVariantUrl(image: PostImage, name: ImageVariantName): string {
+  return image.variants?.find(variant => variant.name === name)?.url || image.url;
+}
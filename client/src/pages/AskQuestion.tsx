@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
@@ -8,10 +8,10 @@ import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card'
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import RichTextEditor from '../components/RichTextEditor';
-import { questionsAPI, tagsAPI } from '../lib/api';
+import { PostFormat, questionsAPI, tagsAPI } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
-import { ArrowLeft, Tag, X } from 'lucide-react';
+import { ArrowLeft, Plus, Tag, X } from 'lucide-react';
 import LoginSignupModal from '../components/LoginSignupModal';
 
 const askQuestionSchema = z.object({
@@ -22,15 +22,35 @@ const askQuestionSchema = z.object({
 
 type AskQuestionFormData = z.infer<typeof askQuestionSchema>;
 
+const SUGGESTION_DELAY_MS = 800;
+
+const hasCodeBlock = (description: string, format: PostFormat) =>
+  format === 'markdown' ? /^\s*(```|~~~)/m.test(description) : description.includes('<pre');
+
 const AskQuestion: React.FC = () => {
   const [selectedTags, setSelectedTags] = useState<string[]>([]);
   const [tagInput, setTagInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [description, setDescription] = useState('');
+  const [format, setFormat] = useState<PostFormat>('html');
   const navigate = useNavigate();
   const { isAuthenticated, user } = useAuth();
 
+  // Suggest tags from the languages of the code blocks, once typing pauses
+  const [suggestionSource, setSuggestionSource] = useState({ description, format });
+  useEffect(() => {
+    const timer = setTimeout(() => setSuggestionSource({ description, format }), SUGGESTION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [description, format]);
+
+  const { data: suggestedTagsData } = useQuery({
+    queryKey: ['tag-suggestions', suggestionSource],
+    queryFn: () => tagsAPI.suggest(suggestionSource).then(res => res.data),
+    enabled: isAuthenticated && hasCodeBlock(suggestionSource.description, suggestionSource.format),
+  });
+  const suggestedTags = (suggestedTagsData?.tags || []).filter(tag => !selectedTags.includes(tag));
+
   // Show login modal for guest users or redirect for non-authenticated users
   if (!isAuthenticated) {
     navigate('/login');
@@ -112,8 +132,9 @@ const AskQuestion: React.FC = () => {
       // @ts-ignore
       const response = await questionsAPI.create({
         title: data.title,
-        description: description, // Use the HTML content from rich text editor
+        description: description, // HTML from the rich text editor, or Markdown source
         tags: selectedTags,
+        format,
       });
       
       toast.success('Question posted successfully!');
@@ -133,6 +154,7 @@ const AskQuestion: React.FC = () => {
     setSelectedTags([]);
     setTagInput('');
     setDescription('');
+    setFormat('html');
     setValue('title', '');
     setValue('description', '');
   };
@@ -201,6 +223,8 @@ const AskQuestion: React.FC = () => {
               <RichTextEditor
                 value={description}
                 onChange={handleDescriptionChange}
+                format={format}
+                onFormatChange={setFormat}
                 placeholder="Describe your question in detail... Include code examples, error messages, and any relevant context. Use the formatting tools above to make your question clear and readable."
                 className={errors.description ? 'border-red-500' : ''}
               />
@@ -208,7 +232,7 @@ const AskQuestion: React.FC = () => {
                 <p className="mt-1 text-sm text-red-600">{errors.description.message}</p>
               )}
               <p className="mt-2 text-xs text-gray-500">
-                Use the formatting tools above to add bold, italic, lists, links, and images to make your question clear and readable.
+                Use the formatting tools above to add bold, italic, lists, links, and images to make your question clear and readable, or switch to Markdown for tables and fenced code blocks.
               </p>
             </div>
           </CardContent>
@@ -261,6 +285,24 @@ const AskQuestion: React.FC = () => {
               </div>
             )}
 
+            {/* Tags suggested from the code in the description */}
+            {suggestedTags.length > 0 && selectedTags.length < 5 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-gray-500">Suggested from your code:</span>
+                {suggestedTags.map((tag) => (
+                  <button
+                    key={tag}
+                    type="button"
+                    onClick={() => addTag(tag)}
+                    className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium border border-dashed border-blue-300 text-blue-700 hover:bg-blue-50"
+                  >
+                    <Plus className="h-3 w-3 mr-1" />
+                    {tag}
+                  </button>
+                ))}
+              </div>
+            )}
+
             {/* Available Tags */}
             {/* Removed Popular Tags section to avoid duplicate display. Users can still add tags by typing. */}
 
@@ -33,7 +33,7 @@ const ForgotPassword: React.FC = () => {
     try {
       await authAPI.forgotPassword(data.email);
       setEmailSent(true);
-      toast.success('Password reset email sent! Please check your inbox.');
+      toast.success('Check your inbox for a password reset link.');
     } catch (error: any) {
       const message = error.response?.data?.message || 'Failed to send reset email. Please try again.';
       toast.error(message);
@@ -71,7 +71,7 @@ const ForgotPassword: React.FC = () => {
                 <CheckCircle className="mx-auto h-12 w-12 text-green-500" />
                 <h3 className="text-lg font-medium text-gray-900">Check your email</h3>
                 <p className="text-sm text-gray-600">
-                  We've sent a password reset link to your email address. Please check your inbox and follow the instructions.
+                  If an account exists for this email address, we've sent it a password reset link. Please check your inbox and follow the instructions.
                 </p>
                 <div className="pt-4">
                   <Link
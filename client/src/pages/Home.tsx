@@ -3,8 +3,9 @@ import { Link } from 'react-router-dom';
 import { useQuery, useQueries } from '@tanstack/react-query';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
-import { questionsAPI, statsAPI, tagsAPI, answersAPI } from '../lib/api';
+import { questionsAPI, statsAPI, tagsAPI, answersAPI, PostImage } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
+import { useTagPreferences } from '../hooks/useTagPreferences';
 import { 
   MessageSquare, 
   Users, 
@@ -14,9 +15,14 @@ import {
   Clock,
   Tag,
   X,
-  Eye
+  Eye,
+  Sparkles
 } from 'lucide-react';
-import { formatDate } from '../lib/utils';
+import { formatDate, imageVariantUrl } from '../lib/utils';
+import ReputationBadge from '../components/ReputationBadge';
+import ClosedBadge from '../components/ClosedBadge';
+import BountyBadge from '../components/BountyBadge';
+import PostBody from '../components/PostBody';
 
 type Answer = {
   _id: string;
@@ -25,18 +31,20 @@ type Answer = {
     _id: string;
     username: string;
     avatar?: string;
+    reputation?: number;
   };
   createdAt?: string;
   upvotes?: string[];
   downvotes?: string[];
-  images?: Array<{
-    url: string;
-    caption?: string;
-  }>;
+  images?: PostImage[];
 };
 
 const Home: React.FC = () => {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, user } = useAuth();
+  const { isWatched, isIgnored } = useTagPreferences();
+  const canUseFeed = isAuthenticated && user?.role !== 'guest';
+  const [view, setView] = useState<'recent' | 'for_you'>('recent');
+  const isFeed = view === 'for_you' && canUseFeed;
   const [showAnswersModal, setShowAnswersModal] = useState(false);
   const [viewingQuestion, setViewingQuestion] = useState<any>(null);
   const [viewingAnswers, setViewingAnswers] = useState<Answer[]>([]);
@@ -56,10 +64,13 @@ const Home: React.FC = () => {
     return colors[index];
   };
 
-  // Fetch recent questions
+  // Fetch recent questions, or the top of the personalized feed
   const { data: recentQuestionsData, error: questionsError, isLoading: questionsLoading } = useQuery({
-    queryKey: ['recent-questions'],
-    queryFn: () => questionsAPI.getAll({ limit: 5 }).then(res => res.data?.questions || []),
+    queryKey: ['recent-questions', isFeed ? 'for_you' : 'recent'],
+    queryFn: () =>
+      (isFeed ? questionsAPI.feed({ limit: 5 }) : questionsAPI.getAll({ limit: 5 })).then(
+        res => res.data?.questions || []
+      ),
     retry: 1,
   });
 
@@ -191,7 +202,26 @@ const Home: React.FC = () => {
         {/* Recent Questions */}
         <div className="lg:col-span-2">
           <div className="flex items-center justify-between mb-6">
-            <h2 className="text-2xl font-bold text-gray-900">Recent Questions</h2>
+            <div className="flex items-center gap-4">
+              <h2 className="text-2xl font-bold text-gray-900">{isFeed ? 'For You' : 'Recent Questions'}</h2>
+              {canUseFeed && (
+                <div className="flex rounded-lg border border-gray-200 p-0.5 text-sm">
+                  {([['recent', 'Recent'], ['for_you', 'For you']] as const).map(([value, label]) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setView(value)}
+                      className={`flex items-center gap-1 rounded-md px-3 py-1 font-medium ${
+                        view === value ? 'bg-stackit-100 text-stackit-700' : 'text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      {value === 'for_you' && <Sparkles className="h-3 w-3" />}
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
             <Link to="/questions">
               <Button variant="ghost" className="flex items-center gap-2 nav-link">
                 View All
@@ -216,7 +246,13 @@ const Home: React.FC = () => {
               </div>
             ) : (
               recentQuestions.map((question: any, index: number) => (
-                <Card key={question._id} className="card-stackit animate-fade-in" style={{ animationDelay: `${index * 0.1}s` }}>
+                <Card
+                  key={question._id}
+                  className={`card-stackit animate-fade-in ${
+                    question.tags?.some(isWatched) ? 'border-l-4 border-l-amber-400' : ''
+                  } ${!question.tags?.some(isWatched) && question.tags?.some(isIgnored) ? 'opacity-60' : ''}`}
+                  style={{ animationDelay: `${index * 0.1}s` }}
+                >
                   <CardContent className="p-6">
                     <div className="flex items-start justify-between">
                       <div className="flex-1">
@@ -225,6 +261,8 @@ const Home: React.FC = () => {
                           className="text-lg font-semibold text-gray-900 hover:text-stackit-600 transition-colors duration-200"
                         >
                           {question.title}
+                          <ClosedBadge status={question.status} closeReason={question.closeReason} className="ml-2 align-middle" />
+                          <BountyBadge bounty={question.bounty} className="ml-2 align-middle" />
                         </Link>
                         <div className="flex items-center gap-4 mt-2 text-sm text-gray-500">
                           <span className="flex items-center gap-1">
@@ -242,13 +280,15 @@ const Home: React.FC = () => {
                         </div>
                         <div className="flex flex-wrap gap-2 mt-3">
                           {question.tags?.map((tag: string) => (
-                            <span
+                            <Link
                               key={tag}
-                              className="tag-stackit"
+                              to={`/tags/${encodeURIComponent(tag)}`}
+                              title={isWatched(tag) ? 'Watched tag' : undefined}
+                              className={`tag-stackit ${isWatched(tag) ? 'ring-2 ring-amber-300' : ''}`}
                             >
                               <Tag className="h-3 w-3 mr-1" />
                               {tag}
-                            </span>
+                            </Link>
                           ))}
                         </div>
                         
@@ -294,6 +334,7 @@ const Home: React.FC = () => {
                                         <span className="text-sm font-medium text-gray-900">
                                           {answer.author?.username || 'Anonymous'}
                                         </span>
+                                        <ReputationBadge reputation={answer.author?.reputation} />
                                         {answer.createdAt && (
                                           <span className="text-xs text-gray-500">
                                             {formatDate(answer.createdAt)}
@@ -306,7 +347,7 @@ const Home: React.FC = () => {
                                           {answer.images.slice(0, 2).map((img, idx) => (
                                             <div key={img.url || idx} className="max-w-[100px] max-h-[100px] overflow-hidden rounded border">
                                               <img
-                                                src={img.url}
+                                                src={imageVariantUrl(img, 'thumbnail')}
                                                 alt={img.caption || `Answer image ${idx + 1}`}
                                                 className="object-contain w-full h-full"
                                               />
@@ -317,7 +358,7 @@ const Home: React.FC = () => {
                                           ))}
                                         </div>
                                       )}
-                                      <div className="prose prose-sm max-w-none text-gray-700" dangerouslySetInnerHTML={{ __html: answer.body }} />
+                                      <PostBody className="prose prose-sm max-w-none text-gray-700" html={answer.body} />
                                     </div>
                                   </div>
                                 ))}
@@ -506,6 +547,7 @@ const Home: React.FC = () => {
                           <div>
                             <div className="font-medium text-gray-900">
                               {answer.author?.username || 'Anonymous'}
+                              <ReputationBadge reputation={answer.author?.reputation} className="ml-2" />
                             </div>
                             {answer.createdAt && (
                               <div className="text-sm text-gray-500">
@@ -517,7 +559,7 @@ const Home: React.FC = () => {
                       </div>
                       
                       {/* Answer Content */}
-                      <div className="prose prose-sm max-w-none text-gray-700 mb-4" dangerouslySetInnerHTML={{ __html: answer.body }} />
+                      <PostBody className="prose prose-sm max-w-none text-gray-700 mb-4" html={answer.body} />
                       
                       {/* Images if present */}
                       {Array.isArray(answer.images) && answer.images.length > 0 && (
@@ -525,7 +567,7 @@ const Home: React.FC = () => {
                           {answer.images.map((img, idx) => (
                             <div key={img.url || idx} className="aspect-square overflow-hidden rounded-lg border">
                               <img
-                                src={img.url}
+                                src={imageVariantUrl(img, 'small')}
                                 alt={img.caption || `Answer image ${idx + 1}`}
                                 className="object-cover w-full h-full"
                               />
@@ -6,7 +6,10 @@ import { z } from 'zod';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
-import { authAPI } from '../lib/api';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import TwoFactorEnrollment from '../components/TwoFactorEnrollment';
+import OidcLoginButton from '../components/OidcLoginButton';
+import { authAPI, TwoFactorStep } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import { Eye, EyeOff, Lock, ArrowLeft, User } from 'lucide-react';
@@ -25,6 +28,7 @@ const Login: React.FC = () => {
   const [guestFirstName, setGuestFirstName] = useState('');
   const [guestLastName, setGuestLastName] = useState('');
   const [isGuestLoading, setIsGuestLoading] = useState(false);
+  const [twoFactor, setTwoFactor] = useState<{ step: TwoFactorStep; challengeToken: string } | null>(null);
   const navigate = useNavigate();
   const { login } = useAuth();
 
@@ -40,11 +44,16 @@ const Login: React.FC = () => {
     setIsLoading(true);
     try {
       const response = await authAPI.login(data);
-      const { user, token } = response.data;
+      const { user, token, refreshToken, twoFactor: step, challengeToken } = response.data;
+
+      // The password was right, but the account needs a second step
+      if (step) {
+        setTwoFactor({ step, challengeToken });
+        return;
+      }
       
-      login(user, token);
-      toast.success('Logged in successfully!');
-      navigate('/');
+      login(user, token, refreshToken);
+      finishLogin();
     } catch (error: any) {
       const message = error.response?.data?.message || 'Login failed. Please try again.';
       toast.error(message);
@@ -53,6 +62,11 @@ const Login: React.FC = () => {
     }
   };
 
+  const finishLogin = () => {
+    toast.success('Logged in successfully!');
+    navigate('/');
+  };
+
   const handleGuestSignup = async () => {
     if (!guestFirstName.trim() || !guestLastName.trim()) {
       toast.error('Please enter both first and last name');
@@ -65,9 +79,9 @@ const Login: React.FC = () => {
         first_name: guestFirstName.trim(),
         last_name: guestLastName.trim(),
       });
-      const { user, token } = response.data;
+      const { user, token, refreshToken } = response.data;
       
-      login(user, token);
+      login(user, token, refreshToken);
       toast.success(`Welcome, ${user.first_name}! You're now signed in as a guest.`);
       setShowGuestModal(false);
       setGuestFirstName('');
@@ -108,91 +122,108 @@ const Login: React.FC = () => {
             <CardTitle className="text-center">Welcome back</CardTitle>
           </CardHeader>
           <CardContent>
-            <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
-              <div>
-                <label htmlFor="identifier" className="block text-sm font-medium text-gray-700 mb-2">
-                  Username or Email
-                </label>
-                <div className="relative">
-                  <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
-                  <Input
-                    id="identifier"
-                    type="text"
-                    {...register('identifier')}
-                    className={`pl-10 ${errors.identifier ? 'border-red-500' : ''}`}
-                    placeholder="Enter your username or email"
-                  />
-                </div>
-                {errors.identifier && (
-                  <p className="mt-1 text-sm text-red-600">{errors.identifier.message}</p>
-                )}
-              </div>
+            {twoFactor?.step === 'verify' ? (
+              <TwoFactorChallenge
+                challengeToken={twoFactor.challengeToken}
+                onSuccess={finishLogin}
+                onCancel={() => setTwoFactor(null)}
+              />
+            ) : twoFactor?.step === 'enroll' ? (
+              <TwoFactorEnrollment
+                challengeToken={twoFactor.challengeToken}
+                onComplete={finishLogin}
+                onCancel={() => setTwoFactor(null)}
+              />
+            ) : (
+              <>
+                <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+                  <div>
+                    <label htmlFor="identifier" className="block text-sm font-medium text-gray-700 mb-2">
+                      Username or Email
+                    </label>
+                    <div className="relative">
+                      <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+                      <Input
+                        id="identifier"
+                        type="text"
+                        {...register('identifier')}
+                        className={`pl-10 ${errors.identifier ? 'border-red-500' : ''}`}
+                        placeholder="Enter your username or email"
+                      />
+                    </div>
+                    {errors.identifier && (
+                      <p className="mt-1 text-sm text-red-600">{errors.identifier.message}</p>
+                    )}
+                  </div>
 
-              <div>
-                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                  Password
-                </label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
-                  <Input
-                    id="password"
-                    type={showPassword ? 'text' : 'password'}
-                    {...register('password')}
-                    className={`pl-10 pr-10 ${errors.password ? 'border-red-500' : ''}`}
-                    placeholder="Enter your password"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                  >
-                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-                  </button>
-                </div>
-                {errors.password && (
-                  <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
-                )}
-              </div>
+                  <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                      Password
+                    </label>
+                    <div className="relative">
+                      <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+                      <Input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        {...register('password')}
+                        className={`pl-10 pr-10 ${errors.password ? 'border-red-500' : ''}`}
+                        placeholder="Enter your password"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                      >
+                        {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                      </button>
+                    </div>
+                    {errors.password && (
+                      <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                    )}
+                  </div>
 
-              <div className="flex items-center justify-between">
-                <div className="flex items-center">
-                  <input
-                    id="remember-me"
-                    name="remember-me"
-                    type="checkbox"
-                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                  />
-                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                    Remember me
-                  </label>
-                </div>
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <input
+                        id="remember-me"
+                        name="remember-me"
+                        type="checkbox"
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                      />
+                      <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                        Remember me
+                      </label>
+                    </div>
 
-                <div className="text-sm">
-                  <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
-                    Forgot your password?
-                  </Link>
-                </div>
-              </div>
+                    <div className="text-sm">
+                      <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+                        Forgot your password?
+                      </Link>
+                    </div>
+                  </div>
 
-              <Button
-                type="submit"
-                className="w-full"
-                disabled={isLoading}
-              >
-                {isLoading ? 'Signing in...' : 'Sign in'}
-              </Button>
-            </form>
+                  <Button
+                    type="submit"
+                    className="w-full"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? 'Signing in...' : 'Sign in'}
+                  </Button>
+                </form>
 
-            <div className="mt-6">
-              <Button 
-                variant="outline" 
-                className="w-full" 
-                onClick={() => setShowGuestModal(true)}
-              >
-                <User className="w-5 h-5 mr-2" />
-                Login as Guest
-              </Button>
-            </div>
+                <div className="mt-6 space-y-3">
+                  <OidcLoginButton />
+                  <Button 
+                    variant="outline" 
+                    className="w-full" 
+                    onClick={() => setShowGuestModal(true)}
+                  >
+                    <User className="w-5 h-5 mr-2" />
+                    Login as Guest
+                  </Button>
+                </div>
+              </>
+            )}
           </CardContent>
         </Card>
 
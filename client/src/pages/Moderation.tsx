@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import {
+  moderationAPI,
+  Flag as FlagItem,
+  FlagStatus,
+  ModerationLogEntry,
+  ReviewAction,
+} from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import TagSynonymsPanel from '../components/TagSynonymsPanel';
+import LockoutsPanel from '../components/LockoutsPanel';
+import { FLAG_REASON_LABELS, formatDate, getErrorMessage } from '../lib/utils';
+import toast from 'react-hot-toast';
+import { Shield, Flag, Check, X, Trash2, ScrollText } from 'lucide-react';
+
+const STATUS_TABS: { value: FlagStatus; label: string }[] = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'deleted', label: 'Deleted' },
+];
+
+const ACTION_LABELS: Record<ReviewAction, string> = {
+  approve: 'approved a flag on',
+  dismiss: 'dismissed a flag on',
+  delete: 'deleted',
+};
+
+const Moderation: React.FC = () => {
+  const { user, isAuthenticated } = useAuth();
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState<FlagStatus>('pending');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [logPage, setLogPage] = useState(1);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+
+  const isAdmin = isAuthenticated && user?.role === 'admin';
+
+  const { data: flagsData, isLoading } = useQuery({
+    queryKey: ['moderation', 'flags', status, currentPage],
+    queryFn: () => moderationAPI.getFlags({ status, page: currentPage }).then(res => res.data),
+    enabled: isAdmin,
+  });
+  const flags: FlagItem[] = flagsData?.flags || [];
+  const counts: Partial<Record<FlagStatus, number>> = flagsData?.counts || {};
+  const totalPages = flagsData?.pagination?.totalPages || 1;
+
+  const { data: auditLogData } = useQuery({
+    queryKey: ['moderation', 'audit-log', logPage],
+    queryFn: () => moderationAPI.getAuditLog({ page: logPage }).then(res => res.data),
+    enabled: isAdmin,
+  });
+  const entries: ModerationLogEntry[] = auditLogData?.entries || [];
+  const logTotalPages = auditLogData?.pagination?.totalPages || 1;
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ flagId, action }: { flagId: string; action: ReviewAction }) =>
+      moderationAPI.review(flagId, action, notes[flagId]?.trim()),
+    onSuccess: (res, { flagId }) => {
+      queryClient.invalidateQueries({ queryKey: ['moderation'] });
+      setNotes(prev => {
+        const next = { ...prev };
+        delete next[flagId];
+        return next;
+      });
+      toast.success(res.data?.message || 'Flag reviewed');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to review flag'));
+    },
+  });
+
+  const handleReview = (flagId: string, action: ReviewAction) => {
+    if (action === 'delete' && !window.confirm('Delete this post? This cannot be undone.')) {
+      return;
+    }
+    reviewMutation.mutate({ flagId, action });
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <p className="text-gray-600">Only administrators can access the moderation dashboard.</p>
+          <Link to="/" className="text-blue-600 hover:text-blue-500 mt-2 inline-block">
+            Go Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const postLink = (flag: FlagItem) => `/questions/${flag.question}`;
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+          <Shield className="h-7 w-7" />
+          Moderation
+        </h1>
+        <p className="text-gray-600 mt-1">Review flagged posts, manage tags and see the moderation history</p>
+      </div>
+
+      {/* Review queue */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Flag className="h-5 w-5" />
+            Flags
+          </CardTitle>
+          <div className="flex flex-wrap gap-2 pt-2">
+            {STATUS_TABS.map(tab => (
+              <Button
+                key={tab.value}
+                variant={status === tab.value ? 'default' : 'outline'}
+                size="sm"
+                onClick={() => {
+                  setStatus(tab.value);
+                  setCurrentPage(1);
+                }}
+              >
+                {tab.label}
+                <span className="ml-1 text-xs opacity-75">{counts[tab.value] ?? 0}</span>
+              </Button>
+            ))}
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {isLoading ? (
+            <p className="text-gray-500 text-sm text-center py-4">Loading flags...</p>
+          ) : flags.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center py-4">No {status} flags</p>
+          ) : (
+            flags.map(flag => (
+              <div key={flag._id} className="rounded-lg border border-gray-200 p-4 space-y-3">
+                <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <span className="flex items-center gap-2">
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                      {FLAG_REASON_LABELS[flag.reason]}
+                    </span>
+                    <span className="text-gray-600">
+                      {flag.postType} flagged by {flag.reporter?.username || 'a deleted user'}{' '}
+                      {formatDate(flag.createdAt).toLowerCase()}
+                    </span>
+                  </span>
+                  {flag.pendingFlags > 1 && (
+                    <span className="text-xs font-medium text-red-700">
+                      {flag.pendingFlags} pending flags on this post
+                    </span>
+                  )}
+                </div>
+
+                {flag.details && <p className="text-sm text-gray-700 italic">"{flag.details}"</p>}
+
+                {flag.post ? (
+                  <div className="rounded-md bg-gray-50 p-3 text-sm">
+                    <Link to={postLink(flag)} className="font-medium text-blue-600 hover:text-blue-800">
+                      {flag.post.title || 'View answer'}
+                    </Link>
+                    <p className="text-gray-700 mt-1 line-clamp-3">{flag.post.excerpt}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      by {flag.post.author?.username || 'Anonymous'}
+                      {flag.post.author && ` (${flag.post.author.reputation} reputation)`}
+                    </p>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">The post has been deleted.</p>
+                )}
+
+                {flag.status === 'pending' ? (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Input
+                      value={notes[flag._id] || ''}
+                      onChange={(e) => setNotes({ ...notes, [flag._id]: e.target.value })}
+                      placeholder="Note for the audit log (optional)"
+                      maxLength={500}
+                      className="flex-1 min-w-[12rem]"
+                    />
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleReview(flag._id, 'approve')}
+                      disabled={reviewMutation.isPending}
+                    >
+                      <Check className="h-4 w-4 mr-1" />
+                      Approve
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleReview(flag._id, 'dismiss')}
+                      disabled={reviewMutation.isPending}
+                    >
+                      <X className="h-4 w-4 mr-1" />
+                      Dismiss
+                    </Button>
+                    <Button
+                      variant="destructive"
+                      size="sm"
+                      onClick={() => handleReview(flag._id, 'delete')}
+                      disabled={reviewMutation.isPending || !flag.post}
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Delete post
+                    </Button>
+                  </div>
+                ) : (
+                  <p className="text-xs text-gray-500">
+                    {flag.status} by {flag.reviewedBy?.username || 'a moderator'}
+                    {flag.reviewedAt && ` ${formatDate(flag.reviewedAt).toLowerCase()}`}
+                  </p>
+                )}
+              </div>
+            ))
+          )}
+
+          {totalPages > 1 && (
+            <div className="flex justify-center items-center gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                disabled={currentPage === 1}
+              >
+                Previous
+              </Button>
+              <span className="px-4 py-2 text-sm text-gray-600">
+                Page {currentPage} of {totalPages}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                disabled={currentPage === totalPages}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Tag synonyms and merges */}
+      <TagSynonymsPanel />
+
+      {/* Failed logins and rate limits */}
+      <LockoutsPanel />
+
+      {/* Audit log */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <ScrollText className="h-5 w-5" />
+            Audit log
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {entries.length === 0 ? (
+            <p className="text-gray-500 text-sm text-center py-4">No moderator actions yet</p>
+          ) : (
+            entries.map(entry => (
+              <div key={entry._id} className="border-b border-gray-100 pb-3 last:border-0 text-sm">
+                <p className="text-gray-900">
+                  <span className="font-medium">{entry.moderator?.username || 'A moderator'}</span>{' '}
+                  {ACTION_LABELS[entry.action]} {entry.postAuthor ? `${entry.postAuthor.username}'s` : 'a'}{' '}
+                  {entry.postType}
+                  {entry.snapshot.title && <> "{entry.snapshot.title}"</>}
+                  {entry.flag && ` (${FLAG_REASON_LABELS[entry.flag.reason].toLowerCase()})`}
+                </p>
+                {entry.note && <p className="text-gray-600 italic">{entry.note}</p>}
+                <p className="text-xs text-gray-500">{formatDate(entry.createdAt)}</p>
+              </div>
+            ))
+          )}
+
+          {logTotalPages > 1 && (
+            <div className="flex justify-center items-center gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setLogPage(Math.max(1, logPage - 1))}
+                disabled={logPage === 1}
+              >
+                Previous
+              </Button>
+              <span className="px-4 py-2 text-sm text-gray-600">
+                Page {logPage} of {logTotalPages}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setLogPage(Math.min(logTotalPages, logPage + 1))}
+                disabled={logPage === logTotalPages}
+              >
+                Next
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Moderation;
@@ -0,0 +1,115 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import TwoFactorEnrollment from '../components/TwoFactorEnrollment';
+import { authAPI, TwoFactorStep } from '../lib/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getErrorMessage } from '../lib/utils';
+import { KeyRound, XCircle } from 'lucide-react';
+
+// Where the identity provider's redirect ends: trades the one-time code for a login
+const OidcCallback: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { login } = useAuth();
+  const [error, setError] = useState('');
+  const [twoFactor, setTwoFactor] = useState<{ step: TwoFactorStep; challengeToken: string } | null>(null);
+  const returnTo = useRef('/');
+  const hasStarted = useRef(false);
+
+  const finishLogin = () => {
+    toast.success('Login successful!');
+    navigate(returnTo.current, { replace: true });
+  };
+
+  useEffect(() => {
+    // The code works once, so don't send it twice
+    if (hasStarted.current) return;
+    hasStarted.current = true;
+
+    const code = searchParams.get('code');
+    if (!code) {
+      setError(searchParams.get('error') || 'Login with the identity provider failed. Please try again.');
+      return;
+    }
+
+    authAPI
+      .exchangeOidcLogin(code)
+      .then(res => {
+        const { user, token, refreshToken, twoFactor: step, challengeToken } = res.data;
+        returnTo.current = res.data.returnTo || '/';
+        // The provider vouched for the user, but the account needs a second step
+        if (step) {
+          setTwoFactor({ step, challengeToken });
+          return;
+        }
+        login(user, token, refreshToken);
+        toast.success('Login successful!');
+        navigate(returnTo.current, { replace: true });
+      })
+      .catch(err => {
+        setError(getErrorMessage(err, 'Login with the identity provider failed. Please try again.'));
+      });
+  }, [searchParams, login, navigate]);
+
+  if (!error && !twoFactor) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-600">Signing you in...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-blue-600 rounded-lg flex items-center justify-center">
+            <KeyRound className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Single sign-on</h2>
+        </div>
+
+        <Card>
+          {twoFactor ? (
+            <CardContent className="pt-6">
+              {twoFactor.step === 'verify' ? (
+                <TwoFactorChallenge
+                  challengeToken={twoFactor.challengeToken}
+                  onSuccess={finishLogin}
+                  onCancel={() => navigate('/login', { replace: true })}
+                />
+              ) : (
+                <TwoFactorEnrollment
+                  challengeToken={twoFactor.challengeToken}
+                  onComplete={finishLogin}
+                  onCancel={() => navigate('/login', { replace: true })}
+                />
+              )}
+            </CardContent>
+          ) : (
+            <>
+              <CardHeader>
+                <CardTitle className="flex items-center justify-center gap-2 text-red-700">
+                  <XCircle className="h-5 w-5" />
+                  Login failed
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-4 text-center">
+                <p className="text-sm text-gray-600">{error}</p>
+                <Link to="/login">
+                  <Button className="w-full">Back to login</Button>
+                </Link>
+              </CardContent>
+            </>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -5,6 +5,7 @@ import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card'
 import { Button } from '../components/ui/button';
 import { useQuery } from '@tanstack/react-query';
 import { userAPI } from '../lib/api';
+import { usePrivileges } from '../hooks/usePrivileges';
 import { 
   User, 
   Mail, 
@@ -16,13 +17,16 @@ import {
   Plus,
   Eye,
   Tag,
-  Clock
+  Clock,
+  Lock,
+  Unlock
 } from 'lucide-react';
 
 const Profile: React.FC = () => {
   const navigate = useNavigate();
   // @ts-ignore
   const { user, isAuthenticated, logout } = useAuth();
+  const { privileges, lockReason } = usePrivileges();
 
   // Fetch user's questions (only for non-guest users)
   const { data: userQuestionsData, isLoading: questionsLoading } = useQuery({
@@ -48,7 +52,7 @@ const Profile: React.FC = () => {
   // Ensure data is always an array/object
   const userQuestions = Array.isArray(userQuestionsData?.questions) ? userQuestionsData.questions : [];
   const userAnswers = Array.isArray(userAnswersData?.answers) ? userAnswersData.answers : [];
-  const userStats = userStatsData || {};
+  const userStats = userStatsData?.stats || {};
 
   if (!isAuthenticated) {
     return (
@@ -179,14 +183,48 @@ const Profile: React.FC = () => {
                   </span>
                 </div>
                 <div className="flex items-center justify-between">
-                  <span className="text-sm text-gray-600">Total Votes</span>
+                  <span className="text-sm text-gray-600">Reputation</span>
                   <span className="font-semibold">
-                    {statsLoading ? '...' : (userStats.totalVotes || 0)}
+                    {statsLoading ? '...' : (userStats.reputation || 0).toLocaleString()}
                   </span>
                 </div>
               </div>
             </CardContent>
           </Card>
+
+          {/* Privileges */}
+          {privileges.length > 0 && (
+            <Card className="mt-6">
+              <CardHeader>
+                <CardTitle>Privileges</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ul className="space-y-3">
+                  {privileges.map(privilege => (
+                    <li
+                      key={privilege.name}
+                      className="flex items-start gap-2 text-sm"
+                      title={lockReason(privilege.name) || 'Unlocked'}
+                    >
+                      {privilege.unlocked ? (
+                        <Unlock className="h-4 w-4 mt-0.5 text-green-600" />
+                      ) : (
+                        <Lock className="h-4 w-4 mt-0.5 text-gray-400" />
+                      )}
+                      <div className="flex-1">
+                        <div className={privilege.unlocked ? 'text-gray-900' : 'text-gray-500'}>
+                          {privilege.description}
+                        </div>
+                        <div className="text-xs text-gray-400">
+                          {privilege.reputation.toLocaleString()} reputation
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </CardContent>
+            </Card>
+          )}
         </div>
 
         {/* Activity */}
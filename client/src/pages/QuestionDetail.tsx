@@ -1,12 +1,22 @@
 import React, { useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import RichTextEditor from '../components/RichTextEditor';
+import PostBody from '../components/PostBody';
 import LoginSignupModal from '../components/LoginSignupModal';
-import { questionsAPI, answersAPI } from '../lib/api';
+import CommentThread from '../components/CommentThread';
+import ReputationBadge from '../components/ReputationBadge';
+import RevisionHistory from '../components/RevisionHistory';
+import CloseQuestionForm from '../components/CloseQuestionForm';
+import BountyPanel from '../components/BountyPanel';
+import FlagPostForm from '../components/FlagPostForm';
+import { questionsAPI, answersAPI, CloseReason, PostFormat } from '../lib/api';
+import { CLOSE_REASON_LABELS, getErrorMessage } from '../lib/utils';
 import { useAuth } from '../contexts/AuthContext';
+import { usePrivileges } from '../hooks/usePrivileges';
+import { useQuestionStream } from '../hooks/useQuestionStream';
 import toast from 'react-hot-toast';
 import { 
   ArrowLeft, 
@@ -19,24 +29,34 @@ import {
   Edit,
   Trash2,
   User,
-  Plus
+  Plus,
+  History,
+  Lock,
+  Flag
 } from 'lucide-react';
 
 const QuestionDetail: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
+  const { lockReason } = usePrivileges();
   const queryClient = useQueryClient();
   const [showAnswerForm, setShowAnswerForm] = useState(false);
   const [answerContent, setAnswerContent] = useState('');
+  const [answerFormat, setAnswerFormat] = useState<PostFormat>('html');
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [historyPostId, setHistoryPostId] = useState<string | null>(null);
+  const [showCloseForm, setShowCloseForm] = useState(false);
+  const [flagPostId, setFlagPostId] = useState<string | null>(null);
 
   // Fetch question details
-  const { data: question, isLoading } = useQuery({
+  const { data: questionData, isLoading } = useQuery({
     queryKey: ['question', id],
     queryFn: () => questionsAPI.getById(id!).then(res => res.data),
     enabled: !!id,
   });
+  const question = questionData?.question;
+  const closeVoteThreshold: number = questionData?.closeVoteThreshold ?? 0;
 
   // Fetch answers
   const { data: answersData } = useQuery({
@@ -46,6 +66,9 @@ const QuestionDetail: React.FC = () => {
   });
   const answers = Array.isArray(answersData?.answers) ? answersData.answers : [];
 
+  // Live answers, votes and accepts from other readers
+  const { newAnswers, showNewAnswers } = useQuestionStream(id, user?._id);
+
   // Calculate vote counts
   const getVoteCount = (upvotes: string[] = [], downvotes: string[] = []) => {
     return upvotes.length - downvotes.length;
@@ -88,10 +111,11 @@ const QuestionDetail: React.FC = () => {
   // Answer mutations
   const createAnswerMutation = useMutation({
     mutationFn: (body: string) =>
-      answersAPI.create(id!, { body }),
+      answersAPI.create(id!, { body, format: answerFormat }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['answers', id] });
       setAnswerContent('');
+      setAnswerFormat('html');
       setShowAnswerForm(false);
       toast.success('Answer posted successfully!');
     },
@@ -105,6 +129,8 @@ const QuestionDetail: React.FC = () => {
     mutationFn: (answerId: string) => answersAPI.accept(answerId),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['answers', id] });
+      // Accepting may award the bounty
+      queryClient.invalidateQueries({ queryKey: ['question', id] });
       toast.success('Answer accepted!');
     },
     onError: (error: any) => {
@@ -113,6 +139,38 @@ const QuestionDetail: React.FC = () => {
     },
   });
 
+  const closeQuestionMutation = useMutation({
+    mutationFn: (closeData: { reason: CloseReason; duplicateOf?: string }) =>
+      questionsAPI.close(id!, closeData),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['question', id] });
+      setShowCloseForm(false);
+      toast.success(res.data?.message || 'Close vote recorded');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to vote to close'));
+    },
+  });
+
+  const reopenQuestionMutation = useMutation({
+    mutationFn: () => questionsAPI.reopen(id!),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['question', id] });
+      toast.success(res.data?.message || 'Reopen vote recorded');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to vote to reopen'));
+    },
+  });
+
+  const handleFlag = (postId: string) => {
+    if (user?.role === 'guest') {
+      setShowLoginModal(true);
+      return;
+    }
+    setFlagPostId(flagPostId === postId ? null : postId);
+  };
+
   const handleVoteQuestion = (voteType: 'upvote' | 'downvote') => {
     if (!isAuthenticated) {
       toast.error('Please log in to vote');
@@ -122,6 +180,11 @@ const QuestionDetail: React.FC = () => {
       setShowLoginModal(true);
       return;
     }
+    const downvoteLock = voteType === 'downvote' ? lockReason('downvote') : null;
+    if (downvoteLock) {
+      toast.error(downvoteLock);
+      return;
+    }
     voteQuestionMutation.mutate({ voteType });
   };
 
@@ -134,6 +197,11 @@ const QuestionDetail: React.FC = () => {
       setShowLoginModal(true);
       return;
     }
+    const downvoteLock = voteType === 'downvote' ? lockReason('downvote') : null;
+    if (downvoteLock) {
+      toast.error(downvoteLock);
+      return;
+    }
     voteAnswerMutation.mutate({ answerId, voteType });
   };
 
@@ -149,6 +217,26 @@ const QuestionDetail: React.FC = () => {
     createAnswerMutation.mutate(answerContent);
   };
 
+  // Close and reopen votes share the close_vote privilege
+  const canVoteToClose = () => {
+    if (user?.role === 'guest') {
+      setShowLoginModal(true);
+      return false;
+    }
+    const closeLock = lockReason('close_vote');
+    if (closeLock) {
+      toast.error(closeLock);
+      return false;
+    }
+    return true;
+  };
+
+  const handleReopen = () => {
+    if (canVoteToClose() && window.confirm('Vote to reopen this question?')) {
+      reopenQuestionMutation.mutate();
+    }
+  };
+
   const handleLoginSuccess = () => {
     // Close modal and refresh the component state
     setShowLoginModal(false);
@@ -197,6 +285,10 @@ const QuestionDetail: React.FC = () => {
   }
 
   const questionVoteCount = getVoteCount(question.upvotes, question.downvotes);
+  const isClosed = question.status === 'closed';
+  const closeReason = question.closeReason as CloseReason | null;
+  const pendingVotes: string[] = (isClosed ? question.reopenVotes : question.closeVotes) || [];
+  const hasVotedOnStatus = !!user?._id && pendingVotes.includes(user._id);
 
   return (
     <>
@@ -245,6 +337,7 @@ const QuestionDetail: React.FC = () => {
                 className={`p-1 rounded-full ${hasUserVoted(question.upvotes, question.downvotes, 'downvote') ? 'bg-red-100 text-red-600' : 'text-gray-400 hover:bg-gray-100'}`}
                 disabled={voteQuestionMutation.isPending}
                 aria-label="Downvote"
+                title={lockReason('downvote') || 'Downvote'}
               >
                 <ArrowDown className="h-6 w-6" />
               </Button>
@@ -252,11 +345,45 @@ const QuestionDetail: React.FC = () => {
 
             {/* Question Content */}
             <div className="flex-1">
-              <h1 className="text-2xl font-bold text-gray-900 mb-4">{question.title}</h1>
+              <h1 className="text-2xl font-bold text-gray-900 mb-4">
+                {question.title}
+                {isClosed && (
+                  <span className="ml-2 text-gray-500 font-normal">
+                    [{closeReason === 'duplicate' ? 'duplicate' : 'closed'}]
+                  </span>
+                )}
+              </h1>
+
+              {isClosed && (
+                <div className="mb-6 rounded-md border border-yellow-300 bg-yellow-50 p-4 text-sm text-yellow-900">
+                  <p className="flex items-center gap-2 font-semibold">
+                    <Lock className="h-4 w-4" />
+                    Closed{closeReason && ` as ${CLOSE_REASON_LABELS[closeReason].toLowerCase()}`}
+                    {question.closedAt && ` ${formatDate(question.closedAt).toLowerCase()}`}
+                  </p>
+                  {question.duplicateOf?._id && (
+                    <p className="mt-1">
+                      This question already has an answer here:{' '}
+                      <Link to={`/questions/${question.duplicateOf._id}`} className="text-blue-700 underline">
+                        {question.duplicateOf.title}
+                      </Link>
+                    </p>
+                  )}
+                  <p className="mt-1">This question is not accepting answers.</p>
+                </div>
+              )}
+
+              <BountyPanel
+                questionId={id!}
+                bounty={question.bounty ?? null}
+                bountyWatchers={question.bountyWatchers || []}
+                isAuthor={question.author?._id === user?._id}
+                canOffer={!isClosed && !question.answers?.length && answers.length === 0}
+              />
               
-              <div 
+              <PostBody
                 className="prose prose-sm max-w-none mb-6"
-                dangerouslySetInnerHTML={{ __html: question.description }}
+                html={question.description}
               />
 
               <div className="flex items-center justify-between">
@@ -269,20 +396,87 @@ const QuestionDetail: React.FC = () => {
                     <User className="h-4 w-4" />
                     {question.author?.username || 'Anonymous'}
                   </span>
+                  <ReputationBadge reputation={question.author?.reputation} />
+                  <button
+                    type="button"
+                    className="flex items-center gap-1 hover:text-blue-600"
+                    onClick={() => setHistoryPostId(historyPostId === id ? null : id!)}
+                  >
+                    <History className="h-4 w-4" />
+                    History
+                  </button>
+                  {isAuthenticated && (
+                    <button
+                      type="button"
+                      className="flex items-center gap-1 hover:text-blue-600 disabled:opacity-50"
+                      title={lockReason('close_vote') || undefined}
+                      disabled={hasVotedOnStatus || closeQuestionMutation.isPending || reopenQuestionMutation.isPending}
+                      onClick={() => {
+                        if (isClosed) {
+                          handleReopen();
+                        } else if (canVoteToClose()) {
+                          setShowCloseForm(!showCloseForm);
+                        }
+                      }}
+                    >
+                      <Lock className="h-4 w-4" />
+                      {isClosed ? 'Reopen' : 'Close'}
+                      {pendingVotes.length > 0 && ` (${pendingVotes.length}/${closeVoteThreshold})`}
+                    </button>
+                  )}
+                  {isAuthenticated && question.author?._id !== user?._id && (
+                    <button
+                      type="button"
+                      className="flex items-center gap-1 hover:text-red-600"
+                      onClick={() => handleFlag(id!)}
+                    >
+                      <Flag className="h-4 w-4" />
+                      Flag
+                    </button>
+                  )}
                 </div>
 
                 <div className="flex flex-wrap gap-2">
                   {question.tags?.map((tag: string) => (
-                    <span
+                    <Link
                       key={tag}
-                      className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                      to={`/tags/${encodeURIComponent(tag)}`}
+                      className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 hover:bg-blue-200"
                     >
                       <Tag className="h-3 w-3 mr-1" />
                       {tag}
-                    </span>
+                    </Link>
                   ))}
                 </div>
               </div>
+
+              {showCloseForm && !isClosed && (
+                <CloseQuestionForm
+                  isPending={closeQuestionMutation.isPending}
+                  onSubmit={(closeData) => closeQuestionMutation.mutate(closeData)}
+                  onCancel={() => setShowCloseForm(false)}
+                />
+              )}
+
+              {flagPostId === id && (
+                <FlagPostForm postType="question" postId={id!} onClose={() => setFlagPostId(null)} />
+              )}
+
+              {historyPostId === id && (
+                <RevisionHistory
+                  postType="question"
+                  postId={id!}
+                  questionId={id!}
+                  canRollback={question.author?._id === user?._id || user?.role === 'admin'}
+                  onClose={() => setHistoryPostId(null)}
+                />
+              )}
+
+              <CommentThread
+                postType="question"
+                postId={id!}
+                onRequireLogin={() => setShowLoginModal(true)}
+              />
             </div>
           </div>
         </CardContent>
@@ -294,7 +488,7 @@ const QuestionDetail: React.FC = () => {
           <h2 className="text-xl font-semibold text-gray-900">
             {answers.length} Answer{answers.length !== 1 ? 's' : ''}
           </h2>
-          {isAuthenticated && (
+          {isAuthenticated && !isClosed && (
             <Button
               onClick={() => setShowAnswerForm(!showAnswerForm)}
               className="flex items-center gap-2"
@@ -305,8 +499,18 @@ const QuestionDetail: React.FC = () => {
           )}
         </div>
 
+        {newAnswers.length > 0 && (
+          <button
+            type="button"
+            className="w-full rounded-md border border-blue-200 bg-blue-50 py-2 text-sm font-medium text-blue-700 hover:bg-blue-100"
+            onClick={showNewAnswers}
+          >
+            {newAnswers.length} new answer{newAnswers.length !== 1 ? 's' : ''}, click to show
+          </button>
+        )}
+
         {/* Answer Form */}
-        {showAnswerForm && (
+        {showAnswerForm && !isClosed && (
           <Card className="border-blue-200 bg-blue-50">
             <CardHeader>
               <CardTitle>Your Answer</CardTitle>
@@ -315,6 +519,8 @@ const QuestionDetail: React.FC = () => {
               <RichTextEditor
                 value={answerContent}
                 onChange={setAnswerContent}
+                format={answerFormat}
+                onFormatChange={setAnswerFormat}
                 placeholder="Write your answer here..."
               />
               <div className="flex justify-end gap-2">
@@ -342,9 +548,9 @@ const QuestionDetail: React.FC = () => {
               <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
               <h3 className="text-lg font-medium text-gray-900 mb-2">No answers yet</h3>
               <p className="text-gray-600 mb-4">
-                Be the first to answer this question!
+                {isClosed ? 'This question is closed to new answers.' : 'Be the first to answer this question!'}
               </p>
-              {isAuthenticated && (
+              {isAuthenticated && !isClosed && (
                 <Button onClick={() => setShowAnswerForm(true)}>
                   <Plus className="h-4 w-4 mr-1" />
                   Add Answer
@@ -380,19 +586,28 @@ const QuestionDetail: React.FC = () => {
                         className={`p-1 rounded-full ${hasUserVoted(answer.upvotes, answer.downvotes, 'downvote') ? 'bg-red-100 text-red-600' : 'text-gray-400 hover:bg-gray-100'}`}
                         disabled={voteAnswerMutation.isPending}
                         aria-label="Downvote"
+                        title={lockReason('downvote') || 'Downvote'}
                       >
                         <ArrowDown className="h-5 w-5" />
                       </Button>
                       {answer.isAccepted && (
                         <CheckCircle className="h-6 w-6 text-green-600 mt-2" />
                       )}
+                      {question.bounty?.status === 'awarded' && question.bounty.awardedTo === answer._id && (
+                        <span
+                          title="Bounty awarded to this answer"
+                          className="mt-2 rounded bg-blue-600 px-1.5 py-0.5 text-xs font-semibold text-white"
+                        >
+                          +{question.bounty.amount}
+                        </span>
+                      )}
                     </div>
 
                     {/* Answer Content */}
                     <div className="flex-1">
-                      <div 
+                      <PostBody
                         className="prose prose-sm max-w-none mb-4"
-                        dangerouslySetInnerHTML={{ __html: answer.body }}
+                        html={answer.body}
                       />
 
                       <div className="flex items-center justify-between">
@@ -405,6 +620,25 @@ const QuestionDetail: React.FC = () => {
                             <User className="h-4 w-4" />
                             {answer.author?.username || 'Anonymous'}
                           </span>
+                          <ReputationBadge reputation={answer.author?.reputation} />
+                          <button
+                            type="button"
+                            className="flex items-center gap-1 hover:text-blue-600"
+                            onClick={() => setHistoryPostId(historyPostId === answer._id ? null : answer._id)}
+                          >
+                            <History className="h-4 w-4" />
+                            History
+                          </button>
+                          {isAuthenticated && answer.author?._id !== user?._id && (
+                            <button
+                              type="button"
+                              className="flex items-center gap-1 hover:text-red-600"
+                              onClick={() => handleFlag(answer._id)}
+                            >
+                              <Flag className="h-4 w-4" />
+                              Flag
+                            </button>
+                          )}
                         </div>
 
                         <div className="flex items-center gap-2">
@@ -431,6 +665,30 @@ const QuestionDetail: React.FC = () => {
                           )}
                         </div>
                       </div>
+
+                      {flagPostId === answer._id && (
+                        <FlagPostForm
+                          postType="answer"
+                          postId={answer._id}
+                          onClose={() => setFlagPostId(null)}
+                        />
+                      )}
+
+                      {historyPostId === answer._id && (
+                        <RevisionHistory
+                          postType="answer"
+                          postId={answer._id}
+                          questionId={id!}
+                          canRollback={answer.author?._id === user?._id || user?.role === 'admin'}
+                          onClose={() => setHistoryPostId(null)}
+                        />
+                      )}
+
+                      <CommentThread
+                        postType="answer"
+                        postId={answer._id}
+                        onRequireLogin={() => setShowLoginModal(true)}
+                      />
                     </div>
                   </div>
                 </CardContent>
@@ -1,11 +1,13 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient, useQueries } from '@tanstack/react-query';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
-import { questionsAPI, tagsAPI } from '../lib/api';
+import { questionsAPI, tagsAPI, PostImage } from '../lib/api';
 import { useAuth } from '../contexts/AuthContext';
+import { usePrivileges } from '../hooks/usePrivileges';
+import { useTagPreferences } from '../hooks/useTagPreferences';
 import LoginSignupModal from '../components/LoginSignupModal';
 import { 
   Search, 
@@ -17,11 +19,17 @@ import {
   Plus,
   ArrowUp,
   ArrowDown,
-  X
+  X,
+  HelpCircle,
+  Sparkles
 } from 'lucide-react';
-import { formatDate } from '../lib/utils';
+import { formatDate, imageVariantUrl } from '../lib/utils';
+import ReputationBadge from '../components/ReputationBadge';
+import ClosedBadge from '../components/ClosedBadge';
+import BountyBadge from '../components/BountyBadge';
 import RichTextEditor from '../components/RichTextEditor';
-import { answersAPI } from '../lib/api';
+import PostBody from '../components/PostBody';
+import { answersAPI, PostFormat } from '../lib/api';
 import toast from 'react-hot-toast';
 
 type Answer = {
@@ -31,33 +39,54 @@ type Answer = {
     _id: string;
     username: string;
     avatar?: string;
+    reputation?: number;
   };
   createdAt?: string;
   upvotes?: string[];
   downvotes?: string[];
-  images?: Array<{
-    url: string;
-    caption?: string;
-  }>;
+  images?: PostImage[];
 };
 
+// Search results come back with matches wrapped in <mark>
+const highlightClassName = '[&_mark]:bg-yellow-100 [&_mark]:text-inherit [&_mark]:rounded-sm';
+
 const Questions: React.FC = () => {
   const { isAuthenticated, user } = useAuth();
+  const { lockReason } = usePrivileges();
+  const { isWatched, isIgnored } = useTagPreferences();
+  const canUseFeed = isAuthenticated && user?.role !== 'guest';
   const queryClient = useQueryClient();
   const [searchQuery, setSearchQuery] = useState('');
+  const [activeSearch, setActiveSearch] = useState('');
+  const [showSearchHelp, setShowSearchHelp] = useState(false);
+  const [searchParams] = useSearchParams();
+  const urlSearch = searchParams.get('search')?.trim() || '';
   const [selectedTag, setSelectedTag] = useState('');
   const [sortBy, setSortBy] = useState('newest');
+  const [featuredOnly, setFeaturedOnly] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
+  // 'for_you' ranks by watched tags and hides ignored ones; search, sort and filters do not apply
+  const [view, setView] = useState<'all' | 'for_you'>('all');
   const [showLoginModal, setShowLoginModal] = useState(false);
   const [votingQuestionId, setVotingQuestionId] = useState<string | null>(null);
   const [showAnswerModal, setShowAnswerModal] = useState(false);
   const [answerContent, setAnswerContent] = useState('');
+  const [answerFormat, setAnswerFormat] = useState<PostFormat>('html');
   const [answeringQuestionId, setAnsweringQuestionId] = useState<string | null>(null);
   const [isSubmittingAnswer, setIsSubmittingAnswer] = useState(false);
   const [showAnswersModal, setShowAnswersModal] = useState(false);
   const [viewingQuestion, setViewingQuestion] = useState<any>(null);
   const [viewingAnswers, setViewingAnswers] = useState<Answer[]>([]);
 
+  // Searches submitted from the header arrive as ?search=
+  useEffect(() => {
+    if (!urlSearch) return;
+    setSearchQuery(urlSearch);
+    setActiveSearch(urlSearch);
+    setSortBy('relevance');
+    setCurrentPage(1);
+  }, [urlSearch]);
+
   // Calculate vote counts
   const getVoteCount = (upvotes: string[] = [], downvotes: string[] = []) => {
     return upvotes.length - downvotes.length;
@@ -86,15 +115,30 @@ const Questions: React.FC = () => {
   };
 
   // Fetch questions
+  const isFeed = view === 'for_you' && canUseFeed;
+  const questionsQueryKey = isFeed
+    ? ['questions', { view, currentPage }]
+    : ['questions', { activeSearch, selectedTag, sortBy, featuredOnly, currentPage }];
   const { data: questionsData, isLoading, error } = useQuery({
-    queryKey: ['questions', { searchQuery, selectedTag, sortBy, currentPage }],
-    queryFn: () => questionsAPI.getAll({
-      page: currentPage,
-      limit: 10,
-      search: searchQuery,
-      sort: sortBy,
-      tag: selectedTag || undefined,
-    }).then(res => res.data),
+    queryKey: questionsQueryKey,
+    queryFn: () => (isFeed
+      ? questionsAPI.feed({ page: currentPage, limit: 10 })
+      : activeSearch
+      // Tag and featured filters are folded into the search as operators
+      ? questionsAPI.search(
+          [activeSearch, selectedTag && `[${selectedTag}]`, featuredOnly && 'is:featured']
+            .filter(Boolean)
+            .join(' '),
+          { page: currentPage, limit: 10, sort: sortBy }
+        )
+      : questionsAPI.getAll({
+          page: currentPage,
+          limit: 10,
+          sort: sortBy,
+          tag: selectedTag || undefined,
+          featured: featuredOnly || undefined,
+        })
+    ).then(res => res.data),
   });
 
   const questions = questionsData?.questions || [];
@@ -118,16 +162,29 @@ const Questions: React.FC = () => {
 
   const handleSearch = (e: React.FormEvent) => {
     e.preventDefault();
+    const search = searchQuery.trim();
+    setActiveSearch(search);
+    // Rank by relevance when searching; relevance means nothing without a query
+    if (search && !activeSearch) setSortBy('relevance');
+    if (!search && sortBy === 'relevance') setSortBy('newest');
+    setView('all');
     setCurrentPage(1);
   };
 
   const handleTagClick = (tag: string) => {
     setSelectedTag(selectedTag === tag ? '' : tag);
+    setView('all');
+    setCurrentPage(1);
+  };
+
+  const handleViewChange = (next: 'all' | 'for_you') => {
+    setView(next);
     setCurrentPage(1);
   };
 
   const handleSortChange = (sort: string) => {
     setSortBy(sort);
+    setView('all');
     setCurrentPage(1);
   };
 
@@ -137,8 +194,8 @@ const Questions: React.FC = () => {
       questionsAPI.vote(questionId, voteType),
     onMutate: async ({ questionId, voteType }) => {
       await queryClient.cancelQueries({ queryKey: ['questions'] });
-      const previousData = queryClient.getQueryData(['questions', { searchQuery, selectedTag, sortBy, currentPage }]);
-      queryClient.setQueryData(['questions', { searchQuery, selectedTag, sortBy, currentPage }], (old: any) => {
+      const previousData = queryClient.getQueryData(questionsQueryKey);
+      queryClient.setQueryData(questionsQueryKey, (old: any) => {
         if (!old || !user || !user._id) return old;
         return {
           ...old,
@@ -173,7 +230,7 @@ const Questions: React.FC = () => {
       err, variables, context
     ) => {
       if (context?.previousData) {
-        queryClient.setQueryData(['questions', { searchQuery, selectedTag, sortBy, currentPage }], context.previousData);
+        queryClient.setQueryData(questionsQueryKey, context.previousData);
       }
       setVotingQuestionId(null);
     },
@@ -193,6 +250,11 @@ const Questions: React.FC = () => {
       setShowLoginModal(true);
       return;
     }
+    const downvoteLock = voteType === 'downvote' ? lockReason('downvote') : null;
+    if (downvoteLock) {
+      toast.error(downvoteLock);
+      return;
+    }
     setVotingQuestionId(question._id);
     voteQuestionMutation.mutate({ questionId: question._id, voteType });
   };
@@ -206,12 +268,14 @@ const Questions: React.FC = () => {
     setAnsweringQuestionId(questionId);
     setShowAnswerModal(true);
     setAnswerContent('');
+    setAnswerFormat('html');
   };
 
   const handleCloseAnswerModal = () => {
     setShowAnswerModal(false);
     setAnsweringQuestionId(null);
     setAnswerContent('');
+    setAnswerFormat('html');
   };
 
   const handleSubmitAnswer = async () => {
@@ -221,7 +285,7 @@ const Questions: React.FC = () => {
     }
     setIsSubmittingAnswer(true);
     try {
-      await answersAPI.create(answeringQuestionId!, { body: answerContent });
+      await answersAPI.create(answeringQuestionId!, { body: answerContent, format: answerFormat });
       toast.success('Answer posted!');
       handleCloseAnswerModal();
       // Optionally, refresh questions or answers list here
@@ -287,8 +351,34 @@ const Questions: React.FC = () => {
                 </div>
               </div>
               <Button type="submit">Search</Button>
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                aria-label="Search syntax"
+                title="Search syntax"
+                onClick={() => setShowSearchHelp(!showSearchHelp)}
+              >
+                <HelpCircle className="h-4 w-4" />
+              </Button>
             </div>
 
+            {showSearchHelp && (
+              <div className="rounded-md bg-gray-50 p-3 text-sm text-gray-600">
+                <p className="mb-2">Combine words with any of these operators:</p>
+                <ul className="grid gap-1 sm:grid-cols-2">
+                  <li><code className="text-gray-900">[react]</code> tagged with react</li>
+                  <li><code className="text-gray-900">user:alice</code> asked by alice</li>
+                  <li><code className="text-gray-900">is:answered</code>, <code className="text-gray-900">is:unanswered</code>, <code className="text-gray-900">is:accepted</code></li>
+                  <li><code className="text-gray-900">is:featured</code> has an active bounty</li>
+                  <li><code className="text-gray-900">score:&gt;5</code> more than 5 votes (also <code className="text-gray-900">&gt;=</code>, <code className="text-gray-900">&lt;</code>, <code className="text-gray-900">&lt;=</code>)</li>
+                  <li><code className="text-gray-900">answers:&gt;=2</code> at least 2 answers</li>
+                  <li><code className="text-gray-900">"exact phrase"</code> exact phrase</li>
+                  <li><code className="text-gray-900">-word</code> exclude a word</li>
+                </ul>
+              </div>
+            )}
+
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
                 <span className="text-sm font-medium text-gray-700">Sort by:</span>
@@ -297,6 +387,7 @@ const Questions: React.FC = () => {
                   onChange={(e) => handleSortChange(e.target.value)}
                   className="text-sm border border-gray-300 rounded-md px-3 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
+                  {activeSearch && <option value="relevance">Relevance</option>}
                   <option value="newest">Newest</option>
                   <option value="oldest">Oldest</option>
                   <option value="most_voted">Most Votes</option>
@@ -304,6 +395,20 @@ const Questions: React.FC = () => {
                 </select>
               </div>
 
+              <Button
+                type="button"
+                variant={featuredOnly ? 'default' : 'outline'}
+                size="sm"
+                title="Questions with an active bounty"
+                onClick={() => {
+                  setFeaturedOnly(!featuredOnly);
+                  setView('all');
+                  setCurrentPage(1);
+                }}
+              >
+                Featured
+              </Button>
+
               {/* Tag Filter */}
               {selectedTag && (
                 <Button
@@ -350,7 +455,7 @@ const Questions: React.FC = () => {
       </Card>
 
       {/* Selected Tag Filter */}
-      {selectedTag && (
+      {selectedTag && !isFeed && (
         <div className="mb-4">
           <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-blue-100 text-blue-800 mr-2">
             <Tag className="h-3 w-3 mr-1" />
@@ -365,6 +470,38 @@ const Questions: React.FC = () => {
             </button>
           </span>
           <span className="text-gray-500">Showing results for this tag</span>
+          <Link
+            to={`/tags/${encodeURIComponent(selectedTag)}`}
+            className="ml-2 text-sm text-blue-600 hover:text-blue-500"
+          >
+            About this tag
+          </Link>
+        </div>
+      )}
+
+      {/* All / For you */}
+      {canUseFeed && (
+        <div className="flex items-center gap-2 border-b border-gray-200">
+          {([['all', 'All questions'], ['for_you', 'For you']] as const).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => handleViewChange(value)}
+              className={`-mb-px flex items-center gap-1 border-b-2 px-3 py-2 text-sm font-medium ${
+                view === value
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {value === 'for_you' && <Sparkles className="h-4 w-4" />}
+              {label}
+            </button>
+          ))}
+          {isFeed && (
+            <Link to="/settings" className="ml-auto text-sm text-gray-500 hover:text-blue-600">
+              Edit watched tags
+            </Link>
+          )}
         </div>
       )}
 
@@ -396,9 +533,11 @@ const Questions: React.FC = () => {
               <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
               <h3 className="text-lg font-medium text-gray-900 mb-2">No questions found</h3>
               <p className="text-gray-600 mb-4">
-                {searchQuery || selectedTag 
-                  ? 'Try adjusting your search criteria or browse all questions.'
-                  : 'Be the first to ask a question!'
+                {isFeed
+                  ? 'Every question is in one of your ignored tags. Adjust your tag preferences in settings.'
+                  : activeSearch || selectedTag
+                    ? 'Try adjusting your search criteria or browse all questions.'
+                    : 'Be the first to ask a question!'
                 }
               </p>
               {isAuthenticated && (
@@ -411,8 +550,15 @@ const Questions: React.FC = () => {
         ) : (
           questions.map((question: any) => {
             const voteCount = getVoteCount(question.upvotes, question.downvotes);
+            const watched = question.tags?.some(isWatched);
+            const ignored = !watched && question.tags?.some(isIgnored);
             return (
-              <Card key={question._id} className="hover:shadow-md transition-shadow">
+              <Card
+                key={question._id}
+                className={`hover:shadow-md transition-shadow ${watched ? 'border-l-4 border-l-amber-400' : ''} ${
+                  ignored ? 'opacity-60 hover:opacity-100' : ''
+                }`}
+              >
                 <CardContent className="p-6">
                   <div className="flex items-start gap-4">
                     {/* Reddit-style Vote Controls */}
@@ -433,6 +579,7 @@ const Questions: React.FC = () => {
                         size="icon"
                         className={`p-1 rounded-full ${hasUserVoted(question.upvotes, question.downvotes, 'downvote') ? 'bg-red-100 text-red-600' : 'text-gray-400 hover:bg-gray-100'}`}
                         aria-label="Downvote"
+                        title={lockReason('downvote') || 'Downvote'}
                         disabled={
                           votingQuestionId === question._id ||
                           question.author?._id === user?._id ||
@@ -454,9 +601,18 @@ const Questions: React.FC = () => {
                           to={`/questions/${question._id}`}
                           className="text-lg font-semibold text-gray-900 hover:text-blue-600 transition-colors"
                         >
-                          {question.title}
+                          {question.highlights ? (
+                            <span
+                              className={highlightClassName}
+                              dangerouslySetInnerHTML={{ __html: question.highlights.title }}
+                            />
+                          ) : (
+                            question.title
+                          )}
+                          <ClosedBadge status={question.status} closeReason={question.closeReason} className="ml-2 align-middle" />
+                          <BountyBadge bounty={question.bounty} className="ml-2 align-middle" />
                         </Link>
-                        {isAuthenticated && (
+                        {isAuthenticated && question.status !== 'closed' && (
                           <Button
                             variant="outline"
                             size="sm"
@@ -467,10 +623,17 @@ const Questions: React.FC = () => {
                           </Button>
                         )}
                       </div>
-                      <div className="mt-2 text-gray-600 line-clamp-2">
-                        {question.description.replace(/<[^>]*>/g, '').substring(0, 200)}
-                        {question.description.length > 200 && '...'}
-                      </div>
+                      {question.highlights ? (
+                        <div
+                          className={`mt-2 text-gray-600 line-clamp-2 ${highlightClassName}`}
+                          dangerouslySetInnerHTML={{ __html: question.highlights.snippet }}
+                        />
+                      ) : (
+                        <div className="mt-2 text-gray-600 line-clamp-2">
+                          {question.description.replace(/<[^>]*>/g, '').substring(0, 200)}
+                          {question.description.length > 200 && '...'}
+                        </div>
+                      )}
                       <div className="flex items-center gap-6 mt-4 text-sm text-gray-500">
                         <span className="flex items-center gap-1">
                           <MessageSquare className="h-4 w-4" />
@@ -492,13 +655,19 @@ const Questions: React.FC = () => {
                       </div>
                       <div className="flex flex-wrap gap-2 mt-2">
                         {question.tags?.map((tag: string) => (
-                          <span
+                          <Link
                             key={tag}
-                            className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                            to={`/tags/${encodeURIComponent(tag)}`}
+                            title={isWatched(tag) ? 'Watched tag' : undefined}
+                            className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                              isWatched(tag)
+                                ? 'bg-amber-100 text-amber-800 hover:bg-amber-200'
+                                : 'bg-blue-100 text-blue-800 hover:bg-blue-200'
+                            }`}
                           >
                             <Tag className="h-3 w-3 mr-1" />
                             {tag}
-                          </span>
+                          </Link>
                         ))}
                       </div>
                     </div>
@@ -536,6 +705,7 @@ const Questions: React.FC = () => {
                                   <span className="text-sm font-medium text-gray-900">
                                     {answer.author?.username || 'Anonymous'}
                                   </span>
+                                  <ReputationBadge reputation={answer.author?.reputation} />
                                   {answer.createdAt && (
                                     <span className="text-xs text-gray-500">
                                       {formatDate(answer.createdAt)}
@@ -548,7 +718,7 @@ const Questions: React.FC = () => {
                                     {answer.images.slice(0, 2).map((img, idx) => (
                                       <div key={img.url || idx} className="max-w-[100px] max-h-[100px] overflow-hidden rounded border">
                                         <img
-                                          src={img.url}
+                                          src={imageVariantUrl(img, 'thumbnail')}
                                           alt={img.caption || `Answer image ${idx + 1}`}
                                           className="object-contain w-full h-full"
                                         />
@@ -559,7 +729,7 @@ const Questions: React.FC = () => {
                                     ))}
                                   </div>
                                 )}
-                                <div className="prose prose-sm max-w-none text-gray-700" dangerouslySetInnerHTML={{ __html: answer.body }} />
+                                <PostBody className="prose prose-sm max-w-none text-gray-700" html={answer.body} />
                               </div>
                             </div>
                           ))}
@@ -623,6 +793,8 @@ const Questions: React.FC = () => {
               <RichTextEditor
                 value={answerContent}
                 onChange={setAnswerContent}
+                format={answerFormat}
+                onFormatChange={setAnswerFormat}
                 placeholder="Write your answer here..."
               />
               <div className="flex justify-end gap-2">
@@ -692,6 +864,7 @@ const Questions: React.FC = () => {
                            <div>
                              <div className="font-medium text-gray-900">
                                {answer.author?.username || 'Anonymous'}
+                               <ReputationBadge reputation={answer.author?.reputation} className="ml-2" />
                              </div>
                              {answer.createdAt && (
                                <div className="text-sm text-gray-500">
@@ -711,7 +884,7 @@ const Questions: React.FC = () => {
                        </div>
                        
                        {/* Answer Content */}
-                       <div className="prose prose-sm max-w-none text-gray-700 mb-4" dangerouslySetInnerHTML={{ __html: answer.body }} />
+                       <PostBody className="prose prose-sm max-w-none text-gray-700 mb-4" html={answer.body} />
                        
                        {/* Images if present */}
                        {Array.isArray(answer.images) && answer.images.length > 0 && (
@@ -719,7 +892,7 @@ const Questions: React.FC = () => {
                            {answer.images.map((img, idx) => (
                              <div key={img.url || idx} className="aspect-square overflow-hidden rounded-lg border">
                                <img
-                                 src={img.url}
+                                 src={imageVariantUrl(img, 'small')}
                                  alt={img.caption || `Answer image ${idx + 1}`}
                                  className="object-cover w-full h-full"
                                />
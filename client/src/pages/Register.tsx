@@ -52,8 +52,8 @@ const Register: React.FC = () => {
         password: data.password,
       });
       
-      const { user, token } = loginResponse.data;
-      login(user, token);
+      const { user, token, refreshToken } = loginResponse.data;
+      login(user, token, refreshToken);
       toast.success('Account created and logged in successfully!');
       navigate('/');
     } catch (error: any) {
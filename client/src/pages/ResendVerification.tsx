@@ -33,16 +33,9 @@ const ResendVerification: React.FC = () => {
     try {
       await authAPI.resendVerification(data.email);
       setEmailSent(true);
-      toast.success('Verification email sent! Please check your inbox.');
+      toast.success('Check your inbox for a verification link.');
     } catch (error: any) {
       const message = error.response?.data?.message || 'Failed to send verification email. Please try again.';
-      
-      // Check if email is already verified and redirect
-      if (error.response?.data?.redirectUrl) {
-        window.location.href = error.response.data.redirectUrl;
-        return;
-      }
-      
       toast.error(message);
     } finally {
       setIsLoading(false);
@@ -78,7 +71,7 @@ const ResendVerification: React.FC = () => {
                 <CheckCircle className="mx-auto h-12 w-12 text-green-500" />
                 <h3 className="text-lg font-medium text-gray-900">Check your email</h3>
                 <p className="text-sm text-gray-600">
-                  We've sent a new verification link to your email address. Please check your inbox and click the verification link.
+                  If your email address is registered and not verified yet, we've sent it a new verification link. Please check your inbox and click the verification link.
                 </p>
                 <div className="pt-4">
                   <Link
@@ -3,6 +3,10 @@ import { Link } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Button } from '../components/ui/button';
 import { useAuth } from '../contexts/AuthContext';
+import TagPreferencesCard from '../components/TagPreferencesCard';
+import SessionsCard from '../components/SessionsCard';
+import TwoFactorCard from '../components/TwoFactorCard';
+import ApiTokensCard from '../components/ApiTokensCard';
 import { ArrowLeft, User, Lock, Mail } from 'lucide-react';
 
 const Settings: React.FC = () => {
@@ -35,7 +39,7 @@ const Settings: React.FC = () => {
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Account Settings */}
-        <div className="lg:col-span-2">
+        <div className="lg:col-span-2 space-y-6">
           <Card>
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
@@ -84,6 +88,18 @@ const Settings: React.FC = () => {
               </div>
             </CardContent>
           </Card>
+
+          {/* Tag Preferences */}
+          {user?.role !== 'guest' && <TagPreferencesCard />}
+
+          {/* Two-factor authentication */}
+          {user?.role !== 'guest' && <TwoFactorCard />}
+
+          {/* Sessions */}
+          <SessionsCard />
+
+          {/* Personal access tokens */}
+          {user?.role !== 'guest' && <ApiTokensCard />}
         </div>
 
         {/* Security Actions */}
@@ -0,0 +1,402 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { keepPreviousData, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { tagsAPI } from '../lib/api';
+import { formatDate, getErrorMessage } from '../lib/utils';
+import { useAuth } from '../contexts/AuthContext';
+import { usePrivileges } from '../hooks/usePrivileges';
+import { useTagPreferences } from '../hooks/useTagPreferences';
+import RichTextEditor from '../components/RichTextEditor';
+import PostBody from '../components/PostBody';
+import ReputationBadge from '../components/ReputationBadge';
+import TagWikiHistory from '../components/TagWikiHistory';
+import LoginSignupModal from '../components/LoginSignupModal';
+import toast from 'react-hot-toast';
+import { CheckCircle, Clock, Edit, Eye, EyeOff, History, MessageSquare, Tag, TrendingUp } from 'lucide-react';
+
+interface TopUser {
+  posts: number;
+  score: number;
+  user: {
+    _id: string;
+    username: string;
+    avatar?: string;
+    reputation?: number;
+  };
+}
+
+interface TagQuestion {
+  _id: string;
+  title: string;
+  description: string;
+  tags?: string[];
+  answers?: string[];
+  acceptedAnswer?: string | null;
+  upvotes?: string[];
+  downvotes?: string[];
+  createdAt: string;
+  author?: { _id: string; username: string };
+}
+
+const TopUsers: React.FC<{ title: string; users: TopUser[]; postLabel: string }> = ({ title, users, postLabel }) => (
+  <Card>
+    <CardHeader>
+      <CardTitle className="text-base">{title}</CardTitle>
+    </CardHeader>
+    <CardContent>
+      {users.length === 0 ? (
+        <p className="text-sm text-gray-500">Nobody yet</p>
+      ) : (
+        <ol className="space-y-3">
+          {users.map(({ user, posts, score }) => (
+            <li key={user._id} className="flex items-center gap-3">
+              {user.avatar ? (
+                <img src={user.avatar} alt="" className="h-8 w-8 rounded-full object-cover" />
+              ) : (
+                <div className="h-8 w-8 rounded-full bg-stackit-100 flex items-center justify-center text-sm font-semibold text-stackit-700">
+                  {user.username?.charAt(0).toUpperCase()}
+                </div>
+              )}
+              <div className="min-w-0 flex-1">
+                <div className="flex items-center gap-2 text-sm font-medium text-gray-900">
+                  <span className="truncate">{user.username}</span>
+                  <ReputationBadge reputation={user.reputation} />
+                </div>
+                <div className="text-xs text-gray-500">
+                  {posts} {postLabel}{posts === 1 ? '' : 's'} · score {score}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </CardContent>
+  </Card>
+);
+
+// Tag page: excerpt and wiki with suggested edits and history, the tag's most
+// active users and its questions
+const TagDetail: React.FC = () => {
+  const { name = '' } = useParams<{ name: string }>();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const { isAuthenticated, user } = useAuth();
+  const { privileges } = usePrivileges();
+  const { isWatched, isIgnored, watch, ignore, clear, isUpdating } = useTagPreferences();
+  const canEditWiki = privileges.some(p => p.name === 'edit_tag_wiki' && p.unlocked);
+
+  const [currentPage, setCurrentPage] = useState(1);
+  const [isEditing, setIsEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showLoginModal, setShowLoginModal] = useState(false);
+  const [excerpt, setExcerpt] = useState('');
+  const [wiki, setWiki] = useState('');
+  const [editSummary, setEditSummary] = useState('');
+
+  useEffect(() => {
+    setCurrentPage(1);
+    setIsEditing(false);
+    setShowHistory(false);
+  }, [name]);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['tag', name, currentPage],
+    queryFn: () => tagsAPI.getByName(name, { page: currentPage, limit: 10 }).then(res => res.data),
+    placeholderData: keepPreviousData,
+  });
+
+  const tag = data?.tag;
+  const questions: TagQuestion[] = Array.isArray(data?.questions) ? data.questions : [];
+  const totalPages = data?.pagination?.totalPages || 1;
+
+  // Synonyms are redirected by the server; show the canonical name in the URL
+  useEffect(() => {
+    if (tag?.name && tag.name !== name) {
+      navigate(`/tags/${encodeURIComponent(tag.name)}`, { replace: true });
+    }
+  }, [tag?.name, name, navigate]);
+
+  const editMutation = useMutation({
+    mutationFn: () =>
+      tagsAPI.suggestWikiEdit(tag.name, {
+        description: excerpt,
+        wiki,
+        editSummary: editSummary.trim() || undefined,
+      }),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['tag', tag.name] });
+      queryClient.invalidateQueries({ queryKey: ['tag-wiki-revisions', tag.name] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      setIsEditing(false);
+      toast.success(res.data?.message || 'Edit submitted');
+    },
+    onError: (error) => {
+      toast.error(getErrorMessage(error, 'Failed to save edit'));
+    },
+  });
+
+  const startEditing = () => {
+    if (!isAuthenticated) {
+      setShowLoginModal(true);
+      return;
+    }
+    setExcerpt(tag.description || '');
+    setWiki(tag.wiki || '');
+    setEditSummary('');
+    setIsEditing(true);
+  };
+
+  const handleSubmitEdit = (e: React.FormEvent) => {
+    e.preventDefault();
+    editMutation.mutate();
+  };
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="mt-2 text-gray-600">Loading tag...</p>
+      </div>
+    );
+  }
+
+  if (error || !tag) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-600">{getErrorMessage(error, 'Tag not found')}</p>
+        <Link to="/questions" className="text-blue-600 hover:text-blue-500 mt-2 inline-block">
+          Browse questions
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 flex items-center gap-2">
+            <Tag className="h-7 w-7" />
+            {tag.name}
+          </h1>
+          <p className="text-gray-600 mt-1">
+            {tag.questionCount.toLocaleString()} question{tag.questionCount === 1 ? '' : 's'}
+          </p>
+          {tag.synonyms?.length > 0 && (
+            <p className="text-sm text-gray-500 mt-1">Synonyms: {tag.synonyms.join(', ')}</p>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {isAuthenticated && user?.role !== 'guest' && (
+            <>
+              <Button
+                variant={isWatched(tag.name) ? 'default' : 'outline'}
+                onClick={() => (isWatched(tag.name) ? clear(tag.name) : watch(tag.name))}
+                disabled={isUpdating}
+                title="Questions in watched tags rank higher in your feed"
+              >
+                <Eye className="h-4 w-4 mr-2" />
+                {isWatched(tag.name) ? 'Watching' : 'Watch'}
+              </Button>
+              <Button
+                variant={isIgnored(tag.name) ? 'default' : 'outline'}
+                onClick={() => (isIgnored(tag.name) ? clear(tag.name) : ignore(tag.name))}
+                disabled={isUpdating}
+                title="Questions in ignored tags are hidden from your feed"
+              >
+                <EyeOff className="h-4 w-4 mr-2" />
+                {isIgnored(tag.name) ? 'Ignored' : 'Ignore'}
+              </Button>
+            </>
+          )}
+          <Button variant="outline" onClick={() => setShowHistory(!showHistory)}>
+            <History className="h-4 w-4 mr-2" />
+            History
+            {canEditWiki && tag.pendingEdits > 0 && (
+              <span className="ml-2 rounded-full bg-amber-100 px-2 text-xs font-semibold text-amber-800">
+                {tag.pendingEdits}
+              </span>
+            )}
+          </Button>
+          {!isEditing && (
+            <Button onClick={startEditing}>
+              <Edit className="h-4 w-4 mr-2" />
+              {canEditWiki ? 'Edit wiki' : 'Suggest edit'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {showHistory && (
+        <TagWikiHistory tagName={tag.name} canReview={canEditWiki} onClose={() => setShowHistory(false)} />
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          {/* Wiki */}
+          <Card>
+            <CardContent className="pt-6">
+              {isEditing ? (
+                <form onSubmit={handleSubmitEdit} className="space-y-4">
+                  <div>
+                    <label htmlFor="tag-excerpt" className="block text-sm font-medium text-gray-700 mb-1">
+                      Excerpt
+                    </label>
+                    <Input
+                      id="tag-excerpt"
+                      value={excerpt}
+                      onChange={(e) => setExcerpt(e.target.value)}
+                      placeholder="What is this tag for, in one or two sentences?"
+                      maxLength={200}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">{excerpt.length}/200</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Wiki</label>
+                    <RichTextEditor
+                      value={wiki}
+                      onChange={setWiki}
+                      placeholder="Explain the topic, link to documentation and list good resources"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="tag-edit-summary" className="block text-sm font-medium text-gray-700 mb-1">
+                      Edit summary
+                    </label>
+                    <Input
+                      id="tag-edit-summary"
+                      value={editSummary}
+                      onChange={(e) => setEditSummary(e.target.value)}
+                      placeholder="Briefly explain your changes"
+                      maxLength={200}
+                    />
+                  </div>
+                  {!canEditWiki && (
+                    <p className="text-sm text-gray-500">
+                      Your edit will be visible once a reviewer approves it.
+                    </p>
+                  )}
+                  <div className="flex justify-end gap-2">
+                    <Button type="button" variant="outline" onClick={() => setIsEditing(false)}>
+                      Cancel
+                    </Button>
+                    <Button type="submit" disabled={editMutation.isPending}>
+                      {editMutation.isPending ? 'Saving...' : canEditWiki ? 'Save edit' : 'Submit for review'}
+                    </Button>
+                  </div>
+                </form>
+              ) : tag.description || tag.wiki ? (
+                <div className="space-y-4">
+                  {tag.description && <p className="text-lg text-gray-700">{tag.description}</p>}
+                  {tag.wiki && <PostBody html={tag.wiki} />}
+                  {tag.updatedAt && (
+                    <p className="text-xs text-gray-500">Last edited {formatDate(tag.updatedAt)}</p>
+                  )}
+                </div>
+              ) : (
+                <p className="text-gray-500">
+                  This tag has no wiki yet. Help others by describing what it is for.
+                </p>
+              )}
+            </CardContent>
+          </Card>
+
+          {/* Questions */}
+          <div className="space-y-4">
+            <h2 className="text-xl font-semibold text-gray-900">Questions</h2>
+            {questions.length === 0 ? (
+              <p className="text-gray-500">No questions with this tag yet.</p>
+            ) : (
+              questions.map((question: TagQuestion) => (
+                <Card key={question._id} className="hover:shadow-md transition-shadow">
+                  <CardContent className="p-6">
+                    <Link
+                      to={`/questions/${question._id}`}
+                      className="text-lg font-semibold text-gray-900 hover:text-blue-600 transition-colors"
+                    >
+                      {question.title}
+                    </Link>
+                    <div className="mt-2 text-gray-600 line-clamp-2">
+                      {question.description.replace(/<[^>]*>/g, '').substring(0, 200)}
+                      {question.description.length > 200 && '...'}
+                    </div>
+                    <div className="flex flex-wrap items-center gap-6 mt-4 text-sm text-gray-500">
+                      <span className="flex items-center gap-1">
+                        <MessageSquare className="h-4 w-4" />
+                        {question.answers?.length || 0} answers
+                        {question.acceptedAnswer && <CheckCircle className="h-4 w-4 text-green-600" />}
+                      </span>
+                      <span className="flex items-center gap-1">
+                        <TrendingUp className="h-4 w-4" />
+                        {(question.upvotes?.length || 0) - (question.downvotes?.length || 0)} votes
+                      </span>
+                      <span className="flex items-center gap-1">
+                        <Clock className="h-4 w-4" />
+                        {formatDate(question.createdAt)}
+                      </span>
+                      <span>{question.author?.username}</span>
+                    </div>
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {question.tags?.map((questionTag: string) => (
+                        <Link
+                          key={questionTag}
+                          to={`/tags/${encodeURIComponent(questionTag)}`}
+                          className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 hover:bg-blue-200"
+                        >
+                          <Tag className="h-3 w-3 mr-1" />
+                          {questionTag}
+                        </Link>
+                      ))}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))
+            )}
+
+            {totalPages > 1 && (
+              <div className="flex justify-center">
+                <div className="flex items-center gap-2">
+                  <Button
+                    variant="outline"
+                    onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                    disabled={currentPage === 1}
+                  >
+                    Previous
+                  </Button>
+                  <span className="px-4 py-2 text-sm text-gray-600">
+                    Page {currentPage} of {totalPages}
+                  </span>
+                  <Button
+                    variant="outline"
+                    onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                    disabled={currentPage === totalPages}
+                  >
+                    Next
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          <TopUsers title="Top askers" users={data?.topAskers || []} postLabel="question" />
+          <TopUsers title="Top answerers" users={data?.topAnswerers || []} postLabel="answer" />
+        </div>
+      </div>
+
+      <LoginSignupModal
+        isOpen={showLoginModal}
+        onClose={() => setShowLoginModal(false)}
+        onSuccess={() => setShowLoginModal(false)}
+      />
+    </div>
+  );
+};
+
+export default TagDetail;
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { authAPI } from '../lib/api';
+import { getErrorMessage } from '../lib/utils';
+import { CheckCircle, XCircle, Unlock } from 'lucide-react';
+
+// Landing page for the link in the account locked email
+const UnlockAccount: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState<'loading' | 'success' | 'failed'>('loading');
+  const [message, setMessage] = useState('');
+  const hasStarted = useRef(false);
+
+  useEffect(() => {
+    // The token works once, so don't send it twice
+    if (hasStarted.current) return;
+    hasStarted.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setStatus('failed');
+      setMessage('This unlock link is invalid.');
+      return;
+    }
+
+    authAPI
+      .unlockAccount(token)
+      .then(res => {
+        setStatus('success');
+        setMessage(res.data.message);
+      })
+      .catch(error => {
+        setStatus('failed');
+        setMessage(getErrorMessage(error, 'Failed to unlock your account.'));
+      });
+  }, [searchParams]);
+
+  if (status === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <p className="text-gray-600">Unlocking your account...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-blue-600 rounded-lg flex items-center justify-center">
+            <Unlock className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Unlock account</h2>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle
+              className={`flex items-center justify-center gap-2 ${
+                status === 'success' ? 'text-green-700' : 'text-red-700'
+              }`}
+            >
+              {status === 'success' ? <CheckCircle className="h-5 w-5" /> : <XCircle className="h-5 w-5" />}
+              {status === 'success' ? 'Account unlocked' : 'Unlock failed'}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4 text-center">
+            <p className="text-sm text-gray-600">{message}</p>
+            {status === 'failed' && (
+              <p className="text-sm text-gray-600">
+                The lock ends on its own after a while. You can also reset your password to unlock your account
+                right away.
+              </p>
+            )}
+            <div className="flex flex-col sm:flex-row gap-3">
+              <Link to="/login" className="flex-1">
+                <Button className="w-full">Go to login</Button>
+              </Link>
+              <Link to="/forgot-password" className="flex-1">
+                <Button variant="outline" className="w-full">
+                  Reset password
+                </Button>
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -8,6 +8,7 @@ interface User {
   first_name: string;
   last_name: string;
   avatar?: string;
+  reputation?: number;
   role: 'guest' | 'user' | 'admin';
   isEmailVerified?: boolean;
   createdAt?: string;
@@ -17,9 +18,11 @@ interface User {
 interface AuthState {
   user: User | null;
   token: string | null;
+  refreshToken: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (user: User, token: string) => void;
+  login: (user: User, token: string, refreshToken?: string) => void;
+  setTokens: (token: string, refreshToken: string) => void;
   logout: () => void;
   setLoading: (loading: boolean) => void;
   updateUser: (user: User) => void;
@@ -40,6 +43,17 @@ const getTokenFromLocalStorage = (): string | null => {
 // Helper function to remove token from localStorage
 const removeTokenFromLocalStorage = () => {
   localStorage.removeItem('auth_token');
+  localStorage.removeItem('auth_refresh_token');
+};
+
+// The refresh token is kept next to the access token so every tab sees the
+// latest one after a refresh
+const saveRefreshTokenToLocalStorage = (refreshToken: string) => {
+  localStorage.setItem('auth_refresh_token', refreshToken);
+};
+
+const getRefreshTokenFromLocalStorage = (): string | null => {
+  return localStorage.getItem('auth_refresh_token');
 };
 
 export const useAuthStore = create<AuthState>()(
@@ -47,24 +61,35 @@ export const useAuthStore = create<AuthState>()(
     (set, get) => ({
       user: null,
       token: null,
+      refreshToken: null,
       isAuthenticated: false,
       isLoading: false,
-      login: (user: User, token: string) => {
-        // Save token to localStorage
+      login: (user: User, token: string, refreshToken?: string) => {
+        // Save tokens to localStorage
         saveTokenToLocalStorage(token);
+        if (refreshToken) {
+          saveRefreshTokenToLocalStorage(refreshToken);
+        }
         set({
           user,
           token,
+          refreshToken: refreshToken || null,
           isAuthenticated: true,
           isLoading: false,
         });
       },
+      setTokens: (token: string, refreshToken: string) => {
+        saveTokenToLocalStorage(token);
+        saveRefreshTokenToLocalStorage(refreshToken);
+        set({ token, refreshToken });
+      },
       logout: () => {
         // Remove token from localStorage
         removeTokenFromLocalStorage();
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
         });
@@ -78,6 +103,7 @@ export const useAuthStore = create<AuthState>()(
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
         });
@@ -104,6 +130,7 @@ export const useAuthStore = create<AuthState>()(
       partialize: (state) => ({
         user: state.user,
         token: state.token,
+        refreshToken: state.refreshToken,
         isAuthenticated: state.isAuthenticated,
       }),
       // Initialize token from localStorage on store creation
@@ -113,6 +140,10 @@ export const useAuthStore = create<AuthState>()(
           if (tokenFromStorage && !state.token) {
             state.token = tokenFromStorage;
           }
+          const refreshTokenFromStorage = getRefreshTokenFromLocalStorage();
+          if (refreshTokenFromStorage && !state.refreshToken) {
+            state.refreshToken = refreshTokenFromStorage;
+          }
         }
       },
     }
@@ -132,6 +163,10 @@ export const removeAuthToken = (): void => {
   removeTokenFromLocalStorage();
 };
 
+export const getRefreshToken = (): string | null => {
+  return getRefreshTokenFromLocalStorage();
+};
+
 // Utility function to check if user is authenticated
 export const isUserAuthenticated = (): boolean => {
   const store = useAuthStore.getState();
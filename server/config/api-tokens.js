@@ -0,0 +1,50 @@
+require('dotenv').config();
+
+// What a personal access token can be allowed to do
+const API_TOKEN_SCOPES = [
+  'read',
+  'write:questions',
+  'write:answers',
+  'admin:tags',
+];
+
+// Longest lifetime a token can be created with. Override with
+// API_TOKEN_MAX_TTL_DAYS
+const API_TOKEN_MAX_TTL_DAYS =
+  parseInt(process.env.API_TOKEN_MAX_TTL_DAYS) || 365;
+
+// Active tokens a user can have at once
+const MAX_API_TOKENS_PER_USER = 20;
+
+// Tokens start with this, so tokenVerification can tell them from JWTs and
+// secret scanners can find leaked ones
+const API_TOKEN_PREFIX = 'stk_';
+
+// How often requests update a token's last use and IP address
+const API_TOKEN_TOUCH_INTERVAL_MINUTES = 5;
+
+// Scopes an API token needs for an endpoint; the first matching rule wins
+// and any one of its scopes is enough. Endpoints no rule matches, or that
+// match a rule without scopes, only accept a login session. Paths are
+// matched in lowercase.
+const API_TOKEN_ROUTE_SCOPES = [
+  { path: /^\/api\/(auth|admin|moderation)(\/|$)/, scopes: [] },
+  { method: 'GET', path: /^\/api\//, scopes: ['read'] },
+  { method: 'POST', path: /^\/api\/tags\/suggest$/, scopes: ['read'] },
+  { path: /^\/api\/questions(\/|$)/, scopes: ['write:questions'] },
+  { path: /^\/api\/answers(\/|$)/, scopes: ['write:answers'] },
+  { path: /^\/api\/tags(\/|$)/, scopes: ['admin:tags'] },
+  {
+    path: /^\/api\/uploads(\/|$)/,
+    scopes: ['write:questions', 'write:answers'],
+  },
+];
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  API_TOKEN_MAX_TTL_DAYS,
+  MAX_API_TOKENS_PER_USER,
+  API_TOKEN_PREFIX,
+  API_TOKEN_TOUCH_INTERVAL_MINUTES,
+  API_TOKEN_ROUTE_SCOPES,
+};
@@ -0,0 +1,18 @@
+require('dotenv').config();
+
+// Amounts a question author can offer, paid out of their reputation
+const BOUNTY_AMOUNTS = [50, 100, 150, 200, 300, 500];
+
+// How long a bounty stays open. Override with BOUNTY_DURATION_DAYS
+const BOUNTY_DURATION_DAYS = parseInt(process.env.BOUNTY_DURATION_DAYS) || 7;
+
+// How often the server checks for expired bounties.
+// Override with BOUNTY_EXPIRY_INTERVAL_MINUTES
+const BOUNTY_EXPIRY_INTERVAL_MINUTES =
+  parseInt(process.env.BOUNTY_EXPIRY_INTERVAL_MINUTES) || 15;
+
+module.exports = {
+  BOUNTY_AMOUNTS,
+  BOUNTY_DURATION_DAYS,
+  BOUNTY_EXPIRY_INTERVAL_MINUTES,
+};
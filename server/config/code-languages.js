@@ -0,0 +1,42 @@
+// Code block languages are stored as highlight.js ids. These are the other
+// names authors use, mostly in Markdown fences (```js)
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  rb: 'ruby',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  'c++': 'cpp',
+  cc: 'cpp',
+  hpp: 'cpp',
+  'c#': 'csharp',
+  cs: 'csharp',
+  html: 'xml',
+  htm: 'xml',
+  svg: 'xml',
+  golang: 'go',
+  rs: 'rust',
+  kt: 'kotlin',
+  yml: 'yaml',
+  md: 'markdown',
+  objc: 'objectivec',
+  ps1: 'powershell',
+  text: 'plaintext',
+  txt: 'plaintext',
+};
+
+// Tag suggested for a question with code in a language, when it is not the
+// language id itself. null means the language never suggests a tag
+const LANGUAGE_TAGS = {
+  cpp: 'c++',
+  csharp: 'c#',
+  xml: 'html',
+  objectivec: 'objective-c',
+  plaintext: null,
+};
+
+module.exports = { LANGUAGE_ALIASES, LANGUAGE_TAGS };
@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+// Most tags a user can watch or ignore
+const MAX_PREFERENCE_TAGS = 50;
+
+// How much each watched tag on a question multiplies its feed score.
+// Override with FEED_WATCHED_TAG_BOOST
+const FEED_WATCHED_TAG_BOOST =
+  parseFloat(process.env.FEED_WATCHED_TAG_BOOST) || 3;
+
+// How quickly older questions sink in the feed; higher values favour newer
+// questions. Override with FEED_GRAVITY
+const FEED_GRAVITY = parseFloat(process.env.FEED_GRAVITY) || 1.5;
+
+module.exports = { MAX_PREFERENCE_TAGS, FEED_WATCHED_TAG_BOOST, FEED_GRAVITY };
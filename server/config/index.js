@@ -1,8 +1,22 @@
 require('dotenv').config();
 
+// Express "trust proxy": true, a number of proxy hops, or a comma-separated
+// list of proxy addresses and subnets ("loopback, 10.0.0.0/8")
+const parseTrustProxy = (value = '') => {
+  const setting = value.trim();
+  if (setting === '' || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting);
+  return setting;
+};
+
 module.exports = {
   PORT: process.env.PORT,
   NODE_ENV: process.env.NODE_ENV || 'development',
+  // Proxies whose X-Forwarded-For header tells the client's IP address.
+  // Off by default, since anyone can send the header; behind one reverse
+  // proxy (e.g. Vercel) set TRUST_PROXY=1
+  TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY),
   DB_NAME: process.env.DB_NAME,
   DB_USER: process.env.DB_USER,
   DB_PASS: process.env.DB_PASS,
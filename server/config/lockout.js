@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+// Wrong passwords (or two-factor codes) in a row that lock an account.
+// Override with LOGIN_MAX_FAILED_ATTEMPTS
+const LOGIN_MAX_FAILED_ATTEMPTS =
+  parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+
+// The first lockout lasts this long; each further lockout before a
+// successful login doubles it, up to LOCKOUT_MAX_MINUTES.
+// Override with LOCKOUT_BASE_MINUTES and LOCKOUT_MAX_MINUTES
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES =
+  parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+// How long the link in the unlock email works
+const UNLOCK_TOKEN_TTL_HOURS = 24;
+
+module.exports = {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+  UNLOCK_TOKEN_TTL_HOURS,
+};
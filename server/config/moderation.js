@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+// Reasons a question can be closed for, with the label shown to users
+const CLOSE_REASONS = {
+  duplicate: 'duplicate',
+  off_topic: 'off-topic',
+  unclear: 'unclear',
+  too_broad: 'too broad',
+};
+
+// Community votes needed to close or reopen a question; admins act alone.
+// Override with CLOSE_VOTE_THRESHOLD
+const CLOSE_VOTE_THRESHOLD = parseInt(process.env.CLOSE_VOTE_THRESHOLD) || 3;
+
+module.exports = { CLOSE_REASONS, CLOSE_VOTE_THRESHOLD };
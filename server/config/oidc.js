@@ -0,0 +1,38 @@
+require('dotenv').config();
+
+// Login with an external OpenID Connect identity provider, e.g. the company
+// IdP. Off unless OIDC_ISSUER and OIDC_CLIENT_ID are set
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+// Leave empty for a public client; PKCE protects the code either way
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_ENABLED = !!(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+// Where the provider sends users back; it must be registered with the
+// provider. Defaults to /api/auth/oidc/callback on the host the login
+// started from. Override with OIDC_REDIRECT_URI
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || '';
+
+// Override with OIDC_SCOPES
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+
+// Shown on the login button. Override with OIDC_PROVIDER_NAME
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+
+// How long a user has to finish logging in at the provider
+const OIDC_LOGIN_TTL_MINUTES = 10;
+
+// How long the provider's metadata and signing keys are cached
+const OIDC_METADATA_CACHE_MINUTES = 60;
+
+module.exports = {
+  OIDC_ISSUER,
+  OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET,
+  OIDC_ENABLED,
+  OIDC_REDIRECT_URI,
+  OIDC_SCOPES,
+  OIDC_PROVIDER_NAME,
+  OIDC_LOGIN_TTL_MINUTES,
+  OIDC_METADATA_CACHE_MINUTES,
+};
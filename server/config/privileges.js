@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+// Reputation needed to unlock each privilege. Admins have every privilege.
+// Thresholds can be overridden with PRIVILEGE_<NAME> environment variables,
+// e.g. PRIVILEGE_CREATE_TAG=500
+const threshold = (name, fallback) => {
+  const value = parseInt(process.env[`PRIVILEGE_${name.toUpperCase()}`]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const PRIVILEGES = {
+  downvote: {
+    reputation: threshold('downvote', 125),
+    description: 'Vote down questions and answers',
+  },
+  create_tag: {
+    reputation: threshold('create_tag', 1500),
+    description: 'Create new tags',
+  },
+  edit_others_posts: {
+    reputation: threshold('edit_others_posts', 2000),
+    description: "Edit other people's questions and answers",
+  },
+  close_vote: {
+    reputation: threshold('close_vote', 500),
+    description: 'Vote to close or reopen questions',
+  },
+  edit_tag_wiki: {
+    reputation: threshold('edit_tag_wiki', 2500),
+    description: 'Edit tag wikis directly and review suggested tag edits',
+  },
+};
+
+module.exports = PRIVILEGES;
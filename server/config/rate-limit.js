@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+// Where request counters are kept: 'memory' (this process only) or 'mongo'
+// (shared by every instance). Override with RATE_LIMIT_STORE
+const RATE_LIMIT_STORE = (
+  process.env.RATE_LIMIT_STORE || 'memory'
+).toLowerCase();
+
+// Length of each counting window. Override with RATE_LIMIT_WINDOW_MINUTES
+const RATE_LIMIT_WINDOW_MINUTES =
+  parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15;
+
+// Requests allowed per window on each throttled auth endpoint, from one IP
+// address and for one account (the username or email it names)
+const RATE_LIMITS = {
+  login: { perIp: 20, perAccount: 10 },
+  'two-factor': { perIp: 20, perAccount: 10 },
+  'forgot-password': { perIp: 5, perAccount: 3 },
+  'resend-verification': { perIp: 5, perAccount: 3 },
+  'guest-signup': { perIp: 5 },
+};
+
+module.exports = {
+  RATE_LIMIT_STORE,
+  RATE_LIMIT_WINDOW_MINUTES,
+  RATE_LIMITS,
+};
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+// Lifetime of access tokens. Override with ACCESS_TOKEN_TTL_MINUTES
+const ACCESS_TOKEN_TTL_MINUTES =
+  parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
+// A session ends after this long without a refresh.
+// Override with REFRESH_TOKEN_TTL_DAYS
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Guest sessions end this long after sign-up, however often they refresh.
+// Override with GUEST_SESSION_TTL_HOURS
+const GUEST_SESSION_TTL_HOURS =
+  parseInt(process.env.GUEST_SESSION_TTL_HOURS) || 24;
+
+// Two tabs refreshing at the same time both present the same refresh token.
+// Within this window the second one is turned away without treating it as a
+// stolen token. Override with REFRESH_REUSE_GRACE_SECONDS
+const REFRESH_REUSE_GRACE_SECONDS =
+  parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
+
+// How often requests update a session's last use and IP address
+const SESSION_TOUCH_INTERVAL_MINUTES = 5;
+
+// How long a notification stream ticket can be used to open the stream
+const STREAM_TICKET_TTL_SECONDS = 30;
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  GUEST_SESSION_TTL_HOURS,
+  REFRESH_REUSE_GRACE_SECONDS,
+  SESSION_TOUCH_INTERVAL_MINUTES,
+  STREAM_TICKET_TTL_SECONDS,
+};
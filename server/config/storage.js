@@ -0,0 +1,88 @@
+require('dotenv').config();
+const path = require('path');
+
+// Where uploaded images are stored: 'cloudinary', 'local' or 's3'.
+// Override with STORAGE_DRIVER
+const STORAGE_DRIVER = (
+  process.env.STORAGE_DRIVER || 'cloudinary'
+).toLowerCase();
+
+const CLOUDINARY = {
+  cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+  apiKey: process.env.CLOUDINARY_API_KEY,
+  apiSecret: process.env.CLOUDINARY_API_SECRET,
+};
+
+// Files are written under LOCAL_UPLOAD_DIR and served by the API at
+// LOCAL_UPLOAD_ROUTE. LOCAL_UPLOAD_BASE_URL is the public URL of that route
+const LOCAL = {
+  directory: path.resolve(
+    __dirname,
+    '..',
+    process.env.LOCAL_UPLOAD_DIR || 'uploads'
+  ),
+  route: process.env.LOCAL_UPLOAD_ROUTE || '/uploads',
+  baseUrl:
+    process.env.LOCAL_UPLOAD_BASE_URL ||
+    `http://localhost:${process.env.PORT || 8080}${
+      process.env.LOCAL_UPLOAD_ROUTE || '/uploads'
+    }`,
+};
+
+// Any S3-compatible service (AWS, MinIO, R2...). S3_ENDPOINT defaults to AWS;
+// S3_PUBLIC_URL is where stored objects can be read from
+const S3 = {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || '',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl: process.env.S3_PUBLIC_URL || '',
+};
+
+// Images bigger than this on either side are rejected
+const MAX_IMAGE_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION) || 8000;
+
+// Cloudinary resizes and converts images itself. For the other drivers the
+// upload pipeline re-encodes each image as webp and adds these variants.
+// Thumbnails are square crops; the others keep the aspect ratio and are only
+// made for images wider than the variant
+const IMAGE_VARIANTS = [
+  { name: 'thumbnail', width: 160, height: 160 },
+  { name: 'small', width: 480 },
+  { name: 'medium', width: 960 },
+  { name: 'large', width: 1600 },
+];
+
+// Images embedded in post bodies are stored as a single webp no wider than
+// this, without variants
+const INLINE_IMAGE_WIDTH = 1600;
+
+// Avatars are cropped to a square of this size
+const AVATAR_SIZE = 200;
+
+// webp quality used by the pipeline
+const WEBP_QUALITY = parseInt(process.env.WEBP_QUALITY) || 80;
+
+// How often the image garbage collector looks for stored images no post or
+// user references, and how old an image must be before it counts as orphaned
+// (so uploads still being saved are left alone). Override with
+// IMAGE_GC_INTERVAL_HOURS and IMAGE_GC_GRACE_HOURS
+const IMAGE_GC_INTERVAL_HOURS =
+  parseInt(process.env.IMAGE_GC_INTERVAL_HOURS) || 24;
+const IMAGE_GC_GRACE_HOURS = parseInt(process.env.IMAGE_GC_GRACE_HOURS) || 24;
+
+module.exports = {
+  STORAGE_DRIVER,
+  CLOUDINARY,
+  LOCAL,
+  S3,
+  MAX_IMAGE_DIMENSION,
+  IMAGE_VARIANTS,
+  INLINE_IMAGE_WIDTH,
+  AVATAR_SIZE,
+  WEBP_QUALITY,
+  IMAGE_GC_INTERVAL_HOURS,
+  IMAGE_GC_GRACE_HOURS,
+};
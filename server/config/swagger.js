@@ -44,6 +44,8 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
+          description:
+            'An access token from /api/auth/login, or a personal access token (stk_...) from /api/auth/api-tokens',
         },
       },
       schemas: {
@@ -84,6 +86,42 @@ const options = {
             token: { type: 'string', example: 'jwt_token_here' },
           },
         },
+        ApiToken: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string', example: 'Release Q&A bot' },
+            prefix: {
+              type: 'string',
+              example: 'stk_9mQ2xL',
+              description: 'Start of the token, to tell tokens apart',
+            },
+            scopes: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['read', 'write:questions'],
+            },
+            lastUsedAt: { type: 'string', format: 'date-time' },
+            lastUsedIp: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        RateLimitError: {
+          type: 'object',
+          properties: {
+            status: { type: 'number', example: 429 },
+            message: {
+              type: 'string',
+              example: 'Too many attempts. Please try again in 15 minutes.',
+            },
+            retryAfter: {
+              type: 'number',
+              example: 900,
+              description: 'Seconds until the limit resets',
+            },
+          },
+        },
       },
     },
     security: [
@@ -0,0 +1,34 @@
+require('dotenv').config();
+
+// Name authenticator apps show next to the account.
+// Override with TWO_FACTOR_ISSUER
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'StackIt';
+
+// Time allowed between the password step and the code step of a login.
+// Override with TWO_FACTOR_CHALLENGE_TTL_MINUTES
+const TWO_FACTOR_CHALLENGE_TTL_MINUTES =
+  parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5;
+
+// The default admin account has to set up two-factor authentication before
+// it can sign in. Set REQUIRE_ADMIN_TWO_FACTOR=false to turn this off
+const REQUIRE_ADMIN_TWO_FACTOR =
+  process.env.REQUIRE_ADMIN_TWO_FACTOR !== 'false';
+
+// TOTP parameters (RFC 6238), as understood by common authenticator apps
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from this many steps before or after now are accepted, for clock drift
+const TOTP_WINDOW = 1;
+
+// Single-use recovery codes issued when two-factor authentication is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+module.exports = {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES,
+  REQUIRE_ADMIN_TWO_FACTOR,
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  RECOVERY_CODE_COUNT,
+};
@@ -1,6 +1,7 @@
 const Models = require('../models');
 const fs = require('fs');
 const { storage } = require('../lib');
+const { REQUIRE_ADMIN_TWO_FACTOR } = require('../config/two-factor');
 
 const find = async (modelDb, queryObj) =>
   await Models[modelDb].find(queryObj).exec();
@@ -171,6 +172,8 @@ const createDefaultAdmin = async adminConfig => {
         email: adminConfig.ADMIN_EMAIL,
         password: bcrypt.hashSync(adminConfig.ADMIN_PASSWORD, 10),
         role: 'admin',
+        // The first login has to set up two-factor authentication
+        twoFactorRequired: REQUIRE_ADMIN_TWO_FACTOR,
       };
 
       const savedAdmin = await insertNewDocument('user', adminUser);
@@ -178,9 +181,24 @@ const createDefaultAdmin = async adminConfig => {
       console.log(`   Username: ${adminConfig.ADMIN_USERNAME}`);
       console.log(`   Email: ${adminConfig.ADMIN_EMAIL}`);
       console.log(`   Password: ${adminConfig.ADMIN_PASSWORD}`);
+      if (REQUIRE_ADMIN_TWO_FACTOR) {
+        console.log('   Two-factor authentication is set up at first login');
+      }
       return savedAdmin;
     } else {
       console.log('ℹ️  Admin user already exists');
+      // Admins created before the requirement existed
+      if (
+        REQUIRE_ADMIN_TWO_FACTOR &&
+        existingAdmin.role === 'admin' &&
+        !existingAdmin.twoFactorRequired
+      ) {
+        await updateDocument(
+          'user',
+          { _id: existingAdmin._id },
+          { twoFactorRequired: true }
+        );
+      }
       return existingAdmin;
     }
   } catch (error) {
@@ -7,9 +7,15 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const routes = require('./routes');
 const { createDefaultAdmin } = require('./helpers');
+const { startBountyExpiryJob } = require('./jobs/bounty-expiry');
+const { startImageGcJob } = require('./jobs/image-gc');
 const Config = require('./config');
+const { STORAGE_DRIVER, LOCAL } = require('./config/storage');
 const app = express();
 
+// * Client IP addresses (rate limits, sessions) come from req.ip
+app.set('trust proxy', Config.TRUST_PROXY);
+
 // * Database connection
 var db = mongoose.connection;
 db.on('error', console.error.bind(console, 'connection error:'));
@@ -18,6 +24,12 @@ db.once('open', async function () {
 
   // Create default admin user
   await createDefaultAdmin(Config);
+
+  // Award or expire bounties that ran out
+  startBountyExpiryJob();
+
+  // Delete stored images nothing references any more
+  startImageGcJob();
 });
 
 // * Cors
@@ -31,6 +43,11 @@ app.use(morgan('short'));
 // * Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 
+// * Uploaded images (local storage driver only)
+if (STORAGE_DRIVER === 'local') {
+  app.use(LOCAL.route, express.static(LOCAL.directory, { maxAge: '7d' }));
+}
+
 // * Api routes
 app.use('/api', routes);
 
@@ -0,0 +1,85 @@
+const Models = require('../models');
+const { find } = require('../helpers');
+const { awardBounty, notifyBountyWatchers } = require('../utils');
+const { BOUNTY_EXPIRY_INTERVAL_MINUTES } = require('../config/bounties');
+
+// Highest scoring answer with a positive score, ignoring the bounty
+// offerer's own answers; ties go to the oldest answer
+const findTopAnswer = async question => {
+  const answers = await find('answer', {
+    question: question._id,
+    author: { $ne: question.bounty.offeredBy },
+  });
+
+  return answers
+    .map(answer => ({
+      answer,
+      score: answer.upvotes.length - answer.downvotes.length,
+    }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) => b.score - a.score || a.answer.createdAt - b.answer.createdAt
+    )
+    .map(({ answer }) => answer)[0];
+};
+
+/**
+ * Close every bounty past its expiry date. The bounty goes to the top-voted
+ * answer; without one it expires and the points are not refunded.
+ * @param {Date} now - Reference time
+ * @returns {number} Number of bounties closed
+ */
+const expireBounties = async (now = new Date()) => {
+  const questions = await find('question', {
+    'bounty.status': 'active',
+    'bounty.expiresAt': { $lte: now },
+  });
+
+  let closed = 0;
+  for (const question of questions) {
+    const topAnswer = await findTopAnswer(question);
+    if (topAnswer) {
+      if (await awardBounty(question, topAnswer)) closed++;
+      continue;
+    }
+
+    const expired = await Models.question.findOneAndUpdate(
+      { _id: question._id, 'bounty.status': 'active' },
+      { $set: { 'bounty.status': 'expired' } },
+      { new: true }
+    );
+    if (!expired) continue;
+
+    closed++;
+    await notifyBountyWatchers(
+      expired,
+      `The +${expired.bounty.amount} bounty on "${question.title}" expired without an answer to award`,
+      `/questions/${question._id}`
+    );
+  }
+
+  return closed;
+};
+
+/**
+ * Run expireBounties now and then every BOUNTY_EXPIRY_INTERVAL_MINUTES
+ * @returns {Object} Interval handle
+ */
+const startBountyExpiryJob = () => {
+  const run = async () => {
+    try {
+      const closed = await expireBounties();
+      if (closed > 0) console.log(`⏰ Closed ${closed} expired bounties`);
+    } catch (error) {
+      console.error('Bounty expiry job error:', error);
+    }
+  };
+
+  run();
+  const interval = setInterval(run, BOUNTY_EXPIRY_INTERVAL_MINUTES * 60 * 1000);
+  // Do not keep the process alive just for this job
+  interval.unref();
+  return interval;
+};
+
+module.exports = { expireBounties, startBountyExpiryJob };
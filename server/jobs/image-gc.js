@@ -0,0 +1,169 @@
+const Models = require('../models');
+const { storage } = require('../lib');
+const { imagePublicIds } = require('../utils');
+const {
+  IMAGE_GC_INTERVAL_HOURS,
+  IMAGE_GC_GRACE_HOURS,
+} = require('../config/storage');
+
+// Set while a collection is running so runs never overlap
+let running = null;
+
+// Image URLs embedded in a post body
+const IMG_SRC = /<img\b[^>]*?\ssrc\s*=\s*["']([^"']+)["']/gi;
+
+// Storage IDs of every image a question, answer, revision, tag wiki or user
+// still points to. Inline images are only referenced from the HTML, and
+// rolling a post back can bring an image from an older revision back
+const findReferencedImages = async () => {
+  const referenced = new Set();
+  const addInlineImages = html => {
+    for (const [, src] of (html || '').matchAll(IMG_SRC)) {
+      const publicId = storage.publicIdFromUrl(src);
+      if (publicId) referenced.add(publicId);
+    }
+  };
+
+  const posts = [
+    { modelName: 'question', bodyField: 'description' },
+    { modelName: 'answer', bodyField: 'body' },
+  ];
+  for (const { modelName, bodyField } of posts) {
+    const cursor = Models[modelName]
+      .find({})
+      .select(`images ${bodyField}`)
+      .lean()
+      .cursor();
+    for await (const post of cursor) {
+      imagePublicIds(post.images).forEach(id => referenced.add(id));
+      addInlineImages(post[bodyField]);
+    }
+  }
+
+  const revisions = Models.revision.find({}).select('body').lean().cursor();
+  for await (const revision of revisions) {
+    addInlineImages(revision.body);
+  }
+
+  // Tag wikis, their history and edits still waiting for review
+  const wikis = [Models.tag, Models.tagEdit];
+  for (const model of wikis) {
+    const cursor = model.find({}).select('wiki').lean().cursor();
+    for await (const doc of cursor) {
+      addInlineImages(doc.wiki);
+    }
+  }
+
+  const users = await Models.user
+    .find({ $or: [{ avatarPublicId: { $ne: '' } }, { avatar: { $ne: '' } }] })
+    .select('avatar avatarPublicId')
+    .lean();
+  for (const user of users) {
+    if (user.avatarPublicId) referenced.add(user.avatarPublicId);
+    // Avatars uploaded before avatarPublicId existed only have the URL
+    const fromUrl = storage.publicIdFromUrl(user.avatar);
+    if (fromUrl) referenced.add(fromUrl);
+  }
+
+  return referenced;
+};
+
+const collect = async ({ dryRun, now }) => {
+  const referenced = await findReferencedImages();
+  const stored = await storage.listImages();
+  const cutoff = now.getTime() - IMAGE_GC_GRACE_HOURS * 60 * 60 * 1000;
+
+  const unreferenced = stored.filter(image => !referenced.has(image.publicId));
+  // Recent uploads may belong to a post that is still being saved
+  const orphans = unreferenced.filter(
+    image => image.createdAt.getTime() <= cutoff
+  );
+
+  const deleted = [];
+  const failed = [];
+  if (!dryRun) {
+    for (const { publicId } of orphans) {
+      try {
+        await storage.deleteImage(publicId);
+        deleted.push(publicId);
+      } catch (error) {
+        failed.push({ publicId, error: error.message });
+      }
+    }
+  }
+
+  return {
+    driver: storage.driver,
+    dryRun,
+    startedAt: now,
+    finishedAt: new Date(),
+    graceHours: IMAGE_GC_GRACE_HOURS,
+    stored: stored.length,
+    referenced: referenced.size,
+    skippedRecent: unreferenced.length - orphans.length,
+    orphans: orphans.map(({ publicId, createdAt }) => ({
+      publicId,
+      createdAt,
+    })),
+    deleted,
+    failed,
+  };
+};
+
+/**
+ * Compare the images in storage with the ones referenced by questions,
+ * answers, revisions, tag wikis and users, and delete the stored images
+ * nothing points to.
+ * Images newer than IMAGE_GC_GRACE_HOURS are never touched.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only report the orphans, delete nothing
+ * @param {Date} options.now - Reference time
+ * @returns {Promise<Object>} Report of what was found and deleted
+ */
+const collectOrphanedImages = async ({
+  dryRun = false,
+  now = new Date(),
+} = {}) => {
+  if (running) {
+    const error = new Error('Image garbage collection is already running');
+    error.code = 'GC_RUNNING';
+    throw error;
+  }
+
+  running = collect({ dryRun, now });
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+};
+
+/**
+ * Run collectOrphanedImages every IMAGE_GC_INTERVAL_HOURS
+ * @returns {Object} Interval handle
+ */
+const startImageGcJob = () => {
+  const run = async () => {
+    try {
+      const report = await collectOrphanedImages();
+      if (report.deleted.length > 0) {
+        console.log(`🧹 Deleted ${report.deleted.length} orphaned images`);
+      }
+      if (report.failed.length > 0) {
+        console.error(
+          `Image GC could not delete ${report.failed.length} images:`,
+          report.failed
+        );
+      }
+    } catch (error) {
+      console.error('Image GC job error:', error);
+    }
+  };
+
+  const interval = setInterval(run, IMAGE_GC_INTERVAL_HOURS * 60 * 60 * 1000);
+  // Do not keep the process alive just for this job
+  interval.unref();
+  return interval;
+};
+
+module.exports = { collectOrphanedImages, startImageGcJob };
@@ -0,0 +1,151 @@
+const sharp = require('sharp');
+const {
+  MAX_IMAGE_DIMENSION,
+  IMAGE_VARIANTS,
+  INLINE_IMAGE_WIDTH,
+  AVATAR_SIZE,
+  WEBP_QUALITY,
+} = require('../../config/storage');
+
+// MIME types each decoded format may be uploaded as
+const FORMAT_MIME_TYPES = {
+  jpeg: ['image/jpeg', 'image/jpg'],
+  png: ['image/png'],
+  gif: ['image/gif'],
+  webp: ['image/webp'],
+};
+
+// Errors about the uploaded file itself, reported to the client as a 400
+const invalidImage = message => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+};
+
+/**
+ * Decode an uploaded image and check it is what it claims to be
+ * @param {Object} file - Multer file with a buffer and mimetype
+ * @returns {Promise<Object>} - Width, height and whether it is animated
+ */
+const inspectImage = async file => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { animated: true }).metadata();
+  } catch (error) {
+    throw invalidImage(`${file.originalname} is not a valid image`);
+  }
+
+  const allowedTypes = FORMAT_MIME_TYPES[metadata.format];
+  if (!allowedTypes) {
+    throw invalidImage(
+      `${file.originalname} is a ${metadata.format} image, which is not supported`
+    );
+  }
+  if (!allowedTypes.includes(file.mimetype)) {
+    throw invalidImage(
+      `${file.originalname} is a ${metadata.format} image but was uploaded as ${file.mimetype}`
+    );
+  }
+
+  // Animated images report the height of all frames stacked, and EXIF
+  // orientations 5-8 turn the picture a quarter turn
+  const frameHeight = metadata.pageHeight || metadata.height;
+  const quarterTurn = metadata.orientation >= 5;
+  const width = quarterTurn ? frameHeight : metadata.width;
+  const height = quarterTurn ? metadata.width : frameHeight;
+  if (!width || !height) {
+    throw invalidImage(`${file.originalname} has no readable dimensions`);
+  }
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+    throw invalidImage(
+      `${file.originalname} is ${width}x${height}; images can be at most ${MAX_IMAGE_DIMENSION}px on each side`
+    );
+  }
+
+  return { width, height, animated: (metadata.pages || 1) > 1 };
+};
+
+// Re-encoding drops EXIF and other metadata; rotate() first applies the
+// EXIF orientation so photos stay upright. Animations carry no orientation
+const toWebp = (buffer, animated, resize) => {
+  const image = sharp(buffer, { animated });
+  if (!animated) {
+    image.rotate();
+  }
+  if (resize) {
+    image.resize(resize);
+  }
+  return image
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+};
+
+const webpFile = (file, { data, info }, suffix = '') => ({
+  originalname: file.originalname.replace(/\.\w+$/, '') + suffix + '.webp',
+  mimetype: 'image/webp',
+  buffer: data,
+  size: info.size,
+  width: info.width,
+  height: info.pageHeight || info.height,
+});
+
+/**
+ * Strip metadata from an image, convert it to webp and make its variants
+ * @param {Object} file - Multer file with a buffer and mimetype
+ * @param {string} kind - 'image' for post images, 'inline' for images
+ *   embedded in post bodies, 'avatar' for avatars
+ * @returns {Promise<Object>} - The processed file with a `variants` array
+ */
+const processImage = async (file, kind) => {
+  const { width, animated } = await inspectImage(file);
+
+  if (kind === 'avatar') {
+    const avatar = await toWebp(file.buffer, false, {
+      width: AVATAR_SIZE,
+      height: AVATAR_SIZE,
+      fit: 'cover',
+      position: sharp.strategy.attention,
+    });
+    return { ...webpFile(file, avatar), variants: [] };
+  }
+
+  if (kind === 'inline') {
+    const inline = await toWebp(file.buffer, animated, {
+      width: INLINE_IMAGE_WIDTH,
+      withoutEnlargement: true,
+    });
+    return { ...webpFile(file, inline), variants: [] };
+  }
+
+  const main = await toWebp(file.buffer, animated);
+  const variants = [];
+  for (const variant of IMAGE_VARIANTS) {
+    // Square thumbnails are always made; wider sizes only when they shrink the image
+    if (!variant.height && variant.width >= width) continue;
+
+    // Thumbnails show the first frame of animations
+    const result = await toWebp(
+      file.buffer,
+      animated && !variant.height,
+      variant.height
+        ? {
+            width: variant.width,
+            height: variant.height,
+            fit: 'cover',
+            position: sharp.strategy.attention,
+          }
+        : { width: variant.width, withoutEnlargement: true }
+    );
+    variants.push({
+      name: variant.name,
+      ...webpFile(file, result, `_${variant.name}`),
+    });
+  }
+
+  return { ...webpFile(file, main), variants };
+};
+
+module.exports = {
+  inspectImage,
+  processImage,
+};
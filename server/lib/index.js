@@ -1,19 +1,27 @@
 const { send_email } = require('./node-mailer');
+const storage = require('./storage');
+const rateLimitStore = require('./rate-limit');
+const oidc = require('./oidc');
 const {
   uploadAvatar,
   deleteAvatar,
   updateAvatar,
   uploadQuestionImage,
   uploadAnswerImage,
+  uploadInlineImage,
   deleteImage,
-} = require('./cloudinary');
+} = storage;
 
 module.exports = {
   send_email,
+  storage,
+  rateLimitStore,
+  oidc,
   uploadAvatar,
   deleteAvatar,
   updateAvatar,
   uploadQuestionImage,
   uploadAnswerImage,
+  uploadInlineImage,
   deleteImage,
 };
@@ -0,0 +1,79 @@
+// In-process publish/subscribe hub for Server-Sent Events. Each open
+// stream subscribes to a channel such as `user:<id>`; publishing writes the
+// event to every stream on that channel. Connections live in this process
+// only, so clients fall back to polling where streams are not kept open.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How long clients wait before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+const channels = new Map();
+
+/**
+ * Send an event to one stream
+ * @param {object} res - Response passed to subscribe
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ */
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Turn the response into an event stream subscribed to a channel
+ * @param {string} channel - Channel name
+ * @param {object} req - Express request; the stream ends when it closes
+ * @param {object} res - Express response
+ */
+const subscribe = (channel, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  if (!channels.has(channel)) {
+    channels.set(channel, new Set());
+  }
+  channels.get(channel).add(res);
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(
+    () => res.write(': ping\n\n'),
+    HEARTBEAT_INTERVAL_MS
+  );
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const subscribers = channels.get(channel);
+    if (!subscribers) return;
+    subscribers.delete(res);
+    if (subscribers.size === 0) {
+      channels.delete(channel);
+    }
+  });
+};
+
+/**
+ * Send an event to every stream on a channel
+ * @param {string} channel - Channel name
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ */
+const publish = (channel, event, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+  subscribers.forEach(res => send(res, event, data));
+};
+
+/**
+ * @param {string} channel - Channel name
+ * @returns {boolean} Whether any stream is open on the channel
+ */
+const hasSubscribers = channel => channels.has(channel);
+
+module.exports = { subscribe, send, publish, hasSubscribers };
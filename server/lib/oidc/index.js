@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  OIDC_ISSUER,
+  OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET,
+  OIDC_SCOPES,
+  OIDC_METADATA_CACHE_MINUTES,
+} = require('../../config/oidc');
+
+const CACHE_MS = OIDC_METADATA_CACHE_MINUTES * 60 * 1000;
+
+// Signature algorithms accepted on ID tokens; never "none" or HMAC
+const ID_TOKEN_ALGORITHMS = [
+  'RS256',
+  'RS384',
+  'RS512',
+  'PS256',
+  'PS384',
+  'PS512',
+  'ES256',
+  'ES384',
+  'ES512',
+];
+
+let metadataCache = null;
+let keysCache = null;
+
+const oidcError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw oidcError(
+      'OIDC_PROVIDER_ERROR',
+      `Identity provider request to ${url} failed with ${response.status}${
+        body.error ? `: ${body.error_description || body.error}` : ''
+      }`
+    );
+  }
+  return body;
+};
+
+const base64url = buffer => buffer.toString('base64url');
+
+/**
+ * The provider's discovery document, cached for OIDC_METADATA_CACHE_MINUTES
+ * @returns {Promise<Object>}
+ */
+const getMetadata = async () => {
+  if (metadataCache && metadataCache.expiresAt > Date.now()) {
+    return metadataCache.metadata;
+  }
+  const metadata = await fetchJson(
+    `${OIDC_ISSUER}/.well-known/openid-configuration`
+  );
+  if (metadata.issuer !== OIDC_ISSUER) {
+    throw oidcError(
+      'OIDC_PROVIDER_ERROR',
+      `Identity provider issuer "${metadata.issuer}" does not match OIDC_ISSUER`
+    );
+  }
+  metadataCache = { metadata, expiresAt: Date.now() + CACHE_MS };
+  return metadata;
+};
+
+// Public key for a key ID, fetching the key set again once if it is new
+const getSigningKey = async kid => {
+  const find = () =>
+    keysCache &&
+    keysCache.expiresAt > Date.now() &&
+    keysCache.keys.find(key => !kid || key.kid === kid);
+
+  if (!find()) {
+    const { jwks_uri } = await getMetadata();
+    const { keys = [] } = await fetchJson(jwks_uri);
+    keysCache = {
+      keys: keys.filter(key => !key.use || key.use === 'sig'),
+      expiresAt: Date.now() + CACHE_MS,
+    };
+  }
+
+  const jwk = find();
+  if (!jwk) {
+    throw oidcError('OIDC_INVALID_TOKEN', 'Unknown ID token signing key.');
+  }
+  return crypto
+    .createPublicKey({ key: jwk, format: 'jwk' })
+    .export({ type: 'spki', format: 'pem' });
+};
+
+/**
+ * New random values for one login: state, nonce and the PKCE verifier with
+ * its S256 challenge
+ * @returns {Object}
+ */
+const createLoginParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(
+      crypto.createHash('sha256').update(codeVerifier).digest()
+    ),
+  };
+};
+
+/**
+ * URL of the provider's login page for an authorization code request
+ * @param {Object} params - state, nonce, codeChallenge and redirectUri
+ * @returns {Promise<string>}
+ */
+const buildAuthorizationUrl = async ({
+  state,
+  nonce,
+  codeChallenge,
+  redirectUri,
+}) => {
+  const { authorization_endpoint } = await getMetadata();
+  const url = new URL(authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens and verify the ID token
+ * @param {Object} params - code, codeVerifier, redirectUri and nonce
+ * @returns {Promise<Object>} The user's claims, from the ID token and, when
+ *   the provider has one, the userinfo endpoint
+ * @throws {Error} code OIDC_PROVIDER_ERROR or OIDC_INVALID_TOKEN
+ */
+const completeLogin = async ({ code, codeVerifier, redirectUri, nonce }) => {
+  const { token_endpoint, userinfo_endpoint } = await getMetadata();
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: OIDC_CLIENT_ID,
+  });
+  if (OIDC_CLIENT_SECRET) {
+    headers.Authorization = `Basic ${Buffer.from(
+      `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(
+        OIDC_CLIENT_SECRET
+      )}`
+    ).toString('base64')}`;
+  }
+  const tokens = await fetchJson(token_endpoint, {
+    method: 'POST',
+    headers,
+    body,
+  });
+  if (!tokens.id_token) {
+    throw oidcError('OIDC_INVALID_TOKEN', 'The provider sent no ID token.');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw oidcError('OIDC_INVALID_TOKEN', 'Malformed ID token.');
+  }
+  let claims;
+  try {
+    claims = jwt.verify(
+      tokens.id_token,
+      await getSigningKey(decoded.header.kid),
+      {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: OIDC_ISSUER,
+        audience: OIDC_CLIENT_ID,
+      }
+    );
+  } catch (err) {
+    if (err.code) throw err;
+    throw oidcError('OIDC_INVALID_TOKEN', `Invalid ID token: ${err.message}`);
+  }
+  if (claims.nonce !== nonce) {
+    throw oidcError('OIDC_INVALID_TOKEN', 'ID token nonce does not match.');
+  }
+
+  // Some providers only put the profile in the userinfo response
+  if (userinfo_endpoint && tokens.access_token) {
+    const userInfo = await fetchJson(userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (userInfo.sub === claims.sub) {
+      claims = { ...userInfo, ...claims };
+    }
+  }
+
+  return claims;
+};
+
+module.exports = {
+  issuer: OIDC_ISSUER,
+  getMetadata,
+  createLoginParams,
+  buildAuthorizationUrl,
+  completeLogin,
+};
@@ -0,0 +1,27 @@
+const { RATE_LIMIT_STORE } = require('../../config/rate-limit');
+
+// Every store implements the same interface:
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>, counting this request
+//   reset(key) -> Promise
+//   list() -> Promise<[{ key, count, resetAt }]>, counters in a live window
+const STORES = {
+  memory: () => require('./memory'),
+  mongo: () => require('./mongo'),
+};
+
+if (!STORES[RATE_LIMIT_STORE]) {
+  throw new Error(
+    `Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}". Use one of: ${Object.keys(
+      STORES
+    ).join(', ')}`
+  );
+}
+
+const store = STORES[RATE_LIMIT_STORE]();
+
+module.exports = {
+  driver: RATE_LIMIT_STORE,
+  hit: store.hit,
+  reset: store.reset,
+  list: store.list,
+};
@@ -0,0 +1,37 @@
+// Counters in this process's memory. Every server instance counts on its own
+// and counters reset on restart; use the 'mongo' store to share them.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const counters = new Map();
+
+// Forget counters whose window is over
+const sweep = () => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt.getTime() <= now) counters.delete(key);
+  }
+};
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+const hit = async (key, windowMs) => {
+  const now = Date.now();
+  let counter = counters.get(key);
+  if (!counter || counter.resetAt.getTime() <= now) {
+    counter = { count: 0, resetAt: new Date(now + windowMs) };
+    counters.set(key, counter);
+  }
+  counter.count += 1;
+  return { ...counter };
+};
+
+const reset = async key => {
+  counters.delete(key);
+};
+
+const list = async () => {
+  sweep();
+  return [...counters].map(([key, counter]) => ({ key, ...counter }));
+};
+
+module.exports = { hit, reset, list };
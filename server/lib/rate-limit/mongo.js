@@ -0,0 +1,44 @@
+const Models = require('../../models');
+
+// Counters in MongoDB, shared by every server instance. Expired counters are
+// removed by a TTL index on resetAt.
+
+const hit = async (key, windowMs, retried = false) => {
+  const now = new Date();
+  const isActive = { $gt: ['$resetAt', now] };
+  try {
+    // Count up within the window, or start a new one
+    const counter = await Models.rateLimit.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [isActive, { $add: ['$count', 1] }, 1] },
+            resetAt: {
+              $cond: [isActive, '$resetAt', new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+    return { count: counter.count, resetAt: counter.resetAt };
+  } catch (error) {
+    // Two first hits raced to create the counter; the loser counts again
+    if (error.code === 11000 && !retried) return hit(key, windowMs, true);
+    throw error;
+  }
+};
+
+const reset = async key => {
+  await Models.rateLimit.deleteOne({ key });
+};
+
+const list = async () => {
+  const counters = await Models.rateLimit
+    .find({ resetAt: { $gt: new Date() } })
+    .lean();
+  return counters.map(({ key, count, resetAt }) => ({ key, count, resetAt }));
+};
+
+module.exports = { hit, reset, list };
@@ -0,0 +1,103 @@
+const cloudinary = require('cloudinary').v2;
+const { CLOUDINARY, INLINE_IMAGE_WIDTH } = require('../../config/storage');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: CLOUDINARY.cloudName,
+  api_key: CLOUDINARY.apiKey,
+  api_secret: CLOUDINARY.apiSecret,
+});
+
+// Cloudinary converts every image to webp; avatars are also cropped to the face
+const TRANSFORMATIONS = {
+  avatar: [
+    { width: 200, height: 200, crop: 'fill', gravity: 'face' },
+    { quality: 'auto' },
+    { format: 'webp' },
+  ],
+  image: [{ quality: 'auto' }, { format: 'webp' }],
+  inline: [
+    { width: INLINE_IMAGE_WIDTH, crop: 'limit' },
+    { quality: 'auto' },
+    { format: 'webp' },
+  ],
+};
+
+/**
+ * Upload an image to Cloudinary
+ * @param {Object} file - Uploaded file with a buffer
+ * @param {Object} options - Upload options
+ * @param {string} options.folder - Folder to store the image in
+ * @param {string} options.name - File name without extension
+ * @param {string} options.kind - 'avatar', 'image' or 'inline'
+ * @returns {Promise<Object>} - Public URL and ID of the stored image
+ */
+const upload = (file, { folder, name, kind }) =>
+  new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: `fire-shark/${folder}`,
+        resource_type: 'image',
+        transformation: TRANSFORMATIONS[kind],
+        public_id: name,
+      },
+      (error, result) => {
+        if (error) {
+          reject(new Error(`Cloudinary upload failed: ${error.message}`));
+        } else {
+          resolve({ url: result.secure_url, publicId: result.public_id });
+        }
+      }
+    );
+
+    uploadStream.end(file.buffer);
+  });
+
+/**
+ * Delete an image from Cloudinary
+ * @param {string} publicId - The public ID of the image to delete
+ * @returns {Promise<Object>} - Cloudinary delete result
+ */
+const remove = async publicId => cloudinary.uploader.destroy(publicId);
+
+/**
+ * Recover the public ID from a delivery URL such as
+ * https://res.cloudinary.com/<cloud>/image/upload/v123/fire-shark/avatar/<user>/avatar_1.webp
+ * @param {string} url - Image URL
+ * @returns {string|null} - Public ID, or null for URLs Cloudinary did not issue
+ */
+const publicIdFromUrl = url => {
+  const match = /\/upload\/(?:v\d+\/)?(.+?)(?:\.\w+)?$/.exec(url || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * List the images stored under one of our Cloudinary folders
+ * @param {string} folder - Top-level folder, e.g. 'avatar'
+ * @returns {Promise<Array>} - Public ID and creation time of each image
+ */
+const list = async folder => {
+  const images = [];
+  let cursor;
+
+  do {
+    const result = await cloudinary.api.resources({
+      type: 'upload',
+      resource_type: 'image',
+      prefix: `fire-shark/${folder}/`,
+      max_results: 500,
+      next_cursor: cursor,
+    });
+    for (const resource of result.resources) {
+      images.push({
+        publicId: resource.public_id,
+        createdAt: new Date(resource.created_at),
+      });
+    }
+    cursor = result.next_cursor;
+  } while (cursor);
+
+  return images;
+};
+
+module.exports = { upload, remove, list, publicIdFromUrl };
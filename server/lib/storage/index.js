@@ -0,0 +1,201 @@
+const { STORAGE_DRIVER } = require('../../config/storage');
+
+// Every adapter implements the same interface:
+//   upload(file, { folder, name, kind }) -> Promise<{ url, publicId }>
+//   remove(publicId) -> Promise
+//   list(folder) -> Promise<[{ publicId, createdAt }]>
+//   publicIdFromUrl(url) -> string | null
+const ADAPTERS = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./local'),
+  s3: () => require('./s3'),
+};
+
+if (!ADAPTERS[STORAGE_DRIVER]) {
+  throw new Error(
+    `Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use one of: ${Object.keys(
+      ADAPTERS
+    ).join(', ')}`
+  );
+}
+
+const adapter = ADAPTERS[STORAGE_DRIVER]();
+
+// Top-level folders uploads are written to
+const FOLDERS = ['avatar', 'question', 'answer', 'inline'];
+
+// Upload an image and the resized variants the upload pipeline attached to it
+const uploadWithVariants = async (file, folder, name) => {
+  const result = await adapter.upload(file, { folder, name, kind: 'image' });
+
+  const variants = [];
+  for (const variant of file.variants || []) {
+    const stored = await adapter.upload(variant, {
+      folder,
+      name: `${name}_${variant.name}`,
+      kind: 'image',
+    });
+    variants.push({
+      name: variant.name,
+      ...stored,
+      width: variant.width,
+      height: variant.height,
+    });
+  }
+
+  return {
+    ...result,
+    width: file.width,
+    height: file.height,
+    variants,
+  };
+};
+
+/**
+ * Upload avatar image
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {string} userId - The user ID for folder organization
+ * @returns {Promise<Object>} - Public URL and ID of the stored image
+ */
+const uploadAvatar = async (file, userId) => {
+  try {
+    return await adapter.upload(file, {
+      folder: `avatar/${userId}`,
+      name: `avatar_${Date.now()}`,
+      kind: 'avatar',
+    });
+  } catch (error) {
+    throw new Error(`Avatar upload failed: ${error.message}`);
+  }
+};
+
+/**
+ * Upload question image
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {string} questionId - The question ID for folder organization
+ * @param {string} caption - Optional caption for the image
+ * @returns {Promise<Object>} - Public URL, ID, caption and variants of the stored image
+ */
+const uploadQuestionImage = async (file, questionId, caption = '') => {
+  try {
+    const result = await uploadWithVariants(
+      file,
+      `question/${questionId}`,
+      `question_img_${Date.now()}`
+    );
+    return { ...result, caption };
+  } catch (error) {
+    throw new Error(`Question image upload failed: ${error.message}`);
+  }
+};
+
+/**
+ * Upload answer image
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {string} answerId - The answer ID for folder organization
+ * @param {string} caption - Optional caption for the image
+ * @returns {Promise<Object>} - Public URL, ID, caption and variants of the stored image
+ */
+const uploadAnswerImage = async (file, answerId, caption = '') => {
+  try {
+    const result = await uploadWithVariants(
+      file,
+      `answer/${answerId}`,
+      `answer_img_${Date.now()}`
+    );
+    return { ...result, caption };
+  } catch (error) {
+    throw new Error(`Answer image upload failed: ${error.message}`);
+  }
+};
+
+/**
+ * Upload an image embedded in a question or answer body. Nothing records
+ * which post it belongs to until the post is saved; images that never make
+ * it into a post are removed by the image garbage collector
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {string} userId - The uploader's ID for folder organization
+ * @returns {Promise<Object>} - Public URL and ID of the stored image
+ */
+const uploadInlineImage = async (file, userId) => {
+  try {
+    const result = await adapter.upload(file, {
+      folder: `inline/${userId}`,
+      name: `inline_img_${Date.now()}`,
+      kind: 'inline',
+    });
+    return { ...result, width: file.width, height: file.height };
+  } catch (error) {
+    throw new Error(`Image upload failed: ${error.message}`);
+  }
+};
+
+/**
+ * Delete avatar
+ * @param {string} publicId - The public ID of the image to delete
+ */
+const deleteAvatar = async publicId => {
+  try {
+    return await adapter.remove(publicId);
+  } catch (error) {
+    throw new Error(`Avatar deletion failed: ${error.message}`);
+  }
+};
+
+/**
+ * Delete image
+ * @param {string} publicId - The public ID of the image to delete
+ */
+const deleteImage = async publicId => {
+  try {
+    return await adapter.remove(publicId);
+  } catch (error) {
+    throw new Error(`Image deletion failed: ${error.message}`);
+  }
+};
+
+/**
+ * Update avatar - delete old and upload new
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {string} userId - The user ID
+ * @param {string} oldPublicId - The old public ID to delete
+ * @returns {Promise<Object>} - Public URL and ID of the stored image
+ */
+const updateAvatar = async (file, userId, oldPublicId = null) => {
+  try {
+    // Delete old avatar if it exists
+    if (oldPublicId) {
+      await deleteAvatar(oldPublicId);
+    }
+
+    // Upload new avatar
+    return await uploadAvatar(file, userId);
+  } catch (error) {
+    throw new Error(`Avatar update failed: ${error.message}`);
+  }
+};
+
+/**
+ * List every image in storage
+ * @returns {Promise<Array>} - Public ID and upload time of each stored image
+ */
+const listImages = async () => {
+  const images = [];
+  for (const folder of FOLDERS) {
+    images.push(...(await adapter.list(folder)));
+  }
+  return images;
+};
+
+module.exports = {
+  driver: STORAGE_DRIVER,
+  uploadAvatar,
+  uploadQuestionImage,
+  uploadAnswerImage,
+  uploadInlineImage,
+  deleteAvatar,
+  deleteImage,
+  updateAvatar,
+  listImages,
+  publicIdFromUrl: adapter.publicIdFromUrl,
+};
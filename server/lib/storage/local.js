@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { LOCAL } = require('../../config/storage');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+// Resolve a public ID inside the upload directory, refusing paths that escape it
+const resolvePath = publicId => {
+  const filePath = path.resolve(LOCAL.directory, publicId);
+  if (!filePath.startsWith(LOCAL.directory + path.sep)) {
+    throw new Error(`Invalid storage path: ${publicId}`);
+  }
+  return filePath;
+};
+
+/**
+ * Write an image to the upload directory
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {Object} options - Upload options
+ * @param {string} options.folder - Folder to store the image in
+ * @param {string} options.name - File name without extension
+ * @returns {Promise<Object>} - Public URL and ID of the stored image
+ */
+const upload = async (file, { folder, name }) => {
+  const extension = EXTENSIONS[file.mimetype] || 'bin';
+  const publicId = `${folder}/${name}.${extension}`;
+  const filePath = resolvePath(publicId);
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, file.buffer);
+
+  return { url: `${LOCAL.baseUrl}/${publicId}`, publicId };
+};
+
+/**
+ * Delete an image from the upload directory; missing files are ignored
+ * @param {string} publicId - Path of the image inside the upload directory
+ */
+const remove = async publicId => {
+  await fs.rm(resolvePath(publicId), { force: true });
+};
+
+/**
+ * @param {string} url - Image URL
+ * @returns {string|null} - Public ID, or null for URLs not served from the upload route
+ */
+const publicIdFromUrl = url => {
+  const prefix = `${LOCAL.baseUrl}/`;
+  return url && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+};
+
+/**
+ * List the images stored under a folder of the upload directory
+ * @param {string} folder - Top-level folder, e.g. 'avatar'
+ * @returns {Promise<Array>} - Public ID and modification time of each image
+ */
+const list = async folder => {
+  const images = [];
+
+  const walk = async directory => {
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile()) {
+        const { mtime } = await fs.stat(entryPath);
+        images.push({
+          publicId: path
+            .relative(LOCAL.directory, entryPath)
+            .split(path.sep)
+            .join('/'),
+          createdAt: mtime,
+        });
+      }
+    }
+  };
+
+  await walk(resolvePath(folder));
+  return images;
+};
+
+module.exports = { upload, remove, list, publicIdFromUrl };
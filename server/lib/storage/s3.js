@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const { S3 } = require('../../config/storage');
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) =>
+  crypto.createHmac('sha256', key).update(data).digest();
+
+// SigV4 wants RFC 3986 encoding, which also escapes !'()*
+const encodeRfc3986 = value =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+// Virtual-hosted style unless S3_FORCE_PATH_STYLE is set (MinIO and friends)
+const objectUrl = key => {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  if (!S3.endpoint) {
+    return `https://${S3.bucket}.s3.${S3.region}.amazonaws.com/${encodedKey}`;
+  }
+  const endpoint = new URL(S3.endpoint);
+  return S3.forcePathStyle
+    ? `${endpoint.origin}/${S3.bucket}/${encodedKey}`
+    : `${endpoint.protocol}//${S3.bucket}.${endpoint.host}/${encodedKey}`;
+};
+
+const publicBaseUrl = () =>
+  S3.publicUrl ? S3.publicUrl.replace(/\/$/, '') : objectUrl('').slice(0, -1);
+
+/**
+ * Send a request signed with AWS Signature Version 4
+ * @param {string} method - HTTP method
+ * @param {string} key - Object key
+ * @param {Object} options - Request body, query parameters and extra headers
+ * @returns {Promise<Response>}
+ */
+const signedRequest = async (
+  method,
+  key,
+  { body = '', query = {}, headers = {} } = {}
+) => {
+  if (!S3.bucket || !S3.accessKeyId || !S3.secretAccessKey) {
+    throw new Error('S3 storage is not configured');
+  }
+
+  const url = new URL(objectUrl(key));
+  const canonicalQuery = Object.keys(query)
+    .filter(name => query[name] !== undefined)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+  url.search = canonicalQuery;
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const signed = {
+    ...Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [
+        name.toLowerCase(),
+        value,
+      ])
+    ),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${String(signed[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${date}/${S3.region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    hmac,
+    hmac(hmac(`AWS4${S3.secretAccessKey}`, date), S3.region)
+  );
+  const signature = crypto
+    .createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex');
+
+  // fetch sets the host header itself
+  const { host, ...requestHeaders } = signed;
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...requestHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${
+        S3.accessKeyId
+      }/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+    },
+    body: method === 'PUT' ? body : undefined,
+  });
+
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`S3 ${method} failed with status ${response.status}`);
+  }
+  return response;
+};
+
+/**
+ * Put an image in the bucket. The bucket (or S3_PUBLIC_URL in front of it)
+ * must allow public reads
+ * @param {Object} file - Uploaded file with a buffer and mimetype
+ * @param {Object} options - Upload options
+ * @param {string} options.folder - Folder to store the image in
+ * @param {string} options.name - File name without extension
+ * @returns {Promise<Object>} - Public URL and ID of the stored image
+ */
+const upload = async (file, { folder, name }) => {
+  const extension = EXTENSIONS[file.mimetype] || 'bin';
+  const publicId = `${folder}/${name}.${extension}`;
+
+  await signedRequest('PUT', publicId, {
+    body: file.buffer,
+    headers: { 'Content-Type': file.mimetype },
+  });
+
+  return { url: `${publicBaseUrl()}/${publicId}`, publicId };
+};
+
+/**
+ * Delete an image from the bucket; missing objects are ignored
+ * @param {string} publicId - Object key
+ */
+const remove = async publicId => {
+  await signedRequest('DELETE', publicId);
+};
+
+/**
+ * @param {string} url - Image URL
+ * @returns {string|null} - Object key, or null for URLs outside the bucket
+ */
+const publicIdFromUrl = url => {
+  const prefix = `${publicBaseUrl()}/`;
+  return url && url.startsWith(prefix)
+    ? decodeURIComponent(url.slice(prefix.length))
+    : null;
+};
+
+// Pull the contents of every <tag> element out of an S3 XML response
+const xmlValues = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))].map(
+    match => match[1]
+  );
+
+const decodeXml = value =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * List the objects stored under a folder of the bucket
+ * @param {string} folder - Top-level folder, e.g. 'avatar'
+ * @returns {Promise<Array>} - Object key and last modification time of each image
+ */
+const list = async folder => {
+  const images = [];
+  let continuationToken;
+
+  do {
+    const response = await signedRequest('GET', '', {
+      query: {
+        'list-type': '2',
+        prefix: `${folder}/`,
+        'continuation-token': continuationToken,
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`S3 bucket "${S3.bucket}" was not found`);
+    }
+    const xml = await response.text();
+
+    for (const object of xmlValues(xml, 'Contents')) {
+      images.push({
+        publicId: decodeXml(xmlValues(object, 'Key')[0]),
+        createdAt: new Date(xmlValues(object, 'LastModified')[0]),
+      });
+    }
+    continuationToken =
+      xmlValues(xml, 'IsTruncated')[0] === 'true'
+        ? decodeXml(xmlValues(xml, 'NextContinuationToken')[0])
+        : undefined;
+  } while (continuationToken);
+
+  return images;
+};
+
+module.exports = { upload, remove, list, publicIdFromUrl };
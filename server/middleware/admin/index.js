@@ -0,0 +1,24 @@
+const { findOne } = require('../../helpers');
+
+// Only let admins through; must run after tokenVerification
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await findOne('user', { _id: req.userId });
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        status: 403,
+        message: 'Admin access required',
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Admin check error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+};
+
+module.exports = { requireAdmin };
@@ -1,5 +1,7 @@
 const multer = require('multer');
 const path = require('path');
+const { STORAGE_DRIVER } = require('../config/storage');
+const { inspectImage, processImage } = require('../lib/image-pipeline');
 
 // Configure multer for image uploads with specific limits
 const imageUpload = multer({
@@ -57,7 +59,45 @@ const handleImageUploadError = (error, req, res, next) => {
   next(error);
 };
 
+// Runs after multer. Every upload is decoded and checked against its declared
+// MIME type and the size limit. Cloudinary transforms images itself; for the
+// other drivers each file is replaced by a metadata-free webp with its
+// resized variants in `file.variants`
+const processImages = (kind = 'image') => async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    if (STORAGE_DRIVER === 'cloudinary') {
+      for (const file of files) {
+        await inspectImage(file);
+      }
+      return next();
+    }
+
+    const processed = [];
+    for (const file of files) {
+      processed.push({ ...file, ...(await processImage(file, kind)) });
+    }
+
+    if (req.files) {
+      req.files = processed;
+    } else if (req.file) {
+      req.file = processed[0];
+    }
+    next();
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
 module.exports = {
   imageUpload,
   handleImageUploadError,
+  processImages,
 }; 
\ No newline at end of file
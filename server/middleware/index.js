@@ -1,3 +1,12 @@
 const { tokenVerification } = require('./token-verification');
+const { requirePrivilege, downvotePrivilege } = require('./privilege');
+const { requireAdmin } = require('./admin');
+const { rateLimit } = require('./rate-limit');
 
-module.exports = { tokenVerification };
+module.exports = {
+  tokenVerification,
+  requirePrivilege,
+  downvotePrivilege,
+  requireAdmin,
+  rateLimit,
+};
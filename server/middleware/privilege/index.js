@@ -0,0 +1,42 @@
+const { findOne } = require('../../helpers');
+const { hasPrivilege, getEarnedReputation } = require('../../utils');
+const PRIVILEGES = require('../../config/privileges');
+
+/**
+ * Require a reputation privilege; must run after tokenVerification
+ * @param {string|Function} privilege - Privilege name, or a function of req
+ *   returning the name (or null when no privilege is needed)
+ */
+const requirePrivilege = privilege => async (req, res, next) => {
+  try {
+    const name = typeof privilege === 'function' ? privilege(req) : privilege;
+    if (!name) return next();
+
+    const user = await findOne('user', { _id: req.userId });
+    const reputation = user ? await getEarnedReputation(user._id) : 0;
+    if (!(await hasPrivilege(user, name, reputation))) {
+      const { reputation: required, description } = PRIVILEGES[name];
+      return res.status(403).json({
+        status: 403,
+        message: `You need ${required} reputation to ${description.toLowerCase()} (you have ${reputation})`,
+        privilege: name,
+        requiredReputation: required,
+        reputation,
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Privilege check error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+};
+
+// Votes only need a privilege when they are downvotes
+const downvotePrivilege = req =>
+  req.body.voteType === 'downvote' ? 'downvote' : null;
+
+module.exports = { requirePrivilege, downvotePrivilege };
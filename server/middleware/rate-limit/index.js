@@ -0,0 +1,57 @@
+const { rateLimitStore } = require('../../lib');
+const { clientIp } = require('../../utils');
+const {
+  RATE_LIMITS,
+  RATE_LIMIT_WINDOW_MINUTES,
+} = require('../../config/rate-limit');
+
+const WINDOW_MS = RATE_LIMIT_WINDOW_MINUTES * 60 * 1000;
+
+/**
+ * Throttle an endpoint per IP address and, if the request names an account,
+ * per account. Limits are set in config/rate-limit.js.
+ * @param {string} name - Key of RATE_LIMITS, also used in the counter keys
+ * @param {Function} accountOf - Optional; the username, email or user ID the
+ *   request is for
+ */
+const rateLimit =
+  (name, accountOf = () => null) =>
+  async (req, res, next) => {
+    const { perIp, perAccount } = RATE_LIMITS[name];
+    const checks = [[`${name}:ip:${clientIp(req)}`, perIp]];
+
+    const account = accountOf(req);
+    if (perAccount && typeof account === 'string' && account.trim()) {
+      checks.push([
+        `${name}:account:${account.trim().toLowerCase()}`,
+        perAccount,
+      ]);
+    }
+
+    try {
+      for (const [key, max] of checks) {
+        const { count, resetAt } = await rateLimitStore.hit(key, WINDOW_MS);
+        if (count > max) {
+          const retryAfter = Math.max(
+            1,
+            Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000)
+          );
+          const minutes = Math.ceil(retryAfter / 60);
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({
+            status: 429,
+            message: `Too many attempts. Please try again in ${minutes} minute${
+              minutes === 1 ? '' : 's'
+            }.`,
+            retryAfter,
+          });
+        }
+      }
+    } catch (err) {
+      // Better to let requests through than to fail every login
+      console.error('Rate limit error:', err);
+    }
+    next();
+  };
+
+module.exports = { rateLimit };
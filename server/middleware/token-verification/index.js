@@ -1,6 +1,55 @@
 const jwt = require('jsonwebtoken');
 const Config = require('../../config');
 const { getDbUserData } = require('../../helpers');
+const {
+  findActiveSession,
+  isApiToken,
+  apiTokenScopesFor,
+  findActiveApiToken,
+} = require('../../utils');
+
+// Personal access tokens only reach the endpoints their scopes allow
+const apiTokenVerification = async (token, req, res, next) => {
+  try {
+    const apiToken = await findActiveApiToken(token, req);
+    if (!apiToken) {
+      return res.status(401).send({
+        status: 401,
+        message: 'API token invalid, expired or revoked.',
+      });
+    }
+
+    const required = apiTokenScopesFor(
+      req.method,
+      req.originalUrl.split('?')[0]
+    );
+    if (!required.some(scope => apiToken.scopes.includes(scope))) {
+      return res.status(403).send({
+        status: 403,
+        message: required.length
+          ? `This API token needs the ${required.join(' or ')} scope.`
+          : 'This endpoint does not accept API tokens.',
+        requiredScopes: required,
+      });
+    }
+
+    const isUserExist = await getDbUserData('user', '_id', apiToken.user);
+    if (!isUserExist) {
+      return res
+        .status(401)
+        .send({ status: 401, message: 'User does not exist.' });
+    }
+    req.userId = apiToken.user.toString();
+    req.apiTokenId = apiToken._id.toString();
+    next();
+  } catch (error) {
+    console.error('API token verification error:', error);
+    return res.status(500).send({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+};
 
 const tokenVerification = (req, res, next) => {
   let token = req.headers['authorization'];
@@ -12,20 +61,39 @@ const tokenVerification = (req, res, next) => {
   if (token.startsWith('Bearer ')) {
     token = token.slice(7);
   }
+  if (isApiToken(token)) {
+    return apiTokenVerification(token, req, res, next);
+  }
   jwt.verify(token, Config.SECRET, async (err, decoded) => {
-    if (err) {
+    // Tokens issued before sessions existed carry no session and cannot be revoked
+    if (err || !decoded.sid) {
       return res
         .status(401)
         .send({ status: 401, message: 'Token Unauthorized!' });
     }
-    const isUserExist = await getDbUserData('user', '_id', decoded.id);
-    if (!isUserExist) {
-      return res
-        .status(401)
-        .send({ status: 401, message: 'User does not exist.' });
+    try {
+      const session = await findActiveSession(decoded.id, decoded.sid, req);
+      if (!session) {
+        return res
+          .status(401)
+          .send({ status: 401, message: 'Session expired or revoked.' });
+      }
+      const isUserExist = await getDbUserData('user', '_id', decoded.id);
+      if (!isUserExist) {
+        return res
+          .status(401)
+          .send({ status: 401, message: 'User does not exist.' });
+      }
+      req.userId = decoded.id;
+      req.sessionId = decoded.sid;
+      next();
+    } catch (error) {
+      console.error('Token verification error:', error);
+      return res.status(500).send({
+        status: 500,
+        message: 'Internal server error. Please try again later.',
+      });
     }
-    req.userId = decoded.id;
-    next();
   });
 };
 
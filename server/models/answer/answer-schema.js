@@ -4,9 +4,19 @@ const schemaType = require('../../types');
 const answerSchema = new mongoose.Schema(
   {
     body: {
-      type: schemaType.TypeString, // Store as HTML or markdown
+      type: schemaType.TypeString, // Sanitized HTML
       required: true,
     },
+    // 'markdown' posts keep their source here; body holds the rendered HTML
+    format: {
+      type: schemaType.TypeString,
+      enum: ['html', 'markdown'],
+      default: 'html',
+    },
+    markdown: {
+      type: schemaType.TypeString,
+      default: '',
+    },
     images: [
       {
         url: {
@@ -21,6 +31,36 @@ const answerSchema = new mongoose.Schema(
           type: schemaType.TypeString,
           default: '',
         },
+        width: {
+          type: schemaType.TypeNumber,
+        },
+        height: {
+          type: schemaType.TypeNumber,
+        },
+        // webp sizes made by the upload pipeline (not for Cloudinary)
+        variants: [
+          {
+            _id: false,
+            name: {
+              type: schemaType.TypeString, // 'thumbnail', 'small', 'medium', 'large'
+              required: true,
+            },
+            url: {
+              type: schemaType.TypeString,
+              required: true,
+            },
+            publicId: {
+              type: schemaType.TypeString,
+              required: true,
+            },
+            width: {
+              type: schemaType.TypeNumber,
+            },
+            height: {
+              type: schemaType.TypeNumber,
+            },
+          },
+        ],
       },
     ],
     author: {
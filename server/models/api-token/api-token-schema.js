@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// A personal access token for scripts. Only its hash is stored; the token
+// itself is shown to the user once, when it is created.
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    name: {
+      type: schemaType.TypeString,
+      required: true,
+      trim: true,
+    },
+    // SHA-256 of the token
+    tokenHash: {
+      type: schemaType.TypeString,
+      required: true,
+      unique: true,
+    },
+    // Start of the token, so users can tell their tokens apart
+    prefix: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    scopes: {
+      type: [schemaType.TypeString],
+      required: true,
+    },
+    lastUsedAt: {
+      type: schemaType.TypeDate,
+      default: null,
+    },
+    lastUsedIp: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    expiresAt: {
+      type: schemaType.TypeDate,
+      required: true,
+    },
+    revokedAt: {
+      type: schemaType.TypeDate,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+apiTokenSchema.index({ user: 1, revokedAt: 1, createdAt: -1 });
+// MongoDB removes tokens once they expire
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = apiTokenSchema;
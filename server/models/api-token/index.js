@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const apiTokenSchema = require('./api-token-schema');
+
+const apiToken = mongoose.model('apiToken', apiTokenSchema);
+
+module.exports = apiToken;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+const commentSchema = new mongoose.Schema(
+  {
+    body: {
+      type: schemaType.TypeString, // Plain text, mentions allowed
+      required: true,
+    },
+    author: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    postType: {
+      type: schemaType.TypeString,
+      enum: ['question', 'answer'],
+      required: true,
+    },
+    post: {
+      type: schemaType.ObjectId,
+      refPath: 'postType',
+      required: true,
+    },
+    // Question the post belongs to, used to build links
+    question: {
+      type: schemaType.ObjectId,
+      ref: 'question',
+      required: true,
+    },
+    // Comment being replied to, null for top-level comments
+    parent: {
+      type: schemaType.ObjectId,
+      ref: 'comment',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ postType: 1, post: 1, createdAt: 1 });
+
+module.exports = commentSchema;
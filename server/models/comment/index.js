@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+const commentSchema = require('./comment-schema');
+
+module.exports = mongoose.model('comment', commentSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+const flagSchema = new mongoose.Schema(
+  {
+    postType: {
+      type: schemaType.TypeString,
+      enum: ['question', 'answer'],
+      required: true,
+    },
+    post: {
+      type: schemaType.ObjectId,
+      refPath: 'postType',
+      required: true,
+    },
+    // Question the post belongs to, for linking from the review queue
+    question: {
+      type: schemaType.ObjectId,
+      ref: 'question',
+      required: true,
+    },
+    reporter: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    reason: {
+      type: schemaType.TypeString,
+      enum: ['spam', 'offensive', 'low_quality', 'other'],
+      required: true,
+    },
+    details: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    // 'deleted' means the post is gone, by a moderator or its author
+    status: {
+      type: schemaType.TypeString,
+      enum: ['pending', 'approved', 'dismissed', 'deleted'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+flagSchema.index({ status: 1, createdAt: 1 });
+flagSchema.index({ postType: 1, post: 1, status: 1 });
+
+module.exports = flagSchema;
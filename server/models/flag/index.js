@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+const flagSchema = require('./flag-schema');
+
+module.exports = mongoose.model('flag', flagSchema);
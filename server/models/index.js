@@ -9,6 +9,17 @@ db.user = require('./user');
 db.question = require('./question');
 db.answer = require('./answer');
 db.tag = require('./tag');
+db.tagEdit = require('./tag-edit');
 db.notification = require('./notification');
+db.comment = require('./comment');
+db.reputation = require('./reputation');
+db.revision = require('./revision');
+db.flag = require('./flag');
+db.moderationLog = require('./moderation-log');
+db.session = require('./session');
+db.rateLimit = require('./rate-limit');
+db.apiToken = require('./api-token');
+db.oidcLogin = require('./oidc-login');
+db.streamTicket = require('./stream-ticket');
 
 module.exports = db;
@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+const moderationLogSchema = require('./moderation-log-schema');
+
+module.exports = mongoose.model('moderationLog', moderationLogSchema);
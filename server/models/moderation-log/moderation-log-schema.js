@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// Audit log of moderator actions; entries are never updated or deleted
+const moderationLogSchema = new mongoose.Schema(
+  {
+    moderator: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    action: {
+      type: schemaType.TypeString,
+      enum: ['approve', 'dismiss', 'delete'],
+      required: true,
+    },
+    flag: {
+      type: schemaType.ObjectId,
+      ref: 'flag',
+      default: null,
+    },
+    postType: {
+      type: schemaType.TypeString,
+      enum: ['question', 'answer'],
+      required: true,
+    },
+    // Not a ref: the post may no longer exist
+    post: {
+      type: schemaType.ObjectId,
+      required: true,
+    },
+    postAuthor: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    // Copy of the content at the time of the action
+    snapshot: {
+      title: {
+        type: schemaType.TypeString,
+        default: '',
+      },
+      body: {
+        type: schemaType.TypeString,
+        default: '',
+      },
+    },
+    note: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+moderationLogSchema.index({ createdAt: -1 });
+
+module.exports = moderationLogSchema;
@@ -9,7 +9,7 @@ const notificationSchema = new mongoose.Schema(
       required: true,
     },
     type: {
-      type: schemaType.TypeString, // 'answer', 'comment', 'mention'
+      type: schemaType.TypeString, // 'answer', 'comment', 'mention', 'question_closed', 'question_reopened', 'bounty', 'moderation', 'tag_wiki', 'watched_tag'
       required: true,
     },
     message: {
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const oidcLoginSchema = require('./oidc-login-schema');
+
+const oidcLogin = mongoose.model('oidcLogin', oidcLoginSchema);
+
+module.exports = oidcLogin;
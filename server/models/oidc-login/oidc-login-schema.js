@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// A login through the OpenID Connect provider. It starts when the user is
+// sent to the provider and ends when the browser exchanges its one-time
+// login code for a session.
+const oidcLoginSchema = new mongoose.Schema(
+  {
+    // Sent to the provider and back, to find this login at the callback
+    state: {
+      type: schemaType.TypeString,
+      required: true,
+      unique: true,
+    },
+    // PKCE verifier; only its challenge goes to the provider
+    codeVerifier: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    nonce: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    // SHA-256 of the cookie set on the browser that started the login, so
+    // a callback URL cannot be replayed in another browser
+    browserHash: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    redirectUri: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    // Frontend path to return to after logging in
+    returnTo: {
+      type: schemaType.TypeString,
+      default: '/',
+    },
+    // Set once the provider has vouched for the user
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    // SHA-256 of the one-time code the browser exchanges for a session
+    loginCodeHash: {
+      type: schemaType.TypeString,
+      default: null,
+    },
+    expiresAt: {
+      type: schemaType.TypeDate,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+oidcLoginSchema.index({ loginCodeHash: 1 }, { sparse: true });
+// MongoDB removes logins once they expire
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = oidcLoginSchema;
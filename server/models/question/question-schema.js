@@ -1,5 +1,71 @@
 const mongoose = require('mongoose');
 const schemaType = require('../../types');
+const { CLOSE_REASONS } = require('../../config/moderation');
+
+const closeVoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    reason: {
+      type: schemaType.TypeString,
+      enum: Object.keys(CLOSE_REASONS),
+      required: true,
+    },
+    duplicateOf: {
+      type: schemaType.ObjectId,
+      ref: 'question',
+      default: null,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const reopenVoteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const bountySchema = new mongoose.Schema(
+  {
+    amount: {
+      type: schemaType.TypeNumber,
+      required: true,
+    },
+    offeredBy: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    status: {
+      type: schemaType.TypeString,
+      enum: ['active', 'awarded', 'expired'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    awardedTo: {
+      type: schemaType.ObjectId,
+      ref: 'answer',
+      default: null,
+    },
+    awardedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false, timestamps: { createdAt: true, updatedAt: false } }
+);
 
 const questionSchema = new mongoose.Schema(
   {
@@ -8,9 +74,25 @@ const questionSchema = new mongoose.Schema(
       required: true,
     },
     description: {
-      type: schemaType.TypeString, // Store as HTML or markdown
+      type: schemaType.TypeString, // Sanitized HTML
       required: true,
     },
+    // 'markdown' posts keep their source here; description holds the rendered HTML
+    format: {
+      type: schemaType.TypeString,
+      enum: ['html', 'markdown'],
+      default: 'html',
+    },
+    markdown: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    // Languages of the code blocks in the description, used to suggest tags
+    codeLanguages: [
+      {
+        type: schemaType.TypeString,
+      },
+    ],
     images: [
       {
         url: {
@@ -25,6 +107,36 @@ const questionSchema = new mongoose.Schema(
           type: schemaType.TypeString,
           default: '',
         },
+        width: {
+          type: schemaType.TypeNumber,
+        },
+        height: {
+          type: schemaType.TypeNumber,
+        },
+        // webp sizes made by the upload pipeline (not for Cloudinary)
+        variants: [
+          {
+            _id: false,
+            name: {
+              type: schemaType.TypeString, // 'thumbnail', 'small', 'medium', 'large'
+              required: true,
+            },
+            url: {
+              type: schemaType.TypeString,
+              required: true,
+            },
+            publicId: {
+              type: schemaType.TypeString,
+              required: true,
+            },
+            width: {
+              type: schemaType.TypeNumber,
+            },
+            height: {
+              type: schemaType.TypeNumber,
+            },
+          },
+        ],
       },
     ],
     tags: [
@@ -65,8 +177,60 @@ const questionSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    status: {
+      type: schemaType.TypeString,
+      enum: ['open', 'closed'],
+      default: 'open',
+    },
+    closeReason: {
+      type: schemaType.TypeString,
+      enum: [...Object.keys(CLOSE_REASONS), null],
+      default: null,
+    },
+    duplicateOf: {
+      type: schemaType.ObjectId,
+      ref: 'question',
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    // Admin who closed the question; null when closed by community votes
+    closedBy: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    // Pending votes; cleared when the question changes status
+    closeVotes: [closeVoteSchema],
+    reopenVotes: [reopenVoteSchema],
+    // Latest bounty; a new one can be offered once it is no longer active
+    bounty: {
+      type: bountySchema,
+      default: null,
+    },
+    // Users notified when the bounty is awarded or expires
+    bountyWatchers: [
+      {
+        type: schemaType.ObjectId,
+        ref: 'user',
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Full-text search, weighted so title matches rank above tags and body
+questionSchema.index(
+  { title: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'question_text_search',
+    weights: { title: 10, tags: 5, description: 1 },
+  }
+);
+
+// Featured list and the bounty expiry job
+questionSchema.index({ 'bounty.status': 1, 'bounty.expiresAt': 1 });
+
 module.exports = questionSchema;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const rateLimitSchema = require('./rate-limit-schema');
+
+const rateLimit = mongoose.model('rateLimit', rateLimitSchema);
+
+module.exports = rateLimit;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// One request counter of the 'mongo' rate limit store
+const rateLimitSchema = new mongoose.Schema({
+  // e.g. "login:ip:203.0.113.7"
+  key: {
+    type: schemaType.TypeString,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: schemaType.TypeNumber,
+    default: 0,
+  },
+  // End of the current window
+  resetAt: {
+    type: schemaType.TypeDate,
+    required: true,
+  },
+});
+
+// MongoDB removes counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = rateLimitSchema;
@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+const reputationSchema = require('./reputation-schema');
+
+module.exports = mongoose.model('reputation', reputationSchema);
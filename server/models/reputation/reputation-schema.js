@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+const reputationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    amount: {
+      type: schemaType.TypeNumber,
+      required: true,
+    },
+    reason: {
+      type: schemaType.TypeString,
+      enum: [
+        'upvote',
+        'downvote',
+        'upvote_removed',
+        'downvote_removed',
+        'accept',
+        'accept_removed',
+        'post_deleted',
+        'bounty_offered',
+        'bounty_awarded',
+        'bounty_refunded',
+      ],
+      required: true,
+    },
+    postType: {
+      type: schemaType.TypeString,
+      enum: ['question', 'answer'],
+      required: true,
+    },
+    post: {
+      type: schemaType.ObjectId,
+      refPath: 'postType',
+      required: true,
+    },
+    // User whose action caused the change (voter or question author)
+    actor: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+reputationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = reputationSchema;
@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+const revisionSchema = require('./revision-schema');
+
+module.exports = mongoose.model('revision', revisionSchema);
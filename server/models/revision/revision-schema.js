@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+const revisionSchema = new mongoose.Schema(
+  {
+    postType: {
+      type: schemaType.TypeString,
+      enum: ['question', 'answer'],
+      required: true,
+    },
+    post: {
+      type: schemaType.ObjectId,
+      refPath: 'postType',
+      required: true,
+    },
+    // 1 for the original post, incremented on every edit
+    revision: {
+      type: schemaType.TypeNumber,
+      required: true,
+    },
+    // User who wrote this version
+    author: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    editSummary: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    // Question title and tags (questions only)
+    title: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    tags: [
+      {
+        type: schemaType.TypeString,
+      },
+    ],
+    // Question description or answer body
+    body: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    // Format and Markdown source of the post at this revision
+    format: {
+      type: schemaType.TypeString,
+      enum: ['html', 'markdown'],
+      default: 'html',
+    },
+    markdown: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+revisionSchema.index({ postType: 1, post: 1, revision: 1 }, { unique: true });
+
+module.exports = revisionSchema;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const sessionSchema = require('./session-schema');
+
+const session = mongoose.model('session', sessionSchema);
+
+module.exports = session;
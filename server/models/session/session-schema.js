@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// A signed-in device. Access tokens carry the session ID and stop working as
+// soon as the session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    // SHA-256 of the current refresh token secret
+    tokenHash: {
+      type: schemaType.TypeString,
+      required: true,
+    },
+    // Hash of the refresh token it replaced, to detect reuse of a stolen token
+    previousTokenHash: {
+      type: schemaType.TypeString,
+      default: null,
+    },
+    rotatedAt: {
+      type: schemaType.TypeDate,
+      default: null,
+    },
+    // Readable browser and OS, e.g. "Firefox on Windows"
+    device: {
+      type: schemaType.TypeString,
+      default: 'Unknown device',
+    },
+    userAgent: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    ip: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    lastUsedAt: {
+      type: schemaType.TypeDate,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: schemaType.TypeDate,
+      required: true,
+    },
+    // Guest sessions end at expiresAt however often they are refreshed
+    fixedExpiry: {
+      type: schemaType.TypeBoolean,
+      default: false,
+    },
+    revokedAt: {
+      type: schemaType.TypeDate,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = sessionSchema;
@@ -0,0 +1,6 @@
+const mongoose = require('mongoose');
+const streamTicketSchema = require('./stream-ticket-schema');
+
+const streamTicket = mongoose.model('streamTicket', streamTicketSchema);
+
+module.exports = streamTicket;
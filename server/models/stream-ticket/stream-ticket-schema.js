@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// A one-time ticket for opening the notification stream. EventSource cannot
+// send headers, so the browser trades its access token for a ticket and puts
+// that in the stream URL instead of the token.
+const streamTicketSchema = new mongoose.Schema(
+  {
+    // SHA-256 of the ticket
+    ticketHash: {
+      type: schemaType.TypeString,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      required: true,
+    },
+    // The login session that asked for the ticket; it must still be active
+    // when the stream opens
+    session: {
+      type: schemaType.ObjectId,
+      ref: 'session',
+      required: true,
+    },
+    expiresAt: {
+      type: schemaType.TypeDate,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes tickets once they expire
+streamTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = streamTicketSchema;
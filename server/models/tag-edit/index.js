@@ -0,0 +1,4 @@
+const mongoose = require('mongoose');
+const tagEditSchema = require('./tag-edit-schema');
+
+module.exports = mongoose.model('tagEdit', tagEditSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const schemaType = require('../../types');
+
+// A suggested edit to a tag's excerpt and wiki. Approved edits, numbered by
+// `revision`, are the tag's wiki history
+const tagEditSchema = new mongoose.Schema(
+  {
+    tag: {
+      type: schemaType.ObjectId,
+      ref: 'tag',
+      required: true,
+    },
+    // null for the content a tag had before its first edit
+    author: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    editSummary: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    // Proposed excerpt (the tag's description)
+    description: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    // Proposed wiki, sanitized HTML
+    wiki: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    status: {
+      type: schemaType.TypeString,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending',
+    },
+    // Set when the edit is approved: 1 for the original content, then
+    // incremented on every approved edit
+    revision: {
+      type: schemaType.TypeNumber,
+      default: null,
+    },
+    reviewedBy: {
+      type: schemaType.ObjectId,
+      ref: 'user',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+  },
+  { timestamps: true }
+);
+
+tagEditSchema.index({ tag: 1, status: 1, createdAt: 1 });
+tagEditSchema.index({ tag: 1, revision: 1 });
+
+module.exports = tagEditSchema;
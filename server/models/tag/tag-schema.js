@@ -8,12 +8,28 @@ const tagSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Short excerpt shown in tag lists and at the top of the tag page
     description: {
       type: schemaType.TypeString,
       default: '',
     },
+    // Long-form wiki, sanitized HTML. Changed through tag edits
+    wiki: {
+      type: schemaType.TypeString,
+      default: '',
+    },
+    // Other names for this tag: js for javascript, and the old names of
+    // renamed and merged tags. They are replaced by `name` wherever tags are
+    // written or searched
+    synonyms: [
+      {
+        type: schemaType.TypeString,
+      },
+    ],
   },
   { timestamps: true }
 );
 
+tagSchema.index({ synonyms: 1 });
+
 module.exports = tagSchema;
@@ -44,10 +44,67 @@ const userSchema = new mongoose.Schema(
       type: schemaType.TypeString,
       default: '',
     },
+    // Storage ID of an uploaded avatar; empty for external avatar URLs
+    avatarPublicId: {
+      type: schemaType.TypeString,
+      default: '',
+    },
     bio: {
       type: schemaType.TypeString,
       default: '',
     },
+    // Kept in sync with the reputation ledger
+    reputation: {
+      type: schemaType.TypeNumber,
+      default: 0,
+    },
+    // Tag preferences: watched tags rank higher in the personalized feed,
+    // ignored tags are hidden from it
+    watchedTags: [
+      {
+        type: schemaType.TypeString,
+      },
+    ],
+    ignoredTags: [
+      {
+        type: schemaType.TypeString,
+      },
+    ],
+    // Notify about new questions in watched tags
+    notifyWatchedTags: {
+      type: schemaType.TypeBoolean,
+      default: false,
+    },
+    // Two-factor authentication. The secrets and recovery code hashes are
+    // never selected unless asked for explicitly
+    twoFactorEnabled: {
+      type: schemaType.TypeBoolean,
+      default: false,
+    },
+    // Set for accounts that must enroll before they can sign in
+    twoFactorRequired: {
+      type: schemaType.TypeBoolean,
+      default: false,
+    },
+    // Encrypted TOTP secret
+    twoFactorSecret: {
+      type: schemaType.TypeString,
+      select: false,
+    },
+    // Secret of an enrollment that has not been confirmed with a code yet
+    twoFactorPendingSecret: {
+      type: schemaType.TypeString,
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastStep: {
+      type: schemaType.TypeNumber,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [schemaType.TypeString],
+      select: false,
+    },
     // Email verification fields
     isEmailVerified: {
       type: schemaType.TypeBoolean,
@@ -70,8 +127,59 @@ const userSchema = new mongoose.Schema(
       type: schemaType.TypeDate,
       default: null,
     },
+    // Accounts at the OpenID Connect provider that sign in as this user
+    externalIdentities: [
+      {
+        issuer: {
+          type: schemaType.TypeString,
+          required: true,
+        },
+        subject: {
+          type: schemaType.TypeString,
+          required: true,
+        },
+        email: {
+          type: schemaType.TypeString,
+          default: '',
+        },
+        linkedAt: {
+          type: schemaType.TypeDate,
+          default: Date.now,
+        },
+      },
+    ],
+    // Login lockout fields
+    failedLoginAttempts: {
+      type: schemaType.TypeNumber,
+      default: 0,
+    },
+    // Lockouts so far; each one lasts twice as long as the last
+    lockoutCount: {
+      type: schemaType.TypeNumber,
+      default: 0,
+    },
+    lockedUntil: {
+      type: schemaType.TypeDate,
+      default: null,
+    },
+    unlockToken: {
+      type: schemaType.TypeString,
+      default: null,
+    },
+    unlockTokenExpires: {
+      type: schemaType.TypeDate,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Finds the users to notify about a new question in their watched tags
+userSchema.index({ watchedTags: 1, notifyWatchedTags: 1 });
+// Finds the user an OpenID Connect login belongs to
+userSchema.index({
+  'externalIdentities.issuer': 1,
+  'externalIdentities.subject': 1,
+});
+
 module.exports = userSchema;
@@ -0,0 +1,128 @@
+const Joi = require('joi');
+const { collectOrphanedImages } = require('../../jobs/image-gc');
+
+const collectImagesSchema = Joi.object({
+  dryRun: Joi.boolean().default(true).messages({
+    'boolean.base': 'dryRun must be true or false',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/admin/images/gc:
+ *   post:
+ *     summary: Collect orphaned images
+ *     description: |
+ *       Compare the images in storage with the ones questions, answers and
+ *       users reference, and delete the ones nothing points to (admin only).
+ *       Images uploaded within the last IMAGE_GC_GRACE_HOURS are kept.
+ *       Runs as a dry run unless dryRun=false is passed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Only report the orphaned images without deleting them
+ *     responses:
+ *       200:
+ *         description: Garbage collection report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                 message:
+ *                   type: string
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     driver:
+ *                       type: string
+ *                       example: local
+ *                     dryRun:
+ *                       type: boolean
+ *                     stored:
+ *                       type: integer
+ *                       description: Images found in storage
+ *                     referenced:
+ *                       type: integer
+ *                       description: Images referenced by posts and users
+ *                     skippedRecent:
+ *                       type: integer
+ *                       description: Unreferenced images still inside the grace period
+ *                     orphans:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           publicId:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     deleted:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     failed:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           publicId:
+ *                             type: string
+ *                           error:
+ *                             type: string
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin access required
+ *       409:
+ *         description: A collection is already running
+ *       500:
+ *         description: Internal server error
+ */
+async function handleCollectImages(req, res) {
+  try {
+    const { dryRun } = await collectImagesSchema.validateAsync(req.query);
+
+    const report = await collectOrphanedImages({ dryRun });
+
+    return res.status(200).json({
+      status: 200,
+      message: dryRun
+        ? `Found ${report.orphans.length} orphaned images`
+        : `Deleted ${report.deleted.length} of ${report.orphans.length} orphaned images`,
+      report,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    if (err.code === 'GC_RUNNING') {
+      return res.status(409).json({
+        status: 409,
+        message: err.message,
+      });
+    }
+
+    console.error('Collect images error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleCollectImages;
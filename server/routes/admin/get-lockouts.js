@@ -0,0 +1,134 @@
+const Models = require('../../models');
+const { rateLimitStore } = require('../../lib');
+const { RATE_LIMITS } = require('../../config/rate-limit');
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: List lockouts and throttled clients
+ *     description: |
+ *       Accounts that are locked or have failed logins since their last
+ *       successful one, and the rate limit counters in a live window
+ *       (admin only).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lockout state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                 accounts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       username:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       failedLoginAttempts:
+ *                         type: integer
+ *                       lockoutCount:
+ *                         type: integer
+ *                       lockedUntil:
+ *                         type: string
+ *                         format: date-time
+ *                       isLocked:
+ *                         type: boolean
+ *                 rateLimits:
+ *                   type: object
+ *                   properties:
+ *                     store:
+ *                       type: string
+ *                       example: memory
+ *                     counters:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           endpoint:
+ *                             type: string
+ *                             example: login
+ *                           scope:
+ *                             type: string
+ *                             enum: [ip, account]
+ *                           subject:
+ *                             type: string
+ *                             description: IP address, or the username or email tried
+ *                           count:
+ *                             type: integer
+ *                           limit:
+ *                             type: integer
+ *                           throttled:
+ *                             type: boolean
+ *                           resetAt:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetLockouts(req, res) {
+  try {
+    const now = new Date();
+    const users = await Models.user
+      .find({
+        $or: [
+          { lockedUntil: { $gt: now } },
+          { failedLoginAttempts: { $gt: 0 } },
+        ],
+      })
+      .select('username email failedLoginAttempts lockoutCount lockedUntil')
+      .sort({ lockedUntil: -1, failedLoginAttempts: -1 })
+      .limit(200)
+      .lean();
+
+    const accounts = users.map(user => ({
+      ...user,
+      isLocked: !!user.lockedUntil && user.lockedUntil > now,
+    }));
+
+    // Keys look like "login:ip:203.0.113.7" or "login:account:johndoe"
+    const counters = (await rateLimitStore.list()).map(
+      ({ key, count, resetAt }) => {
+        const [endpoint, scope, ...subject] = key.split(':');
+        const limits = RATE_LIMITS[endpoint] || {};
+        const limit = scope === 'ip' ? limits.perIp : limits.perAccount;
+        return {
+          endpoint,
+          scope,
+          subject: subject.join(':'),
+          count,
+          limit,
+          throttled: !!limit && count > limit,
+          resetAt,
+        };
+      }
+    );
+    counters.sort((a, b) => b.throttled - a.throttled || b.count - a.count);
+
+    return res.status(200).json({
+      status: 200,
+      accounts,
+      rateLimits: { store: rateLimitStore.driver, counters },
+    });
+  } catch (err) {
+    console.error('Get lockouts error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetLockouts;
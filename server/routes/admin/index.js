@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { tokenVerification, requireAdmin } = require('../../middleware');
+
+const collectImages = require('./collect-images');
+const getLockouts = require('./get-lockouts');
+const unlockAccount = require('./unlock-account');
+
+// Admin routes (authentication and admin role required)
+router.use(tokenVerification, requireAdmin);
+
+router.post('/images/gc', collectImages);
+router.get('/lockouts', getLockouts);
+router.post('/lockouts/:userId/unlock', unlockAccount);
+
+module.exports = router;
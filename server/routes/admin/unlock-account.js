@@ -0,0 +1,58 @@
+const { rateLimitStore } = require('../../lib');
+const { adminUnlockAccount } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/admin/lockouts/{userId}/unlock:
+ *   post:
+ *     summary: Unlock an account
+ *     description: |
+ *       Lift a user's login lockout, reset their lockout history and clear
+ *       their per-account login and two-factor rate limits (admin only).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleUnlockAccount(req, res) {
+  try {
+    const user = await adminUnlockAccount(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ status: 404, message: 'User not found.' });
+    }
+
+    await Promise.all([
+      ...[user.username, user.email]
+        .filter(Boolean)
+        .map(account => rateLimitStore.reset(`login:account:${account}`)),
+      rateLimitStore.reset(`two-factor:account:${user._id}`),
+    ]);
+
+    return res.status(200).json({
+      status: 200,
+      message: `Unlocked ${user.username}.`,
+    });
+  } catch (err) {
+    console.error('Admin unlock account error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleUnlockAccount;
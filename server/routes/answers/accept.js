@@ -1,5 +1,11 @@
 const { findOne, updateDocument } = require('../../helpers');
-const { createNotification } = require('../../utils');
+const {
+  createNotification,
+  adjustReputation,
+  REPUTATION_POINTS,
+  awardBounty,
+  publishQuestionEvent,
+} = require('../../utils');
 
 /**
  * @swagger
@@ -97,6 +103,22 @@ async function handleAcceptAnswer(req, res) {
       });
     }
 
+    // Take back the reputation of any previously accepted answer
+    const previousAccepted = await findOne('answer', {
+      question: answer.question,
+      isAccepted: true,
+    });
+    if (previousAccepted && previousAccepted.author.toString() !== userId) {
+      await adjustReputation({
+        user: previousAccepted.author,
+        amount: -REPUTATION_POINTS.accept,
+        reason: 'accept_removed',
+        postType: 'answer',
+        post: previousAccepted._id,
+        actor: userId,
+      });
+    }
+
     // Unaccept any previously accepted answer for this question
     await updateDocument(
       'answer',
@@ -115,6 +137,18 @@ async function handleAcceptAnswer(req, res) {
       }
     );
 
+    // Reward the answer author (accepting your own answer earns nothing)
+    if (answer.author.toString() !== userId) {
+      await adjustReputation({
+        user: answer.author,
+        amount: REPUTATION_POINTS.accept,
+        reason: 'accept',
+        postType: 'answer',
+        post: id,
+        actor: userId,
+      });
+    }
+
     // Update question's accepted answer
     const updatedQuestion = await updateDocument(
       'question',
@@ -135,10 +169,22 @@ async function handleAcceptAnswer(req, res) {
       });
     }
 
+    // An accepted answer wins the active bounty, unless the bounty offerer
+    // wrote it; then the bounty waits for expiry
+    if (
+      question.bounty &&
+      question.bounty.status === 'active' &&
+      answer.author.toString() !== question.bounty.offeredBy.toString()
+    ) {
+      await awardBounty(question, answer);
+    }
+
+    publishQuestionEvent(answer.question, 'accept', { answerId: id });
+
     // Populate author information
     const populatedQuestion = await updatedQuestion.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
@@ -153,6 +199,7 @@ async function handleAcceptAnswer(req, res) {
         last_name: populatedQuestion.author.last_name,
         username: populatedQuestion.author.username,
         avatar: populatedQuestion.author.avatar,
+        reputation: populatedQuestion.author.reputation,
       },
       answers: populatedQuestion.answers,
       acceptedAnswer: populatedQuestion.acceptedAnswer,
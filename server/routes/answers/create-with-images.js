@@ -2,7 +2,13 @@ const multer = require('multer');
 const Joi = require('joi');
 const { uploadAnswerImage } = require('../../lib');
 const { insertNewDocument, findOne, updateDocument } = require('../../helpers');
-const { createNotification, createMentionNotifications } = require('../../utils');
+const {
+  createNotification,
+  createMentionNotifications,
+  publishQuestionEvent,
+  POST_FORMATS,
+  renderPostContent,
+} = require('../../utils');
 
 // Configure multer for memory storage
 const upload = multer({
@@ -30,6 +36,12 @@ const createAnswerWithImagesSchema = Joi.object({
     'any.required': 'Question ID is required',
   }),
   imageCaptions: Joi.array().items(Joi.string().max(200)).optional(),
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .optional()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
 });
 
 /**
@@ -55,7 +67,12 @@ const createAnswerWithImagesSchema = Joi.object({
  *                 type: string
  *                 minLength: 10
  *                 example: "<p>Here's how you can implement JWT authentication in React...</p>"
- *                 description: Answer content (HTML)
+ *                 description: Answer content (HTML, or Markdown when format is markdown)
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
+ *                 description: Format of the body
  *               questionId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
@@ -102,6 +119,27 @@ const createAnswerWithImagesSchema = Joi.object({
  *                             type: string
  *                           caption:
  *                             type: string
+ *                           width:
+ *                             type: number
+ *                           height:
+ *                             type: number
+ *                           variants:
+ *                             type: array
+ *                             description: webp sizes, made when STORAGE_DRIVER is not cloudinary
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 name:
+ *                                   type: string
+ *                                   enum: [thumbnail, small, medium, large]
+ *                                 url:
+ *                                   type: string
+ *                                 publicId:
+ *                                   type: string
+ *                                 width:
+ *                                   type: number
+ *                                 height:
+ *                                   type: number
  *                     author:
  *                       type: object
  *                     question:
@@ -117,7 +155,7 @@ const createAnswerWithImagesSchema = Joi.object({
  */
 async function handleCreateAnswerWithImages(req, res) {
   try {
-    const { body, questionId, imageCaptions } = req.body;
+    const { body, questionId, imageCaptions, format = 'html' } = req.body;
     const userId = req.userId;
     const uploadedFiles = req.files || [];
 
@@ -131,6 +169,7 @@ async function handleCreateAnswerWithImages(req, res) {
       body,
       questionId,
       imageCaptions: captionsArray,
+      format,
     };
 
     await createAnswerWithImagesSchema.validateAsync(validationData);
@@ -160,9 +199,19 @@ async function handleCreateAnswerWithImages(req, res) {
       });
     }
 
+    if (question.status === 'closed') {
+      return res.status(403).json({
+        status: 403,
+        message: 'This question is closed and no longer accepts answers',
+      });
+    }
+
     // Create answer object
+    const { html, markdown } = renderPostContent(body, format);
     const answerData = {
-      body: body.trim(),
+      body: html,
+      format,
+      markdown,
       author: userId,
       question: questionId,
       upvotes: [],
@@ -190,15 +239,18 @@ async function handleCreateAnswerWithImages(req, res) {
 
         try {
           const uploadResult = await uploadAnswerImage(
-            file.buffer,
+            file,
             savedAnswer._id.toString(),
             caption
           );
 
           uploadedImages.push({
-            url: uploadResult.secure_url,
-            publicId: uploadResult.public_id,
+            url: uploadResult.url,
+            publicId: uploadResult.publicId,
             caption: caption,
+            width: uploadResult.width,
+            height: uploadResult.height,
+            variants: uploadResult.variants || [],
           });
         } catch (uploadError) {
           console.error(`Failed to upload image ${i + 1}:`, uploadError);
@@ -235,13 +287,15 @@ async function handleCreateAnswerWithImages(req, res) {
     // Populate author information
     const populatedAnswer = await savedAnswer.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
     const answerResponse = {
       _id: populatedAnswer._id,
       body: populatedAnswer.body,
+      format: populatedAnswer.format,
+      markdown: populatedAnswer.markdown,
       images: populatedAnswer.images || [],
       author: {
         _id: populatedAnswer.author._id,
@@ -249,6 +303,7 @@ async function handleCreateAnswerWithImages(req, res) {
         last_name: populatedAnswer.author.last_name,
         username: populatedAnswer.author.username,
         avatar: populatedAnswer.author.avatar,
+        reputation: populatedAnswer.author.reputation,
       },
       question: populatedAnswer.question,
       upvotes: populatedAnswer.upvotes,
@@ -258,6 +313,11 @@ async function handleCreateAnswerWithImages(req, res) {
       updatedAt: populatedAnswer.updatedAt,
     };
 
+    // Show the new answer to everyone reading the question
+    publishQuestionEvent(questionId, 'answer_created', {
+      answer: answerResponse,
+    });
+
     return res.status(201).json({
       success: true,
       message: 'Answer created successfully!',
@@ -1,6 +1,12 @@
 const Joi = require('joi');
 const { insertNewDocument, findOne, updateDocument } = require('../../helpers');
-const { createNotification, createMentionNotifications } = require('../../utils');
+const {
+  createNotification,
+  createMentionNotifications,
+  publishQuestionEvent,
+  POST_FORMATS,
+  renderPostContent,
+} = require('../../utils');
 
 const createAnswerSchema = Joi.object({
   body: Joi.string().min(10).required().messages({
@@ -10,6 +16,12 @@ const createAnswerSchema = Joi.object({
   questionId: Joi.string().required().messages({
     'any.required': 'Question ID is required',
   }),
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .optional()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
 });
 
 /**
@@ -35,7 +47,12 @@ const createAnswerSchema = Joi.object({
  *                 type: string
  *                 minLength: 10
  *                 example: "<p>Here's how you can implement JWT authentication in React...</p>"
- *                 description: Answer content (HTML)
+ *                 description: Answer content (HTML, or Markdown when format is markdown)
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
+ *                 description: Format of the body
  *               questionId:
  *                 type: string
  *                 example: "507f1f77bcf86cd799439011"
@@ -83,7 +100,7 @@ const createAnswerSchema = Joi.object({
  */
 async function handleCreateAnswer(req, res) {
   try {
-    const { body, questionId } = req.body;
+    const { body, questionId, format = 'html' } = req.body;
     const userId = req.userId;
 
     // Validate request body
@@ -114,9 +131,19 @@ async function handleCreateAnswer(req, res) {
       });
     }
 
+    if (question.status === 'closed') {
+      return res.status(403).json({
+        status: 403,
+        message: 'This question is closed and no longer accepts answers',
+      });
+    }
+
     // Create answer object
+    const { html, markdown } = renderPostContent(body, format);
     const answerData = {
-      body: body.trim(),
+      body: html,
+      format,
+      markdown,
       author: userId,
       question: questionId,
       upvotes: [],
@@ -137,7 +164,7 @@ async function handleCreateAnswer(req, res) {
     // Populate author information
     const populatedAnswer = await savedAnswer.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Add answer to question's answers array
@@ -163,12 +190,15 @@ async function handleCreateAnswer(req, res) {
     const answerResponse = {
       _id: populatedAnswer._id,
       body: populatedAnswer.body,
+      format: populatedAnswer.format,
+      markdown: populatedAnswer.markdown,
       author: {
         _id: populatedAnswer.author._id,
         first_name: populatedAnswer.author.first_name,
         last_name: populatedAnswer.author.last_name,
         username: populatedAnswer.author.username,
         avatar: populatedAnswer.author.avatar,
+        reputation: populatedAnswer.author.reputation,
       },
       question: populatedAnswer.question,
       upvotes: populatedAnswer.upvotes,
@@ -178,6 +208,11 @@ async function handleCreateAnswer(req, res) {
       updatedAt: populatedAnswer.updatedAt,
     };
 
+    // Show the new answer to everyone reading the question
+    publishQuestionEvent(questionId, 'answer_created', {
+      answer: answerResponse,
+    });
+
     return res.status(201).json({
       status: 201,
       message: 'Answer created successfully!',
@@ -1,4 +1,5 @@
-const { findOne, deleteDocument, updateDocument } = require('../../helpers');
+const { findOne } = require('../../helpers');
+const { removeAnswer } = require('../../utils');
 
 /**
  * @swagger
@@ -77,28 +78,8 @@ async function handleDeleteAnswer(req, res) {
       });
     }
 
-    // Remove answer from question's answers array
-    await updateDocument(
-      'question',
-      { _id: answer.question },
-      {
-        $pull: { answers: id },
-      }
-    );
-
-    // If this answer was accepted, clear the accepted answer
-    if (answer.isAccepted) {
-      await updateDocument(
-        'question',
-        { _id: answer.question },
-        {
-          acceptedAnswer: null,
-        }
-      );
-    }
-
-    // Delete the answer
-    await deleteDocument('answer', { _id: id });
+    // Delete the answer with its comments and history
+    await removeAnswer(answer);
 
     return res.status(200).json({
       status: 200,
@@ -48,7 +48,7 @@ async function handleGetAnswersByQuestion(req, res) {
       'answer',
       { question: questionId },
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Sort answers: accepted first, then by votes, then by date
@@ -70,6 +70,8 @@ async function handleGetAnswersByQuestion(req, res) {
     const answersResponse = sortedAnswers.map(answer => ({
       _id: answer._id,
       body: answer.body,
+      format: answer.format,
+      markdown: answer.markdown,
       images: answer.images || [],
       author: {
         _id: answer.author._id,
@@ -77,6 +79,7 @@ async function handleGetAnswersByQuestion(req, res) {
         last_name: answer.author.last_name,
         username: answer.author.username,
         avatar: answer.author.avatar,
+        reputation: answer.author.reputation,
       },
       question: answer.question,
       upvotes: answer.upvotes,
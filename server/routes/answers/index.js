@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { tokenVerification } = require('../../middleware');
-const { imageUpload, handleImageUploadError } = require('../../middleware/imageUpload');
+const {
+  tokenVerification,
+  requirePrivilege,
+  downvotePrivilege,
+} = require('../../middleware');
+const {
+  imageUpload,
+  handleImageUploadError,
+  processImages,
+} = require('../../middleware/imageUpload');
 
 const createAnswer = require('./create');
 const createAnswerWithImages = require('./create-with-images');
@@ -10,6 +18,9 @@ const updateAnswer = require('./update');
 const deleteAnswer = require('./delete');
 const voteAnswer = require('./vote');
 const acceptAnswer = require('./accept');
+const commentRoutes = require('../comments');
+const revisionRoutes = require('../revisions');
+const flagRoutes = require('../flags');
 
 // Public routes (no authentication required)
 router.get('/question/:questionId', getAnswersByQuestion);
@@ -21,11 +32,26 @@ router.post(
   tokenVerification,
   imageUpload.array('images', 5),
   handleImageUploadError,
+  processImages(),
   createAnswerWithImages
 );
 router.put('/:id', tokenVerification, updateAnswer);
 router.delete('/:id', tokenVerification, deleteAnswer);
-router.post('/:id/vote', tokenVerification, voteAnswer);
+router.post(
+  '/:id/vote',
+  tokenVerification,
+  requirePrivilege(downvotePrivilege),
+  voteAnswer
+);
 router.post('/:id/accept', tokenVerification, acceptAnswer);
 
+// COMMENTS Routes * /api/answers/:id/comments/*
+router.use('/:id/comments', commentRoutes('answer'));
+
+// REVISIONS Routes * /api/answers/:id/revisions/*
+router.use('/:id/revisions', revisionRoutes('answer'));
+
+// FLAG Route * /api/answers/:id/flag
+router.use('/:id/flag', flagRoutes('answer'));
+
 module.exports = router;
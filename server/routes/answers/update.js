@@ -1,19 +1,40 @@
 const Joi = require('joi');
 const { findOne, updateDocument } = require('../../helpers');
+const {
+  hasPrivilege,
+  recordRevision,
+  publishQuestionEvent,
+  POST_FORMATS,
+  renderPostContent,
+  convertPostContent,
+} = require('../../utils');
 
+// The body can only be left out to convert the answer to another format
 const updateAnswerSchema = Joi.object({
-  body: Joi.string().min(10).required().messages({
+  body: Joi.string().min(10).messages({
     'string.min': 'Answer must be at least 10 characters long',
-    'any.required': 'Answer body is required',
   }),
-});
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .optional()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
+  editSummary: Joi.string().max(300).allow('').optional().messages({
+    'string.max': 'Edit summary cannot exceed 300 characters',
+  }),
+})
+  .or('body', 'format')
+  .messages({
+    'object.missing': 'Answer body is required',
+  });
 
 /**
  * @swagger
  * /api/answers/{id}:
  *   put:
  *     summary: Update an answer
- *     description: Update an existing answer (author only)
+ *     description: Update an existing answer (author, or users with the edit_others_posts privilege)
  *     tags: [Answers]
  *     security:
  *       - bearerAuth: []
@@ -30,14 +51,24 @@ const updateAnswerSchema = Joi.object({
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - body
  *             properties:
  *               body:
  *                 type: string
  *                 minLength: 10
  *                 example: "<p>Here's how you can implement JWT authentication in React...</p>"
- *                 description: Answer content (HTML)
+ *                 description: Answer content (HTML, or Markdown when format is markdown). Required unless only the format changes
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 description: |
+ *                   Format of the body; defaults to the current one. Sent
+ *                   without a body, the existing answer is converted to
+ *                   this format
+ *               editSummary:
+ *                 type: string
+ *                 maxLength: 300
+ *                 example: "Fixed typo in code sample"
+ *                 description: Short description of the edit, stored with the revision
  *     responses:
  *       200:
  *         description: Answer updated successfully
@@ -67,7 +98,7 @@ const updateAnswerSchema = Joi.object({
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Not the answer author
+ *         description: Forbidden - Not the answer author and not enough reputation to edit others' posts
  *         content:
  *           application/json:
  *             schema:
@@ -89,7 +120,7 @@ async function handleUpdateAnswer(req, res) {
   try {
     const { id } = req.params;
     const userId = req.userId;
-    const { body } = req.body;
+    const { body, format: requestedFormat, editSummary } = req.body;
 
     // Validate request body
     await updateAnswerSchema.validateAsync(req.body);
@@ -103,39 +134,66 @@ async function handleUpdateAnswer(req, res) {
       });
     }
 
-    // Check if user is the author
+    // Check if user is the author or has earned the right to edit others' posts
     if (answer.author.toString() !== userId) {
-      return res.status(403).json({
-        status: 403,
-        message: 'You can only update your own answers',
+      const user = await findOne('user', { _id: userId });
+      if (!(await hasPrivilege(user, 'edit_others_posts'))) {
+        return res.status(403).json({
+          status: 403,
+          message: 'You can only update your own answers',
+          privilege: 'edit_others_posts',
+        });
+      }
+    }
+
+    // A new body is rendered in the requested format; a format on its own
+    // converts the current body
+    const currentFormat = answer.format || 'html';
+    const format = requestedFormat || currentFormat;
+    if (!body && format === currentFormat) {
+      return res.status(400).json({
+        status: 400,
+        message: `Answer is already in ${format} format`,
+        field: 'format',
       });
     }
+    const { html, markdown } = body
+      ? renderPostContent(body, format)
+      : convertPostContent(answer.body, format);
 
     // Update answer
     const updatedAnswer = await updateDocument(
       'answer',
       { _id: id },
       {
-        body: body.trim(),
+        body: html,
+        format,
+        markdown,
       }
     );
 
+    // Keep the previous version in the revision history
+    await recordRevision('answer', answer, updatedAnswer, userId, editSummary);
+
     // Populate author information
     const populatedAnswer = await updatedAnswer.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
     const answerResponse = {
       _id: populatedAnswer._id,
       body: populatedAnswer.body,
+      format: populatedAnswer.format,
+      markdown: populatedAnswer.markdown,
       author: {
         _id: populatedAnswer.author._id,
         first_name: populatedAnswer.author.first_name,
         last_name: populatedAnswer.author.last_name,
         username: populatedAnswer.author.username,
         avatar: populatedAnswer.author.avatar,
+        reputation: populatedAnswer.author.reputation,
       },
       question: populatedAnswer.question,
       upvotes: populatedAnswer.upvotes,
@@ -145,6 +203,10 @@ async function handleUpdateAnswer(req, res) {
       updatedAt: populatedAnswer.updatedAt,
     };
 
+    publishQuestionEvent(answer.question, 'answer_updated', {
+      answer: answerResponse,
+    });
+
     return res.status(200).json({
       status: 200,
       message: 'Answer updated successfully!',
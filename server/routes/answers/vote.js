@@ -1,6 +1,10 @@
 const Joi = require('joi');
 const { findOne, updateDocument } = require('../../helpers');
-const { createNotification } = require('../../utils');
+const {
+  createNotification,
+  applyVoteReputation,
+  publishQuestionEvent,
+} = require('../../utils');
 
 const voteSchema = Joi.object({
   voteType: Joi.string().valid('upvote', 'downvote').required().messages({
@@ -136,6 +140,17 @@ async function handleVoteAnswer(req, res) {
       updateQuery
     );
 
+    // Update the author's reputation
+    await applyVoteReputation({
+      author: answer.author,
+      actor: userId,
+      postType: 'answer',
+      post: id,
+      voteType,
+      hasVoted,
+      hasOppositeVote,
+    });
+
     // Create notification for upvotes (only when adding a new upvote)
     if (isUpvote && !hasVoted) {
       const voter = await findOne('user', { _id: userId });
@@ -152,7 +167,7 @@ async function handleVoteAnswer(req, res) {
     // Populate author information
     const populatedAnswer = await updatedAnswer.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
@@ -165,6 +180,7 @@ async function handleVoteAnswer(req, res) {
         last_name: populatedAnswer.author.last_name,
         username: populatedAnswer.author.username,
         avatar: populatedAnswer.author.avatar,
+        reputation: populatedAnswer.author.reputation,
       },
       question: populatedAnswer.question,
       upvotes: populatedAnswer.upvotes,
@@ -174,6 +190,13 @@ async function handleVoteAnswer(req, res) {
       updatedAt: populatedAnswer.updatedAt,
     };
 
+    publishQuestionEvent(answer.question, 'vote', {
+      postType: 'answer',
+      postId: id,
+      upvotes: updatedAnswer.upvotes,
+      downvotes: updatedAnswer.downvotes,
+    });
+
     const action = hasVoted ? 'removed' : 'recorded';
     return res.status(200).json({
       status: 200,
@@ -0,0 +1,161 @@
+const Joi = require('joi');
+const { findOne } = require('../../../helpers');
+const { createApiToken } = require('../../../utils');
+const {
+  API_TOKEN_SCOPES,
+  API_TOKEN_MAX_TTL_DAYS,
+} = require('../../../config/api-tokens');
+const { serializeApiToken } = require('./get-all');
+
+const createApiTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required().messages({
+    'string.empty': 'Token name is required',
+    'string.max': 'Token name cannot exceed 50 characters',
+    'any.required': 'Token name is required',
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_TOKEN_SCOPES))
+    .min(1)
+    .required()
+    .messages({
+      'any.only': `Scopes must be one of: ${API_TOKEN_SCOPES.join(', ')}`,
+      'array.min': 'Choose at least one scope',
+      'any.required': 'Choose at least one scope',
+    }),
+  expiresInDays: Joi.number()
+    .integer()
+    .min(1)
+    .max(API_TOKEN_MAX_TTL_DAYS)
+    .required()
+    .messages({
+      'number.min': 'Tokens must be valid for at least 1 day',
+      'number.max': `Tokens can be valid for at most ${API_TOKEN_MAX_TTL_DAYS} days`,
+      'any.required': 'Expiry is required',
+    }),
+});
+
+/**
+ * @swagger
+ * /api/auth/api-tokens:
+ *   post:
+ *     summary: Create an API token
+ *     description: |
+ *       Create a personal access token for scripts. Send it as
+ *       "Authorization: Bearer <token>"; it can only call the endpoints its
+ *       scopes allow, and never the /api/auth, /api/admin or /api/moderation
+ *       endpoints. The token is in this response only and is stored hashed.
+ *
+ *       Scopes: read (any GET endpoint), write:questions (questions with
+ *       their votes, comments and images), write:answers (answers with
+ *       their votes, comments and images), admin:tags (creating, editing
+ *       and merging tags, as far as the user's role allows).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *               - expiresInDays
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Release Q&A bot"
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, write:questions, write:answers, admin:tags]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: At most API_TOKEN_MAX_TTL_DAYS
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 201
+ *                 token:
+ *                   type: string
+ *                   example: "stk_9mQ2..."
+ *                 apiToken:
+ *                   $ref: '#/components/schemas/ApiToken'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Guest accounts cannot create API tokens
+ *       409:
+ *         description: Too many active tokens
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function createApiTokenHandler(req, res) {
+  try {
+    const { name, scopes, expiresInDays } =
+      await createApiTokenSchema.validateAsync(req.body);
+
+    const user = await findOne('user', { _id: req.userId });
+    if (!user) {
+      return res.status(404).json({ status: 404, message: 'User not found.' });
+    }
+    if (user.role === 'guest') {
+      return res.status(403).json({
+        status: 403,
+        message: 'Guest accounts cannot create API tokens.',
+      });
+    }
+
+    const { token, apiToken } = await createApiToken(req.userId, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    return res.status(201).json({
+      status: 201,
+      message: 'API token created. Copy it now; it will not be shown again.',
+      token,
+      apiToken: serializeApiToken(apiToken),
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+    if (err.code === 'API_TOKEN_LIMIT') {
+      return res.status(409).json({ status: 409, message: err.message });
+    }
+
+    console.error('Create API token error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = createApiTokenHandler;
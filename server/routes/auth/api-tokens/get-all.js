@@ -0,0 +1,64 @@
+const { listApiTokens } = require('../../../utils');
+
+// Fields of a token that are safe to show; never the hash
+const serializeApiToken = apiToken => ({
+  _id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  expiresAt: apiToken.expiresAt,
+  createdAt: apiToken.createdAt,
+});
+
+/**
+ * @swagger
+ * /api/auth/api-tokens:
+ *   get:
+ *     summary: List API tokens
+ *     description: Active personal access tokens of the logged-in user, newest first. The tokens themselves are only shown when created.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active API tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 apiTokens:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiToken'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getApiTokens(req, res) {
+  try {
+    const apiTokens = await listApiTokens(req.userId);
+
+    return res
+      .status(200)
+      .json({ status: 200, apiTokens: apiTokens.map(serializeApiToken) });
+  } catch (err) {
+    console.error('Get API tokens error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = { getApiTokens, serializeApiToken };
@@ -0,0 +1,5 @@
+const { getApiTokens } = require('./get-all');
+const createApiToken = require('./create');
+const revokeApiToken = require('./revoke');
+
+module.exports = { getApiTokens, createApiToken, revokeApiToken };
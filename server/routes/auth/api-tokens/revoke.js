@@ -0,0 +1,52 @@
+const { revokeApiToken } = require('../../../utils');
+
+/**
+ * @swagger
+ * /api/auth/api-tokens/{id}:
+ *   delete:
+ *     summary: Revoke an API token
+ *     description: Stop one of the logged-in user's personal access tokens from working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Token not found or already revoked
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function revokeApiTokenHandler(req, res) {
+  try {
+    const revoked = await revokeApiToken(req.userId, req.params.id);
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ status: 404, message: 'API token not found.' });
+    }
+
+    return res.status(200).json({ status: 200, message: 'API token revoked.' });
+  } catch (err) {
+    console.error('Revoke API token error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = revokeApiTokenHandler;
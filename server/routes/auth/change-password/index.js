@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 const { findOne, updateDocument } = require('../../../helpers');
+const { revokeUserSessions } = require('../../../utils');
 const Joi = require('joi');
 
 /**
@@ -7,7 +8,7 @@ const Joi = require('joi');
  * /api/auth/change-password:
  *   post:
  *     summary: Change password (for logged-in users)
- *     description: Change password for authenticated users. Requires old password verification.
+ *     description: Change password for authenticated users. Requires old password verification. Signs out every other session.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -133,6 +134,8 @@ async function handleChangePassword(req, res) {
 
     const hashed = bcrypt.hashSync(newPassword, 12);
     await updateDocument('user', { _id: user._id }, { password: hashed });
+    // Keep this device signed in and sign out all the others
+    await revokeUserSessions(user._id, { except: req.sessionId });
 
     return res
       .status(200)
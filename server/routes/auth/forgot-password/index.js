@@ -2,6 +2,14 @@ const { findOne, updateDocument } = require('../../../helpers');
 const { send_email } = require('../../../lib');
 const Joi = require('joi');
 
+// Sent whether or not the account exists, so the endpoint cannot be used to
+// find out which emails are registered
+const RESET_LINK_SENT = {
+  status: 200,
+  message:
+    'If an account exists for this email, we have sent a password reset link. Please check your inbox.',
+};
+
 const forgotPasswordSchema = Joi.object({
   email: Joi.string().email().required().messages({
     'string.email': 'Please provide a valid email address',
@@ -21,7 +29,7 @@ const generateResetToken = () => {
  * /api/auth/forgot-password:
  *   post:
  *     summary: Forgot password
- *     description: Send password reset email to user
+ *     description: Send password reset email to user. The response is the same whether or not an account uses the email.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -39,7 +47,7 @@ const generateResetToken = () => {
  *                 description: User's email address
  *     responses:
  *       200:
- *         description: Password reset email sent successfully
+ *         description: Password reset email sent if an account uses the email
  *         content:
  *           application/json:
  *             schema:
@@ -50,7 +58,7 @@ const generateResetToken = () => {
  *                   example: 200
  *                 message:
  *                   type: string
- *                   example: "Password reset email sent successfully! Please check your inbox."
+ *                   example: "If an account exists for this email, we have sent a password reset link. Please check your inbox."
  *       400:
  *         description: Validation error
  *         content:
@@ -67,19 +75,12 @@ const generateResetToken = () => {
  *                 field:
  *                   type: string
  *                   example: "email"
- *       404:
- *         description: User not found
+ *       429:
+ *         description: Too many requests from this IP address or for this email
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: number
- *                   example: 404
- *                 message:
- *                   type: string
- *                   example: "No account found with this email address."
+ *               $ref: '#/components/schemas/RateLimitError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -96,10 +97,7 @@ async function handleForgotPassword(req, res) {
     const user = await findOne('user', { email: email.toLowerCase() });
 
     if (!user) {
-      return res.status(404).json({
-        status: 404,
-        message: 'No account found with this email address.',
-      });
+      return res.status(200).json(RESET_LINK_SENT);
     }
 
     // Generate reset token
@@ -145,11 +143,7 @@ async function handleForgotPassword(req, res) {
         user.email
       );
 
-      return res.status(200).json({
-        status: 200,
-        message:
-          'Password reset email sent successfully! Please check your inbox.',
-      });
+      return res.status(200).json(RESET_LINK_SENT);
     } catch (emailError) {
       console.error('Email sending failed:', emailError);
       return res.status(500).json({
@@ -1,6 +1,5 @@
-const jwt = require('jsonwebtoken');
-const { SECRET } = require('../../../config');
 const { insertNewDocument } = require('../../../helpers');
+const { createSession } = require('../../../utils');
 const Joi = require('joi');
 const crypto = require('crypto');
 
@@ -65,12 +64,26 @@ const guestSignupSchema = Joi.object({
  *                 token:
  *                   type: string
  *                   example: "jwt_token_here"
+ *                   description: Access token, valid for ACCESS_TOKEN_TTL_MINUTES
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for a new token pair
+ *                 expiresIn:
+ *                   type: number
+ *                   example: 900
+ *                   description: Seconds until the access token expires
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many guest accounts created from this IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -117,16 +130,19 @@ async function handleGuestSignup(req, res) {
       createdAt: savedGuest.createdAt,
     };
 
-    // Generate JWT token for guest (shorter expiration)
-    const token = jwt.sign({ id: savedGuest._id }, SECRET, {
-      expiresIn: '24h',
-    });
+    // Guest sessions end GUEST_SESSION_TTL_HOURS after sign-up
+    const { token, refreshToken, expiresIn } = await createSession(
+      savedGuest,
+      req
+    );
 
     return res.status(201).json({
       status: 201,
       message: 'Guest account created successfully!',
       user: userResponse,
       token,
+      refreshToken,
+      expiresIn,
     });
   } catch (err) {
     if (err.isJoi) {
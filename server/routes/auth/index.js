@@ -9,17 +9,82 @@ const resetPassword = require('./reset-password');
 const changePassword = require('./change-password');
 const changeEmail = require('./change-email');
 const guestSignup = require('./guest-signup');
-const { tokenVerification } = require('../../middleware');
+const refreshToken = require('./refresh');
+const logout = require('./logout');
+const logoutAll = require('./logout-all');
+const { getSessions, revokeSession } = require('./sessions');
+const {
+  getApiTokens,
+  createApiToken,
+  revokeApiToken,
+} = require('./api-tokens');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  enrollmentAuth,
+} = require('./two-factor');
+const unlockAccount = require('./unlock-account');
+const {
+  getOidcConfig,
+  startOidcLogin,
+  handleOidcCallback,
+  exchangeOidcLogin,
+} = require('./oidc');
+const { tokenVerification, rateLimit } = require('../../middleware');
+const { verifyTwoFactorChallenge } = require('../../utils');
+
+// Brute-force protection, per IP and per account (see config/rate-limit.js)
+const loginLimit = rateLimit('login', req => req.body.identifier);
+const twoFactorLimit = rateLimit('two-factor', req =>
+  verifyTwoFactorChallenge(req.body.challengeToken, 'verify')
+);
+const forgotPasswordLimit = rateLimit('forgot-password', req => req.body.email);
+const resendVerificationLimit = rateLimit(
+  'resend-verification',
+  req => req.body.email
+);
+const guestSignupLimit = rateLimit('guest-signup');
 
 // ROUTES * /api/auth/
-router.post('/login', loginUser);
+router.post('/login', loginLimit, loginUser);
 router.post('/register', signUp);
-router.post('/guest-signup', guestSignup);
+router.post('/guest-signup', guestSignupLimit, guestSignup);
+router.post('/refresh', refreshToken);
+router.post('/logout', logout);
+router.post('/logout-all', tokenVerification, logoutAll);
+router.get('/sessions', tokenVerification, getSessions);
+router.delete('/sessions/:id', tokenVerification, revokeSession);
+router.get('/api-tokens', tokenVerification, getApiTokens);
+router.post('/api-tokens', tokenVerification, createApiToken);
+router.delete('/api-tokens/:id', tokenVerification, revokeApiToken);
 router.get('/verify-email', verifyEmail);
-router.post('/resend-verification', resendVerification);
-router.post('/forgot-password', forgotPassword);
+router.post(
+  '/resend-verification',
+  resendVerificationLimit,
+  resendVerification
+);
+router.post('/forgot-password', forgotPasswordLimit, forgotPassword);
+router.post('/unlock-account', unlockAccount);
 router.post('/reset-password', resetPassword);
 router.post('/change-password', tokenVerification, changePassword);
 router.post('/change-email', tokenVerification, changeEmail);
 
+// Two-factor authentication
+router.get('/2fa', tokenVerification, getTwoFactorStatus);
+router.post('/2fa/verify', twoFactorLimit, verifyTwoFactorLogin);
+router.post('/2fa/setup', enrollmentAuth, setupTwoFactor);
+router.post('/2fa/enable', enrollmentAuth, enableTwoFactor);
+router.post('/2fa/disable', tokenVerification, disableTwoFactor);
+router.post('/2fa/recovery-codes', tokenVerification, regenerateRecoveryCodes);
+
+// Single sign-on through the OpenID Connect provider
+router.get('/oidc', getOidcConfig);
+router.get('/oidc/login', startOidcLogin);
+router.get('/oidc/callback', handleOidcCallback);
+router.post('/oidc/exchange', exchangeOidcLogin);
+
 module.exports = router;
@@ -0,0 +1,79 @@
+const {
+  createSession,
+  clearFailedLogins,
+  clientIp,
+} = require('../../../utils');
+const { send_email } = require('../../../lib');
+
+/**
+ * Last step of every successful login: start a session, reset failed
+ * login attempts, send the login alert email and respond with the user and
+ * their tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {Object} extra - Additional response fields
+ */
+async function completeLogin(req, res, user, extra = {}) {
+  const userResponse = {
+    _id: user._id,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    avatar: user.avatar,
+    bio: user.bio,
+    reputation: user.reputation,
+    createdAt: user.createdAt,
+  };
+
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+  await clearFailedLogins(user._id);
+
+  // Send login alert email
+  try {
+    const loginTime = new Date().toLocaleString('en-US', {
+      timeZone: 'Asia/Kolkata',
+    });
+    const ipAddress = clientIp(req) || 'Unknown';
+    const resetLink = `${
+      process.env.NODE_ENV === 'production'
+        ? process.env.FRONTEND_URL_PROD
+        : process.env.FRONTEND_URL_DEV
+    }/forgot-password`;
+    const supportEmail =
+      process.env.NODE_ENV === 'production'
+        ? 'support@stackit.com'
+        : 'support@stackit.com';
+    send_email(
+      'login-alert',
+      {
+        username: user.first_name,
+        loginTime,
+        ipAddress,
+        resetLink,
+        supportEmail,
+      },
+      'StackIt',
+      'Login Alert - StackIt',
+      user.email
+    );
+  } catch (emailError) {
+    console.error('Login alert email failed:', emailError);
+  }
+
+  return res.status(200).json({
+    status: 200,
+    message: 'Login successful!',
+    user: userResponse,
+    token,
+    refreshToken,
+    expiresIn,
+    ...extra,
+  });
+}
+
+module.exports = completeLogin;
@@ -0,0 +1,32 @@
+const { signTwoFactorChallenge } = require('../../../utils');
+const completeLogin = require('./complete-login');
+
+/**
+ * Continue a login once the user has proven who they are, with a password
+ * or through the identity provider. Accounts with two-factor authentication
+ * (or required to set it up) get a challenge token for /api/auth/2fa;
+ * everyone else is logged in.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {Object} extra - Additional response fields
+ */
+async function continueLogin(req, res, user, extra = {}) {
+  if (user.twoFactorEnabled || user.twoFactorRequired) {
+    const step = user.twoFactorEnabled ? 'verify' : 'enroll';
+    return res.status(200).json({
+      status: 200,
+      message:
+        step === 'verify'
+          ? 'Enter the code from your authenticator app.'
+          : 'Set up two-factor authentication to finish signing in.',
+      twoFactor: step,
+      challengeToken: signTwoFactorChallenge(user._id, step),
+      ...extra,
+    });
+  }
+
+  return completeLogin(req, res, user, extra);
+}
+
+module.exports = continueLogin;
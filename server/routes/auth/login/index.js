@@ -1,9 +1,17 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { SECRET } = require('../../../config');
 const { findOne } = require('../../../helpers');
+const { isLocked, recordFailedLogin } = require('../../../utils');
 const Joi = require('joi');
-const { send_email } = require('../../../lib');
+const continueLogin = require('./continue-login');
+
+// Compared against when there is no user, so an unknown username takes as
+// long to reject as a wrong password
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+const INVALID_CREDENTIALS = {
+  status: 401,
+  message: 'Invalid username/email or password.',
+};
 
 const loginSchema = Joi.object({
   identifier: Joi.string().required().messages({
@@ -21,7 +29,7 @@ const loginSchema = Joi.object({
  * /api/auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticate user with username/email and password
+ *     description: Authenticate user with username/email and password. Unknown users, wrong passwords and locked accounts all get the same 401; LOGIN_MAX_FAILED_ATTEMPTS wrong passwords in a row lock the account and email the owner an unlock link. Accounts with two-factor authentication get a challenge token instead of a session, to exchange at /api/auth/2fa/verify (or /api/auth/2fa/setup when setup is required).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -62,6 +70,21 @@ const loginSchema = Joi.object({
  *                 token:
  *                   type: string
  *                   example: "jwt_token_here"
+ *                   description: Access token, valid for ACCESS_TOKEN_TTL_MINUTES
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for a new token pair
+ *                 expiresIn:
+ *                   type: number
+ *                   example: 900
+ *                   description: Seconds until the access token expires
+ *                 twoFactor:
+ *                   type: string
+ *                   enum: [verify, enroll]
+ *                   description: Present instead of the tokens when a second step is needed
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Proves the password step for TWO_FACTOR_CHALLENGE_TTL_MINUTES
  *       400:
  *         description: Validation error
  *         content:
@@ -79,7 +102,7 @@ const loginSchema = Joi.object({
  *                   type: string
  *                   example: "identifier"
  *       401:
- *         description: Invalid credentials
+ *         description: Unknown user, wrong password or locked account
  *         content:
  *           application/json:
  *             schema:
@@ -90,7 +113,7 @@ const loginSchema = Joi.object({
  *                   example: 401
  *                 message:
  *                   type: string
- *                   example: "Invalid credentials. Please check your password."
+ *                   example: "Invalid username/email or password."
  *       403:
  *         description: Email not verified
  *         content:
@@ -110,19 +133,12 @@ const loginSchema = Joi.object({
  *                 email:
  *                   type: string
  *                   example: "john@example.com"
- *       404:
- *         description: User not found
+ *       429:
+ *         description: Too many login attempts from this IP address or for this account
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: number
- *                   example: 404
- *                 message:
- *                   type: string
- *                   example: "User not found. Please check your credentials."
+ *               $ref: '#/components/schemas/RateLimitError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -143,19 +159,16 @@ async function handleLogin(req, res) {
       ],
     });
 
-    if (!user) {
-      return res.status(404).json({
-        status: 404,
-        message: 'User not found. Please check your credentials.',
-      });
+    const isMatch = bcrypt.compareSync(
+      password,
+      (user && user.password) || DUMMY_HASH
+    );
+    if (!user || isLocked(user)) {
+      return res.status(401).json(INVALID_CREDENTIALS);
     }
-
-    const isMatch = bcrypt.compareSync(password, user.password);
     if (!isMatch) {
-      return res.status(401).json({
-        status: 401,
-        message: 'Invalid credentials. Please check your password.',
-      });
+      await recordFailedLogin(user);
+      return res.status(401).json(INVALID_CREDENTIALS);
     }
 
     if (user.role === 'user' && !user.isEmailVerified) {
@@ -168,63 +181,7 @@ async function handleLogin(req, res) {
       });
     }
 
-    const userResponse = {
-      _id: user._id,
-      first_name: user.first_name,
-      last_name: user.last_name,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      isEmailVerified: user.isEmailVerified,
-      avatar: user.avatar,
-      bio: user.bio,
-      createdAt: user.createdAt,
-    };
-
-    const token = jwt.sign({ id: user._id }, SECRET, { expiresIn: '7d' });
-
-    // Send login alert email
-    try {
-      const loginTime = new Date().toLocaleString('en-US', {
-        timeZone: 'Asia/Kolkata',
-      });
-      const ipAddress =
-        req.headers['x-forwarded-for'] ||
-        req.connection.remoteAddress ||
-        req.ip ||
-        'Unknown';
-      const resetLink = `${
-        process.env.NODE_ENV === 'production'
-          ? process.env.FRONTEND_URL_PROD
-          : process.env.FRONTEND_URL_DEV
-      }/forgot-password`;
-      const supportEmail =
-        process.env.NODE_ENV === 'production'
-          ? 'support@stackit.com'
-          : 'support@stackit.com';
-      send_email(
-        'login-alert',
-        {
-          username: user.first_name,
-          loginTime,
-          ipAddress,
-          resetLink,
-          supportEmail,
-        },
-        'StackIt',
-        'Login Alert - StackIt',
-        user.email
-      );
-    } catch (emailError) {
-      console.error('Login alert email failed:', emailError);
-    }
-
-    return res.status(200).json({
-      status: 200,
-      message: 'Login successful!',
-      user: userResponse,
-      token,
-    });
+    return continueLogin(req, res, user);
   } catch (err) {
     if (err.isJoi) {
       return res.status(400).json({
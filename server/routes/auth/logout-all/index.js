@@ -0,0 +1,56 @@
+const { revokeUserSessions } = require('../../../utils');
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revoke every session of the logged-in user, including the current one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of 3 sessions."
+ *                 revoked:
+ *                   type: number
+ *                   example: 3
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function handleLogoutAll(req, res) {
+  try {
+    const revoked = await revokeUserSessions(req.userId);
+
+    return res.status(200).json({
+      status: 200,
+      message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}.`,
+      revoked,
+    });
+  } catch (err) {
+    console.error('Logout everywhere error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleLogoutAll;
@@ -0,0 +1,57 @@
+const { revokeSessionByRefreshToken } = require('../../../utils');
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revoke the session a refresh token belongs to. Succeeds even if the session has already ended, so clients can always clear their tokens.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out."
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function handleLogout(req, res) {
+  try {
+    const { refreshToken } = req.body || {};
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(refreshToken);
+    }
+
+    return res.status(200).json({ status: 200, message: 'Logged out.' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleLogout;
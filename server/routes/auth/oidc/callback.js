@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const Models = require('../../../models');
+const { findOne } = require('../../../helpers');
+const { oidc } = require('../../../lib');
+const { findOrCreateOidcUser } = require('../../../utils');
+const {
+  hashSecret,
+  frontendCallbackUrl,
+  readLoginCookie,
+  clearLoginCookie,
+} = require('./helpers');
+
+// Errors whose message is meant for the user
+const USER_FACING_ERRORS = ['OIDC_EMAIL_REQUIRED', 'OIDC_ACCOUNT_UNVERIFIED'];
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Single sign-on callback
+ *     description: Where the identity provider sends the browser back. Exchanges the authorization code, verifies the ID token, then finds the user the identity is linked to, links it to the user with the same verified email, or creates a user. Redirects to the frontend's /auth/oidc/callback with a one-time code to exchange at /api/auth/oidc/exchange, or with an error.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+async function handleOidcCallback(req, res) {
+  const { code, state, error, error_description } = req.query;
+  const browserHash = readLoginCookie(req);
+  clearLoginCookie(res);
+
+  const fail = message => res.redirect(frontendCallbackUrl({ error: message }));
+
+  try {
+    const login =
+      typeof state === 'string' &&
+      (await findOne('oidcLogin', {
+        state,
+        user: null,
+        expiresAt: { $gt: new Date() },
+      }));
+    if (!login || login.browserHash !== browserHash) {
+      return fail('This login has expired. Please try again.');
+    }
+
+    if (error || typeof code !== 'string') {
+      await Models.oidcLogin.deleteOne({ _id: login._id });
+      return fail(
+        error === 'access_denied'
+          ? 'Login was cancelled.'
+          : `The identity provider could not log you in${
+              error_description || error
+                ? `: ${error_description || error}`
+                : ''
+            }.`
+      );
+    }
+
+    const claims = await oidc.completeLogin({
+      code,
+      codeVerifier: login.codeVerifier,
+      redirectUri: login.redirectUri,
+      nonce: login.nonce,
+    });
+    const user = await findOrCreateOidcUser(oidc.issuer, claims);
+
+    // The browser trades this code for a session, so tokens never appear
+    // in a URL
+    const loginCode = crypto.randomBytes(32).toString('base64url');
+    const result = await Models.oidcLogin.updateOne(
+      { _id: login._id, user: null },
+      { $set: { user: user._id, loginCodeHash: hashSecret(loginCode) } }
+    );
+    if (result.modifiedCount === 0) {
+      return fail('This login has expired. Please try again.');
+    }
+
+    return res.redirect(frontendCallbackUrl({ code: loginCode }));
+  } catch (err) {
+    if (USER_FACING_ERRORS.includes(err.code)) {
+      return fail(err.message);
+    }
+    console.error('Single sign-on callback error:', err);
+    return fail('Login with the identity provider failed. Please try again.');
+  }
+}
+
+module.exports = handleOidcCallback;
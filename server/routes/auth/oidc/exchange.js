@@ -0,0 +1,82 @@
+const Joi = require('joi');
+const Models = require('../../../models');
+const { findOne } = require('../../../helpers');
+const continueLogin = require('../login/continue-login');
+const { hashSecret } = require('./helpers');
+
+const exchangeSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'any.required': 'Login code is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/auth/oidc/exchange:
+ *   post:
+ *     summary: Finish single sign-on
+ *     description: Exchange the one-time code from the single sign-on redirect for a session. Responds like /api/auth/login, including the two-factor challenge for accounts that use it, plus the returnTo path the login started with.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge; same response as /api/auth/login
+ *       400:
+ *         description: Invalid, used or expired code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function exchangeOidcLogin(req, res) {
+  try {
+    await exchangeSchema.validateAsync(req.body);
+
+    // Deleting it makes the code single-use
+    const login = await Models.oidcLogin.findOneAndDelete({
+      loginCodeHash: hashSecret(req.body.code),
+      expiresAt: { $gt: new Date() },
+    });
+    const user = login && (await findOne('user', { _id: login.user }));
+    if (!user) {
+      return res.status(400).json({
+        status: 400,
+        message: 'This login has expired. Please try again.',
+      });
+    }
+
+    return continueLogin(req, res, user, { returnTo: login.returnTo });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Single sign-on exchange error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = exchangeOidcLogin;
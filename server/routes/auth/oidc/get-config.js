@@ -0,0 +1,35 @@
+const { OIDC_ENABLED, OIDC_PROVIDER_NAME } = require('../../../config/oidc');
+
+/**
+ * @swagger
+ * /api/auth/oidc:
+ *   get:
+ *     summary: Single sign-on settings
+ *     description: Whether login through the OpenID Connect identity provider is available, and the name to show on the login button.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Single sign-on settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 enabled:
+ *                   type: boolean
+ *                 providerName:
+ *                   type: string
+ *                   example: "Single sign-on"
+ */
+async function getOidcConfig(req, res) {
+  return res.status(200).json({
+    status: 200,
+    enabled: OIDC_ENABLED,
+    providerName: OIDC_PROVIDER_NAME,
+  });
+}
+
+module.exports = getOidcConfig;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { OIDC_LOGIN_TTL_MINUTES } = require('../../../config/oidc');
+
+// Ties a login to the browser that started it: the callback only completes
+// a login if it comes with the same cookie
+const COOKIE_NAME = 'oidc_login';
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc',
+};
+
+/**
+ * SHA-256 of a cookie or login code, as stored with a login
+ * @param {string} value
+ * @returns {string}
+ */
+const hashSecret = value =>
+  crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Frontend page that finishes the login, with a login code or an error
+ * @param {Object} params - code or error
+ * @returns {string}
+ */
+const frontendCallbackUrl = params =>
+  `${
+    process.env.NODE_ENV === 'production'
+      ? process.env.FRONTEND_URL_PROD
+      : process.env.FRONTEND_URL_DEV
+  }/auth/oidc/callback?${new URLSearchParams(params)}`;
+
+/**
+ * Frontend path to return to after logging in; only paths on the frontend
+ * are allowed
+ * @param {string} returnTo
+ * @returns {string}
+ */
+const safeReturnTo = returnTo =>
+  typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo)
+    ? returnTo.slice(0, 500)
+    : '/';
+
+/**
+ * Set a new login cookie
+ * @param {Object} res - Express response
+ * @returns {string} SHA-256 of the cookie value, to store with the login
+ */
+const setLoginCookie = res => {
+  const value = crypto.randomBytes(24).toString('base64url');
+  res.cookie(COOKIE_NAME, value, {
+    ...COOKIE_OPTIONS,
+    maxAge: OIDC_LOGIN_TTL_MINUTES * 60 * 1000,
+  });
+  return hashSecret(value);
+};
+
+/**
+ * SHA-256 of the request's login cookie
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const readLoginCookie = req => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${COOKIE_NAME}=`));
+  return cookie ? hashSecret(cookie.slice(COOKIE_NAME.length + 1)) : null;
+};
+
+const clearLoginCookie = res => res.clearCookie(COOKIE_NAME, COOKIE_OPTIONS);
+
+module.exports = {
+  hashSecret,
+  frontendCallbackUrl,
+  safeReturnTo,
+  setLoginCookie,
+  readLoginCookie,
+  clearLoginCookie,
+};
@@ -0,0 +1,11 @@
+const getOidcConfig = require('./get-config');
+const startOidcLogin = require('./login');
+const handleOidcCallback = require('./callback');
+const exchangeOidcLogin = require('./exchange');
+
+module.exports = {
+  getOidcConfig,
+  startOidcLogin,
+  handleOidcCallback,
+  exchangeOidcLogin,
+};
@@ -0,0 +1,75 @@
+const { insertNewDocument } = require('../../../helpers');
+const { oidc } = require('../../../lib');
+const {
+  OIDC_ENABLED,
+  OIDC_REDIRECT_URI,
+  OIDC_LOGIN_TTL_MINUTES,
+} = require('../../../config/oidc');
+const {
+  frontendCallbackUrl,
+  safeReturnTo,
+  setLoginCookie,
+} = require('./helpers');
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on
+ *     description: Redirects the browser to the identity provider's login page (authorization code flow with PKCE). Open it as a page, not with fetch; the provider sends the browser back to /api/auth/oidc/callback.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: returnTo
+ *         schema:
+ *           type: string
+ *         description: Frontend path to return to after logging in
+ *         example: "/questions"
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider, or to the frontend with an error
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+async function startOidcLogin(req, res) {
+  if (!OIDC_ENABLED) {
+    return res
+      .status(404)
+      .json({ status: 404, message: 'Single sign-on is not configured.' });
+  }
+
+  try {
+    const { state, nonce, codeVerifier, codeChallenge } =
+      oidc.createLoginParams();
+    const redirectUri =
+      OIDC_REDIRECT_URI ||
+      `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+    const authorizationUrl = await oidc.buildAuthorizationUrl({
+      state,
+      nonce,
+      codeChallenge,
+      redirectUri,
+    });
+
+    await insertNewDocument('oidcLogin', {
+      state,
+      nonce,
+      codeVerifier,
+      browserHash: setLoginCookie(res),
+      redirectUri,
+      returnTo: safeReturnTo(req.query.returnTo),
+      expiresAt: new Date(Date.now() + OIDC_LOGIN_TTL_MINUTES * 60 * 1000),
+    });
+
+    return res.redirect(authorizationUrl);
+  } catch (err) {
+    console.error('Single sign-on start error:', err);
+    return res.redirect(
+      frontendCallbackUrl({
+        error: 'Could not reach the identity provider. Please try again later.',
+      })
+    );
+  }
+}
+
+module.exports = startOidcLogin;
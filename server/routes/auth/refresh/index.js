@@ -0,0 +1,112 @@
+const Joi = require('joi');
+const { refreshSession } = require('../../../utils');
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. Each refresh token can be used once; using an old one again signs the session out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                   example: 900
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 401
+ *                 message:
+ *                   type: string
+ *                   example: "Session expired or revoked."
+ *       409:
+ *         description: The refresh token was exchanged moments ago by another request
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function handleRefresh(req, res) {
+  try {
+    await refreshSchema.validateAsync(req.body);
+
+    const { token, refreshToken, expiresIn } = await refreshSession(
+      req.body.refreshToken,
+      req
+    );
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Token refreshed.',
+      token,
+      refreshToken,
+      expiresIn,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+    // Another tab refreshed first; the client should pick up its tokens
+    if (err.code === 'SESSION_RACE') {
+      return res.status(409).json({ status: 409, message: err.message });
+    }
+    if (err.code === 'SESSION_INVALID' || err.code === 'SESSION_REUSED') {
+      return res
+        .status(401)
+        .json({ status: 401, message: 'Session expired or revoked.' });
+    }
+
+    console.error('Refresh token error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleRefresh;
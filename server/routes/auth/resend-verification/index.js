@@ -9,6 +9,14 @@ const resendSchema = Joi.object({
   }),
 });
 
+// Sent whether or not there is an unverified account with the email, so the
+// endpoint cannot be used to find out which emails are registered
+const VERIFICATION_SENT = {
+  status: 200,
+  message:
+    'If an unverified account exists for this email, we have sent a new verification link. Please check your inbox.',
+};
+
 const generateVerificationToken = () => {
   return (
     Math.random().toString(36).substring(2, 15) +
@@ -21,7 +29,7 @@ const generateVerificationToken = () => {
  * /api/auth/resend-verification:
  *   post:
  *     summary: Resend verification email
- *     description: Send a new verification email to the user
+ *     description: Send a new verification email to the user. The response is the same for unknown and already verified emails.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -39,7 +47,7 @@ const generateVerificationToken = () => {
  *                 description: User's email address
  *     responses:
  *       200:
- *         description: Verification email sent successfully
+ *         description: Verification email sent if an unverified account uses the email
  *         content:
  *           application/json:
  *             schema:
@@ -50,9 +58,9 @@ const generateVerificationToken = () => {
  *                   example: 200
  *                 message:
  *                   type: string
- *                   example: "Verification email sent successfully! Please check your inbox."
+ *                   example: "If an unverified account exists for this email, we have sent a new verification link. Please check your inbox."
  *       400:
- *         description: Validation error or email already verified
+ *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
@@ -63,23 +71,16 @@ const generateVerificationToken = () => {
  *                   example: 400
  *                 message:
  *                   type: string
- *                   example: "This email is already verified."
+ *                   example: "Please provide a valid email address"
  *                 field:
  *                   type: string
  *                   example: "email"
- *       404:
- *         description: User not found
+ *       429:
+ *         description: Too many requests from this IP address or for this email
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: number
- *                   example: 404
- *                 message:
- *                   type: string
- *                   example: "No account found with this email address."
+ *               $ref: '#/components/schemas/RateLimitError'
  *       500:
  *         description: Internal server error
  *         content:
@@ -95,19 +96,8 @@ async function handleResendVerification(req, res) {
 
     const user = await findOne('user', { email: email.toLowerCase() });
 
-    if (!user) {
-      return res.status(404).json({
-        status: 404,
-        message: 'No account found with this email address.',
-      });
-    }
-
-    if (user.isEmailVerified) {
-      return res.status(400).json({
-        status: 400,
-        message: 'This email is already verified.',
-        redirectUrl: `${process.env.NODE_ENV === 'production' ? process.env.FRONTEND_URL_PROD : process.env.FRONTEND_URL_DEV}/email-already-verified`
-      });
+    if (!user || user.isEmailVerified) {
+      return res.status(200).json(VERIFICATION_SENT);
     }
 
     // Generate new verification token
@@ -153,11 +143,7 @@ async function handleResendVerification(req, res) {
         user.email
       );
 
-      return res.status(200).json({
-        status: 200,
-        message:
-          'Verification email sent successfully! Please check your inbox.',
-      });
+      return res.status(200).json(VERIFICATION_SENT);
     } catch (emailError) {
       console.error('Email sending failed:', emailError);
       return res.status(500).json({
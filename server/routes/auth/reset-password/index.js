@@ -1,5 +1,6 @@
 const bcrypt = require('bcryptjs');
 const { findOne, updateDocument } = require('../../../helpers');
+const { revokeUserSessions } = require('../../../utils');
 const Joi = require('joi');
 
 const resetPasswordSchema = Joi.object({
@@ -22,7 +23,7 @@ const resetPasswordSchema = Joi.object({
  * /api/auth/reset-password:
  *   post:
  *     summary: Reset password using token from URL
- *     description: Reset user password using token from URL query parameters
+ *     description: Reset user password using token from URL query parameters. Signs out every session of the user.
  *     tags: [Authentication]
  *     parameters:
  *       - in: query
@@ -133,9 +134,17 @@ async function handleResetPassword(req, res) {
         password: hashedPassword,
         resetPasswordToken: null,
         resetPasswordExpires: null,
+        // The reset proves the owner has the email, so lift any lockout
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        unlockToken: null,
+        unlockTokenExpires: null,
       }
     );
 
+    // Whoever knew the old password may still be signed in
+    await revokeUserSessions(user._id);
+
     return res.status(200).json({
       status: 200,
       message: 'Password reset successfully.',
@@ -0,0 +1,81 @@
+const { find } = require('../../../helpers');
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Active sessions of the logged-in user, most recently used first. The session making the request is marked as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       device:
+ *                         type: string
+ *                         example: "Firefox on Windows"
+ *                       ip:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getSessions(req, res) {
+  try {
+    const sessions = await find('session', {
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    const list = sessions
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(session => ({
+        _id: session._id,
+        device: session.device,
+        ip: session.ip,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        current: session._id.toString() === req.sessionId,
+      }));
+
+    return res.status(200).json({ status: 200, sessions: list });
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = getSessions;
@@ -0,0 +1,4 @@
+const getSessions = require('./get-all');
+const revokeSession = require('./revoke');
+
+module.exports = { getSessions, revokeSession };
@@ -0,0 +1,57 @@
+const { revokeSession } = require('../../../utils');
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Sign out one of the logged-in user's sessions, e.g. a lost device.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found or already ended
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function revokeSessionHandler(req, res) {
+  try {
+    const { id } = req.params;
+    const revoked = await revokeSession(req.userId, id);
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ status: 404, message: 'Session not found.' });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Session revoked.',
+      current: id === req.sessionId,
+    });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = revokeSessionHandler;
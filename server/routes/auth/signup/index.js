@@ -1,7 +1,6 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { SECRET } = require('../../../config');
 const { insertNewDocument, findOne } = require('../../../helpers');
+const { createSession } = require('../../../utils');
 const Joi = require('joi');
 const { send_email } = require('../../../lib');
 
@@ -117,6 +116,14 @@ const generateVerificationToken = () => {
  *                 token:
  *                   type: string
  *                   example: "jwt_token_here"
+ *                   description: Access token, valid for ACCESS_TOKEN_TTL_MINUTES
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for a new token pair
+ *                 expiresIn:
+ *                   type: number
+ *                   example: 900
+ *                   description: Seconds until the access token expires
  *                 requiresEmailVerification:
  *                   type: boolean
  *                   example: true
@@ -220,7 +227,10 @@ async function handleSignup(req, res) {
       createdAt: savedUser.createdAt,
     };
 
-    const token = jwt.sign({ id: savedUser._id }, SECRET, { expiresIn: '7d' });
+    const { token, refreshToken, expiresIn } = await createSession(
+      savedUser,
+      req
+    );
 
     try {
       send_email(
@@ -252,6 +262,8 @@ async function handleSignup(req, res) {
         'User registered successfully! Please check your email to verify your account.',
       user: userResponse,
       token,
+      refreshToken,
+      expiresIn,
       requiresEmailVerification: true,
     });
   } catch (err) {
@@ -0,0 +1,141 @@
+const bcrypt = require('bcryptjs');
+const Joi = require('joi');
+const { findOne } = require('../../../helpers');
+const {
+  verifyTwoFactorCode,
+  useRecoveryCode,
+  disableTwoFactor,
+} = require('../../../utils');
+
+const disableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required',
+  }),
+  code: Joi.string(),
+  recoveryCode: Joi.string(),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Enter a code or a recovery code',
+  });
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turn two-factor authentication off. Needs the password and a current code or a recovery code. Not allowed for accounts that are required to use it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a2-c41d7"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Two-factor authentication disabled."
+ *       400:
+ *         description: Validation error, or two-factor authentication is not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for this account
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function disableTwoFactorHandler(req, res) {
+  try {
+    await disableSchema.validateAsync(req.body);
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await findOne('user', { _id: req.userId });
+    if (!user) {
+      return res.status(404).json({ status: 404, message: 'User not found.' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 400,
+        message: 'Two-factor authentication is not enabled.',
+      });
+    }
+    if (user.twoFactorRequired) {
+      return res.status(403).json({
+        status: 403,
+        message: 'Two-factor authentication is required for this account.',
+      });
+    }
+
+    if (!bcrypt.compareSync(password, user.password)) {
+      return res.status(401).json({
+        status: 401,
+        message: 'Password is incorrect.',
+        field: 'password',
+      });
+    }
+
+    const isValid = code
+      ? await verifyTwoFactorCode(user._id, code)
+      : await useRecoveryCode(user._id, recoveryCode);
+    if (!isValid) {
+      return res.status(401).json({
+        status: 401,
+        message: code ? 'Invalid code.' : 'Invalid recovery code.',
+        field: code ? 'code' : 'recoveryCode',
+      });
+    }
+
+    await disableTwoFactor(user._id);
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Two-factor authentication disabled.',
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Disable two-factor error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = disableTwoFactorHandler;
@@ -0,0 +1,113 @@
+const Joi = require('joi');
+const { findOne } = require('../../../helpers');
+const { confirmTwoFactorEnrollment } = require('../../../utils');
+const completeLogin = require('../login/complete-login');
+
+const enableSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'any.required': 'Code is required',
+  }),
+  challengeToken: Joi.string(),
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: Confirm the secret from /api/auth/2fa/setup with a code from the authenticator app. Returns single-use recovery codes, which are not shown again. When setting up at login (with a challenge token), the login also finishes and the response includes the session tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token from /api/auth/login with twoFactor "enroll"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Two-factor authentication enabled."
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: "3f9a2-c41d7"
+ *       400:
+ *         description: Invalid code, or setup was not started
+ *       401:
+ *         description: Unauthorized or challenge expired
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function enableTwoFactor(req, res) {
+  try {
+    await enableSchema.validateAsync(req.body);
+
+    const recoveryCodes = await confirmTwoFactorEnrollment(
+      req.userId,
+      req.body.code
+    );
+
+    if (req.enrollingAtLogin) {
+      const user = await findOne('user', { _id: req.userId });
+      return completeLogin(req, res, user, { recoveryCodes });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Two-factor authentication enabled.',
+      recoveryCodes,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+    if (
+      err.code === 'TWO_FACTOR_INVALID_CODE' ||
+      err.code === 'TWO_FACTOR_NOT_PENDING'
+    ) {
+      return res.status(400).json({
+        status: 400,
+        message: err.message,
+        field: 'code',
+      });
+    }
+
+    console.error('Enable two-factor error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = enableTwoFactor;
@@ -0,0 +1,24 @@
+const { tokenVerification } = require('../../../middleware');
+const { verifyTwoFactorChallenge } = require('../../../utils');
+
+// Enrollment is open to signed-in users and to users who are required to set
+// up two-factor authentication before their login can finish. The latter
+// send the challenge token from /api/auth/login instead of an access token.
+const enrollmentAuth = (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) {
+    return tokenVerification(req, res, next);
+  }
+
+  const userId = verifyTwoFactorChallenge(challengeToken, 'enroll');
+  if (!userId) {
+    return res
+      .status(401)
+      .json({ status: 401, message: 'Login expired. Please sign in again.' });
+  }
+  req.userId = userId;
+  req.enrollingAtLogin = true;
+  next();
+};
+
+module.exports = enrollmentAuth;
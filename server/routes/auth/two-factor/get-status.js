@@ -0,0 +1,66 @@
+const { findOne } = require('../../../helpers');
+const { countRecoveryCodes } = require('../../../utils');
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status
+ *     description: Whether the logged-in user has two-factor authentication enabled, whether they are required to, and how many recovery codes they have left.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 enabled:
+ *                   type: boolean
+ *                 required:
+ *                   type: boolean
+ *                 recoveryCodesRemaining:
+ *                   type: number
+ *                   example: 10
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function getTwoFactorStatus(req, res) {
+  try {
+    const user = await findOne('user', { _id: req.userId });
+    if (!user) {
+      return res.status(404).json({ status: 404, message: 'User not found.' });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      enabled: user.twoFactorEnabled,
+      required: user.twoFactorRequired,
+      recoveryCodesRemaining: user.twoFactorEnabled
+        ? await countRecoveryCodes(user._id)
+        : 0,
+    });
+  } catch (err) {
+    console.error('Get two-factor status error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = getTwoFactorStatus;
@@ -0,0 +1,17 @@
+const getTwoFactorStatus = require('./get-status');
+const setupTwoFactor = require('./setup');
+const enableTwoFactor = require('./enable');
+const verifyTwoFactorLogin = require('./verify');
+const disableTwoFactor = require('./disable');
+const regenerateRecoveryCodes = require('./regenerate-recovery-codes');
+const enrollmentAuth = require('./enrollment-auth');
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  enrollmentAuth,
+};
@@ -0,0 +1,95 @@
+const Joi = require('joi');
+const {
+  verifyTwoFactorCode,
+  regenerateRecoveryCodes,
+} = require('../../../utils');
+
+const regenerateSchema = Joi.object({
+  code: Joi.string().required().messages({
+    'any.required': 'Code is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes with a new set. The old codes stop working. Needs a current code from the authenticator app.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: "3f9a2-c41d7"
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code, or two-factor authentication is not enabled
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function regenerateRecoveryCodesHandler(req, res) {
+  try {
+    await regenerateSchema.validateAsync(req.body);
+
+    if (!(await verifyTwoFactorCode(req.userId, req.body.code))) {
+      return res
+        .status(401)
+        .json({ status: 401, message: 'Invalid code.', field: 'code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.userId);
+
+    return res.status(200).json({
+      status: 200,
+      message: 'New recovery codes generated.',
+      recoveryCodes,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Regenerate recovery codes error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = regenerateRecoveryCodesHandler;
@@ -0,0 +1,89 @@
+const { findOne } = require('../../../helpers');
+const { startTwoFactorEnrollment } = require('../../../utils');
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Generate a new TOTP secret for the user to add to an authenticator app, as a QR code or typed in. Nothing changes until the secret is confirmed at /api/auth/2fa/enable. Users required to set up two-factor authentication at login send their challenge token instead of an access token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Challenge token from /api/auth/login with twoFactor "enroll"
+ *     responses:
+ *       200:
+ *         description: New secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret, for typing into the app
+ *                 otpauthUrl:
+ *                   type: string
+ *                   example: "otpauth://totp/StackIt%3Ajohn%40example.com?secret=...&issuer=StackIt"
+ *                 qrCode:
+ *                   type: string
+ *                   description: The otpauth URL as a QR code image (data URL)
+ *       401:
+ *         description: Unauthorized or challenge expired
+ *       403:
+ *         description: Guest accounts cannot use two-factor authentication
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function setupTwoFactor(req, res) {
+  try {
+    const user = await findOne('user', { _id: req.userId });
+    if (!user) {
+      return res.status(404).json({ status: 404, message: 'User not found.' });
+    }
+    if (user.role === 'guest') {
+      return res.status(403).json({
+        status: 403,
+        message: 'Guest accounts cannot use two-factor authentication.',
+      });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        status: 409,
+        message: 'Two-factor authentication is already enabled.',
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await startTwoFactorEnrollment(user);
+
+    return res.status(200).json({ status: 200, secret, otpauthUrl, qrCode });
+  } catch (err) {
+    console.error('Two-factor setup error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = setupTwoFactor;
@@ -0,0 +1,150 @@
+const Joi = require('joi');
+const { findOne } = require('../../../helpers');
+const {
+  verifyTwoFactorChallenge,
+  verifyTwoFactorCode,
+  useRecoveryCode,
+  countRecoveryCodes,
+  isLocked,
+  recordFailedLogin,
+} = require('../../../utils');
+const completeLogin = require('../login/complete-login');
+
+const verifySchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required',
+  }),
+  code: Joi.string(),
+  recoveryCode: Joi.string(),
+})
+  .xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Enter a code or a recovery code',
+  });
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Second login step
+ *     description: Finish a login that returned twoFactor "verify", with a code from the authenticator app or one of the recovery codes. Each recovery code works once.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "3f9a2-c41d7"
+ *     responses:
+ *       200:
+ *         description: Login successful, same response as /api/auth/login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                 recoveryCodesRemaining:
+ *                   type: number
+ *                   description: Only when a recovery code was used
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Wrong code, the challenge expired, or the account is locked after too many wrong codes
+ *       429:
+ *         description: Too many attempts from this IP address or for this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RateLimitError'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function verifyTwoFactorLogin(req, res) {
+  try {
+    await verifySchema.validateAsync(req.body);
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyTwoFactorChallenge(challengeToken, 'verify');
+    if (!userId) {
+      return res
+        .status(401)
+        .json({ status: 401, message: 'Login expired. Please sign in again.' });
+    }
+
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({ status: 404, message: 'User not found.' });
+    }
+    // Locked by wrong codes after this challenge was issued
+    if (isLocked(user)) {
+      return res.status(401).json({
+        status: 401,
+        message:
+          'Too many failed attempts. Check your email to unlock your account.',
+      });
+    }
+
+    const isValid = code
+      ? await verifyTwoFactorCode(userId, code)
+      : await useRecoveryCode(userId, recoveryCode);
+    if (!isValid) {
+      await recordFailedLogin(user);
+      return res.status(401).json({
+        status: 401,
+        message: code ? 'Invalid code.' : 'Invalid recovery code.',
+        field: code ? 'code' : 'recoveryCode',
+      });
+    }
+
+    return completeLogin(
+      req,
+      res,
+      user,
+      recoveryCode
+        ? { recoveryCodesRemaining: await countRecoveryCodes(userId) }
+        : {}
+    );
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Two-factor login error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = verifyTwoFactorLogin;
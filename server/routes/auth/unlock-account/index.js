@@ -0,0 +1,89 @@
+const Joi = require('joi');
+const { unlockAccount } = require('../../../utils');
+
+const unlockSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Unlock token is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock-account:
+ *   post:
+ *     summary: Unlock account
+ *     description: Lift a login lockout with the token from the account locked email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Unlock token from the email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Your account is unlocked. You can sign in again."
+ *       400:
+ *         description: Validation error or invalid/expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function handleUnlockAccount(req, res) {
+  try {
+    await unlockSchema.validateAsync(req.body);
+
+    const user = await unlockAccount(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        status: 400,
+        message: 'Invalid or expired unlock link.',
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Your account is unlocked. You can sign in again.',
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Unlock account error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleUnlockAccount;
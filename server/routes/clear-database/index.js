@@ -52,7 +52,18 @@ async function handleClearDatabase(req, res) {
     console.log('🗑️  Starting database cleanup...');
 
     // Get all collections
-    const collections = ['user', 'question', 'answer', 'tag', 'notification'];
+    const collections = [
+      'user',
+      'question',
+      'answer',
+      'tag',
+      'notification',
+      'comment',
+      'reputation',
+      'revision',
+      'flag',
+      'moderationLog',
+    ];
     let deletedCount = 0;
 
     for (const collection of collections) {
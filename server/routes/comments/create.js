@@ -0,0 +1,259 @@
+const Joi = require('joi');
+const { insertNewDocument, findOne } = require('../../helpers');
+const {
+  createNotification,
+  createMentionNotifications,
+} = require('../../utils');
+
+const createCommentSchema = Joi.object({
+  body: Joi.string().trim().min(2).max(600).required().messages({
+    'string.min': 'Comment must be at least 2 characters long',
+    'string.max': 'Comment cannot exceed 600 characters',
+    'any.required': 'Comment body is required',
+  }),
+  parentId: Joi.string().optional().allow(null),
+});
+
+/**
+ * @swagger
+ * /api/questions/{id}/comments:
+ *   post:
+ *     summary: Comment on a question
+ *     description: Add a comment, or a reply to an existing comment, on a question
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 600
+ *                 example: "Could you share the error message you get?"
+ *                 description: Comment content (plain text)
+ *               parentId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439011"
+ *                 description: ID of the comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Question or parent comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * /api/answers/{id}/comments:
+ *   post:
+ *     summary: Comment on an answer
+ *     description: Add a comment, or a reply to an existing comment, on an answer
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "This also works with refresh tokens."
+ *               parentId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439011"
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Answer or parent comment not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleCreateComment(req, res) {
+  try {
+    const { id } = req.params;
+    const { postType } = req;
+    const userId = req.userId;
+
+    // Validate request body
+    const { body, parentId } = await createCommentSchema.validateAsync(
+      req.body
+    );
+
+    // Check if user exists and is verified
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'user' && !user.isEmailVerified) {
+      return res.status(403).json({
+        status: 403,
+        message: 'Please verify your email before posting comments',
+      });
+    }
+
+    // Check if the question or answer exists
+    const post = await findOne(postType, { _id: id });
+    if (!post) {
+      return res.status(404).json({
+        status: 404,
+        message: `${postType === 'question' ? 'Question' : 'Answer'} not found`,
+      });
+    }
+
+    // Replies must belong to the same post
+    let parent = null;
+    if (parentId) {
+      parent = await findOne('comment', { _id: parentId, post: id });
+      if (!parent) {
+        return res.status(404).json({
+          status: 404,
+          message: 'Parent comment not found',
+        });
+      }
+    }
+
+    const questionId = postType === 'question' ? post._id : post.question;
+
+    // Save comment to database
+    const savedComment = await insertNewDocument('comment', {
+      body,
+      author: userId,
+      postType,
+      post: id,
+      question: questionId,
+      parent: parent ? parent._id : null,
+    });
+
+    const link = `/questions/${questionId}#comment-${savedComment._id}`;
+    const authorName = `${user.first_name} ${user.last_name}`;
+
+    // Notify the post author
+    if (post.author.toString() !== userId) {
+      await createNotification({
+        user: post.author,
+        type: 'comment',
+        message: `${authorName} commented on your ${postType}`,
+        link,
+      });
+    }
+
+    // Notify the author of the comment being replied to
+    if (
+      parent &&
+      parent.author.toString() !== userId &&
+      parent.author.toString() !== post.author.toString()
+    ) {
+      await createNotification({
+        user: parent.author,
+        type: 'comment',
+        message: `${authorName} replied to your comment`,
+        link,
+      });
+    }
+
+    // Create mention notifications for users mentioned in comment body
+    await createMentionNotifications(body, userId, link);
+
+    // Populate author information
+    const populatedComment = await savedComment.populate(
+      'author',
+      'first_name last_name username avatar reputation'
+    );
+
+    // Create response object
+    const commentResponse = {
+      _id: populatedComment._id,
+      body: populatedComment.body,
+      author: {
+        _id: populatedComment.author._id,
+        first_name: populatedComment.author.first_name,
+        last_name: populatedComment.author.last_name,
+        username: populatedComment.author.username,
+        avatar: populatedComment.author.avatar,
+        reputation: populatedComment.author.reputation,
+      },
+      postType: populatedComment.postType,
+      post: populatedComment.post,
+      question: populatedComment.question,
+      parent: populatedComment.parent,
+      replies: [],
+      createdAt: populatedComment.createdAt,
+      updatedAt: populatedComment.updatedAt,
+    };
+
+    return res.status(201).json({
+      status: 201,
+      message: 'Comment created successfully!',
+      comment: commentResponse,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Create comment error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleCreateComment;
@@ -0,0 +1,117 @@
+const { find, findOne } = require('../../helpers');
+const Models = require('../../models');
+
+/**
+ * @swagger
+ * /api/questions/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment on a question
+ *     description: Delete a comment and all replies to it (author only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the comment author
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Internal server error
+ * /api/answers/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment on an answer
+ *     description: Delete a comment and all replies to it (author only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Forbidden - Not the comment author
+ *       404:
+ *         description: Comment not found
+ */
+async function handleDeleteComment(req, res) {
+  try {
+    const { id, commentId } = req.params;
+    const { postType } = req;
+    const userId = req.userId;
+
+    // Check if comment exists on this post
+    const comment = await findOne('comment', {
+      _id: commentId,
+      postType,
+      post: id,
+    });
+    if (!comment) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Comment not found',
+      });
+    }
+
+    // Check if user is the author
+    if (comment.author.toString() !== userId) {
+      return res.status(403).json({
+        status: 403,
+        message: 'You can only delete your own comments',
+      });
+    }
+
+    // Collect the comment and every reply below it
+    const idsToDelete = [comment._id];
+    let parentIds = [comment._id];
+    while (parentIds.length > 0) {
+      const replies = await find('comment', { parent: { $in: parentIds } });
+      parentIds = replies.map(reply => reply._id);
+      idsToDelete.push(...parentIds);
+    }
+
+    await Models.comment.deleteMany({ _id: { $in: idsToDelete } });
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Comment deleted successfully!',
+      deletedCount: idsToDelete.length,
+    });
+  } catch (err) {
+    console.error('Delete comment error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleDeleteComment;
@@ -0,0 +1,122 @@
+const { findOne, findPopulateSortAndLimit } = require('../../helpers');
+
+/**
+ * @swagger
+ * /api/questions/{id}/comments:
+ *   get:
+ *     summary: Get comments on a question
+ *     description: Retrieve the comment threads on a question, replies nested under their parent
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal server error
+ * /api/answers/{id}/comments:
+ *   get:
+ *     summary: Get comments on an answer
+ *     description: Retrieve the comment threads on an answer, replies nested under their parent
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *       404:
+ *         description: Answer not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetComments(req, res) {
+  try {
+    const { id } = req.params;
+    const { postType } = req;
+
+    // Check if the question or answer exists
+    const post = await findOne(postType, { _id: id });
+    if (!post) {
+      return res.status(404).json({
+        status: 404,
+        message: `${postType === 'question' ? 'Question' : 'Answer'} not found`,
+      });
+    }
+
+    // Get all comments for this post, oldest first
+    const comments = await findPopulateSortAndLimit(
+      'comment',
+      { postType, post: id },
+      'author',
+      'first_name last_name username avatar reputation',
+      { createdAt: 1 },
+      0,
+      0
+    );
+
+    // Format comments and index them by ID
+    const commentsById = new Map();
+    comments.forEach(comment => {
+      commentsById.set(comment._id.toString(), {
+        _id: comment._id,
+        body: comment.body,
+        author: comment.author
+          ? {
+              _id: comment.author._id,
+              first_name: comment.author.first_name,
+              last_name: comment.author.last_name,
+              username: comment.author.username,
+              avatar: comment.author.avatar,
+              reputation: comment.author.reputation,
+            }
+          : null,
+        postType: comment.postType,
+        post: comment.post,
+        question: comment.question,
+        parent: comment.parent,
+        replies: [],
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt,
+      });
+    });
+
+    // Nest replies under their parent comment
+    const threads = [];
+    commentsById.forEach(comment => {
+      const parent =
+        comment.parent && commentsById.get(comment.parent.toString());
+      if (parent) {
+        parent.replies.push(comment);
+      } else {
+        threads.push(comment);
+      }
+    });
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Comments retrieved successfully',
+      comments: threads,
+      totalComments: comments.length,
+    });
+  } catch (err) {
+    console.error('Get comments error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetComments;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { tokenVerification } = require('../../middleware');
+
+const getComments = require('./get-by-post');
+const createComment = require('./create');
+const updateComment = require('./update');
+const deleteComment = require('./delete');
+
+/**
+ * Build the comment routes for a post type, mounted under
+ * /api/questions/:id/comments and /api/answers/:id/comments
+ * @param {string} postType - 'question' or 'answer'
+ */
+const commentRoutes = postType => {
+  const router = express.Router({ mergeParams: true });
+
+  router.use((req, res, next) => {
+    req.postType = postType;
+    next();
+  });
+
+  // Public routes (no authentication required)
+  router.get('/', getComments);
+
+  // Protected routes (authentication required)
+  router.post('/', tokenVerification, createComment);
+  router.put('/:commentId', tokenVerification, updateComment);
+  router.delete('/:commentId', tokenVerification, deleteComment);
+
+  return router;
+};
+
+module.exports = commentRoutes;
@@ -0,0 +1,172 @@
+const Joi = require('joi');
+const { findOne, updateDocument } = require('../../helpers');
+
+const updateCommentSchema = Joi.object({
+  body: Joi.string().trim().min(2).max(600).required().messages({
+    'string.min': 'Comment must be at least 2 characters long',
+    'string.max': 'Comment cannot exceed 600 characters',
+    'any.required': 'Comment body is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/questions/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Update a comment on a question
+ *     description: Edit an existing comment (author only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "Could you share the full stack trace?"
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the comment author
+ *       404:
+ *         description: Comment not found
+ *       500:
+ *         description: Internal server error
+ * /api/answers/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Update a comment on an answer
+ *     description: Edit an existing comment (author only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Forbidden - Not the comment author
+ *       404:
+ *         description: Comment not found
+ */
+async function handleUpdateComment(req, res) {
+  try {
+    const { id, commentId } = req.params;
+    const { postType } = req;
+    const userId = req.userId;
+
+    // Validate request body
+    const { body } = await updateCommentSchema.validateAsync(req.body);
+
+    // Check if comment exists on this post
+    const comment = await findOne('comment', {
+      _id: commentId,
+      postType,
+      post: id,
+    });
+    if (!comment) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Comment not found',
+      });
+    }
+
+    // Check if user is the author
+    if (comment.author.toString() !== userId) {
+      return res.status(403).json({
+        status: 403,
+        message: 'You can only update your own comments',
+      });
+    }
+
+    // Update comment
+    const updatedComment = await updateDocument(
+      'comment',
+      { _id: commentId },
+      { body }
+    );
+
+    // Populate author information
+    const populatedComment = await updatedComment.populate(
+      'author',
+      'first_name last_name username avatar reputation'
+    );
+
+    // Create response object
+    const commentResponse = {
+      _id: populatedComment._id,
+      body: populatedComment.body,
+      author: {
+        _id: populatedComment.author._id,
+        first_name: populatedComment.author.first_name,
+        last_name: populatedComment.author.last_name,
+        username: populatedComment.author.username,
+        avatar: populatedComment.author.avatar,
+        reputation: populatedComment.author.reputation,
+      },
+      postType: populatedComment.postType,
+      post: populatedComment.post,
+      question: populatedComment.question,
+      parent: populatedComment.parent,
+      createdAt: populatedComment.createdAt,
+      updatedAt: populatedComment.updatedAt,
+    };
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Comment updated successfully!',
+      comment: commentResponse,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Update comment error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleUpdateComment;
@@ -0,0 +1,201 @@
+const Joi = require('joi');
+const { insertNewDocument, findOne } = require('../../helpers');
+
+const FLAG_REASONS = ['spam', 'offensive', 'low_quality', 'other'];
+
+const detailsMessages = {
+  'string.min': 'Please describe the problem in at least 10 characters',
+  'string.max': 'Details cannot exceed 500 characters',
+  'any.required': 'Please describe the problem',
+};
+
+const createFlagSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...FLAG_REASONS)
+    .required()
+    .messages({
+      'any.only': `Reason must be one of: ${FLAG_REASONS.join(', ')}`,
+      'any.required': 'Flag reason is required',
+    }),
+  details: Joi.when('reason', {
+    is: 'other',
+    then: Joi.string()
+      .trim()
+      .min(10)
+      .max(500)
+      .required()
+      .messages(detailsMessages),
+    otherwise: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .optional()
+      .messages(detailsMessages),
+  }),
+});
+
+/**
+ * @swagger
+ * /api/questions/{id}/flag:
+ *   post:
+ *     summary: Flag a question
+ *     description: Report a question for moderator review
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, low_quality, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Required when the reason is "other"
+ *     responses:
+ *       201:
+ *         description: Flag submitted
+ *       400:
+ *         description: Validation error, or flagging your own post
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: You already have a pending flag on this post
+ *       500:
+ *         description: Internal server error
+ * /api/answers/{id}/flag:
+ *   post:
+ *     summary: Flag an answer
+ *     description: Report an answer for moderator review
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, low_quality, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Flag submitted
+ *       400:
+ *         description: Validation error, or flagging your own post
+ *       404:
+ *         description: Answer not found
+ *       409:
+ *         description: You already have a pending flag on this post
+ *       500:
+ *         description: Internal server error
+ */
+async function handleCreateFlag(req, res) {
+  try {
+    const { id } = req.params;
+    const { postType } = req;
+    const userId = req.userId;
+    const label = postType === 'question' ? 'Question' : 'Answer';
+
+    const { reason, details = '' } = await createFlagSchema.validateAsync(
+      req.body
+    );
+
+    const post = await findOne(postType, { _id: id });
+    if (!post) {
+      return res.status(404).json({
+        status: 404,
+        message: `${label} not found`,
+      });
+    }
+
+    if (post.author.toString() === userId) {
+      return res.status(400).json({
+        status: 400,
+        message: `You cannot flag your own ${postType}`,
+      });
+    }
+
+    const existingFlag = await findOne('flag', {
+      postType,
+      post: id,
+      reporter: userId,
+      status: 'pending',
+    });
+    if (existingFlag) {
+      return res.status(409).json({
+        status: 409,
+        message: `You have already flagged this ${postType}`,
+      });
+    }
+
+    const flag = await insertNewDocument('flag', {
+      postType,
+      post: id,
+      question: postType === 'question' ? post._id : post.question,
+      reporter: userId,
+      reason,
+      details,
+    });
+
+    return res.status(201).json({
+      status: 201,
+      message: 'Thanks, a moderator will review your flag',
+      flag: {
+        _id: flag._id,
+        postType: flag.postType,
+        post: flag.post,
+        reason: flag.reason,
+        details: flag.details,
+        status: flag.status,
+        createdAt: flag.createdAt,
+      },
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Create flag error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleCreateFlag;
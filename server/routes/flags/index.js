@@ -0,0 +1,25 @@
+const express = require('express');
+const { tokenVerification } = require('../../middleware');
+
+const createFlag = require('./create');
+
+/**
+ * Build the flag route for a post type, mounted under
+ * /api/questions/:id/flag and /api/answers/:id/flag
+ * @param {string} postType - 'question' or 'answer'
+ */
+const flagRoutes = postType => {
+  const router = express.Router({ mergeParams: true });
+
+  router.use((req, res, next) => {
+    req.postType = postType;
+    next();
+  });
+
+  // Protected routes (authentication required)
+  router.post('/', tokenVerification, createFlag);
+
+  return router;
+};
+
+module.exports = flagRoutes;
@@ -1,11 +1,16 @@
 const express = require('express');
 const { tokenVerification } = require('../middleware');
+const { processImages } = require('../middleware/imageUpload');
 const auth = require('./auth');
 const questions = require('./questions');
 const answers = require('./answers');
 const tags = require('./tags');
 const notifications = require('./notifications');
 const stats = require('./stats');
+const moderation = require('./moderation');
+const admin = require('./admin');
+const uploads = require('./uploads');
+const markdown = require('./markdown');
 const {
   handleUploadAvatar,
   handleRemoveAvatar,
@@ -39,11 +44,24 @@ router.use('/notifications', notifications);
 // STATS Route * /api/stats
 router.use('/stats', stats);
 
+// MODERATION Routes * /api/moderation/* (admin only)
+router.use('/moderation', moderation);
+
+// UPLOADS Routes * /api/uploads/*
+router.use('/uploads', uploads);
+
+// MARKDOWN Routes * /api/markdown/*
+router.use('/markdown', markdown);
+
+// ADMIN Routes * /api/admin/* (admin only)
+router.use('/admin', admin);
+
 // USERS Routes * /api/users/*
 router.post(
   '/users/upload-avatar',
   tokenVerification,
   avatarUpload.single('avatar'),
+  processImages('avatar'),
   handleUploadAvatar
 );
 router.delete('/users/remove-avatar', tokenVerification, handleRemoveAvatar);
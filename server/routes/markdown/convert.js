@@ -0,0 +1,91 @@
+const Joi = require('joi');
+const { POST_FORMATS, renderMarkdown, htmlToMarkdown } = require('../../utils');
+
+const convertSchema = Joi.object({
+  content: Joi.string().allow('').max(100000).required().messages({
+    'string.max': 'Content cannot exceed 100000 characters',
+    'any.required': 'Content is required',
+  }),
+  to: Joi.string()
+    .valid(...POST_FORMATS)
+    .required()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+      'any.required': 'Target format is required',
+    }),
+});
+
+/**
+ * @swagger
+ * /api/markdown/convert:
+ *   post:
+ *     summary: Convert content between HTML and Markdown
+ *     description: |
+ *       Used by the editor when switching between rich text and Markdown.
+ *       - to=markdown: content is editor HTML and is converted to Markdown
+ *       - to=html: content is Markdown and is rendered to sanitized HTML
+ *     tags: [Markdown]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *               - to
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 100000
+ *               to:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *     responses:
+ *       200:
+ *         description: Converted content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                 content:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+async function handleConvertContent(req, res) {
+  try {
+    const { content, to } = await convertSchema.validateAsync(req.body);
+
+    return res.status(200).json({
+      status: 200,
+      content:
+        to === 'markdown' ? htmlToMarkdown(content) : renderMarkdown(content),
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Convert content error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleConvertContent;
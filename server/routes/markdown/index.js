@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { tokenVerification } = require('../../middleware');
+
+const previewMarkdown = require('./preview');
+const convertContent = require('./convert');
+
+// Editor helpers (authentication required)
+router.use(tokenVerification);
+
+router.post('/preview', previewMarkdown);
+router.post('/convert', convertContent);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const Joi = require('joi');
+const { renderMarkdown } = require('../../utils');
+
+const previewSchema = Joi.object({
+  markdown: Joi.string().allow('').max(100000).required().messages({
+    'string.max': 'Markdown cannot exceed 100000 characters',
+    'any.required': 'Markdown is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/markdown/preview:
+ *   post:
+ *     summary: Render Markdown
+ *     description: Render Markdown to the same sanitized HTML a Markdown post is stored with, for the editor's live preview
+ *     tags: [Markdown]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - markdown
+ *             properties:
+ *               markdown:
+ *                 type: string
+ *                 maxLength: 100000
+ *                 example: "| Method | Use |\n| --- | --- |\n| `GET` | Read |"
+ *     responses:
+ *       200:
+ *         description: Rendered HTML
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: integer
+ *                 html:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+async function handlePreviewMarkdown(req, res) {
+  try {
+    const { markdown } = await previewSchema.validateAsync(req.body);
+
+    return res.status(200).json({
+      status: 200,
+      html: renderMarkdown(markdown),
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Preview markdown error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handlePreviewMarkdown;
@@ -0,0 +1,89 @@
+const Models = require('../../models');
+
+/**
+ * @swagger
+ * /api/moderation/audit-log:
+ *   get:
+ *     summary: Get the moderation audit log
+ *     description: Moderator actions on flags, newest first (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetAuditLog(req, res) {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 100); // Max 100 per page
+    const skip = (pageNum - 1) * limitNum;
+
+    const entries = await Models.moderationLog
+      .find({})
+      .populate([
+        { path: 'moderator', select: 'username' },
+        { path: 'postAuthor', select: 'username' },
+        { path: 'flag', select: 'reason details reporter question' },
+      ])
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const totalEntries = await Models.moderationLog.countDocuments();
+    const totalPages = Math.ceil(totalEntries / limitNum);
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Audit log retrieved successfully',
+      entries: entries.map(entry => ({
+        _id: entry._id,
+        action: entry.action,
+        moderator: entry.moderator,
+        postType: entry.postType,
+        post: entry.post,
+        postAuthor: entry.postAuthor,
+        flag: entry.flag,
+        snapshot: entry.snapshot,
+        note: entry.note,
+        createdAt: entry.createdAt,
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalEntries,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    console.error('Get audit log error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetAuditLog;
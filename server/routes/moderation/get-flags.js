@@ -0,0 +1,173 @@
+const Models = require('../../models');
+
+const FLAG_STATUSES = ['pending', 'approved', 'dismissed', 'deleted'];
+
+const stripHTML = html =>
+  (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * @swagger
+ * /api/moderation/flags:
+ *   get:
+ *     summary: Get the flag review queue
+ *     description: List flags by status (admin only). Pending flags come oldest first, reviewed flags newest first.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, dismissed, deleted]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Flags with a summary of each flagged post and counts per status
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetFlags(req, res) {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    if (!FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 400,
+        message: `Status must be one of: ${FLAG_STATUSES.join(', ')}`,
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 100); // Max 100 per page
+    const skip = (pageNum - 1) * limitNum;
+
+    const flags = await Models.flag
+      .find({ status })
+      .populate([
+        { path: 'reporter', select: 'first_name last_name username avatar' },
+        { path: 'reviewedBy', select: 'username' },
+      ])
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    // Load the flagged posts in two queries
+    const idsOf = postType =>
+      flags.filter(flag => flag.postType === postType).map(flag => flag.post);
+    const populateAuthor = { path: 'author', select: 'username reputation' };
+    const [questions, answers] = await Promise.all([
+      Models.question
+        .find({ _id: { $in: idsOf('question') } })
+        .populate(populateAuthor)
+        .lean(),
+      Models.answer
+        .find({ _id: { $in: idsOf('answer') } })
+        .populate(populateAuthor)
+        .lean(),
+    ]);
+    const posts = new Map(
+      [...questions, ...answers].map(post => [post._id.toString(), post])
+    );
+
+    // Number of pending flags per post, so repeat reports stand out
+    const pendingCounts = await Models.flag.aggregate([
+      {
+        $match: {
+          status: 'pending',
+          post: { $in: flags.map(flag => flag.post) },
+        },
+      },
+      { $group: { _id: '$post', count: { $sum: 1 } } },
+    ]);
+    const pendingByPost = new Map(
+      pendingCounts.map(({ _id, count }) => [_id.toString(), count])
+    );
+
+    const statusCounts = await Models.flag.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+    const counts = Object.fromEntries(
+      FLAG_STATUSES.map(name => [
+        name,
+        (statusCounts.find(({ _id }) => _id === name) || {}).count || 0,
+      ])
+    );
+
+    const totalPages = Math.ceil(counts[status] / limitNum);
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Flags retrieved successfully',
+      flags: flags.map(flag => {
+        const post = posts.get(flag.post.toString());
+        return {
+          _id: flag._id,
+          postType: flag.postType,
+          question: flag.question,
+          reason: flag.reason,
+          details: flag.details,
+          status: flag.status,
+          reporter: flag.reporter,
+          reviewedBy: flag.reviewedBy,
+          reviewedAt: flag.reviewedAt,
+          createdAt: flag.createdAt,
+          pendingFlags: pendingByPost.get(flag.post.toString()) || 0,
+          // null when the post has been deleted
+          post: post
+            ? {
+                _id: post._id,
+                title: post.title || '',
+                excerpt: stripHTML(
+                  flag.postType === 'question' ? post.description : post.body
+                ).slice(0, 300),
+                author: post.author && {
+                  _id: post.author._id,
+                  username: post.author.username,
+                  reputation: post.author.reputation,
+                },
+                createdAt: post.createdAt,
+              }
+            : null,
+        };
+      }),
+      counts,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalFlags: counts[status],
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    console.error('Get flags error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetFlags;
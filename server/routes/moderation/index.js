@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { tokenVerification, requireAdmin } = require('../../middleware');
+
+const getFlags = require('./get-flags');
+const reviewFlag = require('./review-flag');
+const getAuditLog = require('./get-audit-log');
+
+// Admin routes (authentication and admin role required)
+router.use(tokenVerification, requireAdmin);
+
+router.get('/flags', getFlags);
+router.post('/flags/:flagId/approve', reviewFlag('approve'));
+router.post('/flags/:flagId/dismiss', reviewFlag('dismiss'));
+router.post('/flags/:flagId/delete', reviewFlag('delete'));
+router.get('/audit-log', getAuditLog);
+
+module.exports = router;
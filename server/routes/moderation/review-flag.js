@@ -0,0 +1,214 @@
+const Joi = require('joi');
+const Models = require('../../models');
+const { findOne, insertNewDocument } = require('../../helpers');
+const {
+  createNotification,
+  removeQuestion,
+  removeAnswer,
+} = require('../../utils');
+
+const reviewFlagSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow('').optional().messages({
+    'string.max': 'Note cannot exceed 500 characters',
+  }),
+});
+
+// Flag status each review action leads to
+const ACTION_STATUS = {
+  approve: 'approved',
+  dismiss: 'dismissed',
+  delete: 'deleted',
+};
+
+const REASON_LABELS = {
+  spam: 'spam',
+  offensive: 'offensive',
+  low_quality: 'low quality',
+  other: 'needing moderator attention',
+};
+
+/**
+ * @swagger
+ * /api/moderation/flags/{flagId}/{action}:
+ *   post:
+ *     summary: Review a flag
+ *     description: |
+ *       Resolve a pending flag (admin only) and record it in the audit log.
+ *       - approve: the flag is valid; the post stays and its author is notified
+ *       - dismiss: the flag is not valid
+ *       - delete: delete the flagged post; all pending flags on it are resolved
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flagId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, dismiss, delete]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Moderator note stored in the audit log
+ *     responses:
+ *       200:
+ *         description: Flag reviewed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Flag or flagged post not found
+ *       409:
+ *         description: Flag was already reviewed
+ *       500:
+ *         description: Internal server error
+ */
+const handleReviewFlag = action => async (req, res) => {
+  try {
+    const { flagId } = req.params;
+    const userId = req.userId;
+
+    const { note = '' } = await reviewFlagSchema.validateAsync(req.body || {});
+
+    const flag = await findOne('flag', { _id: flagId });
+    if (!flag) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Flag not found',
+      });
+    }
+
+    if (flag.status !== 'pending') {
+      return res.status(409).json({
+        status: 409,
+        message: `This flag was already ${flag.status}`,
+      });
+    }
+
+    const post = await findOne(flag.postType, { _id: flag.post });
+    if (!post && action === 'delete') {
+      return res.status(404).json({
+        status: 404,
+        message: 'The flagged post no longer exists',
+      });
+    }
+
+    // Claim the flag so two moderators cannot review it at once
+    const reviewed = await Models.flag.findOneAndUpdate(
+      { _id: flagId, status: 'pending' },
+      {
+        $set: {
+          status: ACTION_STATUS[action],
+          reviewedBy: userId,
+          reviewedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!reviewed) {
+      return res.status(409).json({
+        status: 409,
+        message: 'This flag was already reviewed',
+      });
+    }
+
+    const question =
+      flag.postType === 'question'
+        ? post
+        : await findOne('question', { _id: flag.question });
+    const title = question ? question.title : '';
+    const content =
+      post && (flag.postType === 'question' ? post.description : post.body);
+
+    await insertNewDocument('moderationLog', {
+      moderator: userId,
+      action,
+      flag: flag._id,
+      postType: flag.postType,
+      post: flag.post,
+      postAuthor: post ? post.author : null,
+      snapshot: {
+        title: flag.postType === 'question' && post ? post.title : '',
+        body: content || '',
+      },
+      note,
+    });
+
+    if (action === 'delete') {
+      // Resolve every other report of the same post along with this one
+      await Models.flag.updateMany(
+        { postType: flag.postType, post: flag.post, status: 'pending' },
+        {
+          $set: {
+            status: 'deleted',
+            reviewedBy: userId,
+            reviewedAt: new Date(),
+          },
+        }
+      );
+
+      if (flag.postType === 'question') {
+        await removeQuestion(post);
+      } else {
+        await removeAnswer(post);
+      }
+    }
+
+    if (post && action !== 'dismiss') {
+      const subject =
+        flag.postType === 'question'
+          ? `Your question "${title}"`
+          : `Your answer on "${title}"`;
+      const outcome = action === 'delete' ? 'was removed' : 'was reviewed';
+      await createNotification({
+        user: post.author,
+        type: 'moderation',
+        message: `${subject} ${outcome} by a moderator after being flagged as ${
+          REASON_LABELS[flag.reason]
+        }${note ? `: ${note}` : ''}`,
+        link:
+          action === 'delete' || !question ? '' : `/questions/${question._id}`,
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: `Flag ${ACTION_STATUS[action]}`,
+      flag: {
+        _id: reviewed._id,
+        status: reviewed.status,
+        reviewedBy: reviewed.reviewedBy,
+        reviewedAt: reviewed.reviewedAt,
+      },
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Review flag error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+};
+
+module.exports = handleReviewFlag;
@@ -6,10 +6,17 @@ const getNotifications = require('./get-all');
 const markAsRead = require('./mark-as-read');
 const markAllAsRead = require('./mark-all-as-read');
 const deleteNotification = require('./delete');
+const streamNotifications = require('./stream');
+const { streamTicketVerification } = require('./stream');
+const createStreamTicket = require('./stream-ticket');
+
+// Live stream, authenticated with a one-time ticket in the query string
+router.get('/stream', streamTicketVerification, streamNotifications);
 
 // All notification routes require authentication
 router.use(tokenVerification);
 
+router.post('/stream-ticket', createStreamTicket);
 router.get('/', getNotifications);
 router.put('/:id/read', markAsRead);
 router.put('/mark-all-read', markAllAsRead);
@@ -0,0 +1,68 @@
+const { createStreamTicket } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/notifications/stream-ticket:
+ *   post:
+ *     summary: Get a notification stream ticket
+ *     description: |
+ *       Issues a one-time ticket for opening /api/notifications/stream.
+ *       EventSource cannot send the Authorization header, and the stream URL
+ *       ends up in logs and browser history, so it carries this short-lived
+ *       ticket instead of the access token.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Ticket issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 201
+ *                 ticket:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                   description: Seconds the ticket can be used for
+ *                   example: 30
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+async function handleCreateStreamTicket(req, res) {
+  try {
+    const { ticket, expiresIn } = await createStreamTicket(
+      req.userId,
+      req.sessionId
+    );
+
+    return res.status(201).json({
+      status: 201,
+      message: 'Stream ticket issued',
+      ticket,
+      expiresIn,
+    });
+  } catch (err) {
+    console.error('Create stream ticket error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleCreateStreamTicket;
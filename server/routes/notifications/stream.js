@@ -0,0 +1,81 @@
+const Models = require('../../models');
+const { notificationChannel, redeemStreamTicket } = require('../../utils');
+const { subscribe, send } = require('../../lib/live-events');
+
+/**
+ * EventSource cannot set headers, so the stream is opened with a one-time
+ * ticket from /api/notifications/stream-ticket in the `ticket` query
+ * parameter
+ */
+const streamTicketVerification = async (req, res, next) => {
+  try {
+    const userId = await redeemStreamTicket(req.query.ticket);
+    if (!userId) {
+      return res.status(401).json({
+        status: 401,
+        message: 'Stream ticket invalid, used or expired.',
+      });
+    }
+    req.userId = userId;
+    next();
+  } catch (err) {
+    console.error('Stream ticket verification error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/notifications/stream:
+ *   get:
+ *     summary: Stream new notifications
+ *     description: |
+ *       Server-Sent Events stream of the authenticated user's notifications.
+ *       - `unread` is sent on connect with `{ unreadCount }`
+ *       - `notification` is sent for each new notification with `{ notification, unreadCount }`
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: One-time ticket from /api/notifications/stream-ticket
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+async function handleNotificationStream(req, res) {
+  try {
+    const userId = req.userId;
+
+    const unreadCount = await Models.notification.countDocuments({
+      user: userId,
+      isRead: false,
+    });
+
+    subscribe(notificationChannel(userId), req, res);
+    send(res, 'unread', { unreadCount });
+  } catch (err) {
+    console.error('Notification stream error:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        status: 500,
+        message: 'Internal server error. Please try again later.',
+      });
+    }
+    res.end();
+  }
+}
+
+module.exports = handleNotificationStream;
+module.exports.streamTicketVerification = streamTicketVerification;
@@ -0,0 +1,303 @@
+const Joi = require('joi');
+const Models = require('../../models');
+const { findOne, customUpdate } = require('../../helpers');
+const { recordReputation } = require('../../utils');
+const {
+  BOUNTY_AMOUNTS,
+  BOUNTY_DURATION_DAYS,
+} = require('../../config/bounties');
+
+const offerBountySchema = Joi.object({
+  amount: Joi.number()
+    .valid(...BOUNTY_AMOUNTS)
+    .required()
+    .messages({
+      'any.only': `Bounty must be one of: ${BOUNTY_AMOUNTS.join(', ')}`,
+      'any.required': 'Bounty amount is required',
+    }),
+});
+
+/**
+ * @swagger
+ * /api/questions/{id}/bounty:
+ *   post:
+ *     summary: Offer a bounty on a question
+ *     description: |
+ *       The question author offers part of their reputation as a bounty on an
+ *       open question without answers, for BOUNTY_DURATION_DAYS. It goes to
+ *       the answer the author accepts, or to the top-voted answer when it
+ *       expires. The author watches the bounty.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 enum: [50, 100, 150, 200, 300, 500]
+ *     responses:
+ *       201:
+ *         description: Bounty started
+ *       400:
+ *         description: Invalid amount, or the question is closed or already has answers
+ *       403:
+ *         description: Not the question author, or not enough reputation
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: The question already has an active bounty, or was answered meanwhile
+ *       500:
+ *         description: Internal server error
+ */
+async function handleOfferBounty(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+
+    await offerBountySchema.validateAsync(req.body);
+    const { amount } = req.body;
+
+    const question = await findOne('question', { _id: id });
+    if (!question) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Question not found',
+      });
+    }
+
+    if (question.author.toString() !== userId) {
+      return res.status(403).json({
+        status: 403,
+        message: 'Only the question author can offer a bounty',
+      });
+    }
+
+    if (question.status === 'closed') {
+      return res.status(400).json({
+        status: 400,
+        message: 'Closed questions cannot have a bounty',
+      });
+    }
+
+    // Bounties draw attention to questions nobody has answered yet
+    if (question.answers.length > 0) {
+      return res.status(400).json({
+        status: 400,
+        message: 'Only questions without answers can have a bounty',
+      });
+    }
+
+    // Take the points first, in one step that fails on a short balance, so
+    // concurrent offers cannot overdraw it
+    const charged = await Models.user.findOneAndUpdate(
+      { _id: userId, reputation: { $gte: amount } },
+      { $inc: { reputation: -amount } },
+      { new: true }
+    );
+    if (!charged) {
+      const user = await findOne('user', { _id: userId });
+      const reputation = (user && user.reputation) || 0;
+      return res.status(403).json({
+        status: 403,
+        message: `You need ${amount} reputation to offer this bounty (you have ${reputation})`,
+        requiredReputation: amount,
+        reputation,
+      });
+    }
+    const refund = () =>
+      customUpdate('user', { _id: userId }, { $inc: { reputation: amount } });
+
+    const expiresAt = new Date(
+      Date.now() + BOUNTY_DURATION_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    // Only one active bounty per question, and only while it has no answers
+    let updatedQuestion;
+    try {
+      updatedQuestion = await Models.question.findOneAndUpdate(
+        {
+          _id: id,
+          'bounty.status': { $ne: 'active' },
+          'answers.0': { $exists: false },
+        },
+        {
+          $set: {
+            bounty: { amount, offeredBy: userId, status: 'active', expiresAt },
+          },
+          $addToSet: { bountyWatchers: userId },
+        },
+        { new: true }
+      );
+    } catch (err) {
+      await refund();
+      throw err;
+    }
+    if (!updatedQuestion) {
+      await refund();
+      return res.status(409).json({
+        status: 409,
+        message: 'This question already has an active bounty or an answer',
+      });
+    }
+
+    // The bounty is live either way; a missing ledger entry is only logged
+    await recordReputation({
+      user: userId,
+      amount: -amount,
+      reason: 'bounty_offered',
+      postType: 'question',
+      post: id,
+      actor: userId,
+    }).catch(error => console.error('Error recording bounty offer:', error));
+
+    return res.status(201).json({
+      status: 201,
+      message: `Bounty of ${amount} started`,
+      bounty: updatedQuestion.bounty,
+      bountyWatchers: updatedQuestion.bountyWatchers,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Offer bounty error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+/**
+ * @swagger
+ * /api/questions/{id}/bounty/watch:
+ *   post:
+ *     summary: Watch a bounty
+ *     description: Get notified when the active bounty is awarded or expires
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Watching the bounty
+ *       404:
+ *         description: Question or active bounty not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Stop watching a bounty
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: No longer watching the bounty
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleWatchBounty(req, res) {
+  try {
+    const { id } = req.params;
+
+    const question = await findOne('question', { _id: id });
+    if (!question) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Question not found',
+      });
+    }
+
+    const updatedQuestion = await Models.question.findOneAndUpdate(
+      { _id: id, 'bounty.status': 'active' },
+      { $addToSet: { bountyWatchers: req.userId } },
+      { new: true }
+    );
+    if (!updatedQuestion) {
+      return res.status(404).json({
+        status: 404,
+        message: 'This question has no active bounty',
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: 'You are watching this bounty',
+      bountyWatchers: updatedQuestion.bountyWatchers,
+    });
+  } catch (err) {
+    console.error('Watch bounty error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+async function handleUnwatchBounty(req, res) {
+  try {
+    const { id } = req.params;
+
+    const updatedQuestion = await Models.question.findOneAndUpdate(
+      { _id: id },
+      { $pull: { bountyWatchers: req.userId } },
+      { new: true }
+    );
+    if (!updatedQuestion) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Question not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: 'You are no longer watching this bounty',
+      bountyWatchers: updatedQuestion.bountyWatchers,
+    });
+  } catch (err) {
+    console.error('Unwatch bounty error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleOfferBounty;
+module.exports.handleWatchBounty = handleWatchBounty;
+module.exports.handleUnwatchBounty = handleUnwatchBounty;
@@ -0,0 +1,234 @@
+const Joi = require('joi');
+const Models = require('../../models');
+const { findOne } = require('../../helpers');
+const {
+  createNotification,
+  resolveCloseVotes,
+  getCloseState,
+} = require('../../utils');
+const {
+  CLOSE_REASONS,
+  CLOSE_VOTE_THRESHOLD,
+} = require('../../config/moderation');
+
+// Questions from before closing existed have no status and count as open
+const notClosed = { status: { $ne: 'closed' } };
+
+const closeQuestionSchema = Joi.object({
+  reason: Joi.string()
+    .valid(...Object.keys(CLOSE_REASONS))
+    .required()
+    .messages({
+      'any.only': `Reason must be one of: ${Object.keys(CLOSE_REASONS).join(
+        ', '
+      )}`,
+      'any.required': 'Close reason is required',
+    }),
+  duplicateOf: Joi.when('reason', {
+    is: 'duplicate',
+    then: Joi.string().hex().length(24).required().messages({
+      'any.required': 'duplicateOf is required when closing as duplicate',
+      'string.hex': 'duplicateOf must be a valid question ID',
+      'string.length': 'duplicateOf must be a valid question ID',
+    }),
+    otherwise: Joi.forbidden().messages({
+      'any.unknown': 'duplicateOf is only allowed when closing as duplicate',
+    }),
+  }),
+});
+
+/**
+ * @swagger
+ * /api/questions/{id}/close:
+ *   post:
+ *     summary: Vote to close a question
+ *     description: |
+ *       Casts a close vote (requires the close_vote privilege). The question
+ *       closes once CLOSE_VOTE_THRESHOLD votes are cast, using the most common
+ *       reason. Admin votes close the question immediately.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [duplicate, off_topic, unclear, too_broad]
+ *               duplicateOf:
+ *                 type: string
+ *                 description: ID of the original question (duplicate only)
+ *     responses:
+ *       200:
+ *         description: Close vote recorded or question closed
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not enough reputation to vote to close
+ *       404:
+ *         description: Question or duplicate target not found
+ *       409:
+ *         description: Question already closed or already voted
+ *       500:
+ *         description: Internal server error
+ */
+async function handleCloseQuestion(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+
+    await closeQuestionSchema.validateAsync(req.body);
+    const { reason, duplicateOf = null } = req.body;
+
+    const question = await findOne('question', { _id: id });
+    if (!question) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Question not found',
+      });
+    }
+
+    if (question.status === 'closed') {
+      return res.status(409).json({
+        status: 409,
+        message: 'Question is already closed',
+      });
+    }
+
+    if (duplicateOf) {
+      if (duplicateOf === id) {
+        return res.status(400).json({
+          status: 400,
+          message: 'A question cannot be a duplicate of itself',
+          field: 'duplicateOf',
+        });
+      }
+
+      const original = await findOne('question', { _id: duplicateOf });
+      if (!original) {
+        return res.status(404).json({
+          status: 404,
+          message: 'Original question not found',
+        });
+      }
+    }
+
+    const user = await findOne('user', { _id: userId });
+    const isAdmin = user && user.role === 'admin';
+
+    let updatedQuestion;
+    if (isAdmin) {
+      // Admin override: close right away
+      updatedQuestion = await Models.question.findOneAndUpdate(
+        { _id: id, ...notClosed },
+        {
+          $set: {
+            status: 'closed',
+            closeReason: reason,
+            duplicateOf,
+            closedAt: new Date(),
+            closedBy: userId,
+            closeVotes: [],
+            reopenVotes: [],
+          },
+        },
+        { new: true }
+      );
+    } else {
+      const votedQuestion = await Models.question.findOneAndUpdate(
+        { _id: id, ...notClosed, 'closeVotes.user': { $ne: userId } },
+        { $push: { closeVotes: { user: userId, reason, duplicateOf } } },
+        { new: true }
+      );
+      if (!votedQuestion) {
+        return res.status(409).json({
+          status: 409,
+          message: 'You have already voted to close this question',
+        });
+      }
+
+      updatedQuestion = votedQuestion;
+      if (votedQuestion.closeVotes.length >= CLOSE_VOTE_THRESHOLD) {
+        const outcome = resolveCloseVotes(votedQuestion.closeVotes);
+        updatedQuestion = await Models.question.findOneAndUpdate(
+          { _id: id, ...notClosed },
+          {
+            $set: {
+              status: 'closed',
+              closeReason: outcome.reason,
+              duplicateOf: outcome.duplicateOf,
+              closedAt: new Date(),
+              closedBy: null,
+              closeVotes: [],
+              reopenVotes: [],
+            },
+          },
+          { new: true }
+        );
+      }
+    }
+
+    // Closed concurrently by someone else
+    if (!updatedQuestion) {
+      return res.status(409).json({
+        status: 409,
+        message: 'Question is already closed',
+      });
+    }
+
+    const isClosed = updatedQuestion.status === 'closed';
+    if (isClosed && question.author.toString() !== userId) {
+      await createNotification({
+        user: question.author,
+        type: 'question_closed',
+        message: `Your question "${question.title}" was closed as ${
+          CLOSE_REASONS[updatedQuestion.closeReason]
+        }`,
+        link: `/questions/${id}`,
+      });
+    }
+
+    await updatedQuestion.populate('duplicateOf', 'title');
+
+    return res.status(200).json({
+      status: 200,
+      message: isClosed
+        ? 'Question closed'
+        : `Close vote recorded (${updatedQuestion.closeVotes.length}/${CLOSE_VOTE_THRESHOLD})`,
+      question: {
+        _id: updatedQuestion._id,
+        ...getCloseState(updatedQuestion),
+      },
+      closeVoteThreshold: CLOSE_VOTE_THRESHOLD,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Close question error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleCloseQuestion;
@@ -1,7 +1,14 @@
 const Joi = require('joi');
 const { uploadQuestionImage } = require('../../lib');
 const { insertNewDocument, findOne } = require('../../helpers');
-const { createNotification } = require('../../utils');
+const {
+  createNotification,
+  POST_FORMATS,
+  renderPostContent,
+  codeLanguages,
+  resolveTags,
+  notifyTagWatchers,
+} = require('../../utils');
 const { imageUpload, handleImageUploadError } = require('../../middleware/imageUpload');
 
 // Validation schema for question creation with images
@@ -26,6 +33,12 @@ const createQuestionWithImagesSchema = Joi.object({
       'any.required': 'Tags are required',
     }),
   imageCaptions: Joi.array().items(Joi.string().max(200)).optional(),
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .optional()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
 });
 
 /**
@@ -58,7 +71,12 @@ const createQuestionWithImagesSchema = Joi.object({
  *                 type: string
  *                 minLength: 20
  *                 example: "<p>I'm building a React app and need to implement JWT authentication...</p>"
- *                 description: Question description (HTML content)
+ *                 description: Question description (HTML content, or Markdown when format is markdown)
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
+ *                 description: Format of the description
  *               tags:
  *                 type: string
  *                 example: "react,jwt,authentication"
@@ -107,6 +125,27 @@ const createQuestionWithImagesSchema = Joi.object({
  *                             type: string
  *                           caption:
  *                             type: string
+ *                           width:
+ *                             type: number
+ *                           height:
+ *                             type: number
+ *                           variants:
+ *                             type: array
+ *                             description: webp sizes, made when STORAGE_DRIVER is not cloudinary
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 name:
+ *                                   type: string
+ *                                   enum: [thumbnail, small, medium, large]
+ *                                 url:
+ *                                   type: string
+ *                                 publicId:
+ *                                   type: string
+ *                                 width:
+ *                                   type: number
+ *                                 height:
+ *                                   type: number
  *                     tags:
  *                       type: array
  *                       items:
@@ -122,7 +161,13 @@ const createQuestionWithImagesSchema = Joi.object({
  */
 async function handleCreateQuestionWithImages(req, res) {
   try {
-    const { title, description, tags, imageCaptions } = req.body;
+    const {
+      title,
+      description,
+      tags,
+      imageCaptions,
+      format = 'html',
+    } = req.body;
     const userId = req.userId;
     const uploadedFiles = req.files || [];
 
@@ -143,6 +188,7 @@ async function handleCreateQuestionWithImages(req, res) {
       description,
       tags: tagsArray,
       imageCaptions: captionsArray,
+      format,
     };
 
     await createQuestionWithImagesSchema.validateAsync(validationData);
@@ -164,10 +210,14 @@ async function handleCreateQuestionWithImages(req, res) {
     }
 
     // Create question object
+    const { html, markdown } = renderPostContent(description, format);
     const questionData = {
       title: title.trim(),
-      description: description.trim(),
-      tags: tagsArray.map(tag => tag.toLowerCase()),
+      description: html,
+      format,
+      markdown,
+      codeLanguages: codeLanguages(html),
+      tags: await resolveTags(tagsArray),
       author: userId,
       answers: [],
       acceptedAnswer: null,
@@ -188,15 +238,18 @@ async function handleCreateQuestionWithImages(req, res) {
 
         try {
           const uploadResult = await uploadQuestionImage(
-            file.buffer,
+            file,
             savedQuestion._id.toString(),
             caption
           );
 
           uploadedImages.push({
-            url: uploadResult.secure_url,
-            publicId: uploadResult.public_id,
+            url: uploadResult.url,
+            publicId: uploadResult.publicId,
             caption: caption,
+            width: uploadResult.width,
+            height: uploadResult.height,
+            variants: uploadResult.variants || [],
           });
         } catch (uploadError) {
           console.error(`Failed to upload image ${i + 1}:`, uploadError);
@@ -211,10 +264,13 @@ async function handleCreateQuestionWithImages(req, res) {
       }
     }
 
+    // Let users watching the question's tags know about it
+    await notifyTagWatchers(savedQuestion);
+
     // Populate author information
     const populatedQuestion = await savedQuestion.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
@@ -222,6 +278,9 @@ async function handleCreateQuestionWithImages(req, res) {
       _id: populatedQuestion._id,
       title: populatedQuestion.title,
       description: populatedQuestion.description,
+      format: populatedQuestion.format,
+      markdown: populatedQuestion.markdown,
+      codeLanguages: populatedQuestion.codeLanguages,
       images: populatedQuestion.images,
       tags: populatedQuestion.tags,
       author: {
@@ -230,6 +289,7 @@ async function handleCreateQuestionWithImages(req, res) {
         last_name: populatedQuestion.author.last_name,
         username: populatedQuestion.author.username,
         avatar: populatedQuestion.author.avatar,
+        reputation: populatedQuestion.author.reputation,
       },
       answers: populatedQuestion.answers,
       acceptedAnswer: populatedQuestion.acceptedAnswer,
@@ -1,6 +1,14 @@
 const Joi = require('joi');
 const { insertNewDocument, findOne } = require('../../helpers');
-const { createNotification, createMentionNotifications } = require('../../utils');
+const {
+  createNotification,
+  createMentionNotifications,
+  POST_FORMATS,
+  renderPostContent,
+  codeLanguages,
+  resolveTags,
+  notifyTagWatchers,
+} = require('../../utils');
 
 const createQuestionSchema = Joi.object({
   title: Joi.string().min(10).max(200).required().messages({
@@ -22,6 +30,12 @@ const createQuestionSchema = Joi.object({
       'array.max': 'Cannot exceed 5 tags',
       'any.required': 'Tags are required',
     }),
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .optional()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
 });
 
 /**
@@ -54,7 +68,12 @@ const createQuestionSchema = Joi.object({
  *                 type: string
  *                 minLength: 20
  *                 example: "<p>I'm building a React app and need to implement JWT authentication...</p>"
- *                 description: Question description (HTML content)
+ *                 description: Question description (HTML content, or Markdown when format is markdown)
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
+ *                 description: Format of the description
  *               tags:
  *                 type: array
  *                 items:
@@ -100,7 +119,7 @@ const createQuestionSchema = Joi.object({
  */
 async function handleCreateQuestion(req, res) {
   try {
-    const { title, description, tags } = req.body;
+    const { title, description, tags, format = 'html' } = req.body;
     const userId = req.userId;
 
     // Validate request body
@@ -123,10 +142,14 @@ async function handleCreateQuestion(req, res) {
     }
 
     // Create question object
+    const { html, markdown } = renderPostContent(description, format);
     const questionData = {
       title: title.trim(),
-      description: description.trim(),
-      tags: tags.map(tag => tag.toLowerCase().trim()),
+      description: html,
+      format,
+      markdown,
+      codeLanguages: codeLanguages(html),
+      tags: await resolveTags(tags),
       author: userId,
       answers: [],
       acceptedAnswer: null,
@@ -145,10 +168,13 @@ async function handleCreateQuestion(req, res) {
       `/questions/${savedQuestion._id}`
     );
 
+    // Let users watching the question's tags know about it
+    await notifyTagWatchers(savedQuestion);
+
     // Populate author information
     const populatedQuestion = await savedQuestion.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
@@ -156,6 +182,9 @@ async function handleCreateQuestion(req, res) {
       _id: populatedQuestion._id,
       title: populatedQuestion.title,
       description: populatedQuestion.description,
+      format: populatedQuestion.format,
+      markdown: populatedQuestion.markdown,
+      codeLanguages: populatedQuestion.codeLanguages,
       tags: populatedQuestion.tags,
       author: {
         _id: populatedQuestion.author._id,
@@ -163,6 +192,7 @@ async function handleCreateQuestion(req, res) {
         last_name: populatedQuestion.author.last_name,
         username: populatedQuestion.author.username,
         avatar: populatedQuestion.author.avatar,
+        reputation: populatedQuestion.author.reputation,
       },
       answers: populatedQuestion.answers,
       acceptedAnswer: populatedQuestion.acceptedAnswer,
@@ -1,4 +1,5 @@
-const { findOne, deleteDocument, updateDocument } = require('../../helpers');
+const { findOne } = require('../../helpers');
+const { removeQuestion } = require('../../utils');
 
 /**
  * @swagger
@@ -77,11 +78,8 @@ async function handleDeleteQuestion(req, res) {
       });
     }
 
-    // Delete all answers associated with this question
-    await deleteDocument('answer', { question: id });
-
-    // Delete the question
-    await deleteDocument('question', { _id: id });
+    // Delete the question with its answers, comments and history
+    await removeQuestion(question);
 
     return res.status(200).json({
       status: 200,
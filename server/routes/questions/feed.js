@@ -0,0 +1,172 @@
+const { findOne, getAggregate } = require('../../helpers');
+const Models = require('../../models');
+const { buildFeedStages } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/questions/feed:
+ *   get:
+ *     summary: Get personalized question feed
+ *     description: |
+ *       Questions ranked for the logged-in user. Questions in watched tags rank
+ *       higher, questions in ignored tags are left out, and newer and better
+ *       voted questions come first.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Number of questions per page
+ *     responses:
+ *       200:
+ *         description: Feed retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Feed retrieved successfully"
+ *                 questions:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Question'
+ *                       - type: object
+ *                         properties:
+ *                           watchedTags:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             description: Tags of the question the user watches
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: number
+ *                     totalPages:
+ *                       type: number
+ *                     totalQuestions:
+ *                       type: number
+ *                     hasNextPage:
+ *                       type: boolean
+ *                     hasPrevPage:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetFeed(req, res) {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 10, 50);
+    const skip = (pageNum - 1) * limitNum;
+
+    const user = await findOne('user', { _id: req.userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    const preferences = {
+      watchedTags: user.watchedTags || [],
+      ignoredTags: user.ignoredTags || [],
+    };
+
+    const questions = await getAggregate('question', [
+      ...buildFeedStages(preferences, new Date()),
+      { $skip: skip },
+      { $limit: limitNum },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'author',
+          foreignField: '_id',
+          as: 'author',
+        },
+      },
+      { $unwind: '$author' },
+    ]);
+
+    const totalQuestions = await Models.question.countDocuments(
+      preferences.ignoredTags.length > 0
+        ? { tags: { $nin: preferences.ignoredTags } }
+        : {}
+    );
+
+    const totalPages = Math.ceil(totalQuestions / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    const formattedQuestions = questions.map(question => ({
+      _id: question._id,
+      title: question.title,
+      description: question.description,
+      images: question.images || [],
+      tags: question.tags,
+      watchedTags: question.watchedTags,
+      author: {
+        _id: question.author._id,
+        first_name: question.author.first_name,
+        last_name: question.author.last_name,
+        username: question.author.username,
+        avatar: question.author.avatar,
+        reputation: question.author.reputation,
+      },
+      answers: question.answers,
+      acceptedAnswer: question.acceptedAnswer,
+      upvotes: question.upvotes,
+      downvotes: question.downvotes,
+      status: question.status || 'open',
+      closeReason: question.closeReason || null,
+      bounty: question.bounty || null,
+      createdAt: question.createdAt,
+      updatedAt: question.updatedAt,
+    }));
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Feed retrieved successfully',
+      questions: formattedQuestions,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalQuestions,
+        hasNextPage,
+        hasPrevPage,
+      },
+    });
+  } catch (err) {
+    console.error('Get feed error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetFeed;
@@ -1,5 +1,10 @@
 const { findPopulateSortAndLimit, find } = require('../../helpers');
 const Models = require('../../models');
+const {
+  parseSearchQuery,
+  buildSearchFilter,
+  resolveTag,
+} = require('../../utils');
 
 /**
  * @swagger
@@ -45,7 +50,12 @@ const Models = require('../../models');
  *         name: search
  *         schema:
  *           type: string
- *         description: Search questions by title, description, or tags
+ *         description: Full-text search query, same syntax as /api/questions/search
+ *       - in: query
+ *         name: featured
+ *         schema:
+ *           type: boolean
+ *         description: Only questions with an active bounty
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -91,7 +101,7 @@ const Models = require('../../models');
  */
 async function handleGetQuestions(req, res) {
   try {
-    const { page = 1, limit = 10, sort = 'most_voted', tag, author, search } = req.query;
+    const { page = 1, limit = 10, sort = 'most_voted', tag, author, search, featured } = req.query;
 
     const pageNum = parseInt(page);
     const limitNum = Math.min(parseInt(limit), 50); // Max 50 per page
@@ -100,38 +110,42 @@ async function handleGetQuestions(req, res) {
     // Build query object
     const query = {};
 
+    // Return empty result if a searched or filtered author is not found
+    const emptyResult = () =>
+      res.status(200).json({
+        status: 200,
+        message: 'Questions retrieved successfully',
+        questions: [],
+        pagination: {
+          currentPage: pageNum,
+          totalPages: 0,
+          totalQuestions: 0,
+          hasNextPage: false,
+          hasPrevPage: false,
+        },
+      });
+
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      // Same query syntax as /api/questions/search
+      const searchFilter = await buildSearchFilter(parseSearchQuery(search));
+      if (!searchFilter) return emptyResult();
+      Object.assign(query, searchFilter);
+    }
+
+    // Featured questions have an active bounty
+    if (featured === 'true') {
+      query['bounty.status'] = 'active';
     }
 
     if (tag) {
-      query.tags = { $in: [tag.toLowerCase()] };
+      query.tags = { ...query.tags, $in: [await resolveTag(tag)] };
     }
 
     if (author) {
       // First find user by username
       const user = await find('user', { username: author.toLowerCase() });
-      if (user.length > 0) {
-        query.author = user[0]._id;
-      } else {
-        // Return empty result if author not found
-        return res.status(200).json({
-          status: 200,
-          message: 'Questions retrieved successfully',
-          questions: [],
-          pagination: {
-            currentPage: pageNum,
-            totalPages: 0,
-            totalQuestions: 0,
-            hasNextPage: false,
-            hasPrevPage: false,
-          },
-        });
-      }
+      if (user.length === 0) return emptyResult();
+      query.author = user[0]._id;
     }
 
     // Build sort object
@@ -159,7 +173,7 @@ async function handleGetQuestions(req, res) {
       'question',
       query,
       'author',
-      'first_name last_name username avatar',
+      'first_name last_name username avatar reputation',
       sortObj,
       skip,
       limitNum
@@ -186,11 +200,15 @@ async function handleGetQuestions(req, res) {
         last_name: question.author.last_name,
         username: question.author.username,
         avatar: question.author.avatar,
+        reputation: question.author.reputation,
       },
       answers: question.answers,
       acceptedAnswer: question.acceptedAnswer,
       upvotes: question.upvotes,
       downvotes: question.downvotes,
+      status: question.status || 'open',
+      closeReason: question.closeReason || null,
+      bounty: question.bounty || null,
       createdAt: question.createdAt,
       updatedAt: question.updatedAt,
     })) : [];
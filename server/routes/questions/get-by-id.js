@@ -1,4 +1,6 @@
 const { findOne, findAndPopulate } = require('../../helpers');
+const { getCloseState } = require('../../utils');
+const { CLOSE_VOTE_THRESHOLD } = require('../../config/moderation');
 
 /**
  * @swagger
@@ -60,18 +62,21 @@ async function handleGetQuestionById(req, res) {
       });
     }
 
-    // Populate author information
-    const populatedQuestion = await question.populate(
-      'author',
-      'first_name last_name username avatar'
-    );
+    // Populate author information and the original of a duplicate
+    const populatedQuestion = await question.populate([
+      {
+        path: 'author',
+        select: 'first_name last_name username avatar reputation',
+      },
+      { path: 'duplicateOf', select: 'title' },
+    ]);
 
     // Get answers for this question
     const answers = await findAndPopulate(
       'answer',
       { question: id },
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Sort answers: accepted first, then by votes, then by date
@@ -94,6 +99,9 @@ async function handleGetQuestionById(req, res) {
       _id: populatedQuestion._id,
       title: populatedQuestion.title,
       description: populatedQuestion.description,
+      format: populatedQuestion.format,
+      markdown: populatedQuestion.markdown,
+      codeLanguages: populatedQuestion.codeLanguages,
       images: populatedQuestion.images || [],
       tags: populatedQuestion.tags,
       author: {
@@ -102,11 +110,15 @@ async function handleGetQuestionById(req, res) {
         last_name: populatedQuestion.author.last_name,
         username: populatedQuestion.author.username,
         avatar: populatedQuestion.author.avatar,
+        reputation: populatedQuestion.author.reputation,
       },
       answers: populatedQuestion.answers,
       acceptedAnswer: populatedQuestion.acceptedAnswer,
       upvotes: populatedQuestion.upvotes,
       downvotes: populatedQuestion.downvotes,
+      ...getCloseState(populatedQuestion),
+      bounty: populatedQuestion.bounty || null,
+      bountyWatchers: populatedQuestion.bountyWatchers || [],
       createdAt: populatedQuestion.createdAt,
       updatedAt: populatedQuestion.updatedAt,
     };
@@ -115,6 +127,8 @@ async function handleGetQuestionById(req, res) {
     const answersResponse = sortedAnswers.map(answer => ({
       _id: answer._id,
       body: answer.body,
+      format: answer.format,
+      markdown: answer.markdown,
       images: answer.images || [],
       author: {
         _id: answer.author._id,
@@ -122,6 +136,7 @@ async function handleGetQuestionById(req, res) {
         last_name: answer.author.last_name,
         username: answer.author.username,
         avatar: answer.author.avatar,
+        reputation: answer.author.reputation,
       },
       question: answer.question,
       upvotes: answer.upvotes,
@@ -136,6 +151,7 @@ async function handleGetQuestionById(req, res) {
       message: 'Question retrieved successfully',
       question: questionResponse,
       answers: answersResponse,
+      closeVoteThreshold: CLOSE_VOTE_THRESHOLD,
     });
   } catch (err) {
     console.error('Get question by ID error:', err);
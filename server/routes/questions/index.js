@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { tokenVerification } = require('../../middleware');
-const { imageUpload, handleImageUploadError } = require('../../middleware/imageUpload');
+const {
+  tokenVerification,
+  requirePrivilege,
+  downvotePrivilege,
+} = require('../../middleware');
+const {
+  imageUpload,
+  handleImageUploadError,
+  processImages,
+} = require('../../middleware/imageUpload');
 
 const createQuestion = require('./create');
 const createQuestionWithImages = require('./create-with-images');
@@ -12,14 +20,26 @@ const deleteQuestion = require('./delete');
 const voteQuestion = require('./vote');
 const { handleGetQuestionVote, handleGetQuestionVoters, handleGetQuestionVoteCount } = require('./vote');
 const searchQuestions = require('./search');
+const getFeed = require('./feed');
+const closeQuestion = require('./close');
+const reopenQuestion = require('./reopen');
+const offerBounty = require('./bounty');
+const { handleWatchBounty, handleUnwatchBounty } = require('./bounty');
+const streamQuestion = require('./stream');
+const commentRoutes = require('../comments');
+const revisionRoutes = require('../revisions');
+const flagRoutes = require('../flags');
 
 // Public routes (no authentication required)
 router.get('/', getQuestions);
 router.get('/search', searchQuestions);
+// Registered before /:id so "feed" is not read as a question ID
+router.get('/feed', tokenVerification, getFeed);
 router.get('/:id', getQuestionById);
 router.get('/:id/vote', handleGetQuestionVote);
 router.get('/:id/voters', handleGetQuestionVoters);
 router.get('/:id/votecount', handleGetQuestionVoteCount);
+router.get('/:id/stream', streamQuestion);
 
 // Protected routes (authentication required)
 router.post('/', tokenVerification, createQuestion);
@@ -28,10 +48,40 @@ router.post(
   tokenVerification,
   imageUpload.array('images', 5),
   handleImageUploadError,
+  processImages(),
   createQuestionWithImages
 );
 router.put('/:id', tokenVerification, updateQuestion);
 router.delete('/:id', tokenVerification, deleteQuestion);
-router.post('/:id/vote', tokenVerification, voteQuestion);
+router.post(
+  '/:id/vote',
+  tokenVerification,
+  requirePrivilege(downvotePrivilege),
+  voteQuestion
+);
+router.post(
+  '/:id/close',
+  tokenVerification,
+  requirePrivilege('close_vote'),
+  closeQuestion
+);
+router.post(
+  '/:id/reopen',
+  tokenVerification,
+  requirePrivilege('close_vote'),
+  reopenQuestion
+);
+router.post('/:id/bounty', tokenVerification, offerBounty);
+router.post('/:id/bounty/watch', tokenVerification, handleWatchBounty);
+router.delete('/:id/bounty/watch', tokenVerification, handleUnwatchBounty);
+
+// COMMENTS Routes * /api/questions/:id/comments/*
+router.use('/:id/comments', commentRoutes('question'));
+
+// REVISIONS Routes * /api/questions/:id/revisions/*
+router.use('/:id/revisions', revisionRoutes('question'));
+
+// FLAG Route * /api/questions/:id/flag
+router.use('/:id/flag', flagRoutes('question'));
 
 module.exports = router;
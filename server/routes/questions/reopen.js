@@ -0,0 +1,142 @@
+const Models = require('../../models');
+const { findOne } = require('../../helpers');
+const { createNotification, getCloseState } = require('../../utils');
+const { CLOSE_VOTE_THRESHOLD } = require('../../config/moderation');
+
+// Fields that put a closed question back in the open state
+const reopenFields = {
+  status: 'open',
+  closeReason: null,
+  duplicateOf: null,
+  closedAt: null,
+  closedBy: null,
+  closeVotes: [],
+  reopenVotes: [],
+};
+
+/**
+ * @swagger
+ * /api/questions/{id}/reopen:
+ *   post:
+ *     summary: Vote to reopen a question
+ *     description: |
+ *       Casts a reopen vote on a closed question (requires the close_vote
+ *       privilege). The question reopens once CLOSE_VOTE_THRESHOLD votes are
+ *       cast. Admin votes reopen the question immediately.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Reopen vote recorded or question reopened
+ *       403:
+ *         description: Not enough reputation to vote to reopen
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: Question is open or already voted
+ *       500:
+ *         description: Internal server error
+ */
+async function handleReopenQuestion(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+
+    const question = await findOne('question', { _id: id });
+    if (!question) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Question not found',
+      });
+    }
+
+    if (question.status !== 'closed') {
+      return res.status(409).json({
+        status: 409,
+        message: 'Question is not closed',
+      });
+    }
+
+    const user = await findOne('user', { _id: userId });
+    const isAdmin = user && user.role === 'admin';
+
+    let updatedQuestion;
+    if (isAdmin) {
+      // Admin override: reopen right away
+      updatedQuestion = await Models.question.findOneAndUpdate(
+        { _id: id, status: 'closed' },
+        { $set: reopenFields },
+        { new: true }
+      );
+    } else {
+      const votedQuestion = await Models.question.findOneAndUpdate(
+        { _id: id, status: 'closed', 'reopenVotes.user': { $ne: userId } },
+        { $push: { reopenVotes: { user: userId } } },
+        { new: true }
+      );
+      if (!votedQuestion) {
+        return res.status(409).json({
+          status: 409,
+          message: 'You have already voted to reopen this question',
+        });
+      }
+
+      updatedQuestion = votedQuestion;
+      if (votedQuestion.reopenVotes.length >= CLOSE_VOTE_THRESHOLD) {
+        updatedQuestion = await Models.question.findOneAndUpdate(
+          { _id: id, status: 'closed' },
+          { $set: reopenFields },
+          { new: true }
+        );
+      }
+    }
+
+    // Reopened concurrently by someone else
+    if (!updatedQuestion) {
+      return res.status(409).json({
+        status: 409,
+        message: 'Question is not closed',
+      });
+    }
+
+    const isOpen = updatedQuestion.status === 'open';
+    if (isOpen && question.author.toString() !== userId) {
+      await createNotification({
+        user: question.author,
+        type: 'question_reopened',
+        message: `Your question "${question.title}" was reopened`,
+        link: `/questions/${id}`,
+      });
+    }
+
+    await updatedQuestion.populate('duplicateOf', 'title');
+
+    return res.status(200).json({
+      status: 200,
+      message: isOpen
+        ? 'Question reopened'
+        : `Reopen vote recorded (${updatedQuestion.reopenVotes.length}/${CLOSE_VOTE_THRESHOLD})`,
+      question: {
+        _id: updatedQuestion._id,
+        ...getCloseState(updatedQuestion),
+      },
+      closeVoteThreshold: CLOSE_VOTE_THRESHOLD,
+    });
+  } catch (err) {
+    console.error('Reopen question error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleReopenQuestion;
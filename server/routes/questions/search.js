@@ -1,11 +1,25 @@
-const { findPopulateSortAndLimit, find } = require('../../helpers');
+const Models = require('../../models');
+const {
+  parseSearchQuery,
+  hasTextSearch,
+  buildSearchFilter,
+  buildHighlights,
+} = require('../../utils');
 
 /**
  * @swagger
  * /api/questions/search:
  *   get:
  *     summary: Search questions
- *     description: Search questions by title, content, and tags
+ *     description: |
+ *       Full-text search over question titles, tags and bodies, ranked by
+ *       relevance (title matches weigh most, then tags, then body).
+ *       Supported syntax:
+ *       - `[tag]` only questions with the tag (repeat for several tags)
+ *       - `user:alice` only questions asked by the user
+ *       - `is:answered`, `is:unanswered`, `is:accepted`, `is:featured` (active bounty)
+ *       - `score:>5` (also `>=`, `<`, `<=`, `=`), `answers:>=2`
+ *       - `"quoted phrase"` exact phrase, `-word` excludes a word
  *     tags: [Questions]
  *     parameters:
  *       - in: query
@@ -13,6 +27,7 @@ const { findPopulateSortAndLimit, find } = require('../../helpers');
  *         required: true
  *         schema:
  *           type: string
+ *         example: '[javascript] is:answered "event loop" score:>2'
  *         description: Search query
  *       - in: query
  *         name: page
@@ -53,7 +68,21 @@ const { findPopulateSortAndLimit, find } = require('../../helpers');
  *                 questions:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Question'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Question'
+ *                       - type: object
+ *                         properties:
+ *                           highlights:
+ *                             type: object
+ *                             description: Escaped HTML with matches wrapped in <mark>
+ *                             properties:
+ *                               title:
+ *                                 type: string
+ *                               snippet:
+ *                                 type: string
+ *                           relevance:
+ *                             type: number
+ *                             description: Text score, absent for operator-only queries
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -100,14 +129,29 @@ async function handleSearchQuestions(req, res) {
     const limitNum = Math.min(parseInt(limit), 50);
     const skip = (pageNum - 1) * limitNum;
 
-    // Build search query
-    const searchQuery = {
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } },
-      ],
-    };
+    const parsed = parseSearchQuery(q);
+    const isTextSearch = hasTextSearch(parsed);
+    const searchQuery = await buildSearchFilter(parsed);
+
+    // Unknown user: nothing can match
+    if (!searchQuery) {
+      return res.status(200).json({
+        status: 200,
+        message: 'Search results retrieved successfully',
+        questions: [],
+        pagination: {
+          currentPage: pageNum,
+          totalPages: 0,
+          totalQuestions: 0,
+          hasNextPage: false,
+          hasPrevPage: false,
+        },
+      });
+    }
+
+    const projection = isTextSearch
+      ? { relevance: { $meta: 'textScore' } }
+      : {};
 
     // Build sort object
     let sortObj = {};
@@ -116,38 +160,35 @@ async function handleSearchQuestions(req, res) {
         sortObj = { createdAt: 1 };
         break;
       case 'most_voted':
-        sortObj = {
-          $expr: {
-            $subtract: [{ $size: '$upvotes' }, { $size: '$downvotes' }],
-          },
-        };
+        sortObj = { voteCount: -1, createdAt: -1 };
         break;
       case 'most_answered':
-        sortObj = { $expr: { $size: '$answers' } };
+        sortObj = { answers: -1, createdAt: -1 };
         break;
       case 'newest':
         sortObj = { createdAt: -1 };
         break;
-      default: // relevance - sort by title match first, then content
-        sortObj = {
-          title: { $regex: q, $options: 'i' } ? 1 : 0,
-          createdAt: -1,
-        };
+      default:
+        // relevance - operator-only queries have no text score
+        sortObj = isTextSearch
+          ? { relevance: { $meta: 'textScore' }, createdAt: -1 }
+          : { createdAt: -1 };
     }
 
     // Get questions with pagination
-    const questions = await findPopulateSortAndLimit(
-      'question',
-      searchQuery,
-      'author',
-      'first_name last_name username avatar',
-      sortObj,
-      skip,
-      limitNum
-    );
+    const questions = await Models.question
+      .find(searchQuery, projection)
+      .populate({
+        path: 'author',
+        select: 'first_name last_name username avatar reputation',
+      })
+      .sort(sortObj)
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
 
     // Get total count for pagination
-    const totalQuestions = await find('question', searchQuery).countDocuments();
+    const totalQuestions = await Models.question.countDocuments(searchQuery);
 
     // Calculate pagination info
     const totalPages = Math.ceil(totalQuestions / limitNum);
@@ -159,6 +200,7 @@ async function handleSearchQuestions(req, res) {
       _id: question._id,
       title: question.title,
       description: question.description,
+      images: question.images || [],
       tags: question.tags,
       author: {
         _id: question.author._id,
@@ -166,13 +208,19 @@ async function handleSearchQuestions(req, res) {
         last_name: question.author.last_name,
         username: question.author.username,
         avatar: question.author.avatar,
+        reputation: question.author.reputation,
       },
       answers: question.answers,
       acceptedAnswer: question.acceptedAnswer,
       upvotes: question.upvotes,
       downvotes: question.downvotes,
+      status: question.status || 'open',
+      closeReason: question.closeReason || null,
+      bounty: question.bounty || null,
       createdAt: question.createdAt,
       updatedAt: question.updatedAt,
+      highlights: buildHighlights(question, parsed),
+      relevance: question.relevance,
     }));
 
     return res.status(200).json({
@@ -0,0 +1,59 @@
+const { findOne } = require('../../helpers');
+const { questionChannel } = require('../../utils');
+const { subscribe } = require('../../lib/live-events');
+
+/**
+ * @swagger
+ * /api/questions/{id}/stream:
+ *   get:
+ *     summary: Stream live updates of a question
+ *     description: |
+ *       Server-Sent Events stream for readers of a question page.
+ *       - `answer_created` with `{ answer }`
+ *       - `answer_updated` with `{ answer }` (changed fields only)
+ *       - `answer_deleted` with `{ answerId }`
+ *       - `vote` with `{ postType, postId, upvotes, downvotes }`
+ *       - `accept` with `{ answerId }`
+ *     tags: [Questions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleQuestionStream(req, res) {
+  try {
+    const { id } = req.params;
+
+    const question = await findOne('question', { _id: id });
+    if (!question) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Question not found',
+      });
+    }
+
+    subscribe(questionChannel(question._id), req, res);
+  } catch (err) {
+    console.error('Question stream error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleQuestionStream;
@@ -1,5 +1,14 @@
 const Joi = require('joi');
 const { findOne, updateDocument } = require('../../helpers');
+const {
+  hasPrivilege,
+  recordRevision,
+  POST_FORMATS,
+  renderPostContent,
+  convertPostContent,
+  codeLanguages,
+  resolveTags,
+} = require('../../utils');
 
 const updateQuestionSchema = Joi.object({
   title: Joi.string().min(10).max(200).optional().messages({
@@ -18,6 +27,15 @@ const updateQuestionSchema = Joi.object({
       'array.min': 'At least one tag is required',
       'array.max': 'Cannot exceed 5 tags',
     }),
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .optional()
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
+  editSummary: Joi.string().max(300).allow('').optional().messages({
+    'string.max': 'Edit summary cannot exceed 300 characters',
+  }),
 });
 
 /**
@@ -25,7 +43,7 @@ const updateQuestionSchema = Joi.object({
  * /api/questions/{id}:
  *   put:
  *     summary: Update a question
- *     description: Update an existing question (author only)
+ *     description: Update an existing question (author, or users with the edit_others_posts privilege)
  *     tags: [Questions]
  *     security:
  *       - bearerAuth: []
@@ -53,7 +71,14 @@ const updateQuestionSchema = Joi.object({
  *                 type: string
  *                 minLength: 20
  *                 example: "<p>I'm building a React app and need to implement JWT authentication...</p>"
- *                 description: Question description (HTML content)
+ *                 description: Question description (HTML content, or Markdown when format is markdown)
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 description: |
+ *                   Format of the description; defaults to the current one.
+ *                   Sent without a description, the existing question is
+ *                   converted to this format
  *               tags:
  *                 type: array
  *                 items:
@@ -62,6 +87,11 @@ const updateQuestionSchema = Joi.object({
  *                 maxItems: 5
  *                 example: ["react", "jwt", "authentication"]
  *                 description: Array of tags
+ *               editSummary:
+ *                 type: string
+ *                 maxLength: 300
+ *                 example: "Fixed typo in code sample"
+ *                 description: Short description of the edit, stored with the revision
  *     responses:
  *       200:
  *         description: Question updated successfully
@@ -91,7 +121,7 @@ const updateQuestionSchema = Joi.object({
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Not the question author
+ *         description: Forbidden - Not the question author and not enough reputation to edit others' posts
  *         content:
  *           application/json:
  *             schema:
@@ -127,21 +157,37 @@ async function handleUpdateQuestion(req, res) {
       });
     }
 
-    // Check if user is the author
+    // Check if user is the author or has earned the right to edit others' posts
     if (question.author.toString() !== userId) {
-      return res.status(403).json({
-        status: 403,
-        message: 'You can only update your own questions',
-      });
+      const user = await findOne('user', { _id: userId });
+      if (!(await hasPrivilege(user, 'edit_others_posts'))) {
+        return res.status(403).json({
+          status: 403,
+          message: 'You can only update your own questions',
+          privilege: 'edit_others_posts',
+        });
+      }
     }
 
     // Prepare update data
     const updateFields = {};
     if (updateData.title) updateFields.title = updateData.title.trim();
-    if (updateData.description)
-      updateFields.description = updateData.description.trim();
-    if (updateData.tags)
-      updateFields.tags = updateData.tags.map(tag => tag.toLowerCase().trim());
+    // A new description is rendered in the requested format; a format on
+    // its own converts the current description
+    const currentFormat = question.format || 'html';
+    const format = updateData.format || currentFormat;
+    const content = updateData.description
+      ? renderPostContent(updateData.description, format)
+      : format !== currentFormat
+      ? convertPostContent(question.description, format)
+      : null;
+    if (content) {
+      updateFields.description = content.html;
+      updateFields.format = format;
+      updateFields.markdown = content.markdown;
+      updateFields.codeLanguages = codeLanguages(content.html);
+    }
+    if (updateData.tags) updateFields.tags = await resolveTags(updateData.tags);
 
     // Update question
     const updatedQuestion = await updateDocument(
@@ -150,10 +196,19 @@ async function handleUpdateQuestion(req, res) {
       updateFields
     );
 
+    // Keep the previous version in the revision history
+    await recordRevision(
+      'question',
+      question,
+      updatedQuestion,
+      userId,
+      updateData.editSummary
+    );
+
     // Populate author information
     const populatedQuestion = await updatedQuestion.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
@@ -161,6 +216,9 @@ async function handleUpdateQuestion(req, res) {
       _id: populatedQuestion._id,
       title: populatedQuestion.title,
       description: populatedQuestion.description,
+      format: populatedQuestion.format,
+      markdown: populatedQuestion.markdown,
+      codeLanguages: populatedQuestion.codeLanguages,
       tags: populatedQuestion.tags,
       author: {
         _id: populatedQuestion.author._id,
@@ -168,6 +226,7 @@ async function handleUpdateQuestion(req, res) {
         last_name: populatedQuestion.author.last_name,
         username: populatedQuestion.author.username,
         avatar: populatedQuestion.author.avatar,
+        reputation: populatedQuestion.author.reputation,
       },
       answers: populatedQuestion.answers,
       acceptedAnswer: populatedQuestion.acceptedAnswer,
@@ -1,6 +1,10 @@
 const Joi = require('joi');
 const { findOne, updateDocument } = require('../../helpers');
-const { createNotification } = require('../../utils');
+const {
+  createNotification,
+  applyVoteReputation,
+  publishQuestionEvent,
+} = require('../../utils');
 
 const voteSchema = Joi.object({
   voteType: Joi.string().valid('upvote', 'downvote').required().messages({
@@ -147,6 +151,17 @@ async function handleVoteQuestion(req, res) {
       { new: true }
     );
 
+    // Update the author's reputation
+    await applyVoteReputation({
+      author: question.author,
+      actor: userId,
+      postType: 'question',
+      post: id,
+      voteType,
+      hasVoted,
+      hasOppositeVote,
+    });
+
     // Create notification for upvotes (only when adding a new upvote)
     if (isUpvote && !hasVoted) {
       const voter = await findOne('user', { _id: userId });
@@ -163,7 +178,7 @@ async function handleVoteQuestion(req, res) {
     // Populate author information
     const populatedQuestion = await updatedQuestion.populate(
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Create response object
@@ -178,6 +193,7 @@ async function handleVoteQuestion(req, res) {
         last_name: populatedQuestion.author.last_name,
         username: populatedQuestion.author.username,
         avatar: populatedQuestion.author.avatar,
+        reputation: populatedQuestion.author.reputation,
       },
       answers: populatedQuestion.answers,
       acceptedAnswer: populatedQuestion.acceptedAnswer,
@@ -187,6 +203,13 @@ async function handleVoteQuestion(req, res) {
       updatedAt: populatedQuestion.updatedAt,
     };
 
+    publishQuestionEvent(id, 'vote', {
+      postType: 'question',
+      postId: id,
+      upvotes: updatedQuestion.upvotes,
+      downvotes: updatedQuestion.downvotes,
+    });
+
     const action = hasVoted ? 'removed' : 'recorded';
     return res.status(200).json({
       status: 200,
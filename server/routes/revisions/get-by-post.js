@@ -0,0 +1,170 @@
+const { findOne, findPopulateSortAndLimit } = require('../../helpers');
+const {
+  renderRevisionBody,
+  getRevisionContent,
+  diffRevisions,
+} = require('../../utils');
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions:
+ *   get:
+ *     summary: Get question revision history
+ *     description: Retrieve every stored version of a question, newest first, each with HTML diffs against the version before it
+ *     tags: [Revisions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Revisions retrieved successfully"
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       revision:
+ *                         type: number
+ *                         example: 2
+ *                       editSummary:
+ *                         type: string
+ *                         example: "Fixed typo in code sample"
+ *                       diff:
+ *                         type: object
+ *                         properties:
+ *                           title:
+ *                             type: string
+ *                             example: "How to use <del>hooks</del><ins>React hooks</ins>?"
+ *                           body:
+ *                             type: string
+ *                             example: "<p>I <del>tried</del><ins>have tried</ins> useEffect</p>"
+ *                           tagsAdded:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           tagsRemoved:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal server error
+ * /api/answers/{id}/revisions:
+ *   get:
+ *     summary: Get answer revision history
+ *     description: Retrieve every stored version of an answer, newest first, each with an HTML diff against the version before it
+ *     tags: [Revisions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *       404:
+ *         description: Answer not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetRevisions(req, res) {
+  try {
+    const { id } = req.params;
+    const { postType } = req;
+
+    // Check if the question or answer exists
+    const post = await findOne(postType, { _id: id });
+    if (!post) {
+      return res.status(404).json({
+        status: 404,
+        message: `${postType === 'question' ? 'Question' : 'Answer'} not found`,
+      });
+    }
+
+    let revisions = await findPopulateSortAndLimit(
+      'revision',
+      { postType, post: id },
+      'author',
+      'first_name last_name username avatar reputation',
+      { revision: 1 },
+      0,
+      0
+    );
+
+    // Posts that were never edited only have their original version
+    if (revisions.length === 0) {
+      await post.populate(
+        'author',
+        'first_name last_name username avatar reputation'
+      );
+      revisions = [
+        {
+          _id: null,
+          revision: 1,
+          author: post.author,
+          editSummary: '',
+          ...getRevisionContent(postType, post),
+          createdAt: post.createdAt,
+        },
+      ];
+    }
+
+    // Format revisions with diffs against the previous version
+    const revisionsResponse = revisions
+      .map((revision, index) => ({
+        _id: revision._id,
+        revision: revision.revision,
+        author: revision.author
+          ? {
+              _id: revision.author._id,
+              first_name: revision.author.first_name,
+              last_name: revision.author.last_name,
+              username: revision.author.username,
+              avatar: revision.author.avatar,
+              reputation: revision.author.reputation,
+            }
+          : null,
+        editSummary: revision.editSummary,
+        title: revision.title,
+        tags: revision.tags,
+        body: renderRevisionBody(revision),
+        format: revision.format || 'html',
+        markdown: revision.markdown || '',
+        diff: diffRevisions(revisions[index - 1], revision),
+        createdAt: revision.createdAt,
+      }))
+      .reverse();
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Revisions retrieved successfully',
+      revisions: revisionsResponse,
+    });
+  } catch (err) {
+    console.error('Get revisions error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetRevisions;
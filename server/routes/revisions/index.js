@@ -0,0 +1,29 @@
+const express = require('express');
+const { tokenVerification } = require('../../middleware');
+
+const getRevisions = require('./get-by-post');
+const rollbackRevision = require('./rollback');
+
+/**
+ * Build the revision routes for a post type, mounted under
+ * /api/questions/:id/revisions and /api/answers/:id/revisions
+ * @param {string} postType - 'question' or 'answer'
+ */
+const revisionRoutes = postType => {
+  const router = express.Router({ mergeParams: true });
+
+  router.use((req, res, next) => {
+    req.postType = postType;
+    next();
+  });
+
+  // Public routes (no authentication required)
+  router.get('/', getRevisions);
+
+  // Protected routes (owner or admin)
+  router.post('/:revision/rollback', tokenVerification, rollbackRevision);
+
+  return router;
+};
+
+module.exports = revisionRoutes;
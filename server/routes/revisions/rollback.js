@@ -0,0 +1,172 @@
+const { findOne, updateDocument } = require('../../helpers');
+const {
+  recordRevision,
+  publishQuestionEvent,
+  renderPostContent,
+  codeLanguages,
+} = require('../../utils');
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Roll back a question
+ *     description: Restore the title, tags and description of an earlier revision (question author or admin). The rollback is stored as a new revision.
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Question ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Question rolled back successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the question author or an admin
+ *       404:
+ *         description: Question or revision not found
+ *       500:
+ *         description: Internal server error
+ * /api/answers/{id}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Roll back an answer
+ *     description: Restore the body of an earlier revision (answer author or admin). The rollback is stored as a new revision.
+ *     tags: [Revisions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Answer ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Answer rolled back successfully
+ *       403:
+ *         description: Forbidden - Not the answer author or an admin
+ *       404:
+ *         description: Answer or revision not found
+ */
+async function handleRollbackRevision(req, res) {
+  try {
+    const { id, revision } = req.params;
+    const { postType } = req;
+    const userId = req.userId;
+    const label = postType === 'question' ? 'Question' : 'Answer';
+
+    // Check if the question or answer exists
+    const post = await findOne(postType, { _id: id });
+    if (!post) {
+      return res.status(404).json({
+        status: 404,
+        message: `${label} not found`,
+      });
+    }
+
+    // Only the owner or an admin can roll back
+    if (post.author.toString() !== userId) {
+      const user = await findOne('user', { _id: userId });
+      if (!user || user.role !== 'admin') {
+        return res.status(403).json({
+          status: 403,
+          message: `Only the ${postType} author or an admin can roll back`,
+        });
+      }
+    }
+
+    const target = await findOne('revision', {
+      postType,
+      post: id,
+      revision: parseInt(revision),
+    });
+    if (!target) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Revision not found',
+      });
+    }
+
+    // Restore the content of the target revision. It is rendered again since
+    // revisions saved before posts were sanitized may still hold unsafe HTML
+    const format = target.format || 'html';
+    const { html, markdown } = renderPostContent(
+      format === 'markdown' ? target.markdown : target.body,
+      format
+    );
+    const updateFields =
+      postType === 'question'
+        ? {
+            title: target.title,
+            tags: target.tags,
+            description: html,
+            format,
+            markdown,
+            codeLanguages: codeLanguages(html),
+          }
+        : { body: html, format, markdown };
+
+    const updatedPost = await updateDocument(
+      postType,
+      { _id: id },
+      updateFields
+    );
+
+    await recordRevision(
+      postType,
+      post,
+      updatedPost,
+      userId,
+      `Rolled back to revision ${target.revision}`
+    );
+
+    if (postType === 'answer') {
+      publishQuestionEvent(post.question, 'answer_updated', {
+        answer: {
+          _id: updatedPost._id,
+          body: updatedPost.body,
+          format: updatedPost.format,
+          markdown: updatedPost.markdown,
+          updatedAt: updatedPost.updatedAt,
+        },
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: `${label} rolled back to revision ${target.revision}`,
+      [postType]: {
+        _id: updatedPost._id,
+        ...updateFields,
+        updatedAt: updatedPost.updatedAt,
+      },
+    });
+  } catch (err) {
+    console.error('Rollback revision error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleRollbackRevision;
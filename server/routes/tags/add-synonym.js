@@ -0,0 +1,139 @@
+const Joi = require('joi');
+const { findOne, pushIntoArray } = require('../../helpers');
+const {
+  normalizeTag,
+  findTagByNameOrSynonym,
+  rewriteQuestionTags,
+  rewriteTagPreferences,
+} = require('../../utils');
+
+const addSynonymSchema = Joi.object({
+  name: Joi.string().min(1).max(20).required().messages({
+    'string.max': 'Synonym cannot exceed 20 characters',
+    'any.required': 'Synonym is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/synonyms:
+ *   post:
+ *     summary: Add a tag synonym
+ *     description: |
+ *       Make a name resolve to this tag when questions are written and
+ *       searched (admin only). Questions already using the name are moved to
+ *       the tag. A name that is a tag of its own must be merged instead.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 20
+ *                 example: "js"
+ *     responses:
+ *       201:
+ *         description: Synonym added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 201
+ *                 message:
+ *                   type: string
+ *                 tag:
+ *                   $ref: '#/components/schemas/Tag'
+ *                 questionsUpdated:
+ *                   type: number
+ *                   example: 3
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: The name is already a tag or a synonym
+ *       500:
+ *         description: Internal server error
+ */
+async function handleAddSynonym(req, res) {
+  try {
+    const { id } = req.params;
+    const { name: rawName } = await addSynonymSchema.validateAsync(req.body);
+    const name = normalizeTag(rawName);
+
+    const tag = await findOne('tag', { _id: id });
+    if (!tag) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Tag not found',
+      });
+    }
+
+    const owner = await findTagByNameOrSynonym(name);
+    if (owner) {
+      let message = `"${name}" is already a synonym of "${owner.name}"`;
+      if (owner.name === name) {
+        message = owner._id.equals(tag._id)
+          ? 'A tag cannot be a synonym of itself'
+          : `"${name}" is a tag. Merge it into "${tag.name}" instead.`;
+      }
+      return res.status(409).json({
+        status: 409,
+        message,
+      });
+    }
+
+    const updatedTag = await pushIntoArray(
+      'tag',
+      { _id: id },
+      { synonyms: name }
+    );
+    const questionsUpdated = await rewriteQuestionTags([name], tag.name);
+    await rewriteTagPreferences([name], tag.name);
+
+    return res.status(201).json({
+      status: 201,
+      message: `"${name}" is now a synonym of "${tag.name}"`,
+      tag: updatedTag,
+      questionsUpdated,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Add tag synonym error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleAddSynonym;
@@ -1,5 +1,6 @@
 const Joi = require('joi');
-const { insertNewDocument, findOne } = require('../../helpers');
+const { insertNewDocument } = require('../../helpers');
+const { normalizeTag, findTagByNameOrSynonym } = require('../../utils');
 
 const createTagSchema = Joi.object({
   name: Joi.string().min(1).max(20).required().messages({
@@ -17,7 +18,7 @@ const createTagSchema = Joi.object({
  * /api/tags:
  *   post:
  *     summary: Create a new tag
- *     description: Create a new tag (admin only)
+ *     description: Create a new tag (requires the create_tag privilege)
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -70,7 +71,7 @@ const createTagSchema = Joi.object({
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Not enough reputation to create tags
  *         content:
  *           application/json:
  *             schema:
@@ -91,26 +92,19 @@ const createTagSchema = Joi.object({
 async function handleCreateTag(req, res) {
   try {
     const { name, description } = req.body;
-    const userId = req.userId;
 
     // Validate request body
     await createTagSchema.validateAsync(req.body);
 
-    // Check if user is admin
-    const user = await findOne('user', { _id: userId });
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({
-        status: 403,
-        message: 'Admin access required to create tags',
-      });
-    }
-
-    // Check if tag already exists
-    const existingTag = await findOne('tag', { name: name.toLowerCase() });
+    // Check if tag already exists, under its name or as a synonym
+    const existingTag = await findTagByNameOrSynonym(normalizeTag(name));
     if (existingTag) {
       return res.status(409).json({
         status: 409,
-        message: 'Tag already exists',
+        message:
+          existingTag.name === normalizeTag(name)
+            ? 'Tag already exists'
+            : `"${normalizeTag(name)}" is a synonym of "${existingTag.name}"`,
       });
     }
 
@@ -109,6 +109,7 @@ async function handleGetAllTags(req, res) {
           _id: { $ifNull: ['$tagInfo._id', '$_id'] },
           name: '$_id',
           description: { $ifNull: ['$tagInfo.description', ''] },
+          synonyms: { $ifNull: ['$tagInfo.synonyms', []] },
           questionCount: 1,
           createdAt: { $ifNull: ['$tagInfo.createdAt', new Date()] },
         },
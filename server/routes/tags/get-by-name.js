@@ -1,11 +1,66 @@
-const { findOne, getAggregate } = require('../../helpers');
+const Models = require('../../models');
+const { getAggregate } = require('../../helpers');
+const { normalizeTag, findPageTag } = require('../../utils');
+
+// Users shown in the top askers and top answerers lists
+const TOP_USERS_LIMIT = 5;
+
+// Rank post authors by the score of their posts, then by how many they wrote
+const topAuthors = (model, match) =>
+  Models[model].aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$author',
+        posts: { $sum: 1 },
+        score: {
+          $sum: {
+            $subtract: [
+              { $size: { $ifNull: ['$upvotes', []] } },
+              { $size: { $ifNull: ['$downvotes', []] } },
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { score: -1, posts: -1 } },
+    { $limit: TOP_USERS_LIMIT },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user',
+      },
+    },
+    { $unwind: '$user' },
+    {
+      $project: {
+        _id: 0,
+        posts: 1,
+        score: 1,
+        user: {
+          _id: '$user._id',
+          first_name: '$user.first_name',
+          last_name: '$user.last_name',
+          username: '$user.username',
+          avatar: '$user.avatar',
+          reputation: '$user.reputation',
+        },
+      },
+    },
+  ]);
 
 /**
  * @swagger
  * /api/tags/{name}:
  *   get:
  *     summary: Get tag by name
- *     description: Get tag information and related questions
+ *     description: |
+ *       Get a tag's excerpt and wiki, its top askers and answerers and its
+ *       questions. Synonyms and old names of renamed or merged tags redirect
+ *       to the tag. Tags that are only used on questions are returned with
+ *       an empty wiki.
  *     tags: [Tags]
  *     parameters:
  *       - in: path
@@ -45,6 +100,21 @@ const { findOne, getAggregate } = require('../../helpers');
  *                   example: "Tag information retrieved successfully"
  *                 tag:
  *                   $ref: '#/components/schemas/Tag'
+ *                 topAskers:
+ *                   type: array
+ *                   description: Users with the highest scoring questions in the tag
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         $ref: '#/components/schemas/User'
+ *                       posts:
+ *                         type: number
+ *                       score:
+ *                         type: number
+ *                 topAnswerers:
+ *                   type: array
+ *                   description: Users with the highest scoring answers in the tag, same shape as topAskers
  *                 questions:
  *                   type: array
  *                   items:
@@ -61,6 +131,8 @@ const { findOne, getAggregate } = require('../../helpers');
  *                     totalQuestions:
  *                       type: number
  *                       example: 50
+ *       301:
+ *         description: The name is a synonym; Location points to the tag
  *       404:
  *         description: Tag not found
  *         content:
@@ -84,17 +156,20 @@ async function handleGetTagByName(req, res) {
     const skip = (pageNum - 1) * limitNum;
 
     // Get tag information
-    const tag = await findOne('tag', { name: name.toLowerCase() });
-    if (!tag) {
-      return res.status(404).json({
-        status: 404,
-        message: 'Tag not found',
-      });
+    const tagName = normalizeTag(name);
+    const tag = await findPageTag(tagName);
+    if (tag && tag.name !== tagName) {
+      const queryIndex = req.originalUrl.indexOf('?');
+      const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+      return res.redirect(
+        301,
+        `${req.baseUrl}/${encodeURIComponent(tag.name)}${query}`
+      );
     }
 
     // Get questions with this tag
     const questionsWithTag = await getAggregate('question', [
-      { $match: { tags: name.toLowerCase() } },
+      { $match: { tags: tagName } },
       {
         $lookup: {
           from: 'users',
@@ -122,6 +197,7 @@ async function handleGetTagByName(req, res) {
             last_name: '$author.last_name',
             username: '$author.username',
             avatar: '$author.avatar',
+            reputation: '$author.reputation',
           },
         },
       },
@@ -132,29 +208,51 @@ async function handleGetTagByName(req, res) {
 
     // Get total count for pagination
     const totalQuestions = await getAggregate('question', [
-      { $match: { tags: name.toLowerCase() } },
+      { $match: { tags: tagName } },
       { $count: 'total' },
     ]);
 
     const totalCount = totalQuestions.length > 0 ? totalQuestions[0].total : 0;
+    if (!tag && totalCount === 0) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Tag not found',
+      });
+    }
+
+    const questionIds = await Models.question.distinct('_id', {
+      tags: tagName,
+    });
+    const [topAskers, topAnswerers, pendingEdits] = await Promise.all([
+      topAuthors('question', { tags: tagName }),
+      topAuthors('answer', { question: { $in: questionIds } }),
+      tag
+        ? Models.tagEdit.countDocuments({ tag: tag._id, status: 'pending' })
+        : 0,
+    ]);
     const totalPages = Math.ceil(totalCount / limitNum);
     const hasNextPage = pageNum < totalPages;
     const hasPrevPage = pageNum > 1;
 
     // Create tag response with question count
     const tagResponse = {
-      _id: tag._id,
-      name: tag.name,
-      description: tag.description,
+      _id: tag ? tag._id : tagName,
+      name: tagName,
+      description: tag ? tag.description : '',
+      wiki: tag ? tag.wiki : '',
+      synonyms: tag ? tag.synonyms : [],
       questionCount: totalCount,
-      createdAt: tag.createdAt,
-      updatedAt: tag.updatedAt,
+      pendingEdits,
+      createdAt: tag ? tag.createdAt : null,
+      updatedAt: tag ? tag.updatedAt : null,
     };
 
     return res.status(200).json({
       status: 200,
       message: 'Tag information retrieved successfully',
       tag: tagResponse,
+      topAskers,
+      topAnswerers,
       questions: questionsWithTag,
       pagination: {
         currentPage: pageNum,
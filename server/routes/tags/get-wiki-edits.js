@@ -0,0 +1,77 @@
+const { findPopulateSortAndLimit } = require('../../helpers');
+const { findPageTag, diffTagEdits } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/tags/{name}/wiki/edits:
+ *   get:
+ *     summary: Get suggested tag edits
+ *     description: Edits of a tag's excerpt and wiki waiting for review, oldest first, each with a diff against the current wiki (edit_tag_wiki privilege required)
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag name or synonym
+ *     responses:
+ *       200:
+ *         description: Pending edits retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not enough reputation to review tag edits
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetWikiEdits(req, res) {
+  try {
+    const tag = await findPageTag(req.params.name);
+
+    const edits = tag
+      ? await findPopulateSortAndLimit(
+          'tagEdit',
+          { tag: tag._id, status: 'pending' },
+          'author',
+          'first_name last_name username avatar reputation',
+          { createdAt: 1 },
+          0,
+          0
+        )
+      : [];
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Suggested edits retrieved successfully',
+      edits: edits.map(edit => ({
+        _id: edit._id,
+        author: edit.author
+          ? {
+              _id: edit.author._id,
+              first_name: edit.author.first_name,
+              last_name: edit.author.last_name,
+              username: edit.author.username,
+              avatar: edit.author.avatar,
+              reputation: edit.author.reputation,
+            }
+          : null,
+        editSummary: edit.editSummary,
+        description: edit.description,
+        wiki: edit.wiki,
+        diff: diffTagEdits(tag, edit),
+        createdAt: edit.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error('Get suggested tag edits error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetWikiEdits;
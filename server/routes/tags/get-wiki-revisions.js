@@ -0,0 +1,114 @@
+const { findPopulateSortAndLimit } = require('../../helpers');
+const { findPageTag, diffTagEdits } = require('../../utils');
+
+const AUTHOR_FIELDS = 'first_name last_name username avatar reputation';
+
+/**
+ * @swagger
+ * /api/tags/{name}/wiki/revisions:
+ *   get:
+ *     summary: Get tag wiki history
+ *     description: Approved edits of a tag's excerpt and wiki, newest first, each with a diff against the version before it
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag name or synonym
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 revisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       revision:
+ *                         type: number
+ *                       author:
+ *                         $ref: '#/components/schemas/User'
+ *                       editSummary:
+ *                         type: string
+ *                       description:
+ *                         type: string
+ *                       wiki:
+ *                         type: string
+ *                       diff:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           description:
+ *                             type: string
+ *                           wiki:
+ *                             type: string
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetWikiRevisions(req, res) {
+  try {
+    const tag = await findPageTag(req.params.name);
+
+    // Tags without a document have never been edited
+    const revisions = tag
+      ? await findPopulateSortAndLimit(
+          'tagEdit',
+          { tag: tag._id, status: 'approved' },
+          'author reviewedBy',
+          AUTHOR_FIELDS,
+          { revision: 1 },
+          0,
+          0
+        )
+      : [];
+
+    const userResponse = user =>
+      user
+        ? {
+            _id: user._id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            username: user.username,
+            avatar: user.avatar,
+            reputation: user.reputation,
+          }
+        : null;
+
+    const revisionsResponse = revisions
+      .map((revision, index) => ({
+        _id: revision._id,
+        revision: revision.revision,
+        author: userResponse(revision.author),
+        reviewedBy: userResponse(revision.reviewedBy),
+        editSummary: revision.editSummary,
+        description: revision.description,
+        wiki: revision.wiki,
+        diff: diffTagEdits(revisions[index - 1], revision),
+        createdAt: revision.createdAt,
+      }))
+      .reverse();
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Revisions retrieved successfully',
+      revisions: revisionsResponse,
+    });
+  } catch (err) {
+    console.error('Get tag wiki revisions error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetWikiRevisions;
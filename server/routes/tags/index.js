@@ -1,20 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const { tokenVerification } = require('../../middleware');
+const {
+  tokenVerification,
+  requirePrivilege,
+  requireAdmin,
+} = require('../../middleware');
 
 const getAllTags = require('./get-all');
 const getTagByName = require('./get-by-name');
 const createTag = require('./create');
 const updateTag = require('./update');
 const deleteTag = require('./delete');
+const suggestTags = require('./suggest');
+const mergeTag = require('./merge');
+const addSynonym = require('./add-synonym');
+const removeSynonym = require('./remove-synonym');
+const getWikiRevisions = require('./get-wiki-revisions');
+const getWikiEdits = require('./get-wiki-edits');
+const suggestWikiEdit = require('./suggest-wiki-edit');
+const reviewWikiEdit = require('./review-wiki-edit');
 
 // Public routes (no authentication required)
 router.get('/', getAllTags);
 router.get('/:name', getTagByName);
+router.get('/:name/wiki/revisions', getWikiRevisions);
+
+// Protected routes (authentication required)
+router.post('/suggest', tokenVerification, suggestTags);
+router.post('/:name/wiki/edits', tokenVerification, suggestWikiEdit);
+
+// Protected routes (privilege required)
+router.post('/', tokenVerification, requirePrivilege('create_tag'), createTag);
+router.get(
+  '/:name/wiki/edits',
+  tokenVerification,
+  requirePrivilege('edit_tag_wiki'),
+  getWikiEdits
+);
+router.post(
+  '/:name/wiki/edits/:editId/approve',
+  tokenVerification,
+  requirePrivilege('edit_tag_wiki'),
+  reviewWikiEdit('approve')
+);
+router.post(
+  '/:name/wiki/edits/:editId/reject',
+  tokenVerification,
+  requirePrivilege('edit_tag_wiki'),
+  reviewWikiEdit('reject')
+);
 
 // Protected routes (admin only)
-router.post('/', tokenVerification, createTag);
 router.put('/:id', tokenVerification, updateTag);
 router.delete('/:id', tokenVerification, deleteTag);
+router.post('/:id/merge', tokenVerification, requireAdmin, mergeTag);
+router.post('/:id/synonyms', tokenVerification, requireAdmin, addSynonym);
+router.delete(
+  '/:id/synonyms/:synonym',
+  tokenVerification,
+  requireAdmin,
+  removeSynonym
+);
 
 module.exports = router;
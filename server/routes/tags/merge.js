@@ -0,0 +1,174 @@
+const Joi = require('joi');
+const Models = require('../../models');
+const { findOne, updateDocument, deleteDocument } = require('../../helpers');
+const {
+  normalizeTag,
+  findTagByNameOrSynonym,
+  rewriteQuestionTags,
+  rewriteTagPreferences,
+} = require('../../utils');
+
+// A tag has wiki history once its wiki has content or someone suggested an
+// edit to it
+const hasWikiHistory = async tag =>
+  !!tag.wiki || !!(await findOne('tagEdit', { tag: tag._id }));
+
+const mergeTagSchema = Joi.object({
+  into: Joi.string().min(1).max(20).required().messages({
+    'any.required': 'Target tag is required',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/merge:
+ *   post:
+ *     summary: Merge a tag into another
+ *     description: |
+ *       Replace the tag with the target tag on every question in one batch and
+ *       delete it (admin only). Its name and synonyms become synonyms of the
+ *       target, so they redirect and resolve to it from then on. Its tag
+ *       wiki and wiki history move to the target; if both tags have a wiki
+ *       history the merge is refused, since the two cannot be combined.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the tag to merge away
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - into
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 example: "javascript"
+ *                 description: Name (or synonym) of the tag to keep
+ *     responses:
+ *       200:
+ *         description: Tags merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Merged \"js\" into \"javascript\""
+ *                 tag:
+ *                   $ref: '#/components/schemas/Tag'
+ *                 questionsUpdated:
+ *                   type: number
+ *                   example: 12
+ *       400:
+ *         description: Validation error, or merging a tag into itself
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Tag or target tag not found
+ *       409:
+ *         description: Both tags have a tag wiki history
+ *       500:
+ *         description: Internal server error
+ */
+async function handleMergeTag(req, res) {
+  try {
+    const { id } = req.params;
+    const { into } = await mergeTagSchema.validateAsync(req.body);
+
+    const source = await findOne('tag', { _id: id });
+    if (!source) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Tag not found',
+      });
+    }
+
+    const target = await findTagByNameOrSynonym(normalizeTag(into));
+    if (!target) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Target tag not found',
+      });
+    }
+    if (target._id.equals(source._id)) {
+      return res.status(400).json({
+        status: 400,
+        message: 'A tag cannot be merged into itself',
+      });
+    }
+
+    // Revision numbers of two wiki histories would clash, and neither
+    // history leads to the other's wiki
+    const movesWiki = await hasWikiHistory(source);
+    if (movesWiki && (await hasWikiHistory(target))) {
+      return res.status(409).json({
+        status: 409,
+        message: `"${source.name}" and "${target.name}" both have a tag wiki history, which cannot be combined`,
+      });
+    }
+
+    const mergedTag = await updateDocument(
+      'tag',
+      { _id: target._id },
+      {
+        synonyms: [
+          ...new Set([...target.synonyms, source.name, ...source.synonyms]),
+        ],
+        description: target.description || source.description,
+        ...(movesWiki ? { wiki: source.wiki } : {}),
+      }
+    );
+    if (movesWiki) {
+      await Models.tagEdit.updateMany(
+        { tag: source._id },
+        { $set: { tag: target._id } }
+      );
+    }
+    await deleteDocument('tag', { _id: source._id });
+
+    // Synonyms never appear on questions, so only the name needs rewriting
+    const questionsUpdated = await rewriteQuestionTags(
+      [source.name],
+      target.name
+    );
+    await rewriteTagPreferences([source.name], target.name);
+
+    return res.status(200).json({
+      status: 200,
+      message: `Merged "${source.name}" into "${target.name}"`,
+      tag: mergedTag,
+      questionsUpdated,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Merge tag error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleMergeTag;
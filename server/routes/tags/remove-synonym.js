@@ -0,0 +1,71 @@
+const { findOne, updateDocument } = require('../../helpers');
+const { normalizeTag } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/tags/{id}/synonyms/{synonym}:
+ *   delete:
+ *     summary: Remove a tag synonym
+ *     description: Stop resolving a name to this tag (admin only). Questions are not changed
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *       - in: path
+ *         name: synonym
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Synonym to remove
+ *     responses:
+ *       200:
+ *         description: Synonym removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Tag or synonym not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleRemoveSynonym(req, res) {
+  try {
+    const { id } = req.params;
+    const synonym = normalizeTag(req.params.synonym);
+
+    const tag = await findOne('tag', { _id: id });
+    if (!tag || !tag.synonyms.includes(synonym)) {
+      return res.status(404).json({
+        status: 404,
+        message: tag ? 'Synonym not found' : 'Tag not found',
+      });
+    }
+
+    const updatedTag = await updateDocument(
+      'tag',
+      { _id: id },
+      { synonyms: tag.synonyms.filter(name => name !== synonym) }
+    );
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Synonym removed successfully!',
+      tag: updatedTag,
+    });
+  } catch (err) {
+    console.error('Remove tag synonym error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleRemoveSynonym;
@@ -0,0 +1,145 @@
+const Joi = require('joi');
+const { findOne, updateDocument } = require('../../helpers');
+const {
+  createNotification,
+  findPageTag,
+  applyTagEdit,
+} = require('../../utils');
+
+const reviewEditSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow('').optional().messages({
+    'string.max': 'Note cannot exceed 500 characters',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/tags/{name}/wiki/edits/{editId}/{action}:
+ *   post:
+ *     summary: Review a suggested tag edit
+ *     description: |
+ *       Resolve an edit waiting for review (edit_tag_wiki privilege required).
+ *       The author of the edit is notified either way.
+ *       - approve: the edit becomes the tag's excerpt and wiki
+ *       - reject: the edit is discarded
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: editId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the author of the edit
+ *     responses:
+ *       200:
+ *         description: Edit reviewed
+ *       400:
+ *         description: Validation error, or reviewing one's own edit
+ *       403:
+ *         description: Not enough reputation to review tag edits
+ *       404:
+ *         description: Tag or edit not found
+ *       409:
+ *         description: Edit was already reviewed
+ *       500:
+ *         description: Internal server error
+ */
+const handleReviewWikiEdit = action => async (req, res) => {
+  try {
+    const { name, editId } = req.params;
+    const userId = req.userId;
+
+    const { note = '' } = await reviewEditSchema.validateAsync(req.body || {});
+
+    const tag = await findPageTag(name);
+    const edit =
+      tag && (await findOne('tagEdit', { _id: editId, tag: tag._id }));
+    if (!edit) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Suggested edit not found',
+      });
+    }
+
+    if (edit.status !== 'pending') {
+      return res.status(409).json({
+        status: 409,
+        message: `This edit was already ${edit.status}`,
+      });
+    }
+
+    if (edit.author && edit.author.toString() === userId) {
+      return res.status(400).json({
+        status: 400,
+        message: 'You cannot review your own edit',
+      });
+    }
+
+    if (action === 'approve') {
+      await applyTagEdit(tag, edit, userId);
+    } else {
+      await updateDocument(
+        'tagEdit',
+        { _id: edit._id },
+        { status: 'rejected', reviewedBy: userId, reviewedAt: new Date() }
+      );
+    }
+    if (note) {
+      await updateDocument('tagEdit', { _id: edit._id }, { reviewNote: note });
+    }
+
+    if (edit.author) {
+      await createNotification({
+        user: edit.author,
+        type: 'tag_wiki',
+        message: `Your edit to the [${tag.name}] tag wiki was ${
+          action === 'approve' ? 'approved' : 'rejected'
+        }${note ? `: ${note}` : ''}`,
+        link: `/tags/${encodeURIComponent(tag.name)}`,
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: action === 'approve' ? 'Edit approved' : 'Edit rejected',
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Review tag wiki edit error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+};
+
+module.exports = handleReviewWikiEdit;
@@ -0,0 +1,190 @@
+const Joi = require('joi');
+const { findOne, insertNewDocument } = require('../../helpers');
+const {
+  sanitizeHTML,
+  hasPrivilege,
+  findPageTag,
+  applyTagEdit,
+} = require('../../utils');
+
+const suggestEditSchema = Joi.object({
+  description: Joi.string().allow('').max(200).required().messages({
+    'string.max': 'Excerpt cannot exceed 200 characters',
+    'any.required': 'Excerpt is required',
+  }),
+  wiki: Joi.string().allow('').max(50000).required().messages({
+    'string.max': 'Wiki cannot exceed 50000 characters',
+    'any.required': 'Wiki is required',
+  }),
+  editSummary: Joi.string().allow('').max(200).optional().messages({
+    'string.max': 'Edit summary cannot exceed 200 characters',
+  }),
+});
+
+/**
+ * @swagger
+ * /api/tags/{name}/wiki/edits:
+ *   post:
+ *     summary: Edit a tag wiki
+ *     description: |
+ *       Propose a new excerpt and wiki for a tag. Users with the edit_tag_wiki
+ *       privilege edit the wiki directly; everyone else's edit waits for one
+ *       of them to review it.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag name or synonym
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *               - wiki
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Short excerpt shown in tag lists
+ *               wiki:
+ *                 type: string
+ *                 maxLength: 50000
+ *                 description: Long-form wiki (HTML)
+ *               editSummary:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       201:
+ *         description: Edit applied, or submitted for review when status is pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 201
+ *                 message:
+ *                   type: string
+ *                 edit:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, approved]
+ *                     revision:
+ *                       type: number
+ *                       nullable: true
+ *       400:
+ *         description: Validation error, or nothing was changed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: The user already has an edit waiting for review on this tag
+ *       500:
+ *         description: Internal server error
+ */
+async function handleSuggestWikiEdit(req, res) {
+  try {
+    const { name } = req.params;
+    const userId = req.userId;
+
+    const {
+      description,
+      wiki,
+      editSummary = '',
+    } = await suggestEditSchema.validateAsync(req.body);
+
+    const tag = await findPageTag(name, { create: true });
+    if (!tag) {
+      return res.status(404).json({
+        status: 404,
+        message: 'Tag not found',
+      });
+    }
+
+    const content = {
+      description: description.trim(),
+      wiki: sanitizeHTML(wiki).trim(),
+    };
+    if (content.description === tag.description && content.wiki === tag.wiki) {
+      return res.status(400).json({
+        status: 400,
+        message: 'The edit does not change the excerpt or the wiki',
+      });
+    }
+
+    const user = await findOne('user', { _id: userId });
+    const canEdit = await hasPrivilege(user, 'edit_tag_wiki');
+
+    if (!canEdit) {
+      const pending = await findOne('tagEdit', {
+        tag: tag._id,
+        author: userId,
+        status: 'pending',
+      });
+      if (pending) {
+        return res.status(409).json({
+          status: 409,
+          message: 'You already have an edit waiting for review on this tag',
+        });
+      }
+    }
+
+    let edit = await insertNewDocument('tagEdit', {
+      tag: tag._id,
+      author: userId,
+      editSummary: editSummary.trim(),
+      ...content,
+    });
+
+    if (canEdit) {
+      await applyTagEdit(tag, edit, userId);
+      edit = await findOne('tagEdit', { _id: edit._id });
+    }
+
+    return res.status(201).json({
+      status: 201,
+      message: canEdit
+        ? 'Tag wiki updated successfully!'
+        : 'Thanks! Your edit will be visible once it is reviewed.',
+      edit: {
+        _id: edit._id,
+        status: edit.status,
+        revision: edit.revision,
+        editSummary: edit.editSummary,
+        description: edit.description,
+        wiki: edit.wiki,
+        createdAt: edit.createdAt,
+      },
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Suggest tag wiki edit error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleSuggestWikiEdit;
@@ -0,0 +1,115 @@
+const Joi = require('joi');
+const {
+  POST_FORMATS,
+  renderPostContent,
+  codeLanguages,
+  suggestTagsForLanguages,
+  resolveTags,
+} = require('../../utils');
+
+const suggestTagsSchema = Joi.object({
+  description: Joi.string().allow('').max(100000).required().messages({
+    'string.max': 'Description cannot exceed 100000 characters',
+    'any.required': 'Description is required',
+  }),
+  format: Joi.string()
+    .valid(...POST_FORMATS)
+    .default('html')
+    .messages({
+      'any.only': 'Format must be html or markdown',
+    }),
+  tags: Joi.array().items(Joi.string().max(20)).max(5).default([]),
+});
+
+/**
+ * @swagger
+ * /api/tags/suggest:
+ *   post:
+ *     summary: Suggest tags for a question
+ *     description: Suggest tags from the languages of the code blocks in a question description, leaving out tags the question already has
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 description: Question description (HTML, or Markdown when format is markdown)
+ *               format:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tags already chosen
+ *     responses:
+ *       200:
+ *         description: Suggested tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                 languages:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["typescript", "bash"]
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["typescript", "bash"]
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+async function handleSuggestTags(req, res) {
+  try {
+    const { description, format, tags } = await suggestTagsSchema.validateAsync(
+      req.body
+    );
+
+    const { html } = renderPostContent(description, format);
+    const languages = codeLanguages(html);
+    // Suggest the tags the question would be saved with
+    const taken = await resolveTags(tags);
+    const suggested = await resolveTags(suggestTagsForLanguages(languages));
+
+    return res.status(200).json({
+      status: 200,
+      languages,
+      tags: suggested.filter(tag => !taken.includes(tag)),
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Suggest tags error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleSuggestTags;
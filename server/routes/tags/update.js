@@ -1,5 +1,11 @@
 const Joi = require('joi');
 const { findOne, updateDocument } = require('../../helpers');
+const {
+  normalizeTag,
+  findTagByNameOrSynonym,
+  rewriteQuestionTags,
+  rewriteTagPreferences,
+} = require('../../utils');
 
 const updateTagSchema = Joi.object({
   name: Joi.string().min(1).max(20).optional().messages({
@@ -16,7 +22,10 @@ const updateTagSchema = Joi.object({
  * /api/tags/{id}:
  *   put:
  *     summary: Update a tag
- *     description: Update an existing tag (admin only)
+ *     description: |
+ *       Update an existing tag (admin only). Renaming a tag renames it on
+ *       every question, and the old name stays as a synonym so links and
+ *       searches that use it still work.
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -61,6 +70,9 @@ const updateTagSchema = Joi.object({
  *                   example: "Tag updated successfully!"
  *                 tag:
  *                   $ref: '#/components/schemas/Tag'
+ *                 questionsUpdated:
+ *                   type: number
+ *                   example: 12
  *       400:
  *         description: Validation error
  *         content:
@@ -85,6 +97,12 @@ const updateTagSchema = Joi.object({
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The new name belongs to another tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -121,18 +139,40 @@ async function handleUpdateTag(req, res) {
 
     // Prepare update data
     const updateFields = {};
-    if (updateData.name)
-      updateFields.name = updateData.name.toLowerCase().trim();
+    const name = updateData.name ? normalizeTag(updateData.name) : tag.name;
+    const isRename = name !== tag.name;
+    if (isRename) {
+      const owner = await findTagByNameOrSynonym(name);
+      if (owner && !owner._id.equals(tag._id)) {
+        return res.status(409).json({
+          status: 409,
+          message: `"${name}" is already used by the tag "${owner.name}". Merge the tags instead.`,
+        });
+      }
+      updateFields.name = name;
+      // The old name keeps working as a synonym
+      updateFields.synonyms = [
+        ...tag.synonyms.filter(synonym => synonym !== name),
+        tag.name,
+      ];
+    }
     if (updateData.description !== undefined)
       updateFields.description = updateData.description.trim();
 
     // Update tag
     const updatedTag = await updateDocument('tag', { _id: id }, updateFields);
+    const questionsUpdated = isRename
+      ? await rewriteQuestionTags([tag.name], name)
+      : 0;
+    if (isRename) {
+      await rewriteTagPreferences([tag.name], name);
+    }
 
     return res.status(200).json({
       status: 200,
       message: 'Tag updated successfully!',
       tag: updatedTag,
+      questionsUpdated,
     });
   } catch (err) {
     if (err.isJoi) {
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { tokenVerification } = require('../../middleware');
+const {
+  imageUpload,
+  handleImageUploadError,
+  processImages,
+} = require('../../middleware/imageUpload');
+
+const uploadImage = require('./upload-image');
+
+router.post(
+  '/images',
+  tokenVerification,
+  imageUpload.single('image'),
+  handleImageUploadError,
+  processImages('inline'),
+  uploadImage
+);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const { uploadInlineImage } = require('../../lib');
+
+/**
+ * @swagger
+ * /api/uploads/images:
+ *   post:
+ *     summary: Upload an image to embed in a post
+ *     description: |
+ *       Store a single image for the rich text editor and return its URL, to be
+ *       inserted into a question or answer body. Images are converted to webp
+ *       and scaled down to at most 1600px wide. Uploads that never end up in a
+ *       post are removed by the image garbage collector.
+ *     tags: [Uploads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG, GIF or WebP image (max 10MB)
+ *     responses:
+ *       201:
+ *         description: Image uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Image uploaded successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     publicId:
+ *                       type: string
+ *                     width:
+ *                       type: integer
+ *                     height:
+ *                       type: integer
+ *       400:
+ *         description: Missing, invalid or oversized image
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Internal server error
+ */
+async function handleUploadImage(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded. Please select an image file.',
+      });
+    }
+
+    const uploadResult = await uploadInlineImage(req.file, req.userId);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: uploadResult,
+    });
+  } catch (error) {
+    console.error('Image upload error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to upload image. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleUploadImage;
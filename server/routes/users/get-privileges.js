@@ -0,0 +1,93 @@
+const { findOne } = require('../../helpers');
+const { getUserPrivileges, getEarnedReputation } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/users/{userId}/privileges:
+ *   get:
+ *     summary: Get user privileges
+ *     description: List every reputation-gated privilege, its threshold and whether the user has unlocked it. Privileges depend on earned reputation, so offering a bounty never locks one
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Privileges retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Privileges retrieved successfully"
+ *                 reputation:
+ *                   type: number
+ *                   description: Spendable balance, after bounties
+ *                   example: 150
+ *                 earnedReputation:
+ *                   type: number
+ *                   description: Reputation from votes and accepted answers, which privileges are based on
+ *                   example: 200
+ *                 privileges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: "downvote"
+ *                       reputation:
+ *                         type: number
+ *                         example: 125
+ *                       description:
+ *                         type: string
+ *                         example: "Vote down questions and answers"
+ *                       unlocked:
+ *                         type: boolean
+ *                         example: true
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetUserPrivileges(req, res) {
+  try {
+    const { userId } = req.params;
+
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    const earnedReputation = await getEarnedReputation(user._id);
+    return res.status(200).json({
+      status: 200,
+      message: 'Privileges retrieved successfully',
+      reputation: user.reputation || 0,
+      earnedReputation,
+      privileges: await getUserPrivileges(user, earnedReputation),
+    });
+  } catch (err) {
+    console.error('Get user privileges error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetUserPrivileges;
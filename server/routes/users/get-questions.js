@@ -46,7 +46,7 @@ async function handleGetUserQuestions(req, res) {
       'question',
       { author: userId },
       'author',
-      'first_name last_name username avatar'
+      'first_name last_name username avatar reputation'
     );
 
     // Format questions for response
@@ -62,6 +62,7 @@ async function handleGetUserQuestions(req, res) {
         last_name: question.author.last_name,
         username: question.author.username,
         avatar: question.author.avatar,
+        reputation: question.author.reputation,
       },
       answers: question.answers || [],
       acceptedAnswer: question.acceptedAnswer,
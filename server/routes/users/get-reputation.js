@@ -0,0 +1,135 @@
+const { findOne, findPopulateSortAndLimit } = require('../../helpers');
+const Models = require('../../models');
+
+/**
+ * @swagger
+ * /api/users/{userId}/reputation:
+ *   get:
+ *     summary: Get user reputation history
+ *     description: Retrieve a user's current reputation and the ledger of changes that produced it, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Reputation history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Reputation history retrieved successfully"
+ *                 reputation:
+ *                   type: number
+ *                   example: 250
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       amount:
+ *                         type: number
+ *                         example: 10
+ *                       reason:
+ *                         type: string
+ *                         example: "upvote"
+ *                       postType:
+ *                         type: string
+ *                         example: "answer"
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetUserReputation(req, res) {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(parseInt(limit) || 20, 100); // Max 100 per page
+    const skip = (pageNum - 1) * limitNum;
+
+    // Verify user exists
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    // Get ledger entries with the acting user
+    const history = await findPopulateSortAndLimit(
+      'reputation',
+      { user: userId },
+      'actor',
+      'first_name last_name username avatar',
+      { createdAt: -1 },
+      skip,
+      limitNum
+    );
+
+    const totalEntries = await Models.reputation.countDocuments({
+      user: userId,
+    });
+    const totalPages = Math.ceil(totalEntries / limitNum);
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Reputation history retrieved successfully',
+      reputation: user.reputation || 0,
+      history: history.map(entry => ({
+        _id: entry._id,
+        amount: entry.amount,
+        reason: entry.reason,
+        postType: entry.postType,
+        post: entry.post,
+        actor: entry.actor,
+        createdAt: entry.createdAt,
+      })),
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalEntries,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1,
+      },
+    });
+  } catch (err) {
+    console.error('Get user reputation error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetUserReputation;
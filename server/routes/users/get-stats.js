@@ -1,4 +1,4 @@
-const { find } = require('../../helpers');
+const { findOne } = require('../../helpers');
 const Models = require('../../models');
 
 /**
@@ -6,7 +6,7 @@ const Models = require('../../models');
  * /api/users/{userId}/stats:
  *   get:
  *     summary: Get user statistics
- *     description: Retrieve statistics for a specific user including votes, questions, and answers
+ *     description: Retrieve statistics for a specific user including reputation, questions, and answers
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -32,9 +32,9 @@ const Models = require('../../models');
  *                 stats:
  *                   type: object
  *                   properties:
- *                     totalVotes:
+ *                     reputation:
  *                       type: number
- *                       example: 25
+ *                       example: 250
  *                     totalQuestions:
  *                       type: number
  *                       example: 5
@@ -51,42 +51,27 @@ async function handleGetUserStats(req, res) {
     const { userId } = req.params;
 
     // Verify user exists
-    const user = await find('user', { _id: userId });
-    if (!user || user.length === 0) {
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
       return res.status(404).json({
         status: 404,
         message: 'User not found',
       });
     }
 
-    // Get user's questions
-    const userQuestions = await find('question', { author: userId });
-    const totalQuestions = userQuestions.length;
-
-    // Get user's answers
-    const userAnswers = await find('answer', { author: userId });
-    const totalAnswers = userAnswers.length;
-
-    // Calculate total votes (upvotes - downvotes)
-    let totalVotes = 0;
-    
-    // Votes from questions
-    for (const question of userQuestions) {
-      const questionVotes = (question.upvotes?.length || 0) - (question.downvotes?.length || 0);
-      totalVotes += questionVotes;
-    }
-    
-    // Votes from answers
-    for (const answer of userAnswers) {
-      const answerVotes = (answer.upvotes?.length || 0) - (answer.downvotes?.length || 0);
-      totalVotes += answerVotes;
-    }
+    // Count user's questions and answers
+    const totalQuestions = await Models.question.countDocuments({
+      author: userId,
+    });
+    const totalAnswers = await Models.answer.countDocuments({
+      author: userId,
+    });
 
     return res.status(200).json({
       status: 200,
       message: 'User stats retrieved successfully',
       stats: {
-        totalVotes,
+        reputation: user.reputation || 0,
         totalQuestions,
         totalAnswers,
       },
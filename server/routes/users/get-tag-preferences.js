@@ -0,0 +1,85 @@
+const { findOne } = require('../../helpers');
+
+/**
+ * @swagger
+ * /api/users/{userId}/tag-preferences:
+ *   get:
+ *     summary: Get tag preferences
+ *     description: The user's watched and ignored tags and whether they are notified about new questions in watched tags. Only available to the user themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Tag preferences retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 watchedTags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["javascript", "react"]
+ *                 ignoredTags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["php"]
+ *                 notifyWatchedTags:
+ *                   type: boolean
+ *                   example: false
+ *       403:
+ *         description: Not the user's own preferences
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleGetTagPreferences(req, res) {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        status: 403,
+        message: 'You can only view your own tag preferences',
+      });
+    }
+
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Tag preferences retrieved successfully',
+      watchedTags: user.watchedTags || [],
+      ignoredTags: user.ignoredTags || [],
+      notifyWatchedTags: !!user.notifyWatchedTags,
+    });
+  } catch (err) {
+    console.error('Get tag preferences error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleGetTagPreferences;
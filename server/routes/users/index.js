@@ -5,6 +5,11 @@ const { tokenVerification } = require('../../middleware');
 const getUserStats = require('./get-stats');
 const getUserAnswers = require('./get-answers');
 const getUserQuestions = require('./get-questions');
+const getUserReputation = require('./get-reputation');
+const recalculateReputation = require('./recalculate-reputation');
+const getUserPrivileges = require('./get-privileges');
+const getTagPreferences = require('./get-tag-preferences');
+const updateTagPreferences = require('./update-tag-preferences');
 
 // All user routes require authentication
 router.use(tokenVerification);
@@ -13,5 +18,10 @@ router.use(tokenVerification);
 router.get('/:userId/stats', getUserStats);
 router.get('/:userId/answers', getUserAnswers);
 router.get('/:userId/questions', getUserQuestions);
+router.get('/:userId/reputation', getUserReputation);
+router.post('/:userId/reputation/recalculate', recalculateReputation);
+router.get('/:userId/privileges', getUserPrivileges);
+router.get('/:userId/tag-preferences', getTagPreferences);
+router.put('/:userId/tag-preferences', updateTagPreferences);
 
 module.exports = router; 
\ No newline at end of file
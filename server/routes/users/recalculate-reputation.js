@@ -0,0 +1,87 @@
+const { findOne } = require('../../helpers');
+const { recalculateReputation } = require('../../utils');
+
+/**
+ * @swagger
+ * /api/users/{userId}/reputation/recalculate:
+ *   post:
+ *     summary: Recalculate user reputation
+ *     description: Rebuild a user's reputation ledger and score from the votes and accepted answers on their current posts (the user themselves or an admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Reputation recalculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Reputation recalculated successfully"
+ *                 previousReputation:
+ *                   type: number
+ *                   example: 240
+ *                 reputation:
+ *                   type: number
+ *                   example: 250
+ *       403:
+ *         description: Forbidden - Not the user or an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleRecalculateReputation(req, res) {
+  try {
+    const { userId } = req.params;
+
+    // Only the user themselves or an admin can trigger a recalculation
+    if (userId !== req.userId) {
+      const requester = await findOne('user', { _id: req.userId });
+      if (!requester || requester.role !== 'admin') {
+        return res.status(403).json({
+          status: 403,
+          message: 'You can only recalculate your own reputation',
+        });
+      }
+    }
+
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    const reputation = await recalculateReputation(userId);
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Reputation recalculated successfully',
+      previousReputation: user.reputation || 0,
+      reputation,
+    });
+  } catch (err) {
+    console.error('Recalculate reputation error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleRecalculateReputation;
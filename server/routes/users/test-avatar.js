@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { STORAGE_DRIVER } = require('../../config/storage');
 
 /**
  * @swagger
@@ -21,31 +22,19 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: Avatar upload setup is working
- *                 cloudinary:
+ *                 storage:
  *                   type: object
  *                   properties:
- *                     cloudName:
+ *                     driver:
  *                       type: string
- *                       example: your_cloud_name
- *                     apiKey:
- *                       type: string
- *                       example: your_api_key
- *                     apiSecret:
- *                       type: string
- *                       example: your_api_secret
+ *                       enum: [cloudinary, local, s3]
  */
 router.get('/test-avatar', (req, res) => {
-  const cloudinaryConfig = {
-    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-    apiKey: process.env.CLOUDINARY_API_KEY,
-    apiSecret: process.env.CLOUDINARY_API_SECRET,
-  };
-
   res.status(200).json({
     success: true,
     message: 'Avatar upload setup is working',
     data: {
-      cloudinary: cloudinaryConfig,
+      storage: { driver: STORAGE_DRIVER },
       endpoints: {
         upload: 'POST /api/users/upload-avatar',
         remove: 'DELETE /api/users/remove-avatar',
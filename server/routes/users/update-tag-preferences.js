@@ -0,0 +1,147 @@
+const Joi = require('joi');
+const { findOne, updateDocument } = require('../../helpers');
+const { resolveTags } = require('../../utils');
+const { MAX_PREFERENCE_TAGS } = require('../../config/feed');
+
+const tagList = label =>
+  Joi.array()
+    .items(Joi.string().trim().min(1).max(20))
+    .max(MAX_PREFERENCE_TAGS)
+    .optional()
+    .messages({
+      'array.max': `You can have at most ${MAX_PREFERENCE_TAGS} ${label} tags`,
+      'string.max': 'Tag names cannot exceed 20 characters',
+    });
+
+const tagPreferencesSchema = Joi.object({
+  watchedTags: tagList('watched'),
+  ignoredTags: tagList('ignored'),
+  notifyWatchedTags: Joi.boolean().optional(),
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/tag-preferences:
+ *   put:
+ *     summary: Update tag preferences
+ *     description: |
+ *       Replace the user's watched and/or ignored tags and set whether they are
+ *       notified about new questions in watched tags. Omitted fields are left
+ *       unchanged. Tag synonyms are stored as the tag they belong to.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               watchedTags:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *               ignoredTags:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: string
+ *               notifyWatchedTags:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tag preferences updated successfully
+ *       400:
+ *         description: Validation error, or a tag is both watched and ignored
+ *       403:
+ *         description: Not the user's own preferences
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Internal server error
+ */
+async function handleUpdateTagPreferences(req, res) {
+  try {
+    const { userId } = req.params;
+
+    if (userId !== req.userId) {
+      return res.status(403).json({
+        status: 403,
+        message: 'You can only change your own tag preferences',
+      });
+    }
+
+    const { watchedTags, ignoredTags, notifyWatchedTags } =
+      await tagPreferencesSchema.validateAsync(req.body);
+
+    const user = await findOne('user', { _id: userId });
+    if (!user) {
+      return res.status(404).json({
+        status: 404,
+        message: 'User not found',
+      });
+    }
+
+    const updateFields = {
+      watchedTags: watchedTags
+        ? await resolveTags(watchedTags)
+        : user.watchedTags || [],
+      ignoredTags: ignoredTags
+        ? await resolveTags(ignoredTags)
+        : user.ignoredTags || [],
+    };
+    if (notifyWatchedTags !== undefined) {
+      updateFields.notifyWatchedTags = notifyWatchedTags;
+    }
+
+    const conflict = updateFields.watchedTags.find(tag =>
+      updateFields.ignoredTags.includes(tag)
+    );
+    if (conflict) {
+      return res.status(400).json({
+        status: 400,
+        message: `"${conflict}" cannot be both watched and ignored`,
+        field: watchedTags ? 'watchedTags' : 'ignoredTags',
+      });
+    }
+
+    const updatedUser = await updateDocument(
+      'user',
+      { _id: userId },
+      updateFields
+    );
+
+    return res.status(200).json({
+      status: 200,
+      message: 'Tag preferences updated successfully',
+      watchedTags: updatedUser.watchedTags,
+      ignoredTags: updatedUser.ignoredTags,
+      notifyWatchedTags: !!updatedUser.notifyWatchedTags,
+    });
+  } catch (err) {
+    if (err.isJoi) {
+      return res.status(400).json({
+        status: 400,
+        message: err.details[0].message,
+        field: err.details[0].path[0],
+      });
+    }
+
+    console.error('Update tag preferences error:', err);
+    return res.status(500).json({
+      status: 500,
+      message: 'Internal server error. Please try again later.',
+    });
+  }
+}
+
+module.exports = handleUpdateTagPreferences;
@@ -1,6 +1,11 @@
 const multer = require('multer');
 const Joi = require('joi');
-const { uploadAvatar, updateAvatar, deleteAvatar } = require('../../lib');
+const {
+  storage,
+  uploadAvatar,
+  updateAvatar,
+  deleteAvatar,
+} = require('../../lib');
 const User = require('../../models/user');
 
 // Configure multer for memory storage
@@ -19,6 +24,11 @@ const upload = multer({
   },
 });
 
+// Storage ID of the user's avatar. Avatars uploaded before the ID was stored
+// on the user fall back to parsing it out of the URL
+const avatarPublicId = user =>
+  user.avatarPublicId || storage.publicIdFromUrl(user.avatar);
+
 // Validation schema for avatar upload
 const uploadAvatarSchema = Joi.object({
   // No body validation needed for file upload
@@ -105,22 +115,19 @@ async function handleUploadAvatar(req, res) {
 
     let uploadResult;
 
-    // If user has an existing avatar, update it
-    if (user.avatar && user.avatar !== '') {
-      // Extract public ID from existing avatar URL
-      const urlParts = user.avatar.split('/');
-      const publicId = urlParts.slice(-2).join('/').split('.')[0]; // Remove file extension
-
-      uploadResult = await updateAvatar(req.file.buffer, userId, publicId);
+    // Replace the existing avatar if it lives in our storage
+    const publicId = avatarPublicId(user);
+    if (publicId) {
+      uploadResult = await updateAvatar(req.file, userId, publicId);
     } else {
       // Upload new avatar
-      uploadResult = await uploadAvatar(req.file.buffer, userId);
+      uploadResult = await uploadAvatar(req.file, userId);
     }
 
     // Update user's avatar in database
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { avatar: uploadResult.secure_url },
+      { avatar: uploadResult.url, avatarPublicId: uploadResult.publicId },
       { new: true }
     ).select('-password');
 
@@ -128,8 +135,8 @@ async function handleUploadAvatar(req, res) {
       success: true,
       message: 'Avatar uploaded successfully',
       data: {
-        avatar: uploadResult.secure_url,
-        publicId: uploadResult.public_id,
+        avatar: uploadResult.url,
+        publicId: uploadResult.publicId,
         user: updatedUser,
       },
     });
@@ -191,17 +198,16 @@ async function handleRemoveAvatar(req, res) {
       });
     }
 
-    // Extract public ID from avatar URL
-    const urlParts = user.avatar.split('/');
-    const publicId = urlParts.slice(-2).join('/').split('.')[0]; // Remove file extension
-
-    // Delete from Cloudinary
-    await deleteAvatar(publicId);
+    // Delete from storage, unless the avatar is hosted elsewhere
+    const publicId = avatarPublicId(user);
+    if (publicId) {
+      await deleteAvatar(publicId);
+    }
 
     // Update user's avatar in database
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { avatar: '' },
+      { avatar: '', avatarPublicId: '' },
       { new: true }
     ).select('-password');
 
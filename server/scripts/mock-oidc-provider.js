@@ -0,0 +1,243 @@
+// Minimal OpenID Connect provider for trying single sign-on locally. It
+// signs in whoever fills in its form; never expose it to a network.
+//
+//   npm run mock-oidc
+//
+// then set in .env:
+//   OIDC_ISSUER=http://localhost:9400
+//   OIDC_CLIENT_ID=stackit-local
+//
+// MOCK_OIDC_PORT changes the port. Clients must use PKCE (S256), and if
+// OIDC_CLIENT_SECRET is set they must send it too.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'stackit-local';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const PRIVATE_PEM = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// Pending authorization requests, issued codes and access tokens
+const requests = new Map();
+const codes = new Map();
+const accessTokens = new Map();
+
+const randomId = () => crypto.randomBytes(24).toString('base64url');
+
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [
+      {
+        ...publicKey.export({ format: 'jwk' }),
+        kid: KEY_ID,
+        use: 'sig',
+        alg: 'RS256',
+      },
+    ],
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const {
+    client_id,
+    redirect_uri,
+    response_type,
+    code_challenge,
+    code_challenge_method,
+  } = req.query;
+  if (client_id !== CLIENT_ID) {
+    return res.status(400).send(`Unknown client_id. Expected "${CLIENT_ID}".`);
+  }
+  if (!redirect_uri || response_type !== 'code') {
+    return res
+      .status(400)
+      .send('redirect_uri and response_type=code are required.');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res
+      .status(400)
+      .send('PKCE with code_challenge_method=S256 is required.');
+  }
+
+  const requestId = randomId();
+  requests.set(requestId, { ...req.query });
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="UTF-8" /><title>Mock identity provider</title></head>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>Mock identity provider</h2>
+    <p>Sign in to StackIt as:</p>
+    <form method="post" action="/authorize">
+      <input type="hidden" name="request" value="${requestId}" />
+      <p><label>Email<br /><input name="email" value="jane.doe@example.com" size="40" /></label></p>
+      <p><label>Name<br /><input name="name" value="Jane Doe" size="40" /></label></p>
+      <p><label>Subject (stable user ID)<br /><input name="sub" placeholder="Defaults to the email" size="40" /></label></p>
+      <p><label><input type="checkbox" name="email_verified" checked /> Email is verified</label></p>
+      <p>
+        <button type="submit" name="action" value="allow">Sign in</button>
+        <button type="submit" name="action" value="deny">Cancel</button>
+      </p>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const request = requests.get(req.body.request);
+  if (!request)
+    return res.status(400).send('Unknown or used authorization request.');
+  requests.delete(req.body.request);
+
+  const redirect = new URL(request.redirect_uri);
+  if (request.state) redirect.searchParams.set('state', request.state);
+  if (req.body.action !== 'allow') {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const email = String(req.body.email || '').trim();
+  const name = String(req.body.name || '').trim();
+  const [givenName, ...familyName] = name.split(/\s+/);
+  const code = randomId();
+  codes.set(code, {
+    request,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: String(req.body.sub || '').trim() || email,
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name,
+      given_name: givenName || undefined,
+      family_name: familyName.join(' ') || undefined,
+      preferred_username: email.split('@')[0],
+    },
+  });
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64')
+      .toString()
+      .split(':')
+      .map(decodeURIComponent);
+  }
+  if (
+    clientId !== CLIENT_ID ||
+    (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)
+  ) {
+    return oauthError(
+      res,
+      401,
+      'invalid_client',
+      'Unknown client or wrong secret.'
+    );
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return oauthError(
+      res,
+      400,
+      'unsupported_grant_type',
+      'Only authorization_code is supported.'
+    );
+  }
+
+  const issued = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!issued || issued.expiresAt < Date.now()) {
+    return oauthError(
+      res,
+      400,
+      'invalid_grant',
+      'Unknown, used or expired code.'
+    );
+  }
+  if (req.body.redirect_uri !== issued.request.redirect_uri) {
+    return oauthError(
+      res,
+      400,
+      'invalid_grant',
+      'redirect_uri does not match.'
+    );
+  }
+  const challenge = crypto
+    .createHash('sha256')
+    .update(String(req.body.code_verifier || ''))
+    .digest('base64url');
+  if (challenge !== issued.request.code_challenge) {
+    return oauthError(
+      res,
+      400,
+      'invalid_grant',
+      'PKCE code_verifier does not match.'
+    );
+  }
+
+  const accessToken = randomId();
+  accessTokens.set(accessToken, issued.claims);
+  const idToken = jwt.sign(
+    { ...issued.claims, nonce: issued.request.nonce },
+    PRIVATE_PEM,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m',
+    }
+  );
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+  if (!claims)
+    return oauthError(res, 401, 'invalid_token', 'Unknown access token.');
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(
+    `Mock OpenID Connect provider at ${ISSUER} (client_id "${CLIENT_ID}")`
+  );
+});
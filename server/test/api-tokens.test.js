@@ -0,0 +1,115 @@
+const { resetDb, newUser } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { tokenVerification } = require('../middleware');
+const { apiTokenScopesFor, createApiToken } = require('../utils/api-tokens');
+
+// Every /api request behind tokenVerification, answering with the user it
+// was made as
+const startServer = async () => {
+  const app = express();
+  app.use('/api', tokenVerification, (req, res) =>
+    res.json({ userId: req.userId })
+  );
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    request: (method, path, token) =>
+      fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}` },
+      }),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+const newToken = async scopes => {
+  const user = newUser();
+  const { token } = await createApiToken(user._id, {
+    name: 'CI',
+    scopes,
+    expiresInDays: 30,
+  });
+  return { user, token };
+};
+
+test.beforeEach(resetDb);
+
+test('apiTokenScopesFor maps endpoints to the scopes they need', () => {
+  assert.deepEqual(apiTokenScopesFor('GET', '/api/questions/1'), ['read']);
+  assert.deepEqual(apiTokenScopesFor('HEAD', '/api/questions/1'), ['read']);
+  assert.deepEqual(apiTokenScopesFor('POST', '/api/tags/suggest'), ['read']);
+  assert.deepEqual(apiTokenScopesFor('POST', '/api/questions'), [
+    'write:questions',
+  ]);
+  assert.deepEqual(apiTokenScopesFor('PUT', '/api/answers/1'), [
+    'write:answers',
+  ]);
+  assert.deepEqual(apiTokenScopesFor('DELETE', '/api/tags/1'), ['admin:tags']);
+  assert.deepEqual(apiTokenScopesFor('POST', '/api/uploads'), [
+    'write:questions',
+    'write:answers',
+  ]);
+  // Not matched by any rule
+  assert.deepEqual(apiTokenScopesFor('POST', '/api/users/avatar'), []);
+});
+
+test('apiTokenScopesFor keeps tokens out of auth, admin and moderation', () => {
+  for (const path of [
+    '/api/auth/sessions',
+    '/api/admin',
+    '/api/admin/lockouts',
+    '/api/moderation/flags',
+  ]) {
+    assert.deepEqual(apiTokenScopesFor('GET', path), [], path);
+    assert.deepEqual(apiTokenScopesFor('POST', path), [], path);
+  }
+});
+
+test('apiTokenScopesFor ignores case like the Express router does', () => {
+  for (const path of [
+    '/api/Admin/lockouts',
+    '/API/admin/lockouts',
+    '/api/MODERATION/flags',
+    '/api/Auth/sessions',
+  ]) {
+    assert.deepEqual(apiTokenScopesFor('GET', path), [], path);
+  }
+  assert.deepEqual(apiTokenScopesFor('POST', '/api/Questions'), [
+    'write:questions',
+  ]);
+  assert.deepEqual(apiTokenScopesFor('POST', '/api/Tags/Suggest'), ['read']);
+});
+
+test('tokenVerification lets a token through only with the scope it needs', async () => {
+  const server = await startServer();
+  try {
+    const { user, token } = await newToken(['read']);
+
+    const allowed = await server.request('GET', '/api/questions?page=2', token);
+    assert.equal(allowed.status, 200);
+    assert.equal((await allowed.json()).userId, user._id.toString());
+
+    const writing = await server.request('POST', '/api/questions', token);
+    assert.equal(writing.status, 403);
+    assert.deepEqual((await writing.json()).requiredScopes, [
+      'write:questions',
+    ]);
+
+    for (const path of ['/api/admin/lockouts', '/api/Admin/lockouts']) {
+      const response = await server.request('GET', path, token);
+      assert.equal(response.status, 403, path);
+      assert.equal(
+        (await response.json()).message,
+        'This endpoint does not accept API tokens.'
+      );
+    }
+
+    const unknown = await server.request('GET', '/api/questions', 'stk_nope');
+    assert.equal(unknown.status, 401);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,114 @@
+const { collections, resetDb, seed, newUser } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const Models = require('../models');
+const handleOfferBounty = require('../routes/questions/bounty');
+
+const AMOUNT = 100;
+
+const startServer = async () => {
+  const app = express();
+  app.post(
+    '/questions/:id/bounty',
+    express.json(),
+    (req, res, next) => {
+      req.userId = req.headers['x-user-id'];
+      next();
+    },
+    handleOfferBounty
+  );
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    offer: async (question, user) => {
+      const response = await fetch(
+        `http://127.0.0.1:${server.address().port}/questions/${
+          question._id
+        }/bounty`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-User-Id': user._id.toString(),
+          },
+          body: JSON.stringify({ amount: AMOUNT }),
+        }
+      );
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+const newQuestion = (author, fields = {}) =>
+  seed('question', {
+    title: 'How do I read a file line by line?',
+    description: '<p>Without loading it all</p>',
+    tags: ['node'],
+    author: author._id,
+    ...fields,
+  });
+
+const storedUser = user =>
+  collections.user.find(({ _id }) => _id.equals(user._id));
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.close());
+test.beforeEach(resetDb);
+
+test('the author can put a bounty on an unanswered question', async () => {
+  const author = newUser({ reputation: 500 });
+  const question = newQuestion(author);
+
+  const { status, body } = await server.offer(question, author);
+  assert.equal(status, 201);
+  assert.equal(body.bounty.amount, AMOUNT);
+  assert.equal(storedUser(author).reputation, 500 - AMOUNT);
+  assert.equal(collections.reputation[0].reason, 'bounty_offered');
+});
+
+test('questions with answers cannot have a bounty', async () => {
+  const author = newUser({ reputation: 500 });
+  const question = newQuestion(author, {
+    answers: [new mongoose.Types.ObjectId()],
+  });
+
+  const { status, body } = await server.offer(question, author);
+  assert.equal(status, 400);
+  assert.equal(
+    body.message,
+    'Only questions without answers can have a bounty'
+  );
+  assert.equal(storedUser(author).reputation, 500);
+  assert.equal(collections.reputation.length, 0);
+});
+
+test('an answer arriving during the offer refunds the points', async () => {
+  const author = newUser({ reputation: 500 });
+  const question = newQuestion(author);
+
+  // Someone answers right after the route has read the question
+  const findOne = Models.question.findOne;
+  Models.question.findOne = filter => ({
+    exec: async () => {
+      const read = await findOne(filter);
+      collections.question[0].answers.push(new mongoose.Types.ObjectId());
+      return read;
+    },
+  });
+  try {
+    const { status } = await server.offer(question, author);
+    assert.equal(status, 409);
+  } finally {
+    Models.question.findOne = findOne;
+  }
+  assert.equal(collections.question[0].bounty, null);
+  assert.equal(storedUser(author).reputation, 500);
+  assert.equal(collections.reputation.length, 0);
+});
@@ -0,0 +1,322 @@
+// In-memory stand-in for the Mongoose models, enough for the queries and
+// updates the utils and routes under test make. Require it before anything
+// that loads the utils, so the email sender is replaced in time.
+const mongoose = require('mongoose');
+const lib = require('../../lib');
+const mailer = require('../../lib/node-mailer');
+const Models = require('../../models');
+
+const collections = {};
+const sentEmails = [];
+
+const recordEmail = (template, data, from, subject, to) => {
+  sentEmails.push({ template, data, subject, to });
+};
+mailer.send_email = recordEmail;
+lib.send_email = recordEmail;
+
+const isId = value => value instanceof mongoose.Types.ObjectId;
+const isOperatorObject = value =>
+  !!value &&
+  typeof value === 'object' &&
+  !isId(value) &&
+  !(value instanceof Date) &&
+  !Array.isArray(value) &&
+  Object.keys(value).some(key => key.startsWith('$'));
+
+const comparable = value => {
+  if (value instanceof Date) return value.getTime();
+  if (isId(value)) return value.toString();
+  return value;
+};
+const equals = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  return String(comparable(a)) === String(comparable(b));
+};
+
+// Values at a dotted path; arrays along the way are searched element-wise
+const valuesAt = (doc, path) =>
+  path.split('.').reduce(
+    (values, key) =>
+      values.flatMap(value => {
+        if (value == null) return [undefined];
+        if (Array.isArray(value) && !/^\d+$/.test(key)) {
+          return value.map(item => (item == null ? undefined : item[key]));
+        }
+        return [value[key]];
+      }),
+    [doc]
+  );
+
+const matchesCondition = (values, condition) => {
+  // An array field matches when the array or any element does
+  const candidates = values.flatMap(value =>
+    Array.isArray(value) ? [value, ...value] : [value]
+  );
+  const some = test => candidates.some(test);
+
+  if (!isOperatorObject(condition)) {
+    return some(value => equals(value, condition));
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return some(value => equals(value, operand));
+      case '$ne':
+        return !some(value => equals(value, operand));
+      case '$gt':
+        return some(v => v != null && comparable(v) > comparable(operand));
+      case '$gte':
+        return some(v => v != null && comparable(v) >= comparable(operand));
+      case '$lt':
+        return some(v => v != null && comparable(v) < comparable(operand));
+      case '$lte':
+        return some(v => v != null && comparable(v) <= comparable(operand));
+      case '$in':
+        return operand.some(item => some(value => equals(value, item)));
+      case '$nin':
+        return !operand.some(item => some(value => equals(value, item)));
+      case '$exists':
+        return some(value => value !== undefined) === operand;
+      case '$elemMatch':
+        return values.some(
+          value =>
+            Array.isArray(value) && value.some(item => matches(item, operand))
+        );
+      default:
+        throw new Error(`memory-db does not support ${operator}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') return condition.some(part => matches(doc, part));
+    if (path === '$and') return condition.every(part => matches(doc, part));
+    return matchesCondition(valuesAt(doc, path), condition);
+  });
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (object[key] == null) object[key] = {};
+    return object[key];
+  }, doc);
+  target[last] = value;
+};
+const getPath = (doc, path) =>
+  path
+    .split('.')
+    .reduce((object, key) => (object ? object[key] : undefined), doc);
+
+const applyUpdate = (doc, update) => {
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    Object.assign(doc, update);
+    return;
+  }
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, value);
+          break;
+        case '$unset':
+          setPath(doc, path, undefined);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$push':
+          setPath(doc, path, [...(current || []), value]);
+          break;
+        case '$addToSet':
+          if (!(current || []).some(item => equals(item, value))) {
+            setPath(doc, path, [...(current || []), value]);
+          }
+          break;
+        case '$pull':
+          setPath(
+            doc,
+            path,
+            (current || []).filter(item =>
+              isOperatorObject(value) ||
+              (value && typeof value === 'object' && !isId(value))
+                ? !matches(item, value)
+                : !equals(item, value)
+            )
+          );
+          break;
+        default:
+          throw new Error(`memory-db does not support ${operator}`);
+      }
+    }
+  }
+};
+
+// Documents handed out are copies, like fresh reads from the database
+const copy = doc =>
+  doc &&
+  Object.fromEntries(
+    Object.entries(doc).map(([key, value]) => [
+      key,
+      Array.isArray(value)
+        ? value.map(item =>
+            item &&
+            typeof item === 'object' &&
+            !isId(item) &&
+            !(item instanceof Date)
+              ? { ...item }
+              : item
+          )
+        : value,
+    ])
+  );
+
+// Enough of a Mongoose query to await it or call exec, select, sort or lean
+const query = run => {
+  const chain = {
+    exec: async () => run(),
+    then: (resolve, reject) => chain.exec().then(resolve, reject),
+  };
+  for (const method of [
+    'select',
+    'sort',
+    'lean',
+    'populate',
+    'limit',
+    'skip',
+  ]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// $match, and $group on _id null with $sum of a field
+const runPipeline = (docs, stages) =>
+  stages.reduce((result, stage) => {
+    if (stage.$match) return result.filter(doc => matches(doc, stage.$match));
+    if (stage.$group && stage.$group._id === null) {
+      if (result.length === 0) return [];
+      const { _id, ...fields } = stage.$group;
+      const group = { _id: null };
+      for (const [field, { $sum }] of Object.entries(fields)) {
+        group[field] = result.reduce(
+          (sum, doc) => sum + (getPath(doc, $sum.slice(1)) || 0),
+          0
+        );
+      }
+      return [group];
+    }
+    throw new Error(
+      `memory-db does not support ${Object.keys(stage)[0]} like this`
+    );
+  }, docs);
+
+const install = (name, Model) => {
+  const store = (collections[name] = []);
+  const first = filter => store.find(doc => matches(doc, filter));
+
+  Model.prototype.save = async function save() {
+    const doc = this.toObject({ depopulate: true });
+    const index = store.findIndex(item => equals(item._id, doc._id));
+    if (index >= 0) store[index] = doc;
+    else store.push(doc);
+    return this;
+  };
+  Model.findOne = filter => query(() => copy(first(filter)) || null);
+  Model.findById = id => query(() => copy(first({ _id: id })) || null);
+  Model.find = filter =>
+    query(() => store.filter(doc => matches(doc, filter)).map(copy));
+  Model.countDocuments = filter =>
+    query(() => store.filter(doc => matches(doc, filter)).length);
+  Model.findOneAndUpdate = (filter, update, options = {}) =>
+    query(() => {
+      const doc = first(filter);
+      if (!doc) return null;
+      const before = copy(doc);
+      applyUpdate(doc, update);
+      return options.new ? copy(doc) : before;
+    });
+  Model.updateOne = (filter, update) =>
+    query(() => {
+      const doc = first(filter);
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    });
+  Model.updateMany = (filter, update) =>
+    query(() => {
+      const docs = store.filter(doc => matches(doc, filter));
+      docs.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: docs.length, modifiedCount: docs.length };
+    });
+  Model.findOneAndDelete = filter =>
+    query(() => {
+      const index = store.findIndex(doc => matches(doc, filter));
+      return index >= 0 ? store.splice(index, 1)[0] : null;
+    });
+  Model.deleteOne = filter =>
+    query(() => {
+      const index = store.findIndex(doc => matches(doc, filter));
+      if (index >= 0) store.splice(index, 1);
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    });
+  Model.deleteMany = filter =>
+    query(() => {
+      const kept = store.filter(doc => !matches(doc, filter));
+      const deletedCount = store.length - kept.length;
+      store.splice(0, store.length, ...kept);
+      return { deletedCount };
+    });
+  Model.aggregate = stages => query(() => runPipeline(store.map(copy), stages));
+  Model.insertMany = docs =>
+    query(() => {
+      const created = docs.map(doc => new Model(doc).toObject());
+      store.push(...created);
+      return created;
+    });
+};
+
+for (const [name, Model] of Object.entries(Models)) {
+  if (Model && Model.prototype instanceof mongoose.Model) install(name, Model);
+}
+
+/**
+ * Empty every collection and the sent email list
+ */
+const resetDb = () => {
+  Object.values(collections).forEach(store => store.splice(0));
+  sentEmails.splice(0);
+};
+
+/**
+ * Store a document as if it had been created earlier; schema defaults apply
+ * @param {string} name - Model name in models/index.js
+ * @param {Object} doc
+ * @returns {Object} Stored document
+ */
+const seed = (name, doc) => {
+  const stored = new Models[name](doc).toObject();
+  collections[name].push(stored);
+  return copy(stored);
+};
+
+/**
+ * Store a user with a unique username and email
+ * @param {Object} fields - Fields to set or override, e.g. `role`
+ * @returns {Object} Stored user
+ */
+const newUser = (fields = {}) => {
+  const id = new mongoose.Types.ObjectId();
+  return seed('user', {
+    first_name: 'Ada',
+    last_name: 'Lovelace',
+    username: `ada${id}`,
+    email: `ada${id}@example.com`,
+    password: 'hash',
+    ...fields,
+  });
+};
+
+module.exports = { collections, sentEmails, resetDb, seed, newUser };
@@ -0,0 +1,116 @@
+const {
+  collections,
+  sentEmails,
+  resetDb,
+  newUser,
+} = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+} = require('../config/lockout');
+const {
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  adminUnlockAccount,
+} = require('../utils/lockout');
+
+const stored = () => collections.user[0];
+
+// Fail enough logins in a row to lock; returns the lock length in minutes
+const failUntilLocked = async user => {
+  for (let attempt = 1; attempt < LOGIN_MAX_FAILED_ATTEMPTS; attempt++) {
+    assert.equal(await recordFailedLogin(user), false);
+  }
+  assert.equal(await recordFailedLogin(user), true);
+  return Math.round((stored().lockedUntil.getTime() - Date.now()) / 60000);
+};
+
+// The lock ran out without anyone unlocking it
+const expireLock = () => {
+  stored().lockedUntil = new Date(Date.now() - 1000);
+};
+
+test.beforeEach(resetDb);
+
+test('the account locks after the maximum failed logins and emails the owner', async () => {
+  const user = newUser();
+  assert.equal(isLocked(stored()), false);
+
+  assert.equal(await failUntilLocked(user), LOCKOUT_BASE_MINUTES);
+  assert.equal(isLocked(stored()), true);
+  assert.equal(stored().failedLoginAttempts, 0);
+  assert.equal(stored().lockoutCount, 1);
+
+  assert.equal(sentEmails.length, 1);
+  assert.equal(sentEmails[0].template, 'account-locked');
+  assert.equal(sentEmails[0].to, user.email);
+  assert.ok(
+    sentEmails[0].data.unlockLink.endsWith(
+      `/unlock-account?token=${stored().unlockToken}`
+    )
+  );
+});
+
+test('each further lockout doubles, up to the maximum', async () => {
+  const user = newUser();
+  const lengths = [];
+  let expected = LOCKOUT_BASE_MINUTES;
+  const expectedLengths = [];
+  while (expectedLengths.length < 10) {
+    expectedLengths.push(Math.min(expected, LOCKOUT_MAX_MINUTES));
+    expected *= 2;
+  }
+
+  for (let i = 0; i < expectedLengths.length; i++) {
+    lengths.push(await failUntilLocked(user));
+    expireLock();
+  }
+  assert.deepEqual(lengths, expectedLengths);
+  assert.equal(lengths.at(-1), LOCKOUT_MAX_MINUTES);
+});
+
+test('a successful login resets the backoff', async () => {
+  const user = newUser();
+  await failUntilLocked(user);
+  expireLock();
+  await clearFailedLogins(user._id);
+
+  assert.equal(stored().lockoutCount, 0);
+  assert.equal(await failUntilLocked(user), LOCKOUT_BASE_MINUTES);
+});
+
+test('the unlock link lifts the lock once but keeps the backoff', async () => {
+  const user = newUser();
+  await failUntilLocked(user);
+  const token = stored().unlockToken;
+
+  assert.ok(await unlockAccount(token));
+  assert.equal(isLocked(stored()), false);
+  assert.equal(await unlockAccount(token), null);
+  assert.equal(await unlockAccount('not-a-token'), null);
+
+  assert.equal(await failUntilLocked(user), LOCKOUT_BASE_MINUTES * 2);
+});
+
+test('an expired unlock link does nothing', async () => {
+  const user = newUser();
+  await failUntilLocked(user);
+  stored().unlockTokenExpires = new Date(Date.now() - 1000);
+
+  assert.equal(await unlockAccount(stored().unlockToken), null);
+  assert.equal(isLocked(stored()), true);
+});
+
+test('an admin unlock also resets the backoff', async () => {
+  const user = newUser();
+  await failUntilLocked(user);
+
+  await adminUnlockAccount(user._id);
+  assert.equal(isLocked(stored()), false);
+  assert.equal(await failUntilLocked(user), LOCKOUT_BASE_MINUTES);
+});
@@ -0,0 +1,92 @@
+const { collections, resetDb, newUser } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const notifications = require('../routes/notifications');
+const { createSession, revokeSession } = require('../utils/sessions');
+
+const req = { headers: {}, ip: '203.0.113.7' };
+
+const startServer = async () => {
+  const app = express();
+  app.use('/api/notifications', notifications);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = path => `http://127.0.0.1:${server.address().port}${path}`;
+  return {
+    ticket: async token => {
+      const response = await fetch(url('/api/notifications/stream-ticket'), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      assert.equal(response.status, 201);
+      return (await response.json()).ticket;
+    },
+    // Open the stream and read up to its first event, then hang up
+    stream: async query => {
+      const controller = new AbortController();
+      const response = await fetch(url(`/api/notifications/stream?${query}`), {
+        signal: controller.signal,
+      });
+      let received = '';
+      if (response.status === 200) {
+        const reader = response.body.getReader();
+        while (!received.includes('event: ')) {
+          received += Buffer.from((await reader.read()).value).toString();
+        }
+      }
+      controller.abort();
+      return { status: response.status, received };
+    },
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+};
+
+const signIn = async () => {
+  const user = newUser();
+  const { token } = await createSession(user, req);
+  return { user, token, sessionId: collections.session[0]._id };
+};
+
+test.beforeEach(resetDb);
+
+test('the stream opens once per ticket and never with the access token', async () => {
+  const server = await startServer();
+  try {
+    const { token } = await signIn();
+    const ticket = await server.ticket(token);
+    assert.equal(collections.streamTicket.length, 1);
+    assert.notEqual(collections.streamTicket[0].ticketHash, ticket);
+
+    const opened = await server.stream(`ticket=${ticket}`);
+    assert.equal(opened.status, 200);
+    assert.match(opened.received, /event: unread/);
+
+    assert.equal((await server.stream(`ticket=${ticket}`)).status, 401);
+    assert.equal((await server.stream(`token=${token}`)).status, 401);
+    assert.equal((await server.stream('')).status, 401);
+  } finally {
+    await server.close();
+  }
+});
+
+test('expired tickets and tickets of ended sessions are refused', async () => {
+  const server = await startServer();
+  try {
+    const { user, token, sessionId } = await signIn();
+
+    const expired = await server.ticket(token);
+    collections.streamTicket[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await server.stream(`ticket=${expired}`)).status, 401);
+
+    const revoked = await server.ticket(token);
+    await revokeSession(user._id, sessionId);
+    assert.equal((await server.stream(`ticket=${revoked}`)).status, 401);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,173 @@
+// The OIDC config and client read the environment when they load, so it is
+// set before anything else is required
+const PROVIDER_PORT = 20000 + (process.pid % 10000);
+const FRONTEND = 'http://frontend.test';
+Object.assign(process.env, {
+  MOCK_OIDC_PORT: String(PROVIDER_PORT),
+  OIDC_ISSUER: `http://localhost:${PROVIDER_PORT}`,
+  OIDC_CLIENT_ID: 'stackit-test',
+  OIDC_CLIENT_SECRET: '',
+  OIDC_REDIRECT_URI: '',
+  FRONTEND_URL_DEV: FRONTEND,
+});
+
+const { collections, resetDb } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const express = require('express');
+const routes = require('../routes');
+
+const EXPIRED = 'This login has expired. Please try again.';
+const FAILED = 'Login with the identity provider failed. Please try again.';
+
+let provider;
+let baseUrl;
+let server;
+
+test.before(async () => {
+  provider = spawn(
+    process.execPath,
+    [path.join(__dirname, '../scripts/mock-oidc-provider.js')],
+    { env: process.env, stdio: ['ignore', 'pipe', 'inherit'] }
+  );
+  await new Promise((resolve, reject) => {
+    provider.once('exit', code =>
+      reject(new Error(`Mock provider exited with ${code}`))
+    );
+    provider.stdout.on('data', resolve);
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', routes);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (provider) provider.kill();
+});
+
+test.beforeEach(resetDb);
+
+const get = (url, cookie) =>
+  fetch(url, { redirect: 'manual', headers: cookie ? { cookie } : {} });
+
+// The query of where a redirect leads
+const redirectParams = response => {
+  assert.equal(response.status, 302);
+  return new URL(response.headers.get('location')).searchParams;
+};
+
+/**
+ * Start a login and sign in at the mock provider
+ * @returns {Promise<Object>} The login cookie and the callback URL the
+ *   provider sent the browser back to
+ */
+const signInAtProvider = async () => {
+  const start = await get(`${baseUrl}/api/auth/oidc/login?returnTo=/tags`);
+  assert.equal(start.status, 302);
+  const cookie = start.headers
+    .getSetCookie()
+    .map(value => value.split(';')[0])
+    .find(value => value.startsWith('oidc_login='));
+
+  const form = await (await get(start.headers.get('location'))).text();
+  const [, requestId] = /name="request" value="([^"]+)"/.exec(form);
+  const authorize = new URL('/authorize', process.env.OIDC_ISSUER);
+  const approved = await fetch(authorize, {
+    method: 'POST',
+    redirect: 'manual',
+    body: new URLSearchParams({
+      request: requestId,
+      action: 'allow',
+      email: 'jane.doe@example.com',
+      name: 'Jane Doe',
+      email_verified: 'on',
+    }),
+  });
+  return { cookie, callbackUrl: approved.headers.get('location') };
+};
+
+const exchange = code =>
+  fetch(`${baseUrl}/api/auth/oidc/exchange`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code }),
+  });
+
+test('a login through the provider ends in a session, once', async () => {
+  const { cookie, callbackUrl } = await signInAtProvider();
+
+  const callback = redirectParams(await get(callbackUrl, cookie));
+  assert.equal(callback.get('error'), null);
+  const code = callback.get('code');
+
+  const response = await exchange(code);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.ok(body.token);
+  assert.equal(body.returnTo, '/tags');
+  assert.equal(body.user.email, 'jane.doe@example.com');
+
+  const replayed = await exchange(code);
+  assert.equal(replayed.status, 400);
+  assert.equal((await replayed.json()).message, EXPIRED);
+});
+
+test('the callback needs the state and cookie of the login it finishes', async () => {
+  const { cookie, callbackUrl } = await signInAtProvider();
+  const withState = state => {
+    const url = new URL(callbackUrl);
+    url.searchParams.set('state', state);
+    return url.toString();
+  };
+
+  for (const [url, sentCookie] of [
+    [callbackUrl, undefined],
+    [callbackUrl, 'oidc_login=someone-elses'],
+    [withState('made-up'), cookie],
+  ]) {
+    const params = redirectParams(await get(url, sentCookie));
+    assert.equal(params.get('error'), EXPIRED);
+    assert.equal(params.get('code'), null);
+  }
+  assert.equal(collections.session.length, 0);
+});
+
+test('an ID token for another nonce is rejected', async () => {
+  const { cookie, callbackUrl } = await signInAtProvider();
+  // As if the ID token had been issued for a different login
+  collections.oidcLogin[0].nonce = 'another-login';
+
+  const params = redirectParams(await get(callbackUrl, cookie));
+  assert.equal(params.get('error'), FAILED);
+  assert.equal(params.get('code'), null);
+  assert.equal(collections.user.length, 0);
+});
+
+test('the callback cannot be replayed, nor its code used for another login', async () => {
+  const first = await signInAtProvider();
+  assert.ok(
+    redirectParams(await get(first.callbackUrl, first.cookie)).get('code')
+  );
+
+  const replayed = redirectParams(await get(first.callbackUrl, first.cookie));
+  assert.equal(replayed.get('error'), EXPIRED);
+
+  // A fresh login whose callback carries the used authorization code
+  const second = await signInAtProvider();
+  const url = new URL(second.callbackUrl);
+  url.searchParams.set(
+    'code',
+    new URL(first.callbackUrl).searchParams.get('code')
+  );
+  const params = redirectParams(await get(url.toString(), second.cookie));
+  assert.equal(params.get('error'), FAILED);
+  assert.equal(params.get('code'), null);
+});
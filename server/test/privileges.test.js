@@ -0,0 +1,109 @@
+const { resetDb, seed, newUser } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Models = require('../models');
+const PRIVILEGES = require('../config/privileges');
+const { requirePrivilege } = require('../middleware');
+const { getEarnedReputation, getUserPrivileges } = require('../utils');
+
+const DOWNVOTE = PRIVILEGES.downvote.reputation;
+
+// A ledger entry for the user
+const earn = (user, amount, reason = 'upvote') =>
+  seed('reputation', {
+    user: user._id,
+    amount,
+    reason,
+    postType: 'answer',
+    post: new mongoose.Types.ObjectId(),
+  });
+
+// Run the middleware and report whether it let the request through
+const check = async (privilege, user) => {
+  const result = {};
+  const res = {
+    status: code => {
+      result.status = code;
+      return res;
+    },
+    json: body => {
+      result.body = body;
+      return res;
+    },
+  };
+  await requirePrivilege(privilege)(
+    { userId: user._id.toString() },
+    res,
+    () => {
+      result.next = true;
+    }
+  );
+  return result;
+};
+
+// Count ledger lookups made by a function
+const countLookups = async run => {
+  const aggregate = Models.reputation.aggregate;
+  let lookups = 0;
+  Models.reputation.aggregate = (...args) => {
+    lookups++;
+    return aggregate(...args);
+  };
+  try {
+    return { result: await run(), lookups };
+  } finally {
+    Models.reputation.aggregate = aggregate;
+  }
+};
+
+test.beforeEach(resetDb);
+
+test('earned reputation is the ledger total without bounties', async () => {
+  const user = newUser();
+  earn(user, DOWNVOTE - 10);
+  earn(user, 15, 'accept');
+  earn(user, -2, 'downvote');
+  earn(user, -100, 'bounty_offered');
+  earn(user, 50, 'bounty_awarded');
+  earn(newUser(), 1000);
+
+  assert.equal(await getEarnedReputation(user._id), DOWNVOTE + 3);
+  assert.equal(await getEarnedReputation(newUser()._id), 0);
+});
+
+test('requirePrivilege lets users with enough earned reputation through', async () => {
+  const user = newUser({ reputation: 0 });
+  earn(user, DOWNVOTE);
+  earn(user, -DOWNVOTE, 'bounty_offered');
+
+  const { result, lookups } = await countLookups(() => check('downvote', user));
+  assert.equal(result.next, true);
+  assert.equal(lookups, 1);
+});
+
+test('requirePrivilege reports the earned reputation once when it refuses', async () => {
+  const user = newUser({ reputation: DOWNVOTE + 500 });
+  earn(user, DOWNVOTE - 1);
+  earn(user, 501, 'bounty_awarded');
+
+  const { result, lookups } = await countLookups(() => check('downvote', user));
+  assert.equal(result.next, undefined);
+  assert.equal(result.status, 403);
+  assert.equal(result.body.reputation, DOWNVOTE - 1);
+  assert.equal(result.body.requiredReputation, DOWNVOTE);
+  assert.equal(lookups, 1);
+});
+
+test('getUserPrivileges reuses earned reputation it is given', async () => {
+  const user = newUser();
+  const { result, lookups } = await countLookups(() =>
+    getUserPrivileges(user, DOWNVOTE)
+  );
+  assert.equal(lookups, 0);
+  assert.equal(result.find(({ name }) => name === 'downvote').unlocked, true);
+  assert.equal(
+    result.find(({ name }) => name === 'close_vote').unlocked,
+    false
+  );
+});
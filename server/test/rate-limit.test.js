@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { rateLimit } = require('../middleware/rate-limit');
+const { RATE_LIMITS } = require('../config/rate-limit');
+
+const LIMIT = RATE_LIMITS['guest-signup'].perIp;
+
+// A throttled endpoint behind the given trust proxy setting
+const startServer = async trustProxy => {
+  const app = express();
+  app.set('trust proxy', trustProxy);
+  app.post('/guest-signup', rateLimit('guest-signup'), (req, res) =>
+    res.json({ ip: req.ip })
+  );
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    post: headers =>
+      fetch(`http://127.0.0.1:${server.address().port}/guest-signup`, {
+        method: 'POST',
+        headers,
+      }),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+test('a made-up X-Forwarded-For does not get a fresh per-IP limit', async () => {
+  const server = await startServer(false);
+  try {
+    const statuses = [];
+    for (let i = 0; i <= LIMIT; i++) {
+      const response = await server.post({
+        'X-Forwarded-For': `198.51.100.${i}`,
+      });
+      statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [...Array(LIMIT).fill(200), 429]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('behind a trusted proxy the forwarded client address is limited', async () => {
+  const server = await startServer(1);
+  try {
+    const first = await server.post({ 'X-Forwarded-For': '192.0.2.1' });
+    assert.equal((await first.json()).ip, '192.0.2.1');
+
+    for (let i = 1; i < LIMIT; i++) {
+      await server.post({ 'X-Forwarded-For': '192.0.2.1' });
+    }
+    const limited = await server.post({ 'X-Forwarded-For': '192.0.2.1' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    // Another client behind the same proxy has its own limit
+    const other = await server.post({ 'X-Forwarded-For': '192.0.2.2' });
+    assert.equal(other.status, 200);
+  } finally {
+    await server.close();
+  }
+});
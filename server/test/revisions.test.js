@@ -0,0 +1,68 @@
+const { collections, resetDb } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  recordRevision,
+  diffRevisions,
+  renderRevisionBody,
+} = require('../utils');
+
+// An answer written before posts were sanitized
+const UNSAFE_BODY =
+  '<p onclick="alert(1)">Use <a href="javascript:alert(1)">this</a></p>' +
+  '<script>alert(1)</script><img src="x" onerror="alert(1)">';
+
+const revision = body => ({ title: '', tags: [], body, format: 'html' });
+
+test.beforeEach(resetDb);
+
+test('recordRevision stores the original version sanitized', async () => {
+  const answer = {
+    _id: new mongoose.Types.ObjectId(),
+    author: new mongoose.Types.ObjectId(),
+    body: UNSAFE_BODY,
+    createdAt: new Date(),
+  };
+  const edited = { ...answer, body: '<p>Use <strong>this</strong></p>' };
+
+  await recordRevision(
+    'answer',
+    answer,
+    edited,
+    new mongoose.Types.ObjectId(),
+    'Fix'
+  );
+
+  const [original, edit] = collections.revision;
+  assert.equal(original.revision, 1);
+  assert.equal(
+    original.body,
+    '<p>Use <a target="_blank" rel="noopener noreferrer nofollow">this</a></p>'
+  );
+  assert.equal(edit.revision, 2);
+  assert.equal(edit.body, '<p>Use <strong>this</strong></p>');
+});
+
+test('renderRevisionBody sanitizes revisions stored before sanitizing', () => {
+  const html = renderRevisionBody(revision(UNSAFE_BODY));
+  assert.doesNotMatch(html, /script|onclick|onerror|javascript|<img/);
+
+  const markdown = renderRevisionBody({
+    body: UNSAFE_BODY,
+    format: 'markdown',
+    markdown: '**Use** [this](javascript:alert(1))',
+  });
+  assert.doesNotMatch(markdown, /javascript|script/);
+  assert.match(markdown, /<strong>Use<\/strong>/);
+});
+
+test('diffRevisions keeps the change markers and nothing unsafe', () => {
+  const diff = diffRevisions(
+    revision(UNSAFE_BODY),
+    revision('<p onmouseover="alert(1)">Use <em>that</em></p>')
+  );
+  assert.doesNotMatch(diff.body, /script|onclick|onmouseover|onerror|<img/);
+  assert.match(diff.body, /<del>this<\/del>/);
+  assert.match(diff.body, /<ins>that<\/ins>/);
+});
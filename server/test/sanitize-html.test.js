@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sanitizeHTML,
+  sanitizeMarkdownHTML,
+} = require('../utils/sanitize-html');
+const { renderMarkdown } = require('../utils/markdown');
+const payloads = require('./fixtures/xss-payloads.json');
+
+// Elements that run script, load documents or restyle the page
+const UNSAFE_TAGS = [
+  'script',
+  'style',
+  'svg',
+  'math',
+  'iframe',
+  'frame',
+  'object',
+  'embed',
+  'form',
+  'input',
+  'button',
+  'textarea',
+  'select',
+  'details',
+  'video',
+  'audio',
+  'source',
+  'meta',
+  'base',
+  'link',
+  'body',
+  'template',
+  'noscript',
+  'title',
+  'xmp',
+];
+const UNSAFE_SCHEME = /^(javascript|vbscript|data):/i;
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'background', 'xlink:href'];
+
+// Browsers decode entities and drop whitespace and control characters
+// before reading a URL scheme
+const normalizeUrl = value =>
+  value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&(tab|newline);/gi, '')
+    .replace(/[\u0000- ]/g, '');
+
+const TAG = /<([a-z][\w:-]*)([^>]*)>/gi;
+const ATTRIBUTE = /([^\s"'=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Everything in rendered HTML that could run script, in a readable list
+ * @param {string} html
+ * @returns {string[]}
+ */
+const findUnsafe = html => {
+  const problems = [];
+  for (const [, tag, attributes] of html.matchAll(TAG)) {
+    const name = tag.toLowerCase();
+    if (UNSAFE_TAGS.includes(name)) problems.push(`<${name}>`);
+
+    for (const [, attribute, ...values] of attributes.matchAll(ATTRIBUTE)) {
+      const attributeName = attribute.toLowerCase();
+      const value = values.find(v => v !== undefined) || '';
+      if (attributeName.startsWith('on')) {
+        problems.push(`${name}[${attributeName}]`);
+      } else if (
+        URL_ATTRIBUTES.includes(attributeName) &&
+        UNSAFE_SCHEME.test(normalizeUrl(value))
+      ) {
+        problems.push(`${name}[${attributeName}=${value}]`);
+      } else if (
+        attributeName === 'style' &&
+        /expression|url\(|behavior|position/i.test(value)
+      ) {
+        problems.push(`${name}[style=${value}]`);
+      } else if (
+        name === 'img' &&
+        attributeName === 'src' &&
+        !/^https?:\/\//i.test(value)
+      ) {
+        problems.push(`img[src=${value}]`);
+      }
+    }
+  }
+  return problems;
+};
+
+const assertSafe = (render, payload) => {
+  const html = render(payload);
+  assert.deepEqual(findUnsafe(html), [], `${payload}\n  rendered as\n${html}`);
+  // Output that changes when sanitized again could turn into something
+  // else in the browser (mutation XSS)
+  if (render !== renderMarkdown) {
+    assert.equal(render(html), html, `${payload} is not stable`);
+  }
+};
+
+test('sanitizeHTML neutralises every HTML payload', () => {
+  for (const payload of payloads.html) assertSafe(sanitizeHTML, payload);
+});
+
+test('sanitizeMarkdownHTML neutralises every HTML payload', () => {
+  for (const payload of payloads.html) {
+    assertSafe(sanitizeMarkdownHTML, payload);
+  }
+});
+
+test('renderMarkdown neutralises raw HTML and Markdown payloads', () => {
+  for (const payload of [...payloads.html, ...payloads.markdown]) {
+    assertSafe(renderMarkdown, payload);
+  }
+});
+
+test('editor output survives sanitizing unchanged', () => {
+  const html =
+    '<h2 style="text-align:center">Title</h2>' +
+    '<p>Text with <strong>bold</strong>, <em>italic</em> and ' +
+    '<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">a link</a></p>' +
+    '<pre><code class="language-js">const a = 1;</code></pre>' +
+    '<figure><img src="https://example.com/a.png" alt="A" width="200" class="max-w-full" />' +
+    '<figcaption>Caption</figcaption></figure>';
+  assert.equal(sanitizeHTML(html), html);
+});
+
+test('findUnsafe catches what the corpus is meant to catch', () => {
+  assert.deepEqual(findUnsafe('<svg onload=alert(1)>'), [
+    '<svg>',
+    'svg[onload]',
+  ]);
+  assert.deepEqual(
+    findUnsafe(`<a href='&#x6A;avascript&colon;alert(1)'>x</a>`),
+    ['a[href=&#x6A;avascript&colon;alert(1)]']
+  );
+  assert.deepEqual(findUnsafe('<img src="//attacker.example/a.png">'), [
+    'img[src=//attacker.example/a.png]',
+  ]);
+  assert.deepEqual(findUnsafe('<p style="width:expression(alert(1))">'), [
+    'p[style=width:expression(alert(1))]',
+  ]);
+});
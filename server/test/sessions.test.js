@@ -0,0 +1,112 @@
+const { collections, resetDb, newUser } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { SECRET } = require('../config');
+const { REFRESH_REUSE_GRACE_SECONDS } = require('../config/sessions');
+const {
+  createSession,
+  refreshSession,
+  revokeSessionByRefreshToken,
+} = require('../utils/sessions');
+
+const req = {
+  headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0' },
+  ip: '203.0.113.7',
+  socket: { remoteAddress: '203.0.113.7' },
+};
+
+// Pretend the last rotation happened this long ago
+const rotatedSecondsAgo = seconds => {
+  collections.session[0].rotatedAt = new Date(Date.now() - seconds * 1000);
+};
+
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, error => error.code === code);
+
+test.beforeEach(resetDb);
+
+test('createSession stores only a hash of the refresh token', async () => {
+  const user = newUser();
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  const [sessionId, secret] = refreshToken.split('.');
+  const [session] = collections.session;
+  assert.equal(session._id.toString(), sessionId);
+  assert.notEqual(session.tokenHash, secret);
+  assert.equal(session.device, 'Firefox on Linux');
+  assert.ok(expiresIn > 0);
+
+  const payload = jwt.verify(token, SECRET);
+  assert.equal(payload.id, user._id.toString());
+  assert.equal(payload.sid, sessionId);
+});
+
+test('refreshSession rotates the refresh token', async () => {
+  const user = newUser();
+  const first = await createSession(user, req);
+
+  const second = await refreshSession(first.refreshToken, req);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(
+    second.refreshToken.split('.')[0],
+    first.refreshToken.split('.')[0]
+  );
+
+  const third = await refreshSession(second.refreshToken, req);
+  assert.ok(third.token);
+});
+
+test('reusing a rotated token within the grace period is a race, not theft', async () => {
+  const { refreshToken } = await createSession(newUser(), req);
+  const rotated = await refreshSession(refreshToken, req);
+
+  await rejectsWith(refreshSession(refreshToken, req), 'SESSION_RACE');
+  // The session survives a race
+  assert.ok(await refreshSession(rotated.refreshToken, req));
+});
+
+test('reusing a rotated token after the grace period revokes the session', async () => {
+  const { refreshToken } = await createSession(newUser(), req);
+  const rotated = await refreshSession(refreshToken, req);
+  rotatedSecondsAgo(REFRESH_REUSE_GRACE_SECONDS + 1);
+
+  await rejectsWith(refreshSession(refreshToken, req), 'SESSION_REUSED');
+  assert.ok(collections.session[0].revokedAt);
+  // Whoever holds the newest token is signed out as well
+  await rejectsWith(
+    refreshSession(rotated.refreshToken, req),
+    'SESSION_INVALID'
+  );
+});
+
+test('refreshSession rejects malformed, unknown, revoked and expired tokens', async () => {
+  await rejectsWith(refreshSession('not-a-token', req), 'SESSION_INVALID');
+  await rejectsWith(
+    refreshSession(`${new mongoose.Types.ObjectId()}.secret`, req),
+    'SESSION_INVALID'
+  );
+
+  const { refreshToken } = await createSession(newUser(), req);
+  const [sessionId] = refreshToken.split('.');
+  await rejectsWith(
+    refreshSession(`${sessionId}.wrong-secret`, req),
+    'SESSION_INVALID'
+  );
+
+  collections.session[0].expiresAt = new Date(Date.now() - 1000);
+  await rejectsWith(refreshSession(refreshToken, req), 'SESSION_INVALID');
+
+  collections.session[0].expiresAt = new Date(Date.now() + 60 * 1000);
+  assert.equal(await revokeSessionByRefreshToken(refreshToken), true);
+  await rejectsWith(refreshSession(refreshToken, req), 'SESSION_INVALID');
+});
+
+test('guest sessions keep their fixed expiry when refreshed', async () => {
+  const { refreshToken } = await createSession(newUser({ role: 'guest' }), req);
+  const { expiresAt } = collections.session[0];
+
+  await refreshSession(refreshToken, req);
+  assert.equal(collections.session[0].expiresAt.getTime(), expiresAt.getTime());
+});
@@ -0,0 +1,86 @@
+const { collections, resetDb, seed } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const handleMergeTag = require('../routes/tags/merge');
+
+const startServer = async () => {
+  const app = express();
+  app.post('/tags/:id/merge', express.json(), handleMergeTag);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    merge: async (tag, into) => {
+      const response = await fetch(
+        `http://127.0.0.1:${server.address().port}/tags/${tag._id}/merge`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ into }),
+        }
+      );
+      return { status: response.status, body: await response.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+// An approved wiki revision of a tag
+const wikiRevision = (tag, revision, wiki) =>
+  seed('tagEdit', {
+    tag: tag._id,
+    wiki,
+    status: 'approved',
+    revision,
+  });
+
+const editsOf = tag =>
+  collections.tagEdit.filter(edit => edit.tag.equals(tag._id));
+
+let server;
+test.before(async () => {
+  server = await startServer();
+});
+test.after(() => server.close());
+test.beforeEach(resetDb);
+
+test('merging moves the wiki and its history to the target', async () => {
+  const source = seed('tag', { name: 'js', wiki: '<p>JS wiki v2</p>' });
+  const target = seed('tag', { name: 'javascript' });
+  wikiRevision(source, 1, '<p>JS wiki</p>');
+  wikiRevision(source, 2, '<p>JS wiki v2</p>');
+  seed('tagEdit', { tag: source._id, wiki: '<p>Pending</p>' });
+
+  const { status, body } = await server.merge(source, 'javascript');
+  assert.equal(status, 200);
+  assert.equal(body.tag.wiki, '<p>JS wiki v2</p>');
+  assert.deepEqual(body.tag.synonyms, ['js']);
+  assert.equal(editsOf(target).length, 3);
+  assert.equal(editsOf(source).length, 0);
+  assert.equal(collections.tag.length, 1);
+});
+
+test('merging keeps the wiki of the target when the source has none', async () => {
+  const source = seed('tag', { name: 'js' });
+  const target = seed('tag', { name: 'javascript', wiki: '<p>Wiki</p>' });
+  wikiRevision(target, 1, '<p>Wiki</p>');
+
+  const { status, body } = await server.merge(source, 'javascript');
+  assert.equal(status, 200);
+  assert.equal(body.tag.wiki, '<p>Wiki</p>');
+  assert.equal(editsOf(target).length, 1);
+});
+
+test('tags that both have a wiki history are not merged', async () => {
+  const source = seed('tag', { name: 'js' });
+  const target = seed('tag', { name: 'javascript', wiki: '<p>Wiki</p>' });
+  seed('tagEdit', { tag: source._id, wiki: '<p>Pending</p>' });
+  wikiRevision(target, 1, '<p>Wiki</p>');
+
+  const { status } = await server.merge(source, 'javascript');
+  assert.equal(status, 409);
+  assert.equal(collections.tag.length, 2);
+  assert.equal(editsOf(source).length, 1);
+  assert.equal(editsOf(target).length, 1);
+});
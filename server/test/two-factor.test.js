@@ -0,0 +1,160 @@
+const { collections, resetDb, newUser } = require('./helpers/memory-db');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  totpCode,
+  matchTotpStep,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require('../utils/two-factor');
+
+// "12345678901234567890", the secret of RFC 4226 appendix D and RFC 6238
+// appendix B, in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+const currentStep = () => Math.floor(Date.now() / STEP_MS);
+
+const enroll = async (user, step = currentStep()) => {
+  const { secret } = await startTwoFactorEnrollment(user);
+  const recoveryCodes = await confirmTwoFactorEnrollment(
+    user._id,
+    totpCode(secret, step)
+  );
+  return { secret, recoveryCodes };
+};
+
+test.beforeEach(resetDb);
+
+test('HOTP matches the RFC 4226 test vectors', () => {
+  const expected = [
+    '755224',
+    '287082',
+    '359152',
+    '969429',
+    '338314',
+    '254676',
+    '287922',
+    '162583',
+    '399871',
+    '520489',
+  ];
+  expected.forEach((code, counter) =>
+    assert.equal(totpCode(RFC_SECRET, counter), code, `counter ${counter}`)
+  );
+});
+
+test('TOTP matches the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC lists 8 digits; 6-digit codes are their last 6
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ];
+  for (const [seconds, code] of vectors) {
+    assert.equal(
+      matchTotpStep(RFC_SECRET, code.slice(-6), seconds * 1000),
+      Math.floor(seconds / 30),
+      `T=${seconds}`
+    );
+  }
+});
+
+test('TOTP accepts one step of clock drift and nothing more', () => {
+  const now = 1111111109 * 1000;
+  const step = Math.floor(now / STEP_MS);
+  for (const drift of [-1, 0, 1]) {
+    const code = totpCode(RFC_SECRET, step + drift);
+    assert.equal(matchTotpStep(RFC_SECRET, code, now), step + drift);
+  }
+  for (const drift of [-2, 2]) {
+    const code = totpCode(RFC_SECRET, step + drift);
+    assert.equal(matchTotpStep(RFC_SECRET, code, now), null);
+  }
+  assert.equal(matchTotpStep(RFC_SECRET, '12345', now), null);
+  assert.equal(matchTotpStep(RFC_SECRET, 'abcdef', now), null);
+  assert.equal(
+    matchTotpStep(RFC_SECRET, '081 804', now),
+    step,
+    'spaces are ignored'
+  );
+});
+
+test('enrollment needs a valid code from the new secret', async () => {
+  const user = newUser();
+  await assert.rejects(
+    confirmTwoFactorEnrollment(user._id, '000000'),
+    error => error.code === 'TWO_FACTOR_NOT_PENDING'
+  );
+
+  const { secret } = await startTwoFactorEnrollment(user);
+  const wrong = String((Number(totpCode(secret, currentStep())) + 1) % 1e6);
+  await assert.rejects(
+    confirmTwoFactorEnrollment(user._id, wrong.padStart(6, '0')),
+    error => error.code === 'TWO_FACTOR_INVALID_CODE'
+  );
+
+  const recoveryCodes = await confirmTwoFactorEnrollment(
+    user._id,
+    totpCode(secret, currentStep())
+  );
+  assert.equal(recoveryCodes.length, 10);
+  const [stored] = collections.user;
+  assert.equal(stored.twoFactorEnabled, true);
+  // Neither the secret nor the recovery codes are stored in the clear
+  assert.ok(!stored.twoFactorSecret.includes(secret));
+  assert.ok(!stored.twoFactorRecoveryCodes.includes(recoveryCodes[0]));
+});
+
+test('each authenticator code is accepted once', async () => {
+  const user = newUser();
+  const step = currentStep();
+  const { secret } = await enroll(user, step);
+  // Enrolling used up its step
+  assert.equal(
+    await verifyTwoFactorCode(user._id, totpCode(secret, step)),
+    false
+  );
+
+  const next = totpCode(secret, step + 1);
+  assert.equal(await verifyTwoFactorCode(user._id, next), true);
+  assert.equal(await verifyTwoFactorCode(user._id, next), false);
+});
+
+test('recovery codes work once each, in any formatting', async () => {
+  const user = newUser();
+  const { recoveryCodes } = await enroll(user);
+  const [first, second] = recoveryCodes;
+
+  assert.equal(await useRecoveryCode(user._id, first), true);
+  assert.equal(await useRecoveryCode(user._id, first), false);
+  assert.equal(
+    await useRecoveryCode(user._id, second.replace('-', '').toUpperCase()),
+    true
+  );
+  assert.equal(await useRecoveryCode(user._id, 'aaaaa-bbbbb'), false);
+  assert.equal(await countRecoveryCodes(user._id), 8);
+
+  const fresh = await regenerateRecoveryCodes(user._id);
+  assert.equal(await countRecoveryCodes(user._id), 10);
+  assert.equal(await useRecoveryCode(user._id, recoveryCodes[2]), false);
+  assert.equal(await useRecoveryCode(user._id, fresh[0]), true);
+});
+
+test('challenge tokens only work for their purpose', () => {
+  const token = signTwoFactorChallenge('65f000000000000000000001', 'verify');
+  assert.equal(
+    verifyTwoFactorChallenge(token, 'verify'),
+    '65f000000000000000000001'
+  );
+  assert.equal(verifyTwoFactorChallenge(token, 'enroll'), null);
+  assert.equal(verifyTwoFactorChallenge(`${token}x`, 'verify'), null);
+});
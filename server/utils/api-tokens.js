@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Models = require('../models');
+const { insertNewDocument, findOne, find } = require('../helpers');
+const { clientIp } = require('./sessions');
+const {
+  MAX_API_TOKENS_PER_USER,
+  API_TOKEN_PREFIX,
+  API_TOKEN_TOUCH_INTERVAL_MINUTES,
+  API_TOKEN_ROUTE_SCOPES,
+} = require('../config/api-tokens');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const apiTokenError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashApiToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Whether a bearer token is a personal access token rather than a JWT
+ * @param {string} token
+ * @returns {boolean}
+ */
+const isApiToken = token =>
+  typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+/**
+ * Scopes an API token needs to call an endpoint, any one of them is enough
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path, e.g. /api/questions/123
+ * @returns {string[]} Empty if the endpoint does not accept API tokens
+ */
+const apiTokenScopesFor = (method, path) => {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  // Express routes ignore case, so /api/Admin reaches the admin routes; the
+  // lowercase rules must see the path the same way
+  const routePath = path.toLowerCase();
+  const rule = API_TOKEN_ROUTE_SCOPES.find(
+    ({ method: ruleMethod, path: pattern }) =>
+      (!ruleMethod || ruleMethod === verb) && pattern.test(routePath)
+  );
+  return rule ? rule.scopes : [];
+};
+
+/**
+ * Create a personal access token
+ * @param {string} userId
+ * @param {Object} options - name, scopes and expiresInDays
+ * @returns {Promise<Object>} token (shown to the user once) and apiToken
+ * @throws {Error} code API_TOKEN_LIMIT when the user has too many tokens
+ */
+const createApiToken = async (userId, { name, scopes, expiresInDays }) => {
+  const activeCount = await Models.apiToken.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeCount >= MAX_API_TOKENS_PER_USER) {
+    throw apiTokenError(
+      'API_TOKEN_LIMIT',
+      `You can have at most ${MAX_API_TOKENS_PER_USER} active API tokens. Revoke one first.`
+    );
+  }
+
+  const token = `${API_TOKEN_PREFIX}${crypto
+    .randomBytes(32)
+    .toString('base64url')}`;
+  const apiToken = await insertNewDocument('apiToken', {
+    user: userId,
+    name,
+    tokenHash: hashApiToken(token),
+    prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS),
+  });
+
+  return { token, apiToken };
+};
+
+/**
+ * Look up a personal access token for a request and note its use
+ * @param {string} token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} The token document, or null if the token
+ *   is unknown, expired or revoked
+ */
+const findActiveApiToken = async (token, req) => {
+  const now = new Date();
+  const apiToken = await findOne('apiToken', {
+    tokenHash: hashApiToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+
+  const touchBefore =
+    now.getTime() - API_TOKEN_TOUCH_INTERVAL_MINUTES * MINUTE_MS;
+  if (
+    apiToken &&
+    (!apiToken.lastUsedAt || apiToken.lastUsedAt.getTime() < touchBefore)
+  ) {
+    await Models.apiToken.updateOne(
+      { _id: apiToken._id },
+      { $set: { lastUsedAt: now, lastUsedIp: clientIp(req) } }
+    );
+  }
+
+  return apiToken;
+};
+
+/**
+ * A user's active personal access tokens, newest first
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listApiTokens = async userId => {
+  const apiTokens = await find('apiToken', {
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return apiTokens.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Revoke one of a user's personal access tokens
+ * @param {string} userId
+ * @param {string} tokenId
+ * @returns {Promise<boolean>} Whether a token was revoked
+ */
+const revokeApiToken = async (userId, tokenId) => {
+  const result = await Models.apiToken.updateOne(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  isApiToken,
+  apiTokenScopesFor,
+  createApiToken,
+  findActiveApiToken,
+  listApiTokens,
+  revokeApiToken,
+};
@@ -0,0 +1,50 @@
+const { LANGUAGE_ALIASES, LANGUAGE_TAGS } = require('../config/code-languages');
+
+// class attribute of a <code> element in sanitized HTML
+const CODE_CLASS = /<code\b[^>]*?\sclass="([^"]*)"/gi;
+const LANGUAGE_CLASS = /(?:^|\s)language-([^\s]+)/;
+
+/**
+ * Canonical language id for a code block language or alias
+ * @param {string} language - e.g. "js", "TypeScript", "c++"
+ * @returns {string} highlight.js language id
+ */
+const normalizeLanguage = (language = '') => {
+  const id = language.trim().toLowerCase();
+  return LANGUAGE_ALIASES[id] || id;
+};
+
+/**
+ * Languages of the code blocks in a post, in order of first use
+ * @param {string} html - Sanitized post HTML
+ * @returns {string[]} Unique language ids
+ */
+const codeLanguages = (html = '') => {
+  const languages = new Set();
+  for (const [, className] of html.matchAll(CODE_CLASS)) {
+    const match = className.match(LANGUAGE_CLASS);
+    if (match) languages.add(normalizeLanguage(match[1]));
+  }
+  return [...languages];
+};
+
+/**
+ * Tags to suggest for a question from the languages of its code blocks
+ * @param {string[]} languages - Language ids from codeLanguages
+ * @param {string[]} tags - Tags the question already has
+ * @returns {string[]} Suggested tag names, at most 5
+ */
+const suggestTagsForLanguages = (languages = [], tags = []) => {
+  const taken = new Set(tags.map(tag => tag.toLowerCase().trim()));
+  const suggestions = [];
+  for (const language of languages) {
+    const tag = language in LANGUAGE_TAGS ? LANGUAGE_TAGS[language] : language;
+    if (tag && tag.length <= 20 && !taken.has(tag)) {
+      taken.add(tag);
+      suggestions.push(tag);
+    }
+  }
+  return suggestions.slice(0, 5);
+};
+
+module.exports = { normalizeLanguage, codeLanguages, suggestTagsForLanguages };
@@ -0,0 +1,63 @@
+const { FEED_WATCHED_TAG_BOOST, FEED_GRAVITY } = require('../config/feed');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Aggregation stages that drop questions in ignored tags and rank the rest
+ * for a user's feed. The score grows with votes and with every watched tag
+ * on the question, and decays with age, so fresh questions in watched tags
+ * come first without old ones sticking to the top forever.
+ * Adds `watchedTags` (the question's tags the user watches) and `feedScore`.
+ * @param {Object} preferences
+ * @param {string[]} preferences.watchedTags
+ * @param {string[]} preferences.ignoredTags
+ * @param {Date} now - Reference time for the age decay
+ * @returns {Array} Pipeline stages, sorted by score
+ */
+const buildFeedStages = ({ watchedTags = [], ignoredTags = [] }, now) => [
+  ...(ignoredTags.length > 0
+    ? [{ $match: { tags: { $nin: ignoredTags } } }]
+    : []),
+  {
+    $addFields: {
+      watchedTags: { $setIntersection: ['$tags', watchedTags] },
+      voteScore: {
+        $subtract: [
+          { $size: { $ifNull: ['$upvotes', []] } },
+          { $size: { $ifNull: ['$downvotes', []] } },
+        ],
+      },
+      ageHours: {
+        $divide: [{ $subtract: [now, '$createdAt'] }, HOUR_MS],
+      },
+    },
+  },
+  {
+    $addFields: {
+      feedScore: {
+        $divide: [
+          {
+            $multiply: [
+              {
+                $add: [
+                  1,
+                  {
+                    $multiply: [
+                      { $size: '$watchedTags' },
+                      FEED_WATCHED_TAG_BOOST,
+                    ],
+                  },
+                ],
+              },
+              { $add: [1, { $max: ['$voteScore', 0] }] },
+            ],
+          },
+          { $pow: [{ $add: [{ $max: ['$ageHours', 0] }, 2] }, FEED_GRAVITY] },
+        ],
+      },
+    },
+  },
+  { $sort: { feedScore: -1, createdAt: -1 } },
+];
+
+module.exports = { buildFeedStages };
@@ -0,0 +1,63 @@
+const { diffArrays, diffWords } = require('diff');
+
+// Split HTML into tags, words and whitespace so edits are diffed per word
+const tokenize = html => html.match(/<[^>]+>|[^<\s]+|\s+/g) || [];
+
+const isTag = token => token.startsWith('<');
+
+/**
+ * Build an HTML diff between two versions of HTML content.
+ * Removed words are wrapped in <del> and added words in <ins>; markup from
+ * the new version is kept so the result renders like the new content.
+ * @param {string} oldHtml - Previous HTML
+ * @param {string} newHtml - New HTML
+ * @returns {string} HTML with <ins>/<del> markers
+ */
+const htmlDiff = (oldHtml = '', newHtml = '') => {
+  const changes = diffArrays(tokenize(oldHtml), tokenize(newHtml));
+
+  return changes
+    .map(change => {
+      if (!change.added && !change.removed) {
+        return change.value.join('');
+      }
+
+      // Tags that only existed in the old version are dropped
+      if (change.removed) {
+        const text = change.value.filter(token => !isTag(token)).join('');
+        return text.trim() ? `<del>${text}</del>` : '';
+      }
+
+      return change.value
+        .map(token =>
+          isTag(token) || !token.trim() ? token : `<ins>${token}</ins>`
+        )
+        .join('');
+    })
+    .join('');
+};
+
+const escapeHTML = text =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Build an HTML diff between two plain-text strings (e.g. titles)
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {string} Escaped HTML with <ins>/<del> markers
+ */
+const textDiff = (oldText = '', newText = '') =>
+  diffWords(oldText, newText)
+    .map(change => {
+      const value = escapeHTML(change.value);
+      if (change.added) return `<ins>${value}</ins>`;
+      if (change.removed) return `<del>${value}</del>`;
+      return value;
+    })
+    .join('');
+
+module.exports = { htmlDiff, textDiff };
@@ -1,7 +1,121 @@
-const { insertNewDocument, findOne } = require('../helpers');
+const {
+  insertNewDocument,
+  findOne,
+  find,
+  customUpdate,
+  updateDocument,
+  deleteDocument,
+} = require('../helpers');
+const Models = require('../models');
+const { publish, hasSubscribers } = require('../lib/live-events');
+const { deleteImage } = require('../lib/storage');
+const PRIVILEGES = require('../config/privileges');
+const { htmlDiff, textDiff } = require('./html-diff');
+const { sanitizeHTML, sanitizeDiffHTML } = require('./sanitize-html');
+const {
+  POST_FORMATS,
+  renderMarkdown,
+  htmlToMarkdown,
+  renderPostContent,
+  convertPostContent,
+} = require('./markdown');
+const {
+  normalizeLanguage,
+  codeLanguages,
+  suggestTagsForLanguages,
+} = require('./code-languages');
+const {
+  normalizeTag,
+  resolveTags,
+  resolveTag,
+  findTagByNameOrSynonym,
+  rewriteQuestionTags,
+  rewriteTagPreferences,
+} = require('./tag-synonyms');
+const {
+  parseSearchQuery,
+  hasTextSearch,
+  buildSearchFilter,
+  buildHighlights,
+} = require('./search-query');
+const { buildFeedStages } = require('./feed');
+const {
+  clientIp,
+  describeUserAgent,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  findActiveSession,
+  createStreamTicket,
+  redeemStreamTicket,
+} = require('./sessions');
+const {
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require('./two-factor');
+const {
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  adminUnlockAccount,
+} = require('./lockout');
+const {
+  isApiToken,
+  apiTokenScopesFor,
+  createApiToken,
+  findActiveApiToken,
+  listApiTokens,
+  revokeApiToken,
+} = require('./api-tokens');
+const { findOrCreateOidcUser } = require('./oidc');
+
+// Reputation awarded per vote received and per accepted answer
+const REPUTATION_POINTS = {
+  vote: 10,
+  accept: 15,
+};
+
+// Ledger entries that move points between users rather than being earned
+// from posts; recalculateReputation keeps them as they are
+const BOUNTY_REASONS = ['bounty_offered', 'bounty_awarded', 'bounty_refunded'];
+
+/**
+ * Live event channel that carries a user's new notifications
+ * @param {string} userId - User ID
+ * @returns {string} Channel name
+ */
+const notificationChannel = userId => `user:${userId}`;
+
+/**
+ * Live event channel for readers of a question page
+ * @param {string} questionId - Question ID
+ * @returns {string} Channel name
+ */
+const questionChannel = questionId => `question:${questionId}`;
 
 /**
- * Create a notification for a user
+ * Broadcast an answer, vote or accept event to readers of a question
+ * @param {string} questionId - Question ID
+ * @param {string} event - answer_created, answer_updated, answer_deleted, vote or accept
+ * @param {Object} data - Event payload
+ */
+const publishQuestionEvent = (questionId, event, data) => {
+  publish(questionChannel(questionId), event, data);
+};
+
+/**
+ * Create a notification for a user and push it to their open streams
  * @param {Object} notificationData - Notification data
  * @param {string} notificationData.user - User ID to notify
  * @param {string} notificationData.type - Type of notification (answer, comment, mention)
@@ -18,6 +132,16 @@ const createNotification = async notificationData => {
       isRead: false,
     });
 
+    // Push to the user's open notification streams
+    const channel = notificationChannel(notificationData.user);
+    if (hasSubscribers(channel)) {
+      const unreadCount = await Models.notification.countDocuments({
+        user: notificationData.user,
+        isRead: false,
+      });
+      publish(channel, 'notification', { notification, unreadCount });
+    }
+
     return notification;
   } catch (error) {
     console.error('Error creating notification:', error);
@@ -62,20 +186,6 @@ const createMentionNotifications = async (content, authorId, link) => {
   }
 };
 
-/**
- * Sanitize HTML content to prevent XSS attacks
- * @param {string} html - HTML content to sanitize
- * @returns {string} Sanitized HTML
- */
-const sanitizeHTML = html => {
-  // Basic HTML sanitization - in production, use a library like DOMPurify
-  return html
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-    .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-    .replace(/javascript:/gi, '')
-    .replace(/on\w+\s*=/gi, '');
-};
-
 /**
  * Generate a unique slug for questions
  * @param {string} title - Question title
@@ -97,13 +207,842 @@ const generateSlug = title => {
  * @returns {number} Reputation score
  */
 const calculateReputation = (upvotes, downvotes) => {
-  return (upvotes.length - downvotes.length) * 10;
+  return (upvotes.length - downvotes.length) * REPUTATION_POINTS.vote;
+};
+
+/**
+ * Record a reputation change in the ledger only, for a change already
+ * applied to the user's balance
+ * @param {Object} change - Reputation change, as for adjustReputation
+ * @returns {Object} Ledger entry
+ */
+const recordReputation = change =>
+  insertNewDocument('reputation', {
+    user: change.user,
+    amount: change.amount,
+    reason: change.reason,
+    postType: change.postType,
+    post: change.post,
+    actor: change.actor || null,
+  });
+
+/**
+ * Record a reputation change in the ledger and apply it to the user
+ * @param {Object} change - Reputation change
+ * @param {string} change.user - User ID whose reputation changes
+ * @param {number} change.amount - Points to add (negative to subtract)
+ * @param {string} change.reason - Ledger reason (upvote, accept, ...)
+ * @param {string} change.postType - 'question' or 'answer'
+ * @param {string} change.post - ID of the related question or answer
+ * @param {string} change.actor - ID of the user who caused the change
+ */
+const adjustReputation = async change => {
+  if (!change.amount) return null;
+
+  try {
+    const entry = await recordReputation(change);
+
+    await customUpdate(
+      'user',
+      { _id: change.user },
+      { $inc: { reputation: change.amount } }
+    );
+
+    return entry;
+  } catch (error) {
+    console.error('Error adjusting reputation:', error);
+    return null;
+  }
+};
+
+/**
+ * Apply the reputation effect of a vote on a question or answer
+ * @param {Object} vote - Vote details
+ * @param {string} vote.author - ID of the post author
+ * @param {string} vote.actor - ID of the voter
+ * @param {string} vote.postType - 'question' or 'answer'
+ * @param {string} vote.post - ID of the voted post
+ * @param {string} vote.voteType - 'upvote' or 'downvote'
+ * @param {boolean} vote.hasVoted - The voter had already cast this vote (toggle off)
+ * @param {boolean} vote.hasOppositeVote - The voter had cast the opposite vote
+ */
+const applyVoteReputation = async vote => {
+  const isUpvote = vote.voteType === 'upvote';
+  const points = isUpvote ? REPUTATION_POINTS.vote : -REPUTATION_POINTS.vote;
+  const base = {
+    user: vote.author,
+    postType: vote.postType,
+    post: vote.post,
+    actor: vote.actor,
+  };
+
+  if (vote.hasVoted) {
+    return adjustReputation({
+      ...base,
+      amount: -points,
+      reason: `${vote.voteType}_removed`,
+    });
+  }
+
+  if (vote.hasOppositeVote) {
+    await adjustReputation({
+      ...base,
+      amount: points,
+      reason: isUpvote ? 'downvote_removed' : 'upvote_removed',
+    });
+  }
+
+  return adjustReputation({ ...base, amount: points, reason: vote.voteType });
+};
+
+/**
+ * Take back the reputation a question or answer earned before deleting it
+ * @param {Object} post - Question or answer document
+ * @param {string} postType - 'question' or 'answer'
+ * @param {string} questionAuthorId - Author of the question (for answers)
+ */
+const revokePostReputation = async (post, postType, questionAuthorId) => {
+  let earned = calculateReputation(post.upvotes || [], post.downvotes || []);
+  if (
+    postType === 'answer' &&
+    post.isAccepted &&
+    post.author.toString() !== String(questionAuthorId)
+  ) {
+    earned += REPUTATION_POINTS.accept;
+  }
+
+  return adjustReputation({
+    user: post.author,
+    amount: -earned,
+    reason: 'post_deleted',
+    postType,
+    post: post._id,
+  });
+};
+
+/**
+ * Ledger entries and score a user has earned from their current posts:
+ * votes received and accepted answers
+ * @param {string} userId - User ID
+ * @returns {Object} Earned reputation and the ledger entries behind it
+ */
+const collectEarnedReputation = async userId => {
+  const questions = await find('question', { author: userId });
+  const answers = await find('answer', { author: userId });
+
+  // Accepting your own answer earns nothing
+  const acceptedAnswers = answers.filter(answer => answer.isAccepted);
+  const acceptedQuestions = await find('question', {
+    _id: { $in: acceptedAnswers.map(answer => answer.question) },
+    author: { $ne: userId },
+  });
+  const acceptedQuestionIds = acceptedQuestions.map(question =>
+    question._id.toString()
+  );
+
+  const entries = [];
+  let reputation = 0;
+
+  const addVoteEntries = (post, postType) => {
+    reputation += calculateReputation(post.upvotes, post.downvotes);
+    post.upvotes.forEach(voter =>
+      entries.push({
+        user: userId,
+        amount: REPUTATION_POINTS.vote,
+        reason: 'upvote',
+        postType,
+        post: post._id,
+        actor: voter,
+      })
+    );
+    post.downvotes.forEach(voter =>
+      entries.push({
+        user: userId,
+        amount: -REPUTATION_POINTS.vote,
+        reason: 'downvote',
+        postType,
+        post: post._id,
+        actor: voter,
+      })
+    );
+  };
+
+  questions.forEach(question => addVoteEntries(question, 'question'));
+  answers.forEach(answer => addVoteEntries(answer, 'answer'));
+
+  acceptedAnswers
+    .filter(answer => acceptedQuestionIds.includes(answer.question.toString()))
+    .forEach(answer => {
+      reputation += REPUTATION_POINTS.accept;
+      entries.push({
+        user: userId,
+        amount: REPUTATION_POINTS.accept,
+        reason: 'accept',
+        postType: 'answer',
+        post: answer._id,
+        actor: acceptedQuestions.find(
+          question => question._id.toString() === answer.question.toString()
+        ).author,
+      });
+    });
+
+  return { reputation, entries };
+};
+
+/**
+ * Reputation a user has earned from votes and accepted answers: the running
+ * total of their ledger without bounty transfers. Unlike the stored balance
+ * it ignores bounties, so spending points never costs a privilege
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Earned reputation
+ */
+const getEarnedReputation = async userId => {
+  const [total] = await Models.reputation.aggregate([
+    {
+      $match: {
+        user: new Models.mongoose.Types.ObjectId(String(userId)),
+        reason: { $nin: BOUNTY_REASONS },
+      },
+    },
+    { $group: { _id: null, reputation: { $sum: '$amount' } } },
+  ]);
+  return total ? total.reputation : 0;
+};
+
+/**
+ * Rebuild a user's reputation ledger and score from their current posts.
+ * Bounty transfers are kept since they cannot be derived from posts
+ * @param {string} userId - User ID
+ * @returns {number} Recalculated reputation
+ */
+const recalculateReputation = async userId => {
+  const { reputation: earned, entries } = await collectEarnedReputation(userId);
+  const bountyEntries = await find('reputation', {
+    user: userId,
+    reason: { $in: BOUNTY_REASONS },
+  });
+  const reputation = bountyEntries.reduce(
+    (sum, entry) => sum + entry.amount,
+    earned
+  );
+
+  await Models.reputation.deleteMany({
+    user: userId,
+    reason: { $nin: BOUNTY_REASONS },
+  });
+  if (entries.length > 0) {
+    await Models.reputation.insertMany(entries);
+  }
+  await customUpdate('user', { _id: userId }, { $set: { reputation } });
+
+  return reputation;
+};
+
+/**
+ * Check whether a user holds a privilege with a given earned reputation
+ * @param {Object} user - User document
+ * @param {string} privilege - Privilege name from config/privileges
+ * @param {number} earned - Earned reputation of the user
+ * @returns {boolean} True if the user holds the privilege
+ */
+const meetsPrivilege = (user, privilege, earned) => {
+  if (!user || !PRIVILEGES[privilege]) return false;
+  if (user.role === 'admin') return true;
+  if (user.role === 'guest') return false;
+  return earned >= PRIVILEGES[privilege].reputation;
+};
+
+// Admins and guests do not need their earned reputation looked up
+const needsEarnedReputation = user =>
+  !!user && user.role !== 'admin' && user.role !== 'guest';
+
+// Earned reputation of a user, unless the caller already has it
+const resolveEarnedReputation = async (user, earned) => {
+  if (earned !== undefined) return earned;
+  return needsEarnedReputation(user) ? getEarnedReputation(user._id) : 0;
+};
+
+/**
+ * Check whether a user has earned a privilege
+ * @param {Object} user - User document
+ * @param {string} privilege - Privilege name from config/privileges
+ * @param {number} [earned] - Earned reputation, if already looked up
+ * @returns {Promise<boolean>} True if the user holds the privilege
+ */
+const hasPrivilege = async (user, privilege, earned) =>
+  meetsPrivilege(user, privilege, await resolveEarnedReputation(user, earned));
+
+/**
+ * List every privilege with whether the user has unlocked it
+ * @param {Object} user - User document
+ * @param {number} [earnedReputation] - Earned reputation, if already looked up
+ * @returns {Promise<Array>} Privileges with name, reputation, description and unlocked
+ */
+const getUserPrivileges = async (user, earnedReputation) => {
+  const earned = await resolveEarnedReputation(user, earnedReputation);
+  return Object.entries(PRIVILEGES).map(([name, privilege]) => ({
+    name,
+    reputation: privilege.reputation,
+    description: privilege.description,
+    unlocked: meetsPrivilege(user, name, earned),
+  }));
+};
+
+/**
+ * The body of a revision as safe HTML. Posts and revisions saved before
+ * posts were sanitized may still hold unsafe HTML, so it is rendered again
+ * @param {Object} revision - Revision, or content from getRevisionContent
+ * @returns {string} Safe HTML
+ */
+const renderRevisionBody = revision => {
+  const format = revision.format || 'html';
+  return renderPostContent(
+    (format === 'markdown' ? revision.markdown : revision.body) || '',
+    format
+  ).html;
+};
+
+/**
+ * Snapshot the versioned fields of a question or answer
+ * @param {string} postType - 'question' or 'answer'
+ * @param {Object} post - Question or answer document
+ * @returns {Object} Title, tags, body and format of the post
+ */
+const getRevisionContent = (postType, post) => {
+  const format = post.format || 'html';
+  const markdown = post.markdown || '';
+  return {
+    title: postType === 'question' ? post.title : '',
+    tags: postType === 'question' ? [...post.tags] : [],
+    body: renderRevisionBody({
+      body: postType === 'question' ? post.description : post.body,
+      format,
+      markdown,
+    }),
+    format,
+    markdown,
+  };
+};
+
+/**
+ * Store a revision for an edited question or answer. The first edit of a
+ * post also stores the original content as revision 1.
+ * @param {string} postType - 'question' or 'answer'
+ * @param {Object} previous - Post document before the edit
+ * @param {Object} updated - Post document after the edit
+ * @param {string} editorId - ID of the user who made the edit
+ * @param {string} editSummary - Short description of the edit
+ */
+const recordRevision = async (
+  postType,
+  previous,
+  updated,
+  editorId,
+  editSummary
+) => {
+  try {
+    const latest = await Models.revision
+      .findOne({ postType, post: updated._id })
+      .sort({ revision: -1 });
+
+    const revision = latest ? latest.revision : 1;
+    if (!latest) {
+      await insertNewDocument('revision', {
+        postType,
+        post: previous._id,
+        revision: 1,
+        author: previous.author,
+        ...getRevisionContent(postType, previous),
+        createdAt: previous.createdAt,
+      });
+    }
+
+    return await insertNewDocument('revision', {
+      postType,
+      post: updated._id,
+      revision: revision + 1,
+      author: editorId,
+      editSummary: editSummary || '',
+      ...getRevisionContent(postType, updated),
+    });
+  } catch (error) {
+    console.error('Error recording revision:', error);
+    return null;
+  }
+};
+
+/**
+ * Describe the changes between two revisions as HTML diffs
+ * @param {Object} previous - Older revision (or null for the original)
+ * @param {Object} current - Newer revision
+ * @returns {Object|null} Title and body diffs plus added and removed tags
+ */
+const diffRevisions = (previous, current) => {
+  if (!previous) return null;
+
+  return {
+    title: textDiff(previous.title, current.title),
+    body: sanitizeDiffHTML(
+      htmlDiff(renderRevisionBody(previous), renderRevisionBody(current))
+    ),
+    tagsAdded: current.tags.filter(tag => !previous.tags.includes(tag)),
+    tagsRemoved: previous.tags.filter(tag => !current.tags.includes(tag)),
+  };
+};
+
+/**
+ * Describe the changes between two tag wiki revisions as HTML diffs
+ * @param {Object} previous - Older approved tag edit (or null for the first)
+ * @param {Object} current - Newer approved tag edit
+ * @returns {Object|null} Excerpt and wiki diffs
+ */
+const diffTagEdits = (previous, current) => {
+  if (!previous) return null;
+
+  return {
+    description: textDiff(previous.description, current.description),
+    wiki: htmlDiff(previous.wiki, current.wiki),
+  };
+};
+
+/**
+ * Find the tag shown on a tag page. Tags that are only used on questions
+ * have no document until someone first edits their wiki
+ * @param {string} name - Tag name or synonym
+ * @param {Object} options
+ * @param {boolean} options.create - Create the document for a tag in use
+ * @returns {Promise<Object|null>} Tag document
+ */
+const findPageTag = async (name, { create = false } = {}) => {
+  const tagName = normalizeTag(name);
+  const tag = await findTagByNameOrSynonym(tagName);
+  if (tag || !create) return tag;
+
+  const inUse = await Models.question.exists({ tags: tagName });
+  return inUse ? insertNewDocument('tag', { name: tagName }) : null;
+};
+
+/**
+ * Apply an approved tag edit: number it as the next wiki revision and copy
+ * its excerpt and wiki to the tag. The first edit of a tag with content
+ * also stores that content as revision 1.
+ * @param {Object} tag - Tag document
+ * @param {Object} edit - Tag edit to apply
+ * @param {string} reviewerId - User approving the edit
+ * @returns {Promise<Object>} Updated tag
+ */
+const applyTagEdit = async (tag, edit, reviewerId) => {
+  const latest = await Models.tagEdit
+    .findOne({ tag: tag._id, status: 'approved' })
+    .sort({ revision: -1 });
+
+  let revision = latest ? latest.revision : 0;
+  if (!latest && (tag.description || tag.wiki)) {
+    revision = 1;
+    await insertNewDocument('tagEdit', {
+      tag: tag._id,
+      description: tag.description,
+      wiki: tag.wiki,
+      status: 'approved',
+      revision,
+      createdAt: tag.createdAt,
+    });
+  }
+
+  await updateDocument(
+    'tagEdit',
+    { _id: edit._id },
+    {
+      status: 'approved',
+      revision: revision + 1,
+      reviewedBy: reviewerId,
+      reviewedAt: new Date(),
+    }
+  );
+
+  return updateDocument(
+    'tag',
+    { _id: tag._id },
+    { description: edit.description, wiki: edit.wiki }
+  );
+};
+
+/**
+ * Resolve community close votes: the most common reason wins and, for
+ * duplicates, the most common target. Ties go to the earliest vote.
+ * @param {Array} votes - closeVotes of a question
+ * @returns {{ reason: string, duplicateOf: string|null }}
+ */
+const resolveCloseVotes = votes => {
+  const mostCommon = values => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    let best = null;
+    counts.forEach((count, value) => {
+      if (best === null || count > counts.get(best)) best = value;
+    });
+    return best;
+  };
+
+  const reason = mostCommon(votes.map(vote => vote.reason));
+  const duplicateOf =
+    reason === 'duplicate'
+      ? mostCommon(
+          votes
+            .filter(vote => vote.reason === 'duplicate')
+            .map(vote => vote.duplicateOf.toString())
+        )
+      : null;
+
+  return { reason, duplicateOf };
+};
+
+/**
+ * Close status fields of a question for API responses; votes are reduced
+ * to the ids of the voters
+ * @param {Object} question - Question document
+ * @returns {Object}
+ */
+const getCloseState = question => ({
+  status: question.status || 'open',
+  closeReason: question.closeReason || null,
+  duplicateOf: question.duplicateOf || null,
+  closedAt: question.closedAt || null,
+  closeVotes: (question.closeVotes || []).map(vote => vote.user),
+  reopenVotes: (question.reopenVotes || []).map(vote => vote.user),
+});
+
+/**
+ * Notify everyone watching a question's bounty
+ * @param {Object} question - Question document
+ * @param {string} message - Notification message
+ * @param {string} link - Link to the question or answer
+ * @param {Array} excludeIds - Users that get their own notification
+ */
+const notifyBountyWatchers = async (
+  question,
+  message,
+  link,
+  excludeIds = []
+) => {
+  const excluded = excludeIds.map(String);
+  const watchers = (question.bountyWatchers || []).filter(
+    watcher => !excluded.includes(watcher.toString())
+  );
+
+  for (const watcher of watchers) {
+    await createNotification({ user: watcher, type: 'bounty', message, link });
+  }
+};
+
+/**
+ * Notify users who opted in to hear about new questions in their watched
+ * tags. Users ignoring one of the question's tags are skipped.
+ * @param {Object} question - Newly created question
+ */
+const notifyTagWatchers = async question => {
+  try {
+    const { tags = [] } = question;
+    if (tags.length === 0) return;
+
+    const watchers = await Models.user
+      .find({
+        _id: { $ne: question.author },
+        notifyWatchedTags: true,
+        watchedTags: { $in: tags },
+        ignoredTags: { $nin: tags },
+      })
+      .select('watchedTags')
+      .lean();
+
+    for (const watcher of watchers) {
+      const tag = tags.find(name => watcher.watchedTags.includes(name));
+      await createNotification({
+        user: watcher._id,
+        type: 'watched_tag',
+        message: `New question in [${tag}]: ${question.title}`,
+        link: `/questions/${question._id}`,
+      });
+    }
+  } catch (error) {
+    console.error('Error notifying tag watchers:', error);
+  }
+};
+
+/**
+ * Award a question's active bounty to an answer.
+ * Claims the bounty atomically so an accept and the expiry job cannot both
+ * pay it out.
+ * @param {Object} question - Question document with an active bounty
+ * @param {Object} answer - Winning answer
+ * @returns {Object|null} Updated question, or null if the bounty was not active
+ */
+const awardBounty = async (question, answer) => {
+  const awarded = await Models.question.findOneAndUpdate(
+    { _id: question._id, 'bounty.status': 'active' },
+    {
+      $set: {
+        'bounty.status': 'awarded',
+        'bounty.awardedTo': answer._id,
+        'bounty.awardedAt': new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!awarded) return null;
+
+  const { amount, offeredBy } = awarded.bounty;
+  const link = `/questions/${question._id}#answer-${answer._id}`;
+
+  await adjustReputation({
+    user: answer.author,
+    amount,
+    reason: 'bounty_awarded',
+    postType: 'answer',
+    post: answer._id,
+    actor: offeredBy,
+  });
+
+  await createNotification({
+    user: answer.author,
+    type: 'bounty',
+    message: `Your answer to "${question.title}" was awarded a +${amount} bounty`,
+    link,
+  });
+  await notifyBountyWatchers(
+    awarded,
+    `The +${amount} bounty on "${question.title}" was awarded`,
+    link,
+    [answer.author]
+  );
+
+  return awarded;
+};
+
+/**
+ * Mark pending flags on deleted posts as resolved
+ * @param {Array} posts - { postType, post } pairs
+ */
+const resolveFlagsOnDeletedPosts = async posts => {
+  if (posts.length === 0) return;
+
+  await Models.flag.updateMany(
+    { status: 'pending', $or: posts },
+    { $set: { status: 'deleted', reviewedAt: new Date() } }
+  );
+};
+
+/**
+ * Storage IDs of a post's images, including their resized variants
+ * @param {Array} images - The post's images
+ * @returns {string[]}
+ */
+const imagePublicIds = (images = []) =>
+  images
+    .flatMap(image => [
+      image.publicId,
+      ...(image.variants || []).map(variant => variant.publicId),
+    ])
+    .filter(Boolean);
+
+/**
+ * Delete the stored images of removed posts. Failures are only logged; the
+ * image garbage collection job picks up anything left behind
+ * @param {Array} posts - Question or answer documents
+ */
+const removePostImages = async posts => {
+  for (const publicId of posts.flatMap(post => imagePublicIds(post.images))) {
+    try {
+      await deleteImage(publicId);
+    } catch (error) {
+      console.error(`Failed to delete image ${publicId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Delete a question with its answers, comments, revision history and images.
+ * Takes back the reputation they earned and refunds an unawarded bounty.
+ * @param {Object} question - Question document
+ */
+const removeQuestion = async question => {
+  const id = question._id;
+
+  // Take back the reputation the question and its answers earned
+  await revokePostReputation(question, 'question');
+  const answers = await find('answer', { question: id });
+  for (const answer of answers) {
+    await revokePostReputation(answer, 'answer', question.author);
+  }
+
+  // Refund a bounty that was never awarded
+  if (question.bounty && question.bounty.status === 'active') {
+    await adjustReputation({
+      user: question.bounty.offeredBy,
+      amount: question.bounty.amount,
+      reason: 'bounty_refunded',
+      postType: 'question',
+      post: id,
+    });
+  }
+
+  // Delete all comments on this question and its answers
+  await Models.comment.deleteMany({ question: id });
+
+  // Delete the revision history of this question and its answers
+  const answerIds = answers.map(answer => answer._id);
+  await Models.revision.deleteMany({
+    $or: [
+      { postType: 'question', post: id },
+      { postType: 'answer', post: { $in: answerIds } },
+    ],
+  });
+
+  await resolveFlagsOnDeletedPosts([
+    { postType: 'question', post: id },
+    { postType: 'answer', post: { $in: answerIds } },
+  ]);
+
+  // Delete all answers associated with this question
+  await Models.answer.deleteMany({ question: id });
+
+  // Delete the question
+  await deleteDocument('question', { _id: id });
+
+  await removePostImages([question, ...answers]);
+};
+
+/**
+ * Delete an answer with its comments, revision history and images, taking back
+ * the reputation it earned
+ * @param {Object} answer - Answer document
+ */
+const removeAnswer = async answer => {
+  const id = answer._id;
+
+  // Take back the reputation this answer earned
+  const question = await findOne('question', { _id: answer.question });
+  await revokePostReputation(answer, 'answer', question && question.author);
+
+  // Remove answer from question's answers array
+  await updateDocument(
+    'question',
+    { _id: answer.question },
+    {
+      $pull: { answers: id },
+    }
+  );
+
+  // If this answer was accepted, clear the accepted answer
+  if (answer.isAccepted) {
+    await updateDocument(
+      'question',
+      { _id: answer.question },
+      {
+        acceptedAnswer: null,
+      }
+    );
+  }
+
+  // Delete all comments on this answer
+  await Models.comment.deleteMany({ postType: 'answer', post: id });
+
+  // Delete the revision history of this answer
+  await Models.revision.deleteMany({ postType: 'answer', post: id });
+
+  await resolveFlagsOnDeletedPosts([{ postType: 'answer', post: id }]);
+
+  // Delete the answer
+  await deleteDocument('answer', { _id: id });
+
+  await removePostImages([answer]);
+
+  publishQuestionEvent(answer.question, 'answer_deleted', { answerId: id });
 };
 
 module.exports = {
+  notificationChannel,
+  questionChannel,
+  publishQuestionEvent,
   createNotification,
   createMentionNotifications,
   sanitizeHTML,
+  POST_FORMATS,
+  renderMarkdown,
+  htmlToMarkdown,
+  renderPostContent,
+  convertPostContent,
+  normalizeLanguage,
+  codeLanguages,
+  suggestTagsForLanguages,
+  normalizeTag,
+  resolveTags,
+  resolveTag,
+  findTagByNameOrSynonym,
+  rewriteQuestionTags,
+  rewriteTagPreferences,
   generateSlug,
   calculateReputation,
+  REPUTATION_POINTS,
+  recordReputation,
+  adjustReputation,
+  applyVoteReputation,
+  revokePostReputation,
+  getEarnedReputation,
+  recalculateReputation,
+  hasPrivilege,
+  getUserPrivileges,
+  renderRevisionBody,
+  getRevisionContent,
+  recordRevision,
+  diffRevisions,
+  diffTagEdits,
+  findPageTag,
+  applyTagEdit,
+  parseSearchQuery,
+  hasTextSearch,
+  buildSearchFilter,
+  buildFeedStages,
+  clientIp,
+  describeUserAgent,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  findActiveSession,
+  createStreamTicket,
+  redeemStreamTicket,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  adminUnlockAccount,
+  isApiToken,
+  apiTokenScopesFor,
+  createApiToken,
+  findActiveApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findOrCreateOidcUser,
+  buildHighlights,
+  resolveCloseVotes,
+  getCloseState,
+  notifyBountyWatchers,
+  notifyTagWatchers,
+  awardBounty,
+  imagePublicIds,
+  removeQuestion,
+  removeAnswer,
 };
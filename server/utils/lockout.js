@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Models = require('../models');
+const { send_email } = require('../lib/node-mailer');
+const {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  LOCKOUT_BASE_MINUTES,
+  LOCKOUT_MAX_MINUTES,
+  UNLOCK_TOKEN_TTL_HOURS,
+} = require('../config/lockout');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const CLEARED_LOCK = {
+  failedLoginAttempts: 0,
+  lockedUntil: null,
+  unlockToken: null,
+  unlockTokenExpires: null,
+};
+
+const frontendUrl = () =>
+  process.env.NODE_ENV === 'production'
+    ? process.env.FRONTEND_URL_PROD
+    : process.env.FRONTEND_URL_DEV;
+
+// Each lockout lasts twice as long as the one before, up to the maximum
+const lockoutMinutes = lockoutCount =>
+  Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockoutCount, LOCKOUT_MAX_MINUTES);
+
+const sendLockoutEmail = (user, minutes, unlockToken) => {
+  try {
+    send_email(
+      'account-locked',
+      {
+        username: user.first_name,
+        minutes,
+        unlockLink: `${frontendUrl()}/unlock-account?token=${unlockToken}`,
+        resetLink: `${frontendUrl()}/forgot-password`,
+        supportEmail: 'support@stackit.com',
+      },
+      'StackIt',
+      'Account Locked - StackIt',
+      user.email
+    );
+  } catch (emailError) {
+    console.error('Account locked email failed:', emailError);
+  }
+};
+
+/**
+ * Whether a user is locked out of logging in
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isLocked = user =>
+  !!user.lockedUntil && new Date(user.lockedUntil).getTime() > Date.now();
+
+/**
+ * Count a failed login. Reaching LOGIN_MAX_FAILED_ATTEMPTS locks the account
+ * and emails the owner a link to unlock it.
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether this attempt locked the account
+ */
+const recordFailedLogin = async user => {
+  const updated = await Models.user.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+    return false;
+  }
+
+  const minutes = lockoutMinutes(updated.lockoutCount || 0);
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  // Matching lockoutCount lets only one of several concurrent failures lock
+  const result = await Models.user.updateOne(
+    {
+      _id: user._id,
+      failedLoginAttempts: { $gte: LOGIN_MAX_FAILED_ATTEMPTS },
+      lockoutCount: updated.lockoutCount || 0,
+    },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockedUntil: new Date(Date.now() + minutes * MINUTE_MS),
+        unlockToken,
+        unlockTokenExpires: new Date(
+          Date.now() + UNLOCK_TOKEN_TTL_HOURS * HOUR_MS
+        ),
+      },
+      $inc: { lockoutCount: 1 },
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  if (updated.email) sendLockoutEmail(updated, minutes, unlockToken);
+  return true;
+};
+
+/**
+ * Forget failed logins and past lockouts after a successful login
+ * @param {string} userId
+ */
+const clearFailedLogins = userId =>
+  Models.user.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { failedLoginAttempts: { $gt: 0 } },
+        { lockoutCount: { $gt: 0 } },
+        { lockedUntil: { $ne: null } },
+      ],
+    },
+    { $set: { ...CLEARED_LOCK, lockoutCount: 0 } }
+  );
+
+/**
+ * Lift a lockout with the token from the account locked email. Past
+ * lockouts still count, so continued guessing keeps doubling the lock.
+ * @param {string} token - Unlock token
+ * @returns {Promise<Object|null>} The user, or null if the token is invalid
+ *   or expired
+ */
+const unlockAccount = token =>
+  Models.user.findOneAndUpdate(
+    { unlockToken: token, unlockTokenExpires: { $gt: new Date() } },
+    { $set: CLEARED_LOCK },
+    { new: true }
+  );
+
+/**
+ * Lift a lockout as an admin and reset the user's lockout history
+ * @param {string} userId
+ * @returns {Promise<Object|null>} The user, or null if not found
+ */
+const adminUnlockAccount = userId =>
+  Models.user.findOneAndUpdate(
+    { _id: userId },
+    { $set: { ...CLEARED_LOCK, lockoutCount: 0 } },
+    { new: true }
+  );
+
+module.exports = {
+  isLocked,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  adminUnlockAccount,
+};
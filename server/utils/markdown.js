@@ -0,0 +1,73 @@
+const { Marked } = require('marked');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+const { sanitizeHTML, sanitizeMarkdownHTML } = require('./sanitize-html');
+
+// Formats a question or answer can be written in
+const POST_FORMATS = ['html', 'markdown'];
+
+// GitHub-flavoured: tables, fenced code, strikethrough and autolinks
+const marked = new Marked({ gfm: true, breaks: false });
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  emDelimiter: '_',
+});
+turndown.use(gfm);
+turndown.addRule('strikethrough', {
+  filter: ['del', 's', 'strike'],
+  replacement: content => `~~${content}~~`,
+});
+
+/**
+ * Render Markdown to safe HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} Sanitized HTML
+ */
+const renderMarkdown = (markdown = '') =>
+  sanitizeMarkdownHTML(marked.parse(markdown, { async: false }));
+
+/**
+ * Convert editor HTML to Markdown. Anything Markdown cannot express, such as
+ * text alignment, is dropped
+ * @param {string} html - HTML content
+ * @returns {string} Markdown source
+ */
+const htmlToMarkdown = (html = '') => turndown.turndown(sanitizeHTML(html));
+
+/**
+ * Turn submitted post content into what is stored: the safe HTML every page
+ * renders, plus the Markdown source for Markdown posts
+ * @param {string} content - HTML from the rich text editor, or Markdown
+ * @param {string} format - 'html' or 'markdown'
+ * @returns {Object} `html` and `markdown` ('' for HTML posts)
+ */
+const renderPostContent = (content, format = 'html') => {
+  if (format === 'markdown') {
+    const markdown = content.trim();
+    return { html: renderMarkdown(markdown), markdown };
+  }
+  return { html: sanitizeHTML(content).trim(), markdown: '' };
+};
+
+/**
+ * Convert a stored post to another format. HTML posts get Markdown source
+ * generated from their HTML; Markdown posts keep their rendered HTML
+ * @param {string} html - The post's current HTML
+ * @param {string} format - Format to convert to
+ * @returns {Object} `html` and `markdown` to store
+ */
+const convertPostContent = (html, format) =>
+  format === 'markdown'
+    ? renderPostContent(htmlToMarkdown(html), 'markdown')
+    : { html, markdown: '' };
+
+module.exports = {
+  POST_FORMATS,
+  renderMarkdown,
+  htmlToMarkdown,
+  renderPostContent,
+  convertPostContent,
+};
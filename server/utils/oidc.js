@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Models = require('../models');
+const { insertNewDocument, findOne } = require('../helpers');
+
+const oidcError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Usernames are 3-30 letters and numbers, like at signup
+const usernameBase = claims => {
+  const candidates = [
+    claims.preferred_username,
+    claims.email && claims.email.split('@')[0],
+    claims.name,
+  ];
+  for (const candidate of candidates) {
+    const base = String(candidate || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '')
+      .slice(0, 24);
+    if (base.length >= 3) return base;
+  }
+  return 'user';
+};
+
+const uniqueUsername = async claims => {
+  const base = usernameBase(claims);
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username =
+      attempt === 0
+        ? base
+        : `${base}${crypto.randomInt(1000, 1000000)}`.slice(0, 30);
+    if (!(await findOne('user', { username }))) return username;
+  }
+  return `${base.slice(0, 18)}${crypto.randomBytes(6).toString('hex')}`;
+};
+
+const profileNames = claims => {
+  const [first, ...rest] = String(claims.name || '')
+    .trim()
+    .split(/\s+/);
+  return {
+    first_name: (claims.given_name || first || usernameBase(claims))
+      .trim()
+      .slice(0, 50),
+    last_name: (claims.family_name || rest.join(' ') || '-')
+      .trim()
+      .slice(0, 50),
+  };
+};
+
+/**
+ * The user an OpenID Connect login signs in as. Finds the user the identity
+ * is linked to, or links it to the user with the same verified email, or
+ * creates a new user.
+ * @param {string} issuer - Provider issuer URL
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} User document
+ * @throws {Error} code OIDC_EMAIL_REQUIRED or OIDC_ACCOUNT_UNVERIFIED
+ */
+const findOrCreateOidcUser = async (issuer, claims) => {
+  const subject = String(claims.sub);
+  const linked = await findOne('user', {
+    externalIdentities: { $elemMatch: { issuer, subject } },
+  });
+  if (linked) return linked;
+
+  const email = String(claims.email || '')
+    .trim()
+    .toLowerCase();
+  // Linking by email is only safe if the provider checked the address
+  if (!email || claims.email_verified !== true) {
+    throw oidcError(
+      'OIDC_EMAIL_REQUIRED',
+      'Your identity provider did not share a verified email address.'
+    );
+  }
+
+  const identity = { issuer, subject, email, linkedAt: new Date() };
+  const existing = await findOne('user', { email });
+  if (existing) {
+    // Whoever registered an unverified account may not own the email, and
+    // would keep access to the account through its password
+    if (!existing.isEmailVerified && existing.role !== 'admin') {
+      throw oidcError(
+        'OIDC_ACCOUNT_UNVERIFIED',
+        'An account with this email exists but its email is not verified yet. Verify it first, then sign in with your identity provider again.'
+      );
+    }
+    const update = { $push: { externalIdentities: identity } };
+    // Take the provider's picture if the user has no avatar yet. It is an
+    // external URL, so there is no stored image to point at.
+    if (!existing.avatar && typeof claims.picture === 'string') {
+      update.$set = { avatar: claims.picture, avatarPublicId: '' };
+    }
+    return Models.user.findOneAndUpdate({ _id: existing._id }, update, {
+      new: true,
+    });
+  }
+
+  // Nobody knows this password; the user can set one with a password reset
+  const password = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 12);
+  return insertNewDocument('user', {
+    ...profileNames(claims),
+    username: await uniqueUsername(claims),
+    email,
+    password,
+    role: 'user',
+    isEmailVerified: true,
+    avatar: typeof claims.picture === 'string' ? claims.picture : '',
+    avatarPublicId: '',
+    bio: '',
+    externalIdentities: [identity],
+  });
+};
+
+module.exports = { findOrCreateOidcUser };
@@ -0,0 +1,138 @@
+const sanitize = require('sanitize-html');
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const TEXT_ALIGN = { 'text-align': [/^(left|center|right|justify)$/] };
+const NUMBER = /^\d+$/;
+const ABSOLUTE_URL = /^https?:\/\//i;
+
+// Drop attributes that should hold a whole number but do not
+const withNumbers = (attribs, names) => {
+  const result = { ...attribs };
+  for (const name of names) {
+    if (name in result && !NUMBER.test(result[name])) {
+      delete result[name];
+    }
+  }
+  return result;
+};
+
+// Exactly what the editor in client/src/components/RichTextEditor.tsx
+// produces: StarterKit nodes and marks, links, images, image figures and
+// text alignment on paragraphs and headings
+const POLICY = {
+  allowedTags: [
+    'p',
+    'br',
+    ...HEADINGS,
+    'strong',
+    'em',
+    's',
+    'code',
+    'pre',
+    'blockquote',
+    'ul',
+    'ol',
+    'li',
+    'hr',
+    'a',
+    'img',
+    'figure',
+    'figcaption',
+  ],
+  allowedAttributes: {
+    a: ['href', 'target', 'rel', 'class'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'class'],
+    ol: ['start'],
+    code: ['class'],
+    p: ['style'],
+    ...Object.fromEntries(HEADINGS.map(tag => [tag, ['style']])),
+  },
+  allowedClasses: {
+    a: ['text-stackit-600', 'underline'],
+    img: ['max-w-full', 'h-auto', 'rounded-lg'],
+    code: ['language-*'],
+  },
+  allowedStyles: {
+    p: TEXT_ALIGN,
+    ...Object.fromEntries(HEADINGS.map(tag => [tag, TEXT_ALIGN])),
+  },
+  // Images must be uploaded, so no data: URLs anywhere
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links always open in a new tab without handing over the page
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: {
+        ...attribs,
+        target: '_blank',
+        rel: 'noopener noreferrer nofollow',
+      },
+    }),
+    img: (tagName, attribs) => ({
+      tagName,
+      attribs: withNumbers(attribs, ['width', 'height']),
+    }),
+    ol: (tagName, attribs) => ({
+      tagName,
+      attribs: withNumbers(attribs, ['start']),
+    }),
+  },
+  // Images without an absolute http(s) source are dropped entirely
+  exclusiveFilter: frame =>
+    frame.tag === 'img' && !ABSOLUTE_URL.test(frame.attribs.src || ''),
+};
+
+// Markdown also renders GitHub-flavoured tables and ~~strikethrough~~
+const TABLE_ALIGN = ['left', 'center', 'right'];
+const MARKDOWN_POLICY = {
+  ...POLICY,
+  allowedTags: [
+    ...POLICY.allowedTags,
+    'del',
+    'table',
+    'thead',
+    'tbody',
+    'tr',
+    'th',
+    'td',
+  ],
+  allowedAttributes: {
+    ...POLICY.allowedAttributes,
+    th: [{ name: 'align', multiple: false, values: TABLE_ALIGN }],
+    td: [{ name: 'align', multiple: false, values: TABLE_ALIGN }],
+  },
+};
+
+/**
+ * Sanitize rich text from the editor against an allow-list of tags,
+ * attributes, classes, styles and URL schemes. Anything else is removed;
+ * the text inside unknown tags is kept, except for script-like elements.
+ * @param {string} html - HTML from the client
+ * @returns {string} Safe HTML
+ */
+const sanitizeHTML = (html = '') => sanitize(html, POLICY);
+
+/**
+ * Sanitize HTML rendered from Markdown. Same policy as sanitizeHTML, plus tables
+ * @param {string} html - HTML rendered from user Markdown
+ * @returns {string} Safe HTML
+ */
+const sanitizeMarkdownHTML = (html = '') => sanitize(html, MARKDOWN_POLICY);
+
+// Revision diffs mark words with <ins> and <del>
+const DIFF_POLICY = {
+  ...MARKDOWN_POLICY,
+  allowedTags: [...MARKDOWN_POLICY.allowedTags, 'ins'],
+};
+
+/**
+ * Sanitize an HTML diff of post content. Same policy as sanitizeMarkdownHTML,
+ * plus the <ins> and <del> markers
+ * @param {string} html - Output of htmlDiff
+ * @returns {string} Safe HTML
+ */
+const sanitizeDiffHTML = (html = '') => sanitize(html, DIFF_POLICY);
+
+module.exports = { sanitizeHTML, sanitizeMarkdownHTML, sanitizeDiffHTML };
@@ -0,0 +1,236 @@
+const { findOne } = require('../helpers');
+const { resolveTags } = require('./tag-synonyms');
+
+const SNIPPET_LENGTH = 200;
+
+const COMPARISON_OPERATORS = {
+  '>': '$gt',
+  '>=': '$gte',
+  '<': '$lt',
+  '<=': '$lte',
+  '=': '$eq',
+};
+
+const IS_FILTERS = {
+  answered: { 'answers.0': { $exists: true } },
+  unanswered: { answers: { $size: 0 } },
+  accepted: { acceptedAnswer: { $ne: null } },
+  featured: { 'bounty.status': 'active' },
+};
+
+// Matches "quoted phrases", [tags] and bare words / key:value operators
+const TOKEN_PATTERN = /"([^"]*)"|\[([^\]]+)\]|(\S+)/g;
+
+/**
+ * Parse a numeric comparison such as ">5", ">=2", "<0" or "3"
+ * @param {string} value - Raw operator value
+ * @returns {Object|null} Mongo comparison, e.g. { $gt: 5 }
+ */
+const parseComparison = value => {
+  const match = /^(>=|<=|>|<|=)?(-?\d+)$/.exec(value);
+  if (!match) return null;
+
+  const operator = COMPARISON_OPERATORS[match[1] || '='];
+  return { [operator]: parseInt(match[2], 10) };
+};
+
+/**
+ * Split a search string into free text and structured operators.
+ * Supported syntax: `[tag]`, `user:name`,
+ * `is:answered|unanswered|accepted|featured`,
+ * `score:>5`, `answers:>=2` and "quoted phrases". Unknown operators are kept
+ * as plain search terms.
+ * @param {string} q - Raw search query
+ * @returns {Object} Parsed query
+ */
+const parseSearchQuery = (q = '') => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    tags: [],
+    user: null,
+    is: [],
+    score: null,
+    answers: null,
+  };
+
+  for (const [token, phrase, tag, word] of q.matchAll(TOKEN_PATTERN)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+      continue;
+    }
+
+    if (tag !== undefined) {
+      parsed.tags.push(tag.trim().toLowerCase());
+      continue;
+    }
+
+    const separator = word.indexOf(':');
+    const key = separator > 0 ? word.slice(0, separator).toLowerCase() : null;
+    const value = separator > 0 ? word.slice(separator + 1) : '';
+
+    if (key === 'user' && value) {
+      parsed.user = value.toLowerCase();
+    } else if (key === 'is' && IS_FILTERS[value.toLowerCase()]) {
+      parsed.is.push(value.toLowerCase());
+    } else if (key === 'score' && parseComparison(value)) {
+      parsed.score = parseComparison(value);
+    } else if (key === 'answers' && parseComparison(value)) {
+      parsed.answers = parseComparison(value);
+    } else {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Whether the parsed query contains words to run a text search for
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean}
+ */
+const hasTextSearch = parsed =>
+  parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+/**
+ * Build a question filter from a parsed query.
+ * Resolves `user:` against usernames; returns null when that user does not
+ * exist so callers can short-circuit to an empty result. Tag synonyms are
+ * searched as their tags.
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Promise<Object|null>} Mongo filter
+ */
+const buildSearchFilter = async parsed => {
+  const filter = {};
+
+  if (hasTextSearch(parsed)) {
+    const search = [
+      ...parsed.terms,
+      ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ];
+    filter.$text = { $search: search.join(' ') };
+  }
+
+  if (parsed.tags.length > 0) {
+    filter.tags = { $all: await resolveTags(parsed.tags) };
+  }
+
+  if (parsed.user) {
+    const user = await findOne('user', { username: parsed.user });
+    if (!user) return null;
+    filter.author = user._id;
+  }
+
+  for (const key of parsed.is) {
+    Object.assign(filter, IS_FILTERS[key]);
+  }
+
+  if (parsed.score) {
+    filter.voteCount = parsed.score;
+  }
+
+  if (parsed.answers) {
+    const [[operator, value]] = Object.entries(parsed.answers);
+    filter.$expr = { [operator]: [{ $size: '$answers' }, value] };
+  }
+
+  return filter;
+};
+
+const escapeHTML = text =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const stripHTML = html =>
+  html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Build a regex matching any searched word or phrase. Words also match
+ * longer forms ("index" highlights "indexes") to roughly follow stemming;
+ * excluded `-words` are not highlighted.
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {RegExp|null}
+ */
+const buildHighlightPattern = parsed => {
+  const words = parsed.terms
+    .filter(term => !term.startsWith('-'))
+    .map(term => `${escapeRegExp(term)}\\w*`);
+  const phrases = parsed.phrases.map(phrase =>
+    escapeRegExp(phrase).replace(/\s+/g, '\\s+')
+  );
+  const parts = [...phrases, ...words];
+
+  return parts.length > 0 ? new RegExp(`(${parts.join('|')})`, 'gi') : null;
+};
+
+/**
+ * Escape text and wrap matches of the pattern in <mark>
+ * @param {string} text - Plain text
+ * @param {RegExp|null} pattern - Highlight pattern
+ * @returns {string} Safe HTML
+ */
+const highlight = (text, pattern) => {
+  if (!pattern) return escapeHTML(text);
+
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      index % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)
+    )
+    .join('');
+};
+
+/**
+ * Build highlighted title and body snippet for a search result.
+ * The snippet starts just before the first match in the body.
+ * @param {Object} question - Question with title and description
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {{ title: string, snippet: string }} Safe HTML
+ */
+const buildHighlights = (question, parsed) => {
+  const pattern = buildHighlightPattern(parsed);
+  const text = stripHTML(question.description || '');
+
+  let start = 0;
+  if (pattern) {
+    const match = new RegExp(pattern.source, 'i').exec(text);
+    if (match) {
+      start = Math.max(0, match.index - SNIPPET_LENGTH / 4);
+      // Avoid cutting the first word in half
+      const space = text.lastIndexOf(' ', start);
+      start = start > 0 && space > 0 ? space + 1 : start;
+    }
+  }
+
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const snippet = text.slice(start, end);
+
+  return {
+    title: highlight(question.title || '', pattern),
+    snippet: `${start > 0 ? '…' : ''}${highlight(snippet, pattern)}${
+      end < text.length ? '…' : ''
+    }`,
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasTextSearch,
+  buildSearchFilter,
+  buildHighlights,
+};
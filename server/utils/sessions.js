@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Models = require('../models');
+const { insertNewDocument, findOne } = require('../helpers');
+const { SECRET } = require('../config');
+const {
+  ACCESS_TOKEN_TTL_MINUTES,
+  REFRESH_TOKEN_TTL_DAYS,
+  GUEST_SESSION_TTL_HOURS,
+  REFRESH_REUSE_GRACE_SECONDS,
+  SESSION_TOUCH_INTERVAL_MINUTES,
+  STREAM_TICKET_TTL_SECONDS,
+} = require('../config/sessions');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+const OPERATING_SYSTEMS = [
+  [/Windows/, 'Windows'],
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+const sessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const hashToken = secret =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session ID>.<random secret>"; only the hash of the
+// secret is stored
+const newRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const parseRefreshToken = refreshToken => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!/^[a-f\d]{24}$/i.test(sessionId || '') || !secret) return null;
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+/**
+ * IP address of the client. X-Forwarded-For only counts when it comes from a
+ * proxy the app trusts (TRUST_PROXY in config), since clients can send any
+ * value
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const clientIp = req =>
+  req.ip || (req.socket && req.socket.remoteAddress) || '';
+
+/**
+ * Short, readable description of the browser and OS in a user agent
+ * @param {string} userAgent
+ * @returns {string} e.g. "Firefox on Windows"
+ */
+const describeUserAgent = (userAgent = '') => {
+  const match = list =>
+    (list.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+  const browser = match(BROWSERS);
+  const os = match(OPERATING_SYSTEMS);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+/**
+ * Sign an access token for a session
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {string} JWT
+ */
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, SECRET, {
+    expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m`,
+  });
+
+const tokenResponse = (session, secret) => ({
+  token: signAccessToken(session.user.toString(), session._id.toString()),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the device and IP address
+ * @returns {Promise<Object>} token, refreshToken and expiresIn (seconds)
+ */
+const createSession = async (user, req) => {
+  const secret = newRefreshSecret();
+  const userAgent = (req.headers['user-agent'] || '').slice(0, 500);
+  const isGuest = user.role === 'guest';
+
+  const session = await insertNewDocument('session', {
+    user: user._id,
+    tokenHash: hashToken(secret),
+    device: describeUserAgent(userAgent),
+    userAgent,
+    ip: clientIp(req),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(
+      Date.now() +
+        (isGuest
+          ? GUEST_SESSION_TTL_HOURS * HOUR_MS
+          : REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+    ),
+    fixedExpiry: isGuest,
+  });
+
+  return tokenResponse(session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already exchanged means it leaked, so
+ * the session is revoked.
+ * @param {string} refreshToken
+ * @param {Object} req - Express request, for the IP address
+ * @returns {Promise<Object>} token, refreshToken and expiresIn (seconds)
+ * @throws {Error} code SESSION_INVALID, SESSION_REUSED or SESSION_RACE
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw sessionError('SESSION_INVALID', 'Invalid refresh token');
+  }
+
+  const now = new Date();
+  const current = await findOne('session', {
+    _id: parsed.sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+  if (!current) {
+    throw sessionError('SESSION_INVALID', 'Session expired or revoked');
+  }
+
+  const secret = newRefreshSecret();
+  const update = {
+    tokenHash: hashToken(secret),
+    previousTokenHash: parsed.secretHash,
+    rotatedAt: now,
+    lastUsedAt: now,
+    ip: clientIp(req),
+  };
+  if (!current.fixedExpiry) {
+    update.expiresAt = new Date(
+      now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS
+    );
+  }
+
+  // Only the holder of the current token can rotate it
+  const rotated = await Models.session.findOneAndUpdate(
+    { _id: current._id, tokenHash: parsed.secretHash, revokedAt: null },
+    { $set: update },
+    { new: true }
+  );
+  if (rotated) {
+    return tokenResponse(rotated, secret);
+  }
+
+  const latest = await findOne('session', { _id: current._id });
+  if (latest && latest.previousTokenHash === parsed.secretHash) {
+    const rotatedAgo = now.getTime() - latest.rotatedAt.getTime();
+    if (rotatedAgo <= REFRESH_REUSE_GRACE_SECONDS * 1000) {
+      throw sessionError('SESSION_RACE', 'Refresh token was just used');
+    }
+    await revokeSessions({ _id: current._id });
+    throw sessionError(
+      'SESSION_REUSED',
+      'Refresh token was used twice; the session has been revoked'
+    );
+  }
+
+  throw sessionError('SESSION_INVALID', 'Invalid refresh token');
+};
+
+const revokeSessions = async filter => {
+  const now = new Date();
+  const result = await Models.session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: now, expiresAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (userId, sessionId) =>
+  (await revokeSessions({ _id: sessionId, user: userId })) > 0;
+
+/**
+ * Revoke the session a refresh token belongs to, if the token is current
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+const revokeSessionByRefreshToken = async refreshToken => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  return (
+    (await revokeSessions({
+      _id: parsed.sessionId,
+      tokenHash: parsed.secretHash,
+    })) > 0
+  );
+};
+
+/**
+ * Revoke every session of a user, e.g. to log out everywhere
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.except - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = (userId, { except } = {}) =>
+  revokeSessions({
+    user: userId,
+    ...(except ? { _id: { $ne: except } } : {}),
+  });
+
+/**
+ * The active session an access token belongs to. Records the request as the
+ * session's last use at most every SESSION_TOUCH_INTERVAL_MINUTES.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Session document
+ */
+const findActiveSession = async (userId, sessionId, req) => {
+  const now = new Date();
+  const session = await findOne('session', {
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+
+  const touchBefore =
+    now.getTime() - SESSION_TOUCH_INTERVAL_MINUTES * MINUTE_MS;
+  if (session && session.lastUsedAt.getTime() < touchBefore) {
+    await Models.session.updateOne(
+      { _id: session._id },
+      { $set: { lastUsedAt: now, ip: clientIp(req) } }
+    );
+  }
+
+  return session;
+};
+
+/**
+ * Issue a one-time ticket for opening the notification stream
+ * @param {string} userId
+ * @param {string} sessionId - Session of the access token asking for it
+ * @returns {Promise<Object>} `ticket` and `expiresIn` (seconds)
+ */
+const createStreamTicket = async (userId, sessionId) => {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  await insertNewDocument('streamTicket', {
+    ticketHash: hashToken(ticket),
+    user: userId,
+    session: sessionId,
+    expiresAt: new Date(Date.now() + STREAM_TICKET_TTL_SECONDS * 1000),
+  });
+  return { ticket, expiresIn: STREAM_TICKET_TTL_SECONDS };
+};
+
+/**
+ * Use up a notification stream ticket
+ * @param {string} ticket
+ * @returns {Promise<string|null>} ID of the user it was issued to, or null if
+ *   the ticket is unknown, used, expired or its session has ended
+ */
+const redeemStreamTicket = async ticket => {
+  if (typeof ticket !== 'string' || !ticket) return null;
+
+  // Deleting it makes the ticket single-use
+  const now = new Date();
+  const streamTicket = await Models.streamTicket.findOneAndDelete({
+    ticketHash: hashToken(ticket),
+    expiresAt: { $gt: now },
+  });
+  if (!streamTicket) return null;
+
+  const session = await findOne('session', {
+    _id: streamTicket.session,
+    user: streamTicket.user,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  });
+  return session ? streamTicket.user.toString() : null;
+};
+
+module.exports = {
+  clientIp,
+  describeUserAgent,
+  signAccessToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  findActiveSession,
+  createStreamTicket,
+  redeemStreamTicket,
+};
@@ -0,0 +1,103 @@
+const Models = require('../models');
+const { find, findOne } = require('../helpers');
+
+/**
+ * Tag names are stored lowercase without surrounding spaces
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeTag = (name = '') => name.toLowerCase().trim();
+
+/**
+ * Replace tag synonyms with the names of their tags, keeping order and
+ * dropping duplicates
+ * @param {string[]} names - Tag names as written by a user
+ * @returns {Promise<string[]>} Canonical tag names
+ */
+const resolveTags = async (names = []) => {
+  const normalized = names.map(normalizeTag).filter(Boolean);
+  if (normalized.length === 0) return [];
+
+  const tags = await find('tag', { synonyms: { $in: normalized } });
+  const canonical = new Map();
+  for (const tag of tags) {
+    for (const synonym of tag.synonyms) canonical.set(synonym, tag.name);
+  }
+
+  return [...new Set(normalized.map(name => canonical.get(name) || name))];
+};
+
+/**
+ * Canonical name of a single tag
+ * @param {string} name - Tag name or synonym
+ * @returns {Promise<string>}
+ */
+const resolveTag = async name => (await resolveTags([name]))[0] || '';
+
+/**
+ * The tag that owns a name, either as its name or as a synonym
+ * @param {string} name - Normalized tag name
+ * @returns {Promise<Object|null>} Tag document
+ */
+const findTagByNameOrSynonym = name =>
+  findOne('tag', { $or: [{ name }, { synonyms: name }] });
+
+// Replace `from` with `to` in an array field of every matching document in
+// one batch, keeping the order and leaving no duplicates
+const replaceTags = async (model, field, from, to) => {
+  const result = await Models[model].updateMany({ [field]: { $in: from } }, [
+    {
+      $set: {
+        [field]: {
+          $reduce: {
+            input: {
+              $map: {
+                input: `$${field}`,
+                in: { $cond: [{ $in: ['$$this', from] }, to, '$$this'] },
+              },
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] },
+              ],
+            },
+          },
+        },
+      },
+    },
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Replace tags on every question in one batch, keeping each question's tag
+ * order and leaving no duplicates when a question already has `to`
+ * @param {string[]} from - Tag names to replace
+ * @param {string} to - Tag name to put in their place
+ * @returns {Promise<number>} Number of questions changed
+ */
+const rewriteQuestionTags = (from, to) =>
+  replaceTags('question', 'tags', from, to);
+
+/**
+ * Replace tags in every user's watched and ignored tags
+ * @param {string[]} from - Tag names to replace
+ * @param {string} to - Tag name to put in their place
+ * @returns {Promise<void>}
+ */
+const rewriteTagPreferences = async (from, to) => {
+  await replaceTags('user', 'watchedTags', from, to);
+  await replaceTags('user', 'ignoredTags', from, to);
+};
+
+module.exports = {
+  normalizeTag,
+  resolveTags,
+  resolveTag,
+  findTagByNameOrSynonym,
+  rewriteQuestionTags,
+  rewriteTagPreferences,
+};
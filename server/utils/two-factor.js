@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Models = require('../models');
+const { SECRET } = require('../config');
+const {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_CHALLENGE_TTL_MINUTES,
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  TOTP_WINDOW,
+  RECOVERY_CODE_COUNT,
+} = require('../config/two-factor');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// TOTP secrets are stored encrypted with a key derived from the JWT secret
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(`${SECRET}:two-factor`)
+  .digest();
+
+const twoFactorError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const base32Encode = buffer => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = text => {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/=+$/, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const encryptSecret = secret => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, 'utf8'),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map(part => part.toString('base64url'))
+    .join('.');
+};
+
+const decryptSecret = payload => {
+  const [iv, tag, encrypted] = payload
+    .split('.')
+    .map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    'utf8'
+  );
+};
+
+// HOTP (RFC 4226) for one time step
+const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Time step a code was generated in, or null if it matches none in the window
+const matchTotpStep = (secret, code, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (
+    let step = current - TOTP_WINDOW;
+    step <= current + TOTP_WINDOW;
+    step++
+  ) {
+    const expected = totpCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const normalizeRecoveryCode = code =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = code =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Codes look like "3f9a2-c41d7"; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start enrolling a user in two-factor authentication. The new secret only
+ * takes effect once confirmed with a code from the authenticator app.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} secret, otpauthUrl and qrCode (data URL)
+ */
+const startTwoFactorEnrollment = async user => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const accountName = user.email || user.username;
+  const otpauthUrl = `otpauth://totp/${encodeURIComponent(
+    `${TWO_FACTOR_ISSUER}:${accountName}`
+  )}?${new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  })}`;
+
+  await Models.user.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorPendingSecret: encryptSecret(secret) } }
+  );
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {string} userId
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ * @throws {Error} code TWO_FACTOR_NOT_PENDING or TWO_FACTOR_INVALID_CODE
+ */
+const confirmTwoFactorEnrollment = async (userId, code) => {
+  const user = await Models.user
+    .findById(userId)
+    .select('+twoFactorPendingSecret');
+  if (!user || !user.twoFactorPendingSecret) {
+    throw twoFactorError(
+      'TWO_FACTOR_NOT_PENDING',
+      'Start two-factor setup first.'
+    );
+  }
+
+  const secret = decryptSecret(user.twoFactorPendingSecret);
+  const step = matchTotpStep(secret, code);
+  if (step === null) {
+    throw twoFactorError('TWO_FACTOR_INVALID_CODE', 'Invalid code.');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await Models.user.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: encryptSecret(secret),
+        twoFactorLastStep: step,
+        twoFactorRecoveryCodes: hashes,
+      },
+      $unset: { twoFactorPendingSecret: '' },
+    }
+  );
+  return codes;
+};
+
+/**
+ * Check a code from the user's authenticator app. Each code is accepted once.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const verifyTwoFactorCode = async (userId, code) => {
+  const user = await Models.user.findById(userId).select('+twoFactorSecret');
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  const step = matchTotpStep(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return false;
+
+  // Claim the time step; a replayed code finds it already taken
+  const result = await Models.user.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Use up one of the user's recovery codes
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} Whether the code was valid and unused
+ */
+const useRecoveryCode = async (userId, code) => {
+  const hash = hashRecoveryCode(code);
+  const result = await Models.user.updateOne(
+    { _id: userId, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Replace the user's recovery codes with a new set
+ * @param {string} userId
+ * @returns {Promise<string[]>} The new codes
+ */
+const regenerateRecoveryCodes = async userId => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await Models.user.updateOne(
+    { _id: userId },
+    { $set: { twoFactorRecoveryCodes: hashes } }
+  );
+  return codes;
+};
+
+/**
+ * Number of unused recovery codes a user has left
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+const countRecoveryCodes = async userId => {
+  const user = await Models.user
+    .findById(userId)
+    .select('+twoFactorRecoveryCodes');
+  return user && user.twoFactorRecoveryCodes
+    ? user.twoFactorRecoveryCodes.length
+    : 0;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret
+ * @param {string} userId
+ */
+const disableTwoFactor = userId =>
+  Models.user.updateOne(
+    { _id: userId },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorSecret: '',
+        twoFactorPendingSecret: '',
+        twoFactorLastStep: '',
+        twoFactorRecoveryCodes: '',
+      },
+    }
+  );
+
+/**
+ * Short-lived token standing for a correct password while the second login
+ * step is pending. It carries no session, so it is not an access token.
+ * @param {string} userId
+ * @param {string} purpose - 'verify' to enter a code, 'enroll' to set up
+ *   two-factor authentication first
+ * @returns {string} JWT
+ */
+const signTwoFactorChallenge = (userId, purpose) =>
+  jwt.sign({ id: userId.toString(), twoFactor: purpose }, SECRET, {
+    expiresIn: `${TWO_FACTOR_CHALLENGE_TTL_MINUTES}m`,
+  });
+
+/**
+ * User a challenge token was issued to
+ * @param {string} challengeToken
+ * @param {string} purpose - Expected purpose, see signTwoFactorChallenge
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+const verifyTwoFactorChallenge = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(challengeToken, SECRET);
+    return decoded.twoFactor === purpose ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactorCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  disableTwoFactor,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  // For the RFC 4226 and 6238 test vectors
+  totpCode,
+  matchTotpStep,
+};